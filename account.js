@@ -18,6 +18,20 @@
         herorank: false,    // 光速群英榜
         challenge: 0,      // [挑战] 冒险/真火/镇妖塔 次数 0为不挑战
         showResult: false,  // [挑战] 冒险/真火/镇妖塔 显示战斗结果
+        chapter: true,      // [挑战] 冒险 关闭后不挑战
+        tower: true,        // [挑战] 镇妖塔 依赖仙宫
+        secretTower: true,  // [挑战] 真火秘境
+        frog: true,         // 青蛙广告奖励
+        spirit: true,       // 精怪广告奖励
+        magic: true,        // 神通广告和免费抽取
+        magicTreasure: true, // 法宝广告和免费抽取
+        pupil: true,        // 宗门招收弟子和出师
+        palace: true,       // 仙宫点赞和送福
+        wildBoss: true,     // 挑战妖王 依赖仙宫
+        destiny: true,      // 仙友游历
+        union: true,        // 妖盟广告、买桃和砍价
+        fightTicket: true,  // 斗法券较多时自动斗法
+        mail: true,         // 一键领取邮件奖励
     },
     chopTree: {
         stop: { // 砍树停止条件
@@ -37,7 +51,87 @@
         },
     },
 
-    reconnectInterval: 60000 * 30, // 重连间隔
+    // 子进程退出后的重启策略 (秒) 按退出原因分别计算 等待时间 = base * factor^(连续次数-1) 最多 max 再加 0~jitter 秒随机延迟
+    // 子进程稳定运行 stableTime 秒后连续次数清零 loginFailed 连续 maxAttempts 次后熔断 不再自动重启
+    // 不填的部分使用 src/config/schema.js 中的默认值 只需填写要修改的原因和字段
+    // 原因: crash 异常退出 loginFailed 登录失败 kicked 在别处登录被挤下线 rateLimited 操作过于频繁
+    //       maintenance 服务器维护 / 重连失败 badCredentials 账号密码错误 / 账号锁定 / 区服没有角色
+    restartPolicy: {
+        // stableTime: 600,
+        // kicked: { base: 3600 },
+    },
+
+    capture: false,                // 录制收发的所有消息到 records/ 目录, 用于离线回放 (yarn replay)
+
+    // 发送限速 避免 "操作过于频繁" 被踢下线 rate 为每秒发送数 burst 为允许连续发送的数量
+    // categories 按协议名前缀单独限速 priority 为 high / normal / low 心跳和登录始终最先发送
+    sendLimit: {
+        rate: 5,
+        burst: 8,
+        maxQueue: 300,             // 积压超过该数时丢弃优先级最低的消息
+        warnDepth: 50,             // 积压超过该数时打印警告
+        categories: [
+            { name: "union",  prefix: ["S_UNION_"],                  rate: 2, burst: 3 },
+            { name: "mall",   prefix: ["S_MALL_", "S_ACTIVITY_"],    rate: 2, burst: 3, priority: "low" },
+            { name: "battle", prefix: ["S_RANK_BATTLE_", "S_HERORANK_", "S_TOWER_", "S_STAGE_", "S_SECRETTOWER_", "S_WILDBOSS_"], rate: 1, burst: 2 },
+        ],
+    },
+
+    // 登录接口地址 不填使用官方地址 使用 yarn mock 启动本地模拟服务时改为:
+    // endpoints: {
+    //     sdkLogin: "http://localhost:8082/sdk/login",
+    //     sdkSession: "http://localhost:8082/sdk/session",
+    //     gameLogin: "http://localhost:8082/s{serverId}_http/player/login",
+    //     serverList: "http://localhost:8082/server/list",
+    // },
+
+    authRetry: { attempts: 3, baseDelay: 1000, maxDelay: 10000 }, // 登录请求遇到网络错误时的重试次数和延迟 (毫秒)
+
+    // 游戏服断线重连 (毫秒) 等待时间 = base * factor^(连续次数-1) 最多 max 再加 0~jitter 随机延迟 连续 attempts 次失败后交给守护进程重启
+    reconnect: { attempts: 5, base: 1000, factor: 2, max: 60000, jitter: 1000 },
+
+    // 心跳 (毫秒) 每 interval 发送一次 连续 maxMissed 次没有回包且期间没有收到任何消息时断开重连
+    // 延迟超过平均值的 spikeFactor 倍且不低于 spikeMin 时打印警告
+    heartbeat: { interval: 5000, maxMissed: 3, spikeFactor: 3, spikeMin: 500 },
+
+    // 发送前按协议检查消息 (未知字段、缺少必填字段、类型错误) warn: 警告后照常发送 drop: 丢弃 throw: 抛出异常
+    sendValidation: "warn",
+
+    // 登录后等待服务器下发登录数据 (登录下发完成和 required 中的同步消息) 最多 timeout 毫秒, 之后才开始运行各功能
+    // required 为 Protocol 中的名字, 超时时打印缺少的消息后照常继续
+    loginSync: {
+        timeout: 15000,
+        required: ["S_PLAYER_DATA_SYNC_MSG", "S_SYSTEM_UNLOCK_SYNC_MSG", "S_ATTRIBUTE_DATA_SYNC_MSG", "S_DREAM_DATA_SYNC", "S_TASK_DATA_SEND"],
+    },
+
+    // 插件配置 键为插件名 (plugins/ 下的文件名) enabled 为 false 时不启用 其余字段由插件通过 ctx.config 读取
+    plugins: {
+        // example: { enabled: false, minEnergy: 10 },
+    },
+
+    tokenCache: {                  // 登录凭证缓存 保存在 cache/ 目录 有效期内重启不再请求登录接口
+        enabled: true,
+        ttl: 3600 * 6,             // 有效期 (秒)
+    },
+
+    // 运行日程 守护进程的定时任务和每分钟的休眠检查都按此生成 可在 accounts 中为单个账号覆盖
+    // 不填的部分使用 src/config/schema.js 中的默认值
+    schedule: {
+        // timezone: "Asia/Shanghai",
+        // sleep: [ // 休眠时间段 end 小于 start 时跨零点 weekdays 为生效的星期 (0为周日) 不填为每天
+        //     { name: "周末夜间", start: "23:00", end: "07:00", weekdays: [5, 6] },
+        // ],
+        // restart: [ // 定时重启 jitter 为随机延迟的秒数范围
+        //     { time: "04:00", jitter: [0, 120] },
+        // ],
+    },
+
+    // 多账号: 每个账号单独一个子进程, 未填写的配置使用上面的默认值
+    // 也可以在 accounts/ 目录下为每个账号放一个 js 文件 (export default { username, password, serverId, ... }), 文件名即账号名
+    accounts: [
+        // { name: "小号1", username: "", password: "", serverId: "", switch: { homeland: false } },
+        // { name: "小号2", username: "", password: "", serverId: "", schedule: { sleep: [] } },  // 不休眠
+    ],
 }
 
 export default account;
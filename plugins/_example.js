@@ -0,0 +1,33 @@
+// 插件示例: 以 _ 开头的文件不会加载, 复制为 plugins/example.js 后生效
+// 配置写在 account.js 的 plugins.example 中, 如 { enabled: true, propId: 100026, every: 10 }
+
+/** @param {import("#game/common/PluginMgr.js").PluginContext} ctx */
+export default function setup(ctx) {
+    // 背包变化时打印指定道具的数量
+    ctx.onStateChange("bag", (bag, prev) => {
+        const propId = ctx.config.propId ?? 100026;
+        if (bag.items[propId] !== prev.items[propId]) {
+            ctx.logger.info(`道具 ${propId} 数量 ${ctx.state.itemNum(propId)}`);
+        }
+    });
+
+    // 定时打印玩家信息
+    ctx.schedule({
+        name: "report",
+        every: (ctx.config.every ?? 10) * 60 * 1000,
+        run: () => {
+            // 刚连上时玩家数据可能还没同步
+            if (!ctx.online || !ctx.user.nickName) return;
+            ctx.logger.info(`${ctx.user.nickName} (${ctx.user.playerId}) 在线`);
+        },
+    });
+
+    // ctx.config 每次读取都是最新配置, 需要在修改时做额外处理的才用 onConfigChange
+    ctx.onConfigChange((paths) => {
+        ctx.logger.info(`配置已更新: ${paths.join(", ")}`);
+        ctx.trigger("report");
+    });
+
+    // 插件关闭时调用, 订阅和定时任务会自动取消, 这里只需清理插件自己的资源
+    return () => ctx.logger.info("已关闭");
+}
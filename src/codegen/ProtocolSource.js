@@ -0,0 +1,90 @@
+import fs from "fs";
+import path from "path";
+import protobuf from "protobufjs";
+import createPath from "#utils/path.js";
+
+const resolvePath = createPath(import.meta.url);
+
+export const GRPC_DIR = resolvePath("../game/config/grpc");
+const PACKAGE = "com.yq.msg.CityMsg";
+
+const stripPackage = (method) => (method ? method.replace(/^CityMsg\./, "") : "");
+
+/**
+ * @description 读取 config/grpc 下的协议配置。
+ * cmdList.json 按协议号记录请求/回包的消息类型, CityMsgInfo 按模块记录协议名和消息类型, 两者按注释和消息类型对应得到协议名;
+ * 配置中没有的历史协议号保存在 json/protocolExtra.json, 这部分是手动维护的数据 (从旧的 Protocol.js 中保留下来), 无法从配置生成;
+ * 其中已经出现在 cmdList.json 中的条目放在 stale 中返回, 不会写入 Protocol.js。
+ * @returns {{ commands: Array<{ name: string, id: number, comment: string, module: string, cmMethod: string, smMethod: string }>, root: protobuf.Root, warnings: string[], stale: string[] }}
+ */
+export function loadProtocolSource(dir = GRPC_DIR) {
+    const read = (...segments) => JSON.parse(fs.readFileSync(path.join(dir, ...segments), "utf8"));
+    const cmdList = read("json", "cmdList.json");
+    const msgInfo = read("json", "CityMsgInfo");
+    const extra = fs.existsSync(path.join(dir, "json", "protocolExtra.json")) ? read("json", "protocolExtra.json") : {};
+    const warnings = [];
+
+    // 注释 + 消息类型 -> CityMsgInfo 条目, 注释对不上时只按消息类型匹配
+    const bySignature = new Map();
+    const byMethods = new Map();
+    for (const [module, cmds] of Object.entries(msgInfo)) {
+        for (const cmd of cmds) {
+            const item = { ...cmd, module };
+            const methods = `${cmd.cmMethod || ""}|${cmd.smMethod || ""}`;
+            bySignature.set(`${cmd.comment}|${methods}`, item);
+            byMethods.set(methods, byMethods.has(methods) ? null : item);
+        }
+    }
+
+    const commands = new Map();
+    cmdList.forEach((cmd, id) => {
+        if (!cmd || (!cmd.cmMethod && !cmd.smMethod)) return;
+        const methods = `${stripPackage(cmd.cmMethod)}|${stripPackage(cmd.smMethod)}`;
+        const info = bySignature.get(`${cmd.comment}|${methods}`) || byMethods.get(methods);
+        if (!info) {
+            warnings.push(`协议号 ${id} (${cmd.comment}) 在 CityMsgInfo 中没有对应的协议名`);
+            return;
+        }
+        if (commands.has(info.key)) {
+            warnings.push(`协议名 ${info.key} 重复, 协议号 ${commands.get(info.key).id} 和 ${id}`);
+            return;
+        }
+        commands.set(info.key, {
+            name: info.key,
+            id,
+            comment: cmd.comment || "",
+            module: info.module,
+            cmMethod: stripPackage(cmd.cmMethod),
+            smMethod: stripPackage(cmd.smMethod),
+        });
+    });
+
+    // cmdList.json 已经包含的条目不再需要手动维护, 按 cmdList.json 为准
+    const ids = new Map([...commands.values()].map((cmd) => [cmd.id, cmd.name]));
+    const stale = [];
+    for (const [name, id] of Object.entries(extra)) {
+        const cmd = commands.get(name);
+        if (cmd) {
+            stale.push(cmd.id === id ? `${name} = ${id} 已在 cmdList.json 中` : `${name} = ${id} 与 cmdList.json 的 ${cmd.id} 不一致`);
+            continue;
+        }
+        if (ids.has(id)) {
+            stale.push(`${name} = ${id} 的协议号在 cmdList.json 中是 ${ids.get(id)}`);
+            continue;
+        }
+        commands.set(name, { name, id, comment: "", module: "", cmMethod: "", smMethod: "" });
+    }
+
+    const root = new protobuf.Root();
+    for (const file of fs.readdirSync(path.join(dir, "protobuf"))) {
+        root.loadSync(path.join(dir, "protobuf", file));
+    }
+    root.resolveAll();
+
+    return { commands: [...commands.values()].sort((a, b) => a.id - b.id), root, warnings, stale };
+}
+
+// 消息类型在 CityMsg 包中的名字, 嵌套类型用 _ 连接
+export function typeName(type) {
+    return type.fullName.replace(`.${PACKAGE}.`, "").replace(/^\./, "").replace(/\./g, "_");
+}
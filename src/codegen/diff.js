@@ -0,0 +1,218 @@
+import path from "path";
+import { parseArgs } from "util";
+import protobuf from "protobufjs";
+import logger from "#utils/logger.js";
+import { GRPC_DIR, loadProtocolSource, typeName } from "#codegen/ProtocolSource.js";
+import fieldUsage from "#codegen/fieldUsage.js";
+
+// 字段的类型描述, 如 repeated int64 / optional HomelandRewardMsg
+function describeField(field) {
+    const rule = field.map ? `map<${field.keyType}>` : field.repeated ? "repeated" : field.required ? "required" : "optional";
+    return `${rule} ${field.resolvedType ? typeName(field.resolvedType) : field.type}`;
+}
+
+function messageTypes(root) {
+    const types = new Map();
+    const visit = (ns) => {
+        for (const nested of ns.nestedArray) {
+            if (nested instanceof protobuf.Type) {
+                types.set(typeName(nested), nested);
+            }
+            if (nested.nestedArray) visit(nested);
+        }
+    };
+    visit(root);
+    return types;
+}
+
+function diffCommands(before, after) {
+    const oldByName = new Map(before.map((cmd) => [cmd.name, cmd]));
+    const newByName = new Map(after.map((cmd) => [cmd.name, cmd]));
+    const result = { added: [], removed: [], renumbered: [], retyped: [] };
+
+    for (const cmd of after) {
+        const old = oldByName.get(cmd.name);
+        if (!old) {
+            result.added.push(cmd);
+            continue;
+        }
+        if (old.id !== cmd.id) {
+            result.renumbered.push({ name: cmd.name, from: old.id, to: cmd.id });
+        }
+        for (const key of ["cmMethod", "smMethod"]) {
+            if (old[key] && cmd[key] && old[key] !== cmd[key]) {
+                result.retyped.push({ name: cmd.name, key, from: old[key], to: cmd[key] });
+            }
+        }
+    }
+    result.removed = before.filter((cmd) => !newByName.has(cmd.name));
+    return result;
+}
+
+// 同名字段比较类型和编号, 编号相同名字不同视为改名
+function diffFields(oldType, newType) {
+    const changes = [];
+    for (const field of oldType.fieldsArray) {
+        const next = newType.fields[field.name];
+        if (!next) {
+            const renamed = newType.fieldsArray.find((f) => f.id === field.id && !oldType.fields[f.name]);
+            changes.push(renamed ? { field: field.name, change: "renamed", to: renamed.name } : { field: field.name, change: "removed" });
+            continue;
+        }
+        if (describeField(field) !== describeField(next)) {
+            changes.push({ field: field.name, change: "type", from: describeField(field), to: describeField(next) });
+        }
+        if (field.id !== next.id) {
+            changes.push({ field: field.name, change: "id", from: field.id, to: next.id });
+        }
+    }
+    for (const field of newType.fieldsArray) {
+        if (!oldType.fields[field.name] && !oldType.fieldsArray.some((f) => f.id === field.id && !newType.fields[f.name])) {
+            changes.push({ field: field.name, change: "added", to: describeField(field) });
+        }
+    }
+    return changes;
+}
+
+function diffMessages(oldRoot, newRoot) {
+    const before = messageTypes(oldRoot);
+    const after = messageTypes(newRoot);
+    const result = { added: [], removed: [], changed: new Map() };
+
+    for (const [name, type] of before) {
+        if (!after.has(name)) {
+            result.removed.push(name);
+            continue;
+        }
+        const changes = diffFields(type, after.get(name));
+        if (changes.length > 0) {
+            result.changed.set(name, changes);
+        }
+    }
+    result.added = [...after.keys()].filter((name) => !before.has(name));
+    return result;
+}
+
+// 沿字段路径查找, 返回路径上的字段, 找不到时返回断开的位置
+function resolvePath(type, fieldPath) {
+    const fields = [];
+    let current = type;
+    for (const name of fieldPath.split(".")) {
+        const field = current instanceof protobuf.Type ? current.fields[name] : null;
+        if (!field) {
+            return { fields, missing: name, parent: current };
+        }
+        fields.push(field);
+        current = field.resolvedType;
+    }
+    return { fields };
+}
+
+/**
+ * @description 检查管理器读取的字段在新版本中是否还存在, 回包类型改名时按协议的 smMethod 跟踪
+ */
+function checkUsage(oldSource, newSource, commands) {
+    const issues = [];
+    for (const [typeKey, paths] of Object.entries(fieldUsage)) {
+        const oldType = oldSource.root.lookup(`com.yq.msg.CityMsg.${typeKey}`);
+        let newTypeName = typeKey;
+        const retyped = commands.retyped.find((item) => item.key === "smMethod" && item.from === typeKey);
+        if (retyped) {
+            newTypeName = retyped.to;
+        }
+        const newType = newSource.root.lookup(`com.yq.msg.CityMsg.${newTypeName}`);
+
+        if (!oldType) {
+            issues.push({ type: typeKey, path: "", problem: "旧版本中就没有该消息类型", stale: true });
+            continue;
+        }
+        if (!newType) {
+            issues.push({ type: typeKey, path: "", problem: "消息类型已删除" });
+            continue;
+        }
+
+        for (const fieldPath of paths) {
+            const before = resolvePath(oldType, fieldPath);
+            if (before.missing) {
+                issues.push({ type: typeKey, path: fieldPath, problem: `旧版本中就没有字段 ${before.missing}`, stale: true });
+                continue;
+            }
+            const after = resolvePath(newType, fieldPath);
+            if (after.missing) {
+                // 按字段编号找新名字
+                const oldField = before.fields[after.fields.length];
+                const renamed = after.parent instanceof protobuf.Type ? after.parent.fieldsArray.find((f) => f.id === oldField.id) : null;
+                issues.push({ type: typeKey, path: fieldPath, problem: renamed ? `${after.missing} 改名为 ${renamed.name}` : `${after.missing} 已删除` });
+                continue;
+            }
+            const last = before.fields.length - 1;
+            if (describeField(before.fields[last]) !== describeField(after.fields[last])) {
+                issues.push({ type: typeKey, path: fieldPath, problem: `类型由 ${describeField(before.fields[last])} 改为 ${describeField(after.fields[last])}` });
+            }
+        }
+    }
+    return issues;
+}
+
+function report({ commands, messages, issues }) {
+    const line = (text) => logger.info(`[协议对比] ${text}`);
+
+    line(`新增协议 ${commands.added.length} 个, 删除 ${commands.removed.length} 个, 协议号变化 ${commands.renumbered.length} 个`);
+    commands.added.forEach((cmd) => line(`  + ${cmd.name} = ${cmd.id} ${cmd.comment}`));
+    commands.removed.forEach((cmd) => line(`  - ${cmd.name} = ${cmd.id} ${cmd.comment}`));
+    commands.renumbered.forEach((item) => line(`  * ${item.name} ${item.from} -> ${item.to}`));
+    commands.retyped.forEach((item) => line(`  * ${item.name} ${item.key} ${item.from} -> ${item.to}`));
+
+    line(`新增消息 ${messages.added.length} 个, 删除 ${messages.removed.length} 个, 字段变化 ${messages.changed.size} 个`);
+    messages.added.forEach((name) => line(`  + ${name}`));
+    messages.removed.forEach((name) => line(`  - ${name}`));
+    for (const [name, changes] of messages.changed) {
+        line(`  * ${name}`);
+        for (const item of changes) {
+            if (item.change === "added") line(`      + ${item.field}: ${item.to}`);
+            else if (item.change === "removed") line(`      - ${item.field}`);
+            else if (item.change === "renamed") line(`      * ${item.field} 改名为 ${item.to}`);
+            else line(`      * ${item.field} ${item.change === "id" ? "编号" : "类型"} ${item.from} -> ${item.to}`);
+        }
+    }
+
+    const format = (issue) => `[协议对比]   ${issue.type}${issue.path ? `.${issue.path}` : ""}: ${issue.problem}`;
+    const stale = issues.filter((issue) => issue.stale);
+    const broken = issues.filter((issue) => !issue.stale);
+
+    // 更新前就读不到的字段, 对应代码本来就不生效
+    if (stale.length > 0) {
+        logger.warn(`[协议对比] 管理器读取的字段有 ${stale.length} 处在旧版本中就不存在:`);
+        stale.forEach((issue) => logger.warn(format(issue)));
+    }
+    if (broken.length === 0) {
+        line("管理器读取的字段没有变化");
+        return;
+    }
+    logger.error(`[协议对比] 管理器读取的字段有 ${broken.length} 处变化, 需要修改代码:`);
+    broken.forEach((issue) => logger.error(format(issue)));
+}
+
+// yarn protocol:diff <旧的 grpc 目录> [新的 grpc 目录, 默认 src/game/config/grpc]
+function start() {
+    const { positionals } = parseArgs({ allowPositionals: true });
+    if (positionals.length === 0) {
+        logger.error("[协议对比] 请指定旧版本的 grpc 目录");
+        process.exit(1);
+    }
+
+    const oldDir = path.resolve(positionals[0]);
+    const newDir = path.resolve(positionals[1] || GRPC_DIR);
+    logger.info(`[协议对比] ${path.relative(process.cwd(), oldDir) || "."} -> ${path.relative(process.cwd(), newDir) || "."}`);
+
+    const oldSource = loadProtocolSource(oldDir);
+    const newSource = loadProtocolSource(newDir);
+    const commands = diffCommands(oldSource.commands, newSource.commands);
+    const messages = diffMessages(oldSource.root, newSource.root);
+    const issues = checkUsage(oldSource, newSource, commands);
+
+    report({ commands, messages, issues });
+    process.exit(issues.some((issue) => !issue.stale) ? 1 : 0);
+}
+
+start();
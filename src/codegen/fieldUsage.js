@@ -0,0 +1,112 @@
+/**
+ * @description 管理器读取的回包字段, 游戏更新后由 yarn protocol:diff 检查是否被改名或删除。
+ * 键为回包消息类型, 值为字段路径, 数组字段直接接元素的字段名。管理器新读取字段时在这里补上。
+ */
+export default {
+    // GameState
+    PlayerDataMsg: ["nickName", "playerId", "roleId", "serverId"],
+    PrivilegeCardDataMsg: ["monthlyCardEndTime", "getMonthlyCardRewardTime", "yearCardEndTime", "getYearCardRewardTime"],
+    PlayerAttributeDataMsg: ["realmsId", "fightValue"],
+    DreamDataMsg: ["dreamLv", "dreamLvUpEndTime", "freeSpeedUpTimes", "freeSpeedUpCdEndTime"],
+
+    // PlayerAttributeMgr
+    GetUnDealEquipmentMsgResp: [
+        "ret",
+        "undDealEquipmentDataMsg.fightValue",
+        "undDealEquipmentDataMsg.unDealEquipmentData.id",
+        "undDealEquipmentDataMsg.unDealEquipmentData.equipmentId",
+        "undDealEquipmentDataMsg.unDealEquipmentData.quality",
+        "undDealEquipmentDataMsg.unDealEquipmentData.level",
+        "undDealEquipmentDataMsg.unDealEquipmentData.attributeList.type",
+        "undDealEquipmentDataMsg.unDealEquipmentData.attributeList.value",
+    ],
+    GetSeparationDataMsgListResp: ["ret", "useSeparationDataMsg.index", "useSeparationDataMsg.equipmentList", "useSeparationDataMsg.fightValue"],
+
+    // FrogMgr
+    PlayerAdRewardDataMsg: ["getAdRewardTimes", "lastAdRewardTime"],
+
+    // GameState
+    SyncBagMsg: ["bagData.propId", "bagData.num"],
+
+    // DestinyMgr
+    DestinyData: ["playerDestinyDataMsg.power"],
+
+    // SpiritMgr
+    SpiritPlayerDataMsg: ["spiritFreeAd.freeTimes"],
+
+    // GameState, UnionMgr
+    MyUnionData: ["baseData.unionId", "baseData.name", "baseData.memberNum", "memberList.playerData.playerId", "memberList.playerData.nickName"],
+    CutPriceDataMsg: ["bussinessId", "records.userId"],
+
+    // PalaceMgr
+    SendGiftSyncMsg: ["data.id"],
+    PalaceMiracleDataMsg: ["miracleId"],
+
+    // PupilMgr
+    EnterPupilSystemResp: ["ret", "getTimes", "siteList.index", "siteList.pupilData.level", "siteList.trainTimeInfo.trainTimes"],
+
+    // MagicMgr
+    PlayerMagicDataMsg: ["freeDrawTimes", "magicFreeAd.freeTimes"],
+
+    // MagicTreasureMgr
+    MagicTreasurePlayerDataMsg: [
+        "jackpotData.poolId",
+        "jackpotData.freeDrawTimes",
+        "jackpotData.adFreeTimes",
+        "jackpotConfig.title",
+        "jackpotConfig.drawItemCostParam",
+    ],
+
+    // GatherEnergyMgr
+    GatherEnergyEnterNewResp: ["gatherEnergy.getTimes"],
+
+    // ChapterMgr
+    ChallengeRspMsg: ["ret", "challengeSuccess"],
+    PlayerStageData: ["passStageId"],
+
+    // WildBossMgr
+    WildBossDataSync: ["data.useRepeatTimes"],
+
+    // TowerMgr
+    TowerDataMsg: ["curPassId"],
+    TowerChallengeResp: ["ret", "allBattleRecord.isWin", "towerDataSync.curPassId"],
+
+    // SecretTowerMgr
+    SecretTowerFightResp: ["ret", "allBattleRecord.isWin", "info.floor"],
+
+    // HeroRankMgr
+    SynHeroRankPlayerInfo: ["playerInfo.energy", "playerInfo.buyNumDaily"],
+    RspHeroRankFightPlayerList: ["ret", "rank", "fightPlayerList.canFightPlayerInfoList.showInfo.nickName"],
+    RspHeroRankFight: ["ret", "rank", "playerInfo.energy", "allBattleRecord.isWin"],
+
+    // HomelandMgr
+    SyncHomelandMsg: ["freeWorkerNum", "totalWorkerNum", "energy"],
+    HomelandEnterResp: [
+        "homeland.freeRefreshCount",
+        "homeland.owner.playerId",
+        "homeland.owner.nickName",
+        "homeland.reward.reward",
+        "homeland.reward.rewardLv",
+        "homeland.reward.owner",
+        "homeland.reward.enemy",
+        "homeland.reward.isOnlyOwnerPull",
+    ],
+    HomelandManageResp: [
+        "reward.finishTime",
+        "reward.playerId",
+        "reward.pos",
+        "reward.owner.playerId",
+        "reward.owner.isWinner",
+        "reward.enemy.playerId",
+        "reward.enemy.isWinner",
+    ],
+    HomelandExploreResp: [
+        "exploreData.lastRefreshTime",
+        "exploreData.nearHomeland.rewardId",
+        "exploreData.nearHomeland.playerInfo.playerId",
+        "exploreData.nearHomeland.playerInfo.nickName",
+        "exploreData.enemy.rewardId",
+        "exploreData.enemy.playerInfo.playerId",
+        "exploreData.enemy.playerInfo.nickName",
+    ],
+};
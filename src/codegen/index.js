@@ -0,0 +1,82 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import logger from "#utils/logger.js";
+import createPath from "#utils/path.js";
+import { loadProtocolSource } from "#codegen/ProtocolSource.js";
+
+const resolvePath = createPath(import.meta.url);
+
+const HEADER = "// 由 yarn gen:protocol 根据 src/game/config/grpc 生成, 不要手动修改\n";
+const OUTPUTS = {
+    protocol: resolvePath("../game/net/Protocol.js"),
+};
+
+function renderProtocol(commands) {
+    const lines = commands.map(({ name, id, comment }) => `    static ${name} = ${id};${comment ? ` // ${comment}` : ""}`);
+    return `${HEADER}class Protocol {
+    static getProtocalIdRemainder(id) {
+        return id >= 100000 ? id % 100000 : id % 10000;
+    }
+
+    // 协议号 -> 协议名, 用于日志
+    static getName(id) {
+        if (!this._names) {
+            this._names = {};
+            for (const [name, value] of Object.entries(this)) {
+                if (typeof value === "number") this._names[value] = name;
+            }
+        }
+        return this._names[id] || String(id);
+    }
+
+${lines.join("\n")}
+}
+
+export default Protocol;
+`;
+}
+
+function start() {
+    const { values } = parseArgs({
+        options: {
+            // 只检查生成的文件是否最新, 不写入
+            check: { type: "boolean", default: false },
+        },
+    });
+
+    const { commands, warnings, stale: staleExtra } = loadProtocolSource();
+    warnings.forEach((warning) => logger.warn(`[协议生成] ${warning}`));
+    // protocolExtra.json 是手动维护的, 配置更新后需要删掉 cmdList.json 已经包含的条目
+    staleExtra.forEach((entry) => {
+        const message = `[协议生成] protocolExtra.json 中 ${entry}, 请删除该条目`;
+        values.check ? logger.error(message) : logger.warn(message);
+    });
+
+    const outputs = {
+        protocol: renderProtocol(commands),
+    };
+
+    let stale = values.check ? staleExtra.length : 0;
+    for (const [key, content] of Object.entries(outputs)) {
+        const file = OUTPUTS[key];
+        const relative = path.relative(process.cwd(), file);
+        const current = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+        if (current === content) {
+            logger.info(`[协议生成] ${relative} 已是最新`);
+            continue;
+        }
+        if (values.check) {
+            stale++;
+            logger.error(`[协议生成] ${relative} 与协议配置不一致, 请运行 yarn gen:protocol`);
+            continue;
+        }
+        fs.writeFileSync(file, content);
+        logger.info(`[协议生成] 已生成 ${relative}`);
+    }
+
+    logger.info(`[协议生成] 共 ${commands.length} 个协议号, ${commands.filter((cmd) => cmd.cmMethod).length} 个请求`);
+    process.exit(stale > 0 ? 1 : 0);
+}
+
+start();
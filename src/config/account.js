@@ -0,0 +1,128 @@
+import fs from "fs";
+import path from "path";
+import { loadAccounts, accountFile, accountsDir } from "#config/accounts.js";
+import logger from "#utils/logger.js";
+
+// 这些配置只在登录或守护进程启动时读取, 修改后需要重启才能生效
+const RESTART_KEYS = ["name", "username", "password", "serverId", "endpoints", "authRetry", "tokenCache", "capture", "schedule", "restartPolicy"];
+
+const listeners = [];
+
+// 子进程通过环境变量 XDDQ_ACCOUNT 指定使用哪个账号, 未指定时使用第一个账号
+async function resolveAccount(fresh = false) {
+    const accounts = await loadAccounts({ fresh });
+    const name = process.env.XDDQ_ACCOUNT;
+    if (!name) {
+        return accounts[0];
+    }
+
+    const account = accounts.find((i) => i.name === name);
+    if (!account) {
+        throw new Error(`未找到账号 ${name}`);
+    }
+    return account;
+}
+
+const account = await resolveAccount();
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// 返回有变化的配置路径, 如 ["rules", "chopTree.stop.num"]
+function diff(prev, next, prefix = "") {
+    const changed = [];
+    for (const key of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+        const keyPath = `${prefix}${key}`;
+        if (isPlainObject(prev[key]) && isPlainObject(next[key])) {
+            changed.push(...diff(prev[key], next[key], `${keyPath}.`));
+        } else if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) {
+            changed.push(keyPath);
+        }
+    }
+    return changed;
+}
+
+/**
+ * @description 判断 key 或其子项是否在本次变化中
+ * @param {string[]} changed 变化的配置路径
+ * @param {string} key 如 "switch" 或 "switch.challenge"
+ */
+function isChanged(changed, key) {
+    return changed.some((item) => item === key || item.startsWith(`${key}.`) || key.startsWith(`${item}.`));
+}
+
+/**
+ * @description 注册配置变化的回调, 回调参数为变化的配置路径。
+ * 回调执行时 account 已经是新的配置, 直接读取 account 的地方无需处理。
+ */
+function onAccountChange(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * @description 重新读取配置文件并更新 account。校验失败时保留当前配置。
+ */
+async function reloadAccount() {
+    let next;
+    try {
+        next = await resolveAccount(true);
+    } catch (error) {
+        logger.error(`[配置] 重新加载失败, 继续使用当前配置\n${error.message}`);
+        return;
+    }
+
+    const changed = diff(account, next);
+    const ignored = RESTART_KEYS.filter((key) => isChanged(changed, key));
+    if (ignored.length > 0) {
+        logger.warn(`[配置] ${ignored.join(", ")} 需要重启后生效`);
+    }
+
+    const applied = changed.filter((item) => !ignored.some((key) => isChanged([item], key)));
+    if (applied.length === 0) {
+        return;
+    }
+
+    for (const key of new Set(applied.map((item) => item.split(".")[0]))) {
+        if (next[key] === undefined) {
+            delete account[key];
+        } else {
+            account[key] = next[key];
+        }
+    }
+    logger.info(`[配置] 已更新: ${applied.join(", ")}`);
+
+    for (const listener of listeners) {
+        try {
+            listener(applied);
+        } catch (error) {
+            logger.error(`[配置] 应用配置失败 ${error.stack || error}`);
+        }
+    }
+}
+
+/**
+ * @description 监听 account.js 和 accounts/ 目录, 文件保存后自动重新加载。
+ */
+function watchAccount() {
+    let timer = null;
+    const schedule = () => {
+        clearTimeout(timer);
+        // 编辑器保存时可能触发多次事件
+        timer = setTimeout(reloadAccount, 500);
+    };
+
+    const accountFileName = path.basename(accountFile);
+    fs.watch(path.dirname(accountFile), (event, filename) => {
+        if (filename === accountFileName) schedule();
+    }).unref();
+
+    if (fs.existsSync(accountsDir)) {
+        fs.watch(accountsDir, (event, filename) => {
+            if (filename && filename.endsWith(".js")) schedule();
+        }).unref();
+    }
+}
+
+export default account;
+export { onAccountChange, reloadAccount, watchAccount, isChanged };
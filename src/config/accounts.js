@@ -0,0 +1,97 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { loadState } from "#config/state.js";
+import { accountSchema, accountEntrySchema, validateConfig } from "#config/schema.js";
+import createPath from "#utils/path.js";
+
+const accountFile = createPath(import.meta.url)("../../account.js");
+const accountsDir = path.join(process.cwd(), "accounts");
+
+// fresh 为 true 时绕过 import 缓存, 读取文件的最新内容
+async function importFresh(file, fresh) {
+    const url = pathToFileURL(file).href;
+    return (await import(fresh ? `${url}?t=${Date.now()}` : url)).default;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// 对象递归合并, 数组和其它值直接覆盖
+function deepMerge(target, source) {
+    const result = { ...target };
+    for (const key of Object.keys(source)) {
+        if (isPlainObject(result[key]) && isPlainObject(source[key])) {
+            result[key] = deepMerge(result[key], source[key]);
+        } else {
+            result[key] = source[key];
+        }
+    }
+    return result;
+}
+
+// accounts/ 目录下的账号文件, 目录不存在时为空
+function listAccountFiles() {
+    if (!fs.existsSync(accountsDir)) {
+        return [];
+    }
+    return fs.readdirSync(accountsDir).filter((file) => file.endsWith(".js")).sort();
+}
+
+async function loadAccountsDir(fresh) {
+    const files = listAccountFiles();
+    const entries = [];
+    for (const file of files) {
+        const entry = await importFresh(path.join(accountsDir, file), fresh);
+        validateConfig(entry, accountEntrySchema, `accounts/${file}`);
+        entries.push({ name: path.basename(file, ".js"), ...entry });
+    }
+    return entries;
+}
+
+// 单账号时的账号密码和区服: 命令行参数/环境变量 > account.js > state.json
+function resolveCredentials(defaults) {
+    const state = loadState();
+    const pick = (env, key) => process.env[env] || defaults[key] || state[key] || "";
+    return {
+        username: pick("XDDQ_USERNAME", "username"),
+        password: pick("XDDQ_PASSWORD", "password"),
+        serverId: String(pick("XDDQ_SERVER_ID", "serverId")),
+    };
+}
+
+/**
+ * @description 读取所有账号。
+ * 账号来自 account.js 中的 accounts 数组和 accounts/ 目录下的 *.js 文件, 每个账号的配置会覆盖 account.js 中的默认配置。
+ * 都没有配置时, account.js 本身作为唯一的账号, 账号密码和区服可以来自环境变量 XDDQ_USERNAME / XDDQ_PASSWORD / XDDQ_SERVER_ID 或 state.json。
+ * 所有配置文件都会按 schema 校验, 有错误时抛出 ConfigError。
+ * @param {{ fresh?: boolean }} options fresh 为 true 时重新读取配置文件 (热加载)
+ */
+async function loadAccounts({ fresh = false } = {}) {
+    const baseAccount = await importFresh(accountFile, fresh);
+    validateConfig(baseAccount, accountSchema, "account.js");
+
+    const { accounts = [], ...defaults } = baseAccount;
+    const entries = [...accounts, ...(await loadAccountsDir(fresh))];
+
+    if (entries.length === 0) {
+        const credentials = resolveCredentials(defaults);
+        return [{ ...defaults, ...credentials, name: defaults.username || "default" }];
+    }
+
+    const result = entries.map((entry) => ({
+        ...deepMerge(defaults, entry),
+        name: entry.name || entry.username || "default",
+    }));
+
+    const names = result.map((account) => account.name);
+    const duplicated = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicated.length > 0) {
+        throw new Error(`账号名称重复: ${[...new Set(duplicated)].join(", ")}, 请为这些账号设置不同的 name`);
+    }
+
+    return result;
+}
+
+export { loadAccounts, listAccountFiles, deepMerge, accountFile, accountsDir };
@@ -0,0 +1,359 @@
+/**
+ * @description account.js 的配置结构和校验。
+ * 每个字段用 { type, required, min, max, pattern, properties, items, default } 描述:
+ * type 可以是 string / number / integer / boolean / object / array 或它们的数组;
+ * properties 为对象的已知字段 (未声明的字段视为拼写错误); items 为数组元素结构;
+ * default 为 account.js 未填写时使用的默认值, 由 configDefaults 读取。
+ */
+
+const TIME_PATTERN = /^\d{1,2}:\d{2}$/;
+const PRIORITY_PATTERN = /^(high|normal|low)$/;
+
+const backoff = {
+    type: "object",
+    properties: {
+        base: { type: "number", min: 0 },
+        factor: { type: "number", min: 1 },
+        max: { type: "number", min: 0 },
+        jitter: { type: "number", min: 0 },
+        maxAttempts: { type: "integer", min: 1 },
+    },
+};
+
+const accountProperties = {
+    name: { type: "string" },
+    serverId: { type: ["string", "number"] },
+    username: { type: "string" },
+    password: { type: "string" },
+    rules: {
+        type: "array",
+        items: {
+            type: "object",
+            properties: {
+                ItemId: { type: "integer", required: true },
+                minItemLv: { type: "integer", min: 1, required: true },
+                isCheck: { type: "boolean" },
+                description: { type: "string" },
+            },
+        },
+    },
+    switch: {
+        type: "object",
+        properties: {
+            homeland: { type: "boolean" },
+            chopTree: { type: "boolean" },
+            talent: { type: "boolean" },
+            herorank: { type: "boolean" },
+            challenge: { type: "integer", min: 0 },
+            showResult: { type: "boolean" },
+            chapter: { type: "boolean" },
+            tower: { type: "boolean" },
+            secretTower: { type: "boolean" },
+            frog: { type: "boolean" },
+            spirit: { type: "boolean" },
+            magic: { type: "boolean" },
+            magicTreasure: { type: "boolean" },
+            pupil: { type: "boolean" },
+            palace: { type: "boolean" },
+            wildBoss: { type: "boolean" },
+            destiny: { type: "boolean" },
+            union: { type: "boolean" },
+            fightTicket: { type: "boolean" },
+            mail: { type: "boolean" },
+        },
+    },
+    chopTree: {
+        type: "object",
+        properties: {
+            stop: {
+                type: "object",
+                properties: {
+                    num: { type: "integer", min: 0 },
+                    level: { type: "integer", min: 0 },
+                },
+            },
+            showResult: { type: "boolean" },
+            separation: {
+                type: "object",
+                properties: {
+                    quality: { type: "integer", min: 1 },
+                    fightValueOffset: { type: "number", min: 0, max: 1 },
+                    probOffset: { type: "number", min: 0 },
+                    condition: { type: "array", items: { type: "array", items: { type: "integer" } } },
+                },
+            },
+        },
+    },
+    // 单位: 秒
+    restartPolicy: {
+        type: "object",
+        properties: {
+            // 子进程运行超过该时间后退出, 之前的连续失败次数清零
+            stableTime: { type: "number", min: 0, default: 600 },
+            crash: { ...backoff, default: { base: 60, factor: 2, max: 1800, jitter: 30 } },
+            loginFailed: { ...backoff, default: { base: 300, factor: 2, max: 3600, jitter: 60, maxAttempts: 5 } },
+            kicked: { ...backoff, default: { base: 1500, factor: 2, max: 7200, jitter: 120 } },
+            rateLimited: { ...backoff, default: { base: 60, factor: 2, max: 1800, jitter: 120 } },
+            maintenance: { ...backoff, default: { base: 600, factor: 1.5, max: 3600, jitter: 120 } },
+            // 账号密码错误等需要人工处理, 第一次就熔断
+            badCredentials: { ...backoff, default: { base: 3600, factor: 1, max: 3600, jitter: 0, maxAttempts: 1 } },
+        },
+    },
+    capture: { type: "boolean" },
+    sendLimit: {
+        type: "object",
+        properties: {
+            rate: { type: "number", min: 0.1 },
+            burst: { type: "integer", min: 1 },
+            maxQueue: { type: "integer", min: 1 },
+            warnDepth: { type: "integer", min: 1 },
+            categories: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string", required: true },
+                        prefix: { type: "array", items: { type: "string" }, required: true },
+                        rate: { type: "number", min: 0.1 },
+                        burst: { type: "integer", min: 1 },
+                        priority: { type: "string", pattern: PRIORITY_PATTERN },
+                    },
+                },
+            },
+        },
+    },
+    endpoints: {
+        type: "object",
+        properties: {
+            sdkLogin: { type: "string" },
+            sdkSession: { type: "string" },
+            gameLogin: { type: "string" },
+            serverList: { type: "string" },
+        },
+    },
+    heartbeat: {
+        type: "object",
+        properties: {
+            interval: { type: "integer", min: 1000 },
+            maxMissed: { type: "integer", min: 1 },
+            spikeFactor: { type: "number", min: 1 },
+            spikeMin: { type: "number", min: 0 },
+        },
+    },
+    sendValidation: { type: "string", pattern: /^(warn|drop|throw)$/ },
+    loginSync: {
+        type: "object",
+        properties: {
+            timeout: { type: "integer", min: 1000 },
+            required: { type: "array", items: { type: "string", pattern: /^S_/ } },
+        },
+    },
+    // 插件的配置由插件自己读取, 这里只检查是对象
+    plugins: { type: "object" },
+    reconnect: {
+        type: "object",
+        properties: {
+            attempts: { type: "integer", min: 1 },
+            base: { type: "number", min: 0 },
+            factor: { type: "number", min: 1 },
+            max: { type: "number", min: 0 },
+            jitter: { type: "number", min: 0 },
+        },
+    },
+    authRetry: {
+        type: "object",
+        properties: {
+            attempts: { type: "integer", min: 1 },
+            baseDelay: { type: "number", min: 0 },
+            maxDelay: { type: "number", min: 0 },
+        },
+    },
+    tokenCache: {
+        type: "object",
+        properties: {
+            enabled: { type: "boolean" },
+            ttl: { type: "number", min: 0 },
+        },
+    },
+    schedule: {
+        type: "object",
+        properties: {
+            timezone: { type: "string", default: "Asia/Shanghai" },
+            sleep: {
+                type: "array",
+                default: [
+                    { name: "上午休眠", start: "03:00", end: "08:30" },
+                    { name: "下午休眠", start: "15:00", end: "22:00" },
+                ],
+                items: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string" },
+                        start: { type: "string", pattern: TIME_PATTERN, required: true },
+                        end: { type: "string", pattern: TIME_PATTERN, required: true },
+                        weekdays: { type: "array", items: { type: "integer", min: 0, max: 6 } },
+                    },
+                },
+            },
+            restart: {
+                type: "array",
+                default: [
+                    { time: "00:00", jitter: [0, 120] },
+                    { time: "22:00", jitter: [0, 120] },
+                ],
+                items: {
+                    type: "object",
+                    properties: {
+                        time: { type: "string", pattern: TIME_PATTERN, required: true },
+                        jitter: { type: "array", items: { type: "number", min: 0 } },
+                        weekdays: { type: "array", items: { type: "integer", min: 0, max: 6 } },
+                    },
+                },
+            },
+        },
+    },
+};
+
+// account.js 本身: 管理器直接读取的部分必须存在
+const accountSchema = {
+    type: "object",
+    properties: {
+        ...accountProperties,
+        switch: { ...accountProperties.switch, required: true },
+        chopTree: { ...accountProperties.chopTree, required: true },
+        accounts: { type: "array", items: { type: "object", properties: accountProperties } },
+    },
+};
+
+// accounts 数组和 accounts/ 目录中的单个账号, 未填写的字段使用 account.js 的值
+const accountEntrySchema = { type: "object", properties: accountProperties };
+
+class ConfigError extends Error {
+    constructor(source, errors) {
+        super(`[配置] ${source} 有 ${errors.length} 处错误:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+        this.name = this.constructor.name;
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+}
+
+// 用于提示拼写错误
+function distance(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+            dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + cost);
+        }
+    }
+    return dp[a.length][b.length];
+}
+
+function suggest(key, candidates) {
+    const best = candidates
+        .map((candidate) => ({ candidate, score: distance(key, candidate) }))
+        .sort((a, b) => a.score - b.score)[0];
+    return best && best.score <= Math.max(2, Math.floor(key.length / 3)) ? `, 是否为 ${best.candidate}?` : "";
+}
+
+function validateValue(value, schema, path, errors) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+        errors.push(`${path} 应为 ${types.join(" / ")}, 实际为 ${typeOf(value)} (${JSON.stringify(value)})`);
+        return;
+    }
+
+    if (typeof value === "number") {
+        if (schema.min !== undefined && value < schema.min) errors.push(`${path} 不能小于 ${schema.min}, 实际为 ${value}`);
+        if (schema.max !== undefined && value > schema.max) errors.push(`${path} 不能大于 ${schema.max}, 实际为 ${value}`);
+    }
+    if (schema.pattern && typeof value === "string" && !schema.pattern.test(value)) {
+        errors.push(`${path} 格式错误: ${JSON.stringify(value)}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+    } else if (typeOf(value) === "object") {
+        validateObject(value, schema, path, errors);
+    }
+}
+
+function validateObject(value, schema, path, errors) {
+    const prefix = path ? `${path}.` : "";
+    if (!schema.properties) {
+        return;
+    }
+
+    const known = Object.keys(schema.properties);
+    for (const key of Object.keys(value)) {
+        if (!known.includes(key)) {
+            errors.push(`${prefix}${key} 未知的配置项${suggest(key, known)}`);
+        }
+    }
+    for (const key of known) {
+        const child = schema.properties[key];
+        if (value[key] === undefined) {
+            if (child.required) errors.push(`${prefix}${key} 缺少必填项`);
+        } else {
+            validateValue(value[key], child, `${prefix}${key}`, errors);
+        }
+    }
+}
+
+// 字段有 default 时使用它, 对象按已知字段逐个生成, 都没有默认值时为 undefined
+function defaultsOf(schema) {
+    if (schema.default !== undefined) {
+        return structuredClone(schema.default);
+    }
+    if (!schema.properties) {
+        return undefined;
+    }
+    const result = {};
+    for (const [key, child] of Object.entries(schema.properties)) {
+        const value = defaultsOf(child);
+        if (value !== undefined) result[key] = value;
+    }
+    return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * @description 读取 account.js 中某个配置项在 schema 中声明的默认值, 每次返回新的副本
+ * @param {string} key 配置项, 如 "schedule"
+ */
+function configDefaults(key) {
+    return defaultsOf(accountProperties[key]) ?? {};
+}
+
+/**
+ * @description 按 schema 校验配置, 有错误时抛出 ConfigError, 列出每一处错误的路径和原因。
+ * @param {object} config 配置对象
+ * @param {object} schema accountSchema 或 accountEntrySchema
+ * @param {string} source 配置来源, 用于错误信息
+ */
+function validateConfig(config, schema, source) {
+    const errors = [];
+    if (typeOf(config) !== "object") {
+        errors.push(`应导出一个对象 (export default { ... }), 实际为 ${typeOf(config)}`);
+    } else {
+        validateObject(config, schema, "", errors);
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(source, errors);
+    }
+}
+
+export { accountSchema, accountEntrySchema, validateConfig, configDefaults, ConfigError };
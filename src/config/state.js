@@ -0,0 +1,26 @@
+import fs from "fs";
+import path from "path";
+
+// 首次运行时通过命令行选择的区服和输入的账号密码保存在这里, 不再改写 account.js
+const stateFilePath = path.join(process.cwd(), "state.json");
+
+function loadState() {
+    try {
+        if (fs.existsSync(stateFilePath)) {
+            return JSON.parse(fs.readFileSync(stateFilePath, "utf8"));
+        }
+    } catch (err) {
+        throw new Error(`读取 ${stateFilePath} 失败: ${err.message}`);
+    }
+    return {};
+}
+
+// 可能包含明文密码, 只允许当前用户读写 (mode 只在创建文件时生效, 已存在的文件再 chmod 一次)
+function saveState(patch) {
+    const state = { ...loadState(), ...patch, updatedAt: Date.now() };
+    fs.writeFileSync(stateFilePath, JSON.stringify(state, null, 4), { mode: 0o600 });
+    fs.chmodSync(stateFilePath, 0o600);
+    return state;
+}
+
+export { loadState, saveState, stateFilePath };
@@ -0,0 +1,118 @@
+import fs from "fs";
+import path from "path";
+import account from "#config/account.js";
+import Scheduler, { getGameDay } from "#game/common/Scheduler.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+import logger from "#utils/logger.js";
+
+const cacheDir = path.join(process.cwd(), "cache");
+
+/**
+ * @description 每日计数和跨天处理。
+ * 计数保存在 cache/daily_<账号名>.json, 只在同一个游戏日 (东八区) 内有效, 中途重启后继续使用, 避免重复领取。
+ * 领取类的计数在服务器回包确认后再调用 add, 消息没有发出或领取失败时不计入。
+ * 管理器通过 onNewDay 注册跨天回调, 零点后清零计数并恢复当天已停止的定时任务。
+ */
+class DailyMgr {
+    constructor() {
+        this.filePath = path.join(cacheDir, `daily_${account.name || "default"}.json`);
+        this.day = getGameDay();
+        this.counters = {};
+        this.listeners = [];
+        this.persist = true;
+        this.load();
+    }
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new DailyMgr();
+        }
+        return this._instance;
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            if (data.day === this.day) {
+                this.counters = data.counters || {};
+                logger.debug(`[每日] 读取今日计数 ${JSON.stringify(this.counters)}`);
+            }
+        } catch (error) {
+            logger.warn(`[每日] 读取计数失败 ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this.persist) return;
+        try {
+            fs.mkdirSync(cacheDir, { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ day: this.day, counters: this.counters }, null, 4));
+        } catch (error) {
+            logger.warn(`[每日] 保存计数失败 ${error.message}`);
+        }
+    }
+
+    // 回放时只在内存中计数, 不影响正在运行的账号
+    memoryOnly() {
+        this.persist = false;
+        this.counters = {};
+    }
+
+    // 零点检查, 由定时任务调用
+    start() {
+        Scheduler.inst.register(this, { name: "daily.reset", daily: true, priority: 10, run: () => this.checkDay() });
+    }
+
+    get(key) {
+        return this.counters[key] || 0;
+    }
+
+    // 服务器同步的次数和本地记录取较大值
+    sync(key, value = 0) {
+        if (value > this.get(key)) {
+            this.counters[key] = value;
+            this.save();
+        }
+        return this.get(key);
+    }
+
+    add(key, num = 1) {
+        this.counters[key] = this.get(key) + num;
+        this.save();
+        return this.counters[key];
+    }
+
+    /**
+     * @param {object} owner 管理器, 跨天后如果对应功能已开启则恢复它的定时任务
+     * @param {Function} reset 清零管理器中的每日数据
+     */
+    onNewDay(owner, reset) {
+        this.listeners.push({ owner, reset });
+    }
+
+    checkDay() {
+        const today = getGameDay();
+        if (today === this.day) return "未跨天";
+
+        this.day = today;
+        this.counters = {};
+        this.save();
+        logger.info("[每日] 新的一天, 重置每日计数");
+
+        for (const { owner, reset } of this.listeners) {
+            try {
+                reset();
+                const feature = owner.constructor.FEATURE;
+                if (!feature || FeatureMgr.inst.isEnabled(feature.id)) {
+                    Scheduler.inst.resume(owner);
+                }
+            } catch (error) {
+                logger.error(`[每日] ${owner.constructor.name} 重置失败 ${error}`);
+            }
+        }
+        return `已重置 ${this.listeners.length} 个管理器`;
+    }
+}
+
+export default DailyMgr;
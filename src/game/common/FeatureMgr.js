@@ -0,0 +1,129 @@
+import Scheduler from "#game/common/Scheduler.js";
+import MsgBus from "#game/net/MsgBus.js";
+import logger from "#utils/logger.js";
+
+/**
+ * @description 功能注册表。每个功能声明:
+ * { id, name, default, deps, config }
+ * id 同时是 account.js 中 switch 的开关名, 未配置时使用 default; deps 为依赖的功能, 依赖未启用时该功能也不启用;
+ * config 为该功能读取的配置项 (如 "rules"), 用于提示。
+ * 注册了管理器 (mgr) 的功能只在启用时订阅服务器消息 (subscribe), 运行中关闭时取消订阅并暂停已创建实例的定时任务;
+ * 管理器实例在第一次收到对应数据时创建。没有管理器的功能由所属管理器自己用 isEnabled() 判断。
+ */
+class FeatureMgr {
+    constructor() {
+        this.features = new Map();
+        this.enabled = new Set();
+    }
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new FeatureMgr();
+        }
+        return this._instance;
+    }
+
+    register(feature, mgr = null) {
+        if (this.features.has(feature.id)) {
+            throw new Error(`[功能] 重复注册 ${feature.id}`);
+        }
+        this.features.set(feature.id, { deps: [], ...feature, mgr });
+    }
+
+    label(id) {
+        const feature = this.features.get(id);
+        return feature ? `${feature.name}(${id})` : id;
+    }
+
+    /**
+     * @description 按开关和依赖计算启用的功能, 返回状态有变化的功能 id
+     * @param {object} switches account.switch
+     */
+    resolve(switches = {}) {
+        const result = new Map();
+        const visiting = new Set();
+
+        const check = (id) => {
+            if (result.has(id)) return result.get(id);
+            const feature = this.features.get(id);
+            if (!feature) {
+                throw new Error(`[功能] 未知的功能 ${id}`);
+            }
+            if (visiting.has(id)) {
+                throw new Error(`[功能] ${this.label(id)} 存在循环依赖`);
+            }
+
+            visiting.add(id);
+            const value = switches[id];
+            let enabled = value === undefined ? feature.default : Boolean(value);
+            const missing = feature.deps.filter((dep) => !check(dep));
+            if (enabled && missing.length > 0) {
+                logger.warn(`[功能] ${this.label(id)} 依赖的 ${missing.map((dep) => this.label(dep)).join(", ")} 未启用, 已关闭`);
+                enabled = false;
+            }
+            visiting.delete(id);
+
+            result.set(id, enabled);
+            return enabled;
+        };
+
+        const changed = [];
+        for (const id of this.features.keys()) {
+            if (check(id) !== this.enabled.has(id)) {
+                changed.push(id);
+            }
+        }
+        this.enabled = new Set([...result].filter(([, enabled]) => enabled).map(([id]) => id));
+        return changed;
+    }
+
+    // 启用的功能订阅管理器的服务器消息, 重复调用不会重复订阅
+    subscribe(id) {
+        const feature = this.features.get(id);
+        if (!feature?.mgr || feature.subscribed || !this.enabled.has(id)) return;
+        feature.mgr.subscribe();
+        feature.subscribed = true;
+    }
+
+    unsubscribe(id) {
+        const feature = this.features.get(id);
+        if (!feature?.subscribed) return;
+        MsgBus.inst.offOwner(feature.mgr);
+        feature.subscribed = false;
+    }
+
+    /**
+     * @description 运行中修改开关: 开启时订阅消息并恢复已创建管理器的定时任务, 关闭时取消订阅并暂停
+     * 尚未创建的管理器在下次收到对应数据时创建
+     */
+    apply(switches) {
+        for (const id of this.resolve(switches)) {
+            const enabled = this.enabled.has(id);
+            const { mgr } = this.features.get(id);
+            if (enabled) {
+                this.subscribe(id);
+            } else {
+                this.unsubscribe(id);
+            }
+            if (mgr && mgr._instance) {
+                if (enabled) {
+                    Scheduler.inst.resume(mgr._instance);
+                } else {
+                    mgr._instance.clear();
+                }
+            }
+            logger.info(`[功能] ${this.label(id)} 已${enabled ? "开启" : "关闭"}`);
+        }
+    }
+
+    isEnabled(id) {
+        return this.enabled.has(id);
+    }
+
+    describe() {
+        const names = (enabled) => [...this.features.keys()].filter((id) => this.enabled.has(id) === enabled).map((id) => this.label(id));
+        return { enabled: names(true), disabled: names(false) };
+    }
+}
+
+export default FeatureMgr;
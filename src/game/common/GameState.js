@@ -0,0 +1,250 @@
+import fs from "fs";
+import path from "path";
+import Long from "long";
+import account from "#config/account.js";
+import MsgBus from "#game/net/MsgBus.js";
+import logger from "#utils/logger.js";
+
+const logDir = path.join(process.cwd(), "logs");
+
+// 各部分的初始值, 收到对应的同步消息后标记为已就绪
+const INITIAL_STATE = {
+    // 101 用户信息
+    user: { nickName: null, playerId: null, roleId: null, serverId: null },
+    // 104 特权卡
+    vip: { monthCard: false, yearCard: false, monthlyCardEndTime: 0, yearCardEndTime: 0, getMonthlyCardRewardTime: 0, getYearCardRewardTime: 0 },
+    // 201 等级和妖力
+    attribute: { realmsId: 0, fightValue: 0 },
+    // 207 树状态
+    dream: { dreamLv: 0, dreamLvUpEndTime: 0, freeSpeedUpTimes: 0, freeSpeedUpCdEndTime: 0 },
+    // 301 背包 propId -> 数量
+    bag: { items: {} },
+    // 2124 妖盟
+    union: { unionId: null, name: null, memberNum: 0, memberList: [] },
+    // 4809 仙宫神迹
+    palace: { miracleId: 0, isMiracle: false },
+};
+
+// int64 统一转成字符串, 便于比较和导出
+const toPlain = (value) => JSON.parse(JSON.stringify(value, (key, item) => (Long.isLong(item) ? item.toString() : item)));
+
+/**
+ * @description 客户端的游戏状态, 由登录同步和后续的同步消息更新, 替代分散在各管理器中的静态字段。
+ * 每部分 (user / vip / attribute / dream / bag / union / palace) 收到第一条同步消息后标记为已就绪,
+ * 依赖某部分状态的逻辑用 isReady 判断或 whenReady 等待, 不再依赖消息到达的顺序。
+ * onChange 订阅某部分或 "*" 的变化, snapshot / export 导出当前状态。
+ */
+class GameState {
+    constructor() {
+        this.state = toPlain(INITIAL_STATE);
+        this.readyKeys = new Set();
+        this.listeners = [];
+        this.waiters = [];
+        this.filePath = path.join(logDir, `state_${account.name || "default"}.json`);
+    }
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new GameState();
+        }
+        return this._instance;
+    }
+
+    // 订阅同步消息, 在各管理器之前订阅, 管理器处理消息时状态已经更新
+    static subscribe() {
+        const state = GameState.inst;
+
+        // 101 用户信息同步, playerId 统一为字符串, 与其它消息中的 id 比较时先 String()
+        MsgBus.inst.on("PlayerDataMsg", (t) => {
+            state.set("user", { nickName: t.nickName, playerId: String(t.playerId), roleId: t.roleId, serverId: Number(t.serverId) });
+        }, GameState);
+
+        // 104 同步特权卡数据, 终身卡的结束时间为 -1, 没有时为 0
+        MsgBus.inst.on("PrivilegeCardDataMsg", (t) => {
+            state.set("vip", {
+                monthCard: Number(t.monthlyCardEndTime) > Date.now(),
+                yearCard: Number(t.yearCardEndTime) !== 0,
+                monthlyCardEndTime: t.monthlyCardEndTime,
+                yearCardEndTime: t.yearCardEndTime,
+                getMonthlyCardRewardTime: t.getMonthlyCardRewardTime,
+                getYearCardRewardTime: t.getYearCardRewardTime,
+            });
+        }, GameState);
+
+        // 201 玩家属性信息同步
+        MsgBus.inst.on("PlayerAttributeDataMsg", (t) => {
+            state.set("attribute", { realmsId: t.realmsId, fightValue: t.fightValue });
+        }, GameState);
+
+        // 207 树状态
+        MsgBus.inst.on("DreamDataMsg", (t) => {
+            const { dreamLv, dreamLvUpEndTime, freeSpeedUpTimes, freeSpeedUpCdEndTime } = t;
+            state.set("dream", { dreamLv, dreamLvUpEndTime, freeSpeedUpTimes, freeSpeedUpCdEndTime });
+        }, GameState);
+
+        // 301 同步背包数据, 只包含有变化的道具
+        MsgBus.inst.on("SyncBagMsg", (t) => {
+            const items = { ...state.bag.items };
+            for (const item of t.bagData || []) {
+                items[item.propId] = Number(item.num);
+            }
+            state.set("bag", { items });
+        }, GameState);
+
+        // 2124 推送我的妖盟数据
+        MsgBus.inst.on("MyUnionData", (t) => {
+            state.set("union", {
+                unionId: t.baseData?.unionId || null,
+                name: t.baseData?.name || null,
+                memberNum: t.baseData?.memberNum || (t.memberList || []).length,
+                memberList: (t.memberList || []).map((member) => ({ userId: String(member.playerData.playerId), nickName: member.playerData.nickName })),
+            });
+        }, GameState);
+
+        // 4809 仙宫神迹同步
+        MsgBus.inst.on("PalaceMiracleDataMsg", (t) => {
+            state.set("palace", { miracleId: t.miracleId, isMiracle: t.miracleId !== 0 });
+        }, GameState);
+    }
+
+    get user() {
+        return this.state.user;
+    }
+
+    get vip() {
+        return this.state.vip;
+    }
+
+    get attribute() {
+        return this.state.attribute;
+    }
+
+    get dream() {
+        return this.state.dream;
+    }
+
+    get bag() {
+        return this.state.bag;
+    }
+
+    get union() {
+        return this.state.union;
+    }
+
+    get palace() {
+        return this.state.palace;
+    }
+
+    // 道具数量, 未同步或没有时为 0
+    itemNum(propId) {
+        return this.state.bag.items[propId] || 0;
+    }
+
+    /**
+     * @description 更新某部分状态并标记为已就绪, 有变化时通知订阅者
+     * @param {string} key 如 "user"
+     * @param {object} patch 要更新的字段
+     */
+    set(key, patch) {
+        if (!this.state[key]) {
+            throw new Error(`[状态] 未知的状态 ${key}`);
+        }
+
+        const prev = this.state[key];
+        const next = { ...prev, ...toPlain(patch) };
+        const changed = Object.keys(next).filter((field) => JSON.stringify(prev[field]) !== JSON.stringify(next[field]));
+        this.state[key] = next;
+
+        if (!this.readyKeys.has(key)) {
+            this.readyKeys.add(key);
+            logger.debug(`[状态] ${key} 已就绪`);
+            this.checkWaiters();
+        }
+        if (changed.length > 0) {
+            this.notify(key, next, prev, changed);
+        }
+    }
+
+    notify(key, value, prev, changed) {
+        for (const { event, listener } of [...this.listeners]) {
+            if (event !== key && event !== "*") continue;
+            try {
+                listener(value, prev, { key, changed });
+            } catch (error) {
+                logger.error(`[状态] 处理 ${key} 变化失败 ${error.stack || error}`);
+            }
+        }
+    }
+
+    /**
+     * @param {string} event 状态名或 "*"
+     * @param {Function} listener (value, prev, { key, changed }) => void
+     * @param {object} [owner] 订阅者, 可以用 offOwner 一次取消
+     * @returns {Function} 取消订阅
+     */
+    onChange(event, listener, owner = null) {
+        const entry = { event, listener, owner };
+        this.listeners.push(entry);
+        return () => (this.listeners = this.listeners.filter((item) => item !== entry));
+    }
+
+    offOwner(owner) {
+        this.listeners = this.listeners.filter((item) => item.owner !== owner);
+    }
+
+    isReady(...keys) {
+        return keys.every((key) => this.readyKeys.has(key));
+    }
+
+    /**
+     * @description 等待指定部分的状态就绪
+     * @param {string[]} keys 状态名
+     * @param {number} [timeout] 毫秒, 超时后返回 false
+     * @returns {Promise<boolean>} 是否已就绪
+     */
+    whenReady(keys, timeout = 0) {
+        if (this.isReady(...keys)) {
+            return Promise.resolve(true);
+        }
+        return new Promise((resolve) => {
+            const waiter = { keys, resolve, timer: null };
+            if (timeout > 0) {
+                waiter.timer = setTimeout(() => {
+                    this.waiters = this.waiters.filter((item) => item !== waiter);
+                    resolve(false);
+                }, timeout);
+            }
+            this.waiters.push(waiter);
+        });
+    }
+
+    checkWaiters() {
+        const done = this.waiters.filter((waiter) => this.isReady(...waiter.keys));
+        this.waiters = this.waiters.filter((waiter) => !done.includes(waiter));
+        for (const waiter of done) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(true);
+        }
+    }
+
+    // 当前状态的副本, 包含各部分是否就绪
+    snapshot() {
+        const ready = {};
+        for (const key of Object.keys(this.state)) {
+            ready[key] = this.readyKeys.has(key);
+        }
+        return { time: new Date().toISOString(), ready, ...toPlain(this.state) };
+    }
+
+    // 导出到 logs/state_<账号名>.json
+    export(filePath = this.filePath) {
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(this.snapshot(), null, 4));
+        } catch (error) {
+            logger.warn(`[状态] 导出失败 ${error.message}`);
+        }
+    }
+}
+
+export default GameState;
@@ -0,0 +1,262 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import account, { onAccountChange, isChanged } from "#config/account.js";
+import GameNetMgr, { ConnState } from "#game/net/GameNetMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
+import Protocol from "#game/net/Protocol.js";
+import Scheduler from "#game/common/Scheduler.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+import BagMgr from "#game/mgr/BagMgr.js";
+import GameState from "#game/common/GameState.js";
+import logger from "#utils/logger.js";
+
+const PLUGIN_FILE = /\.(m?js)$/;
+
+// 协议可以写协议号或 Protocol 中的名字, 如 "S_MAIL_GET_ALL_REWARD"
+function resolveMsgId(msgId) {
+    if (typeof msgId === "string" && !/^\d+$/.test(msgId)) {
+        const id = Protocol[msgId];
+        if (typeof id !== "number") {
+            throw new Error(`未知的协议 ${msgId}`);
+        }
+        return id;
+    }
+    return Number(msgId);
+}
+
+/**
+ * @description 传给插件 setup 的上下文。插件通过它收发消息、订阅事件、注册定时任务和读取配置,
+ * 卸载时由 PluginMgr 取消它的全部订阅和定时任务。
+ */
+class PluginContext {
+    constructor(name) {
+        this.name = name;
+        this.Protocol = Protocol;
+        this.configListeners = [];
+        this.taskNames = [];
+        this.logger = {};
+        for (const level of ["error", "warn", "info", "debug"]) {
+            this.logger[level] = (message) => logger[level](`[插件:${name}] ${message}`);
+        }
+    }
+
+    // account.js 中 plugins.<插件名> 的配置, 修改后立即生效
+    get config() {
+        return account.plugins?.[this.name] ?? {};
+    }
+
+    get account() {
+        return account;
+    }
+
+    get bag() {
+        return BagMgr.inst;
+    }
+
+    // 游戏状态, 如 ctx.state.user.playerId / ctx.state.itemNum(100026)
+    get state() {
+        return GameState.inst;
+    }
+
+    get user() {
+        return GameState.inst.user;
+    }
+
+    get online() {
+        return GameNetMgr.inst.state === ConnState.ONLINE;
+    }
+
+    isEnabled(feature) {
+        return FeatureMgr.inst.isEnabled(feature);
+    }
+
+    // 只发送, 返回是否已发送
+    send(msgId, msgData = {}) {
+        return GameNetMgr.inst.sendPbMsg(resolveMsgId(msgId), msgData, null);
+    }
+
+    // 发送并等待回包
+    request(msgId, msgData = {}, options = {}) {
+        return GameNetMgr.inst.request(resolveMsgId(msgId), msgData, options);
+    }
+
+    // 订阅服务器消息, 参数同 MsgBus.on
+    on(event, listener) {
+        return MsgBus.inst.on(event, listener, this);
+    }
+
+    once(event, listener) {
+        return MsgBus.inst.once(event, listener, this);
+    }
+
+    // 订阅状态变化, 参数同 GameState.onChange
+    onStateChange(event, listener) {
+        return GameState.inst.onChange(event, listener, this);
+    }
+
+    /**
+     * @description 注册定时任务, 参数同 Scheduler.register, 任务名自动加上 plugin.<插件名>. 前缀
+     */
+    schedule(options) {
+        const name = `plugin.${this.name}.${options.name}`;
+        Scheduler.inst.register(this, { ...options, name });
+        this.taskNames.push(name);
+        return name;
+    }
+
+    trigger(taskName) {
+        Scheduler.inst.trigger(`plugin.${this.name}.${taskName}`);
+    }
+
+    // 本插件的配置变化时调用, 参数为变化的配置路径 (不含 plugins.<插件名> 前缀)
+    onConfigChange(listener) {
+        this.configListeners.push(listener);
+    }
+
+    dispose() {
+        MsgBus.inst.offOwner(this);
+        GameState.inst.offOwner(this);
+        this.taskNames.forEach((name) => Scheduler.inst.unregister(name));
+        this.taskNames = [];
+        this.configListeners = [];
+    }
+}
+
+/**
+ * @description 插件管理器。启动时加载 plugins/ 目录下的模块 (以 _ 或 . 开头的文件忽略), 每个模块默认导出
+ * { name?, description?, setup(ctx) } 或直接导出 setup 函数; setup 可以返回一个清理函数, 在插件关闭时调用。
+ * account.js 中 plugins.<插件名>.enabled 为 false 时不启用, 运行中修改立即生效。
+ * 插件出错只记录日志, 不影响其它插件和主程序。
+ */
+class PluginMgr {
+    constructor() {
+        // name -> { name, description, file, setup, ctx, cleanup }
+        this.plugins = new Map();
+    }
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new PluginMgr();
+        }
+        return this._instance;
+    }
+
+    static isEnabled(name) {
+        return account.plugins?.[name]?.enabled !== false;
+    }
+
+    async loadDir(dir) {
+        if (!fs.existsSync(dir)) {
+            return;
+        }
+
+        const entries = fs.readdirSync(dir, { withFileTypes: true })
+            .filter((entry) => !/^[_.]/.test(entry.name))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            let file = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                file = path.join(file, "index.js");
+                if (!fs.existsSync(file)) continue;
+            } else if (!PLUGIN_FILE.test(entry.name)) {
+                continue;
+            }
+            await this.load(file, entry.name.replace(PLUGIN_FILE, ""));
+        }
+
+        if (this.plugins.size > 0) {
+            const names = [...this.plugins.values()].map(({ name, ctx }) => (ctx ? name : `${name}(未启用)`));
+            logger.info(`[插件] 已加载: ${names.join(", ")}`);
+        }
+        onAccountChange((changed) => this.onAccountChange(changed));
+    }
+
+    async load(file, defaultName) {
+        let module;
+        try {
+            module = await import(pathToFileURL(file).href);
+        } catch (error) {
+            logger.error(`[插件] 加载 ${path.basename(file)} 失败 ${error.stack || error}`);
+            return;
+        }
+
+        const exported = module.default;
+        const plugin = typeof exported === "function" ? { setup: exported } : exported;
+        if (!plugin || typeof plugin.setup !== "function") {
+            logger.error(`[插件] ${path.basename(file)} 没有导出 setup 函数`);
+            return;
+        }
+
+        const name = plugin.name || defaultName;
+        if (this.plugins.has(name)) {
+            logger.error(`[插件] ${name} 重复, 已忽略 ${file}`);
+            return;
+        }
+        this.plugins.set(name, { name, description: plugin.description || "", file, setup: plugin.setup, ctx: null, cleanup: null });
+        if (PluginMgr.isEnabled(name)) {
+            await this.start(name);
+        }
+    }
+
+    async start(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin || plugin.ctx) return;
+
+        const ctx = new PluginContext(name);
+        plugin.ctx = ctx;
+        try {
+            const cleanup = await plugin.setup(ctx);
+            plugin.cleanup = typeof cleanup === "function" ? cleanup : null;
+        } catch (error) {
+            logger.error(`[插件] ${name} 启动失败 ${error.stack || error}`);
+            this.stop(name);
+        }
+    }
+
+    stop(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin || !plugin.ctx) return;
+
+        try {
+            plugin.cleanup?.();
+        } catch (error) {
+            logger.error(`[插件] ${name} 清理失败 ${error.stack || error}`);
+        }
+        plugin.ctx.dispose();
+        plugin.ctx = null;
+        plugin.cleanup = null;
+    }
+
+    onAccountChange(changed) {
+        for (const [name, plugin] of this.plugins) {
+            const key = `plugins.${name}`;
+            if (!isChanged(changed, key)) continue;
+
+            const enabled = PluginMgr.isEnabled(name);
+            if (enabled && !plugin.ctx) {
+                logger.info(`[插件] 启用 ${name}`);
+                this.start(name);
+            } else if (!enabled && plugin.ctx) {
+                logger.info(`[插件] 关闭 ${name}`);
+                this.stop(name);
+            } else if (plugin.ctx) {
+                const paths = changed.filter((item) => item.startsWith(`${key}.`)).map((item) => item.slice(key.length + 1));
+                plugin.ctx.configListeners.forEach((listener) => {
+                    try {
+                        listener(paths);
+                    } catch (error) {
+                        logger.error(`[插件] ${name} 处理配置变化失败 ${error.stack || error}`);
+                    }
+                });
+            }
+        }
+    }
+
+    list() {
+        return [...this.plugins.values()].map(({ name, description, file, ctx }) => ({ name, description, file, enabled: Boolean(ctx) }));
+    }
+}
+
+export default PluginMgr;
+export { PluginContext };
@@ -0,0 +1,285 @@
+import schedule from "node-schedule";
+import logger from "#utils/logger.js";
+
+const GAME_TIMEZONE = "Asia/Shanghai";
+const GAME_UTC_OFFSET = 8 * 3600 * 1000; // 游戏日按东八区零点切换
+const DAY = 24 * 3600 * 1000;
+// 没有任务到期时也定期检查一次, 避免系统休眠后计时器不准
+const MAX_SLEEP = 60 * 1000;
+
+function getGameDay(time = Date.now()) {
+    return Math.floor((time + GAME_UTC_OFFSET) / DAY);
+}
+
+// 某个游戏日 HH:mm 对应的时间戳
+function getGameDayTime(day, hhmm) {
+    const [hour, minute] = hhmm.split(":").map(Number);
+    return day * DAY - GAME_UTC_OFFSET + (hour * 60 + minute) * 60 * 1000;
+}
+
+/**
+ * @description 任务调度器, 替代每秒轮询所有管理器。
+ * 管理器通过 register 注册任务, 触发方式可以组合:
+ *   every: 毫秒, 上次运行结束后间隔多久再运行
+ *   cron: node-schedule 格式 (秒 分 时 日 月 周), 按游戏时区
+ *   after: 收到某个服务器消息后运行, 值为回包消息名, 如 "DreamDataMsg", 可以配合 delay (毫秒) 延迟运行
+ *   daily: 每个游戏日运行一次, 值为 true (零点后) 或 "HH:mm" (该时间之后)
+ * 同一任务不会重叠运行 (超时后也要等上一次结束), 同时运行的任务数不超过 maxConcurrent, 到期的任务按 priority 从高到低运行。
+ * 每个任务记录上次运行的时间、耗时、返回值或错误, upcoming() 列出接下来要运行的任务。
+ */
+class Scheduler {
+    constructor() {
+        this.tasks = new Map();
+        this.maxConcurrent = 2;
+        this.running = 0;
+        this.started = false;
+        this.timer = null;
+    }
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new Scheduler();
+        }
+        return this._instance;
+    }
+
+    /**
+     * @param {object} owner 所属的管理器, 用于 pause / resume
+     * @param {{ name: string, run: Function, every?: number, cron?: string, after?: string, delay?: number, daily?: boolean|string, priority?: number, timeout?: number }} options
+     */
+    register(owner, options) {
+        const { name, run, every, cron, after, daily, delay = 0, priority = 0, timeout = 60 * 1000 } = options;
+        if (this.tasks.has(name)) {
+            throw new Error(`[调度] 任务 ${name} 已存在`);
+        }
+        if (!every && !cron && !after && !daily) {
+            throw new Error(`[调度] 任务 ${name} 没有设置触发方式`);
+        }
+
+        const task = {
+            name, owner, run, every, cron, after, delay, priority, timeout,
+            daily: daily === true ? "00:00" : daily,
+            paused: false,
+            running: false,
+            nextRun: null,
+            everyAt: every ? Date.now() : null, // 间隔任务注册后立即运行一次
+            eventAt: null,
+            cronAt: null,
+            runs: 0,
+            lastRun: null,
+            lastDuration: null,
+            lastResult: undefined,
+            lastError: null,
+            lastRunDay: null,
+            timedOut: false,
+            inflight: null,
+            job: null,
+        };
+        if (cron) {
+            task.job = schedule.scheduleJob({ rule: cron, tz: GAME_TIMEZONE }, () => {
+                task.cronAt = Date.now();
+                this.update(task);
+            });
+            if (!task.job) {
+                throw new Error(`[调度] 任务 ${name} 的 cron 格式错误: ${cron}`);
+            }
+        }
+        this.tasks.set(name, task);
+        this.update(task);
+        return task;
+    }
+
+    unregister(name) {
+        const task = this.tasks.get(name);
+        if (task) {
+            if (task.job) task.job.cancel();
+            this.tasks.delete(name);
+        }
+    }
+
+    // 暂停 / 恢复某个管理器的所有任务
+    pause(owner) {
+        this.forOwner(owner, (task) => (task.paused = true));
+    }
+
+    resume(owner) {
+        this.forOwner(owner, (task) => (task.paused = false));
+    }
+
+    forOwner(owner, fn) {
+        for (const task of this.tasks.values()) {
+            if (task.owner === owner) {
+                fn(task);
+                this.update(task);
+            }
+        }
+    }
+
+    // 收到服务器消息, 由 GameNetMgr 调用, 返回触发的任务数
+    emit(event) {
+        let count = 0;
+        for (const task of this.tasks.values()) {
+            if (task.after === event) {
+                task.eventAt = Date.now() + task.delay;
+                this.update(task);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // 立即运行一次
+    trigger(name) {
+        const task = this.tasks.get(name);
+        if (task) {
+            task.eventAt = Date.now();
+            this.update(task);
+        }
+    }
+
+    // 间隔任务推迟 ms 毫秒后再运行, 如服务器返回的冷却时间还没到
+    delay(name, ms) {
+        const task = this.tasks.get(name);
+        if (task && task.every) {
+            task.everyAt = Date.now() + ms;
+            this.update(task);
+        }
+    }
+
+    start() {
+        this.started = true;
+        this.wake();
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // 重新计算任务的下次运行时间
+    update(task) {
+        const now = Date.now();
+        const candidates = [task.everyAt, task.eventAt, task.cronAt];
+        if (task.daily) {
+            const today = getGameDay(now);
+            candidates.push(getGameDayTime(task.lastRunDay === today ? today + 1 : today, task.daily));
+        }
+        const times = candidates.filter((time) => time !== null);
+        task.nextRun = times.length > 0 ? Math.min(...times) : null;
+        this.wake();
+    }
+
+    // 计时器设置到最近的到期时间, 任务总是在计时器中运行, 不会在注册或收到消息的调用栈中同步执行
+    wake() {
+        if (!this.started) return;
+        clearTimeout(this.timer);
+
+        const now = Date.now();
+        // 并发已满时等正在运行的任务结束再调度
+        const waiting = this.running >= this.maxConcurrent ? [] : [...this.tasks.values()].filter((task) => this.isWaiting(task));
+        const next = Math.min(...waiting.map((task) => task.nextRun), now + MAX_SLEEP);
+        this.timer = setTimeout(() => {
+            this.pump(Date.now());
+            this.wake();
+        }, Math.max(next - now, 0));
+    }
+
+    isWaiting(task) {
+        return !task.paused && !task.running && task.nextRun !== null;
+    }
+
+    pump(now) {
+        const due = [...this.tasks.values()]
+            .filter((task) => this.isWaiting(task) && task.nextRun <= now)
+            .sort((a, b) => b.priority - a.priority || a.nextRun - b.nextRun);
+
+        for (const task of due) {
+            if (this.running >= this.maxConcurrent) break;
+            // 任务同步执行的部分可能暂停了其它任务
+            if (!this.isWaiting(task)) continue;
+            this.execute(task);
+        }
+    }
+
+    // 超时只记录日志并让出并发名额, 任务在 run 返回的 Promise 结束前一直算作运行中, 不会重叠运行
+    execute(task) {
+        const start = Date.now();
+        task.running = true;
+        task.timedOut = false;
+        task.eventAt = null;
+        task.cronAt = null;
+        this.running++;
+
+        const timer = setTimeout(() => {
+            task.timedOut = true;
+            task.lastError = `运行超过 ${task.timeout / 1000} 秒`;
+            logger.warn(`[调度] 任务 ${task.name} ${task.lastError}, 等待结束后再调度`);
+            this.running--;
+            this.wake();
+        }, task.timeout);
+
+        let result;
+        try {
+            result = Promise.resolve(task.run());
+        } catch (error) {
+            result = Promise.reject(error);
+        }
+
+        task.inflight = result.then((value) => {
+            task.lastResult = value;
+            task.lastError = null;
+        }, (error) => {
+            task.lastResult = undefined;
+            task.lastError = error.message || String(error);
+            logger.error(`[调度] 任务 ${task.name} 失败 ${task.lastError}`);
+        }).finally(() => {
+            clearTimeout(timer);
+            if (!task.timedOut) this.running--;
+            task.running = false;
+            task.inflight = null;
+            task.runs++;
+            task.lastRun = start;
+            task.lastDuration = Date.now() - start;
+            task.lastRunDay = getGameDay(start);
+            // 运行中调用了 delay() 时保留更晚的时间
+            task.everyAt = task.every ? Math.max(task.everyAt ?? 0, Date.now() + task.every) : null;
+            this.update(task);
+        });
+        return task.inflight;
+    }
+
+    /**
+     * @description 接下来要运行的任务, 按时间排序。cron 任务在触发前按 cron 计算下次时间
+     * @returns {{ name: string, nextRun: number, priority: number, lastRun: number, lastResult: any, lastError: string }[]}
+     */
+    upcoming(limit = 10) {
+        return [...this.tasks.values()]
+            .filter((task) => !task.paused && !task.running)
+            .map((task) => ({ task, at: task.nextRun ?? (task.job ? task.job.nextInvocation()?.getTime() : null) }))
+            .filter(({ at }) => at)
+            .sort((a, b) => a.at - b.at)
+            .slice(0, limit)
+            .map(({ task: { name, priority, lastRun, lastResult, lastError }, at }) => ({ name, nextRun: at, priority, lastRun, lastResult, lastError }));
+    }
+
+    // 输出接下来的任务及上次运行结果
+    report() {
+        const lines = this.upcoming().map((task) => {
+            const last = task.lastError ? `失败 ${task.lastError}` : task.lastResult !== undefined ? String(task.lastResult) : "-";
+            return `  ${new Date(task.nextRun).toLocaleString("zh-CN", { hour12: false })} ${task.name} 上次: ${last}`;
+        });
+        logger.info(`[调度] 接下来的任务:\n${lines.join("\n") || "  无"}`);
+        return `${lines.length} 个任务`;
+    }
+
+    // 每个任务的运行记录
+    list() {
+        return [...this.tasks.values()].map(({ name, paused, running, nextRun, runs, lastRun, lastDuration, lastResult, lastError }) => ({
+            name, paused, running, nextRun, runs, lastRun, lastDuration, lastResult, lastError,
+        }));
+    }
+}
+
+export default Scheduler;
+export { getGameDay };
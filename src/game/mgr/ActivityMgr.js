@@ -13,6 +13,12 @@ export default class ActivityMgr {
         return this._instance;
     }
 
+    // 1002 同步活动详细, 1007 增量同步活动数据
+    // 领奖和免费购买还有问题, 暂不订阅, 修好后在这里加上:
+    // MsgBus.inst.on("ActivityCommonDataListSync", (t) => { ActivityMgr.inst.getReward(t); ActivityMgr.inst.buyFree(t); }, ActivityMgr);
+    // MsgBus.inst.on("ActivityConditionDataListSync", (t) => ActivityMgr.inst.getReward(t), ActivityMgr);
+    static subscribe() {}
+
     // 1002 1007 
     getReward(t) {
         const acts = t.activityDataList ?? t.activityConditionDataList ?? null;
@@ -1,16 +1,20 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from '#game/net/Protocol.js';
 import logger from "#utils/logger.js";
-import LoopMgr from '#game/common/LoopMgr.js';
-import PlayerAttributeMgr from "./PlayerAttributeMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import GameState from "#game/common/GameState.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class BagMgr {
     constructor() {
-        this.bagData = [];
-        this.isProcessing = false;
-        LoopMgr.inst.add(this);
+        // 背包变化后检查, 使用道具后的背包同步会再次触发
+        Scheduler.inst.register(this, { name: "bag.useItems", after: "SyncBagMsg", run: () => this.useItems() });
     }
 
+    // 背包数据其它功能也要用, 管理器始终创建, 只有斗法可以关闭
+    static FEATURES = [{ id: "fightTicket", name: "自动斗法", default: true, deps: [] }];
+
     static get inst() {
         if (!this._instance) {
             this._instance = new BagMgr();
@@ -18,56 +22,52 @@ export default class BagMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 301 同步背包数据
+        MsgBus.inst.on("SyncBagMsg", (t) => {
+            logger.debug("[背包管理] 背包数据同步");
+            BagMgr.inst.SyncBagMsg(t);
+        }, BagMgr);
+    }
+
     clear() {
-        this.bagData = [];
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
     }
 
+    // 道具数量由 GameState 保存, 这里只记录日志
     SyncBagMsg(t) {
-        if (Array.isArray(t.bagData)) {
-            t.bagData.forEach((newItem) => {
-                const existingItem = this.bagData.find((item) => item.propId === newItem.propId);
-                if (existingItem) {
-                    existingItem.num = newItem.num;
-                } else {
-                    this.bagData.push(newItem);
-                }
-            });
-            logger.debug("[背包管理] 更新背包数据");
-        }
+        logger.debug(`[背包管理] 更新背包数据 ${t.bagData?.length || 0} 项`);
     }
 
     findItemById(id) {
-        return this.bagData.find((item) => item.propId === id) || { num: 0 };
+        return { propId: id, num: GameState.inst.itemNum(id) };
     }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
+    async useItems() {
+        // 斗法次数和 VIP 有关, 等背包和特权卡都同步后再处理
+        if (!(await GameState.inst.whenReady(["bag", "vip"], 10 * 1000))) {
+            return "等待同步";
+        }
 
-        try {
-            // 斗法券大于一定数量的时候自动斗法, 初始为2, 每多1个vip等级加3
-            const fightTicket = this.findItemById(100026);
+        // 斗法券大于一定数量的时候自动斗法, 初始为2, 每多1个vip等级加3
+        const fightTicket = this.findItemById(100026);
 
-            const vipLevel = (PlayerAttributeMgr.isMonthCardVip ? 1 : 0) + (PlayerAttributeMgr.isYearCardVip ? 1 : 0);
-            const count = 2 + vipLevel * 3;
-            if (fightTicket.num > count) {
-                logger.info(`[背包管理] 还剩 ${fightTicket.num} 张斗法券`);
-                GameNetMgr.inst.sendPbMsg(Protocol.S_RANK_BATTLE_GET_BATTLE_LIST, {}, null);
-                await new Promise((resolve) => setTimeout(resolve, 1000));
-                GameNetMgr.inst.sendPbMsg(Protocol.S_RANK_BATTLE_CHALLENGE, { index: 0 }, null);
-            }
+        const { monthCard, yearCard } = GameState.inst.vip;
+        const vipLevel = (monthCard ? 1 : 0) + (yearCard ? 1 : 0);
+        const count = 2 + vipLevel * 3;
+        if (FeatureMgr.inst.isEnabled("fightTicket") && fightTicket.num > count) {
+            logger.info(`[背包管理] 还剩 ${fightTicket.num} 张斗法券`);
+            GameNetMgr.inst.sendPbMsg(Protocol.S_RANK_BATTLE_GET_BATTLE_LIST, {}, null);
+            await new Promise((resolve) => setTimeout(resolve, 1000));
+            GameNetMgr.inst.sendPbMsg(Protocol.S_RANK_BATTLE_CHALLENGE, { index: 0 }, null);
+        }
 
-            // 万年灵芝 > 0 的时候自动激活
-            const books = this.findItemById(100008);
-            if (books.num > 0) {
-                logger.info(`[背包管理] 还剩 ${books.num} 万年灵芝`);
-                GameNetMgr.inst.sendPbMsg(Protocol.S_TALENT_READ_BOOK, { readTimes: books.num }, null);
-            }
-        } catch (error) {
-            logger.error(`[背包管理] 循环任务失败 ${error}`);
-        } finally {
-            this.isProcessing = false;
+        // 万年灵芝 > 0 的时候自动激活
+        const books = this.findItemById(100008);
+        if (books.num > 0) {
+            logger.info(`[背包管理] 还剩 ${books.num} 万年灵芝`);
+            GameNetMgr.inst.sendPbMsg(Protocol.S_TALENT_READ_BOOK, { readTimes: books.num }, null);
         }
     }
 }
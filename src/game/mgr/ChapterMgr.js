@@ -1,18 +1,22 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
-import account from "../../../account.js";
+import Scheduler from "#game/common/Scheduler.js";
+import account, { onAccountChange, isChanged } from "#config/account.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class ChapterMgr {
     constructor() {
-        this.isProcessing = false;
         this.passStageId = 0;
         this.challenge = account.switch.challenge || 0;
         this.showResult = account.switch.showResult || false;
-        LoopMgr.inst.add(this);
+        Scheduler.inst.register(this, { name: "chapter.challenge", every: 1000 * 10, run: () => this.doChallenge() });
+        onAccountChange((changed) => this.applyConfig(changed));
     }
 
+    static FEATURE = { id: "chapter", name: "冒险挑战", default: true, deps: [], config: "switch.challenge" };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new ChapterMgr();
@@ -20,14 +24,36 @@ export default class ChapterMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 402 关卡挑战
+        MsgBus.inst.on("ChallengeRspMsg", (t) => {
+            logger.debug("[冒险管理] 关卡挑战");
+            ChapterMgr.inst.challengeResult(t);
+        }, ChapterMgr);
+
+        // 403 同步冒险关卡数据
+        MsgBus.inst.on("PlayerStageData", (t) => {
+            logger.debug("[冒险管理] 冒险关卡数据同步");
+            ChapterMgr.inst.SyncData(t);
+        }, ChapterMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
+    }
+
+    applyConfig(changed) {
+        this.showResult = account.switch.showResult || false;
+        // 只有挑战次数被修改时才重置剩余次数
+        if (isChanged(changed, "switch.challenge")) {
+            this.challenge = account.switch.challenge || 0;
+            if (this.challenge > 0 && FeatureMgr.inst.isEnabled("chapter")) Scheduler.inst.resume(this);
+        }
     }
 
     SyncData(t) {
-        this.isProcessing = true;
         this.passStageId = t.passStageId || 0;
-        this.isProcessing = false;
     }
 
     challengeResult(t) {
@@ -38,24 +64,15 @@ export default class ChapterMgr {
         }
     }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.challenge == 0) {
-                this.clear();
-                logger.info("[冒险管理] 任务完成停止循环");
-            } else {
-                GameNetMgr.inst.sendPbMsg(Protocol.S_STAGE_CHALLENGE, {}, null);
-                this.challenge--;
-                await new Promise((resolve) => setTimeout(resolve, 1000 * 10));
-            }
-
-        } catch (error) {
-            logger.error(`[冒险管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+    doChallenge() {
+        if (this.challenge == 0) {
+            this.clear();
+            logger.info("[冒险管理] 任务完成停止循环");
+            return "挑战完成";
         }
+
+        GameNetMgr.inst.sendPbMsg(Protocol.S_STAGE_CHALLENGE, {}, null);
+        this.challenge--;
+        return `剩余 ${this.challenge} 次`;
     }
 }
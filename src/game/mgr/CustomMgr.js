@@ -1,17 +1,14 @@
-import GameNetMgr from "#game/net/GameNetMgr.js";
+import GameNetMgr, { ConnState } from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
 
 export default class CustomMgr {
     constructor() {
         this.CUSTOM_INTERVAL = 1000 * 60 * 10; // 每次间隔时间(10分钟)
-        this.lastExecuteTime = 0;
-        this.initialized = false;
-        
-        this.isProcessing = false;
 
-        LoopMgr.inst.add(this);
+        Scheduler.inst.register(this, { name: "custom.loop", every: this.CUSTOM_INTERVAL, run: () => this.customLoop() });
     }
 
     static get inst() {
@@ -21,48 +18,39 @@ export default class CustomMgr {
         return this._instance;
     }
 
+    // 登录同步完成后初始化, 断线重连后重新发送初始化请求
+    static subscribe() {
+        GameNetMgr.inst.onStateChange((state) => {
+            if (state === ConnState.ONLINE) CustomMgr.inst.init();
+        });
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
     }
 
     init() { 
-        if (!this.initialized) {
-            logger.info("[自定义管理] 初始化");
-            
-            // 聚灵阵状态 TODO 判断是否开启聚灵阵
-            GameNetMgr.inst.sendPbMsg(Protocol.S_GATHER_ENERGY_ENTER_NEW, {}, null);
-            // 运势
-            GameNetMgr.inst.sendPbMsg(Protocol.S_ACTIVITY_SHARE, { activityId: 0, conditionId: 0 }, null);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_ACTIVITY_BBS, { activityId: 0, conditionId: 0 }, null);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_ACTIVITY_GAME_CIRCLE, { activityId: 0, conditionId: 0 }, null);
-            // 检查是否有分身
-            GameNetMgr.inst.sendPbMsg(Protocol.S_ATTRIBUTE_GET_SEPARATION_DATAA_MSG_LIST_REQ, {}, null);
-            this.initialized = true;
-        }
+        logger.info("[自定义管理] 初始化");
+        
+        // 聚灵阵状态 TODO 判断是否开启聚灵阵
+        GameNetMgr.inst.sendPbMsg(Protocol.S_GATHER_ENERGY_ENTER_NEW, {}, null);
+        // 运势
+        GameNetMgr.inst.sendPbMsg(Protocol.S_ACTIVITY_SHARE, { activityId: 0, conditionId: 0 }, null);
+        GameNetMgr.inst.sendPbMsg(Protocol.S_ACTIVITY_BBS, { activityId: 0, conditionId: 0 }, null);
+        GameNetMgr.inst.sendPbMsg(Protocol.S_ACTIVITY_GAME_CIRCLE, { activityId: 0, conditionId: 0 }, null);
+        // 检查是否有分身
+        GameNetMgr.inst.sendPbMsg(Protocol.S_ATTRIBUTE_GET_SEPARATION_DATAA_MSG_LIST_REQ, {}, null);
     }
 
     customLoop() {
-        const now = Date.now();
-        if (now - this.lastExecuteTime >= this.CUSTOM_INTERVAL) {
-            this.lastExecuteTime = now;
-            // 进入宗门系统 TODO 判断是否开启宗门系统
+        // 进入宗门系统 TODO 判断是否开启宗门系统
+        if (FeatureMgr.inst.isEnabled("pupil")) {
             GameNetMgr.inst.sendPbMsg(Protocol.S_PUPIL_ENTER, {}, null);
             GameNetMgr.inst.sendPbMsg(Protocol.S_PUPIL_TRAIN, { isOneKey: 1 }, null);
-            // 仙宫外部数据请求 TODO 判断是否开启仙宫
+        }
+        // 仙宫外部数据请求 TODO 判断是否开启仙宫
+        if (FeatureMgr.inst.isEnabled("palace")) {
             GameNetMgr.inst.sendPbMsg(Protocol.S_PALACE_ENTER_OUTER, {}, null);
-        }    
-    }
-
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            this.customLoop();
-        } catch (error) {
-            logger.error(`[自定义管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
         }
     }
 }
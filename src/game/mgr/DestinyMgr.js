@@ -1,16 +1,20 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
-import PlayerAttributeMgr from "#game/mgr/PlayerAttributeMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import GameState from "#game/common/GameState.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class DestinyMgr {
     constructor() {
-        this.isProcessing = false;
+        this.power = 0;
 
-        LoopMgr.inst.add(this);
+        // 收到游历数据后游历, 体力恢复没有推送时每分钟检查一次
+        Scheduler.inst.register(this, { name: "destiny.travel", after: "DestinyData", delay: 1000, every: 1000 * 60, run: () => this.travel() });
     }
 
+    static FEATURE = { id: "destiny", name: "仙友游历", default: true, deps: [] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new DestinyMgr();
@@ -18,28 +22,30 @@ export default class DestinyMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 651 游历数据同步
+        MsgBus.inst.on("DestinyData", (t) => {
+            logger.debug("[仙友管理] 游历数据同步");
+            DestinyMgr.inst.SyncData(t);
+        }, DestinyMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
     }
 
     SyncData(t) {
         this.power = t.playerDestinyDataMsg.power || 0;
     }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.power > 0) {
-                logger.info(`[仙友管理] 进行游历`);
-                // 一键游历 等级达到练虚 156级开启 
-                GameNetMgr.inst.sendPbMsg(Protocol.S_DESTINY_TRAVEL, { isOneKey: PlayerAttributeMgr.realmsId >= 156 }, null);
-            }
-        } catch (error) {
-            logger.error(`[仙友管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+    travel() {
+        if (this.power <= 0) {
+            return "体力不足";
         }
+        logger.info(`[仙友管理] 进行游历`);
+        // 一键游历 等级达到练虚 156级开启 
+        GameNetMgr.inst.sendPbMsg(Protocol.S_DESTINY_TRAVEL, { isOneKey: GameState.inst.attribute.realmsId >= 156 }, null);
+        return `体力 ${this.power}`;
     }
 }
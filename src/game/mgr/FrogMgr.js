@@ -1,17 +1,21 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class FrogMgr {
     constructor() {
         this.AD_REWARD_DAILY_MAX_NUM = 6;   // 每日最大领取次数
         this.AD_REWARD_CD = 5 * 60 * 1000;  // 每次间隔时间 (5分钟)
-        this.isProcessing = false;
 
-        LoopMgr.inst.add(this);
+        DailyMgr.inst.onNewDay(this, () => (this.getAdRewardTimes = 0));
+        Scheduler.inst.register(this, { name: "frog.adReward", every: this.AD_REWARD_CD, run: () => this.processReward() });
     }
 
+    static FEATURE = { id: "frog", name: "青蛙广告", default: true, deps: [] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new FrogMgr();
@@ -19,42 +23,39 @@ export default class FrogMgr {
         return this._instance;
     }
 
-    clear() {
-        LoopMgr.inst.remove(this);
+    // 订阅服务器消息
+    static subscribe() {
+        // 210 青蛙
+        MsgBus.inst.on("PlayerAdRewardDataMsg", (t) => {
+            logger.debug("[青蛙管理] 青蛙数据同步");
+            FrogMgr.inst.checkReward(t);
+        }, FrogMgr);
     }
 
-    checkReward(t) {
-        this.isProcessing = true;
-        this.getAdRewardTimes = t.getAdRewardTimes || 0;
-        this.lastAdRewardTime = t.lastAdRewardTime || 0;
-        this.isProcessing = false;
+    clear() {
+        Scheduler.inst.pause(this);
     }
 
-    processReward() {
-        const now = Date.now();
-        if (this.getAdRewardTimes < this.AD_REWARD_DAILY_MAX_NUM && now - this.lastAdRewardTime >= this.AD_REWARD_CD) {
-            logger.info(`[青蛙管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_AD_REWARD_GET_REWARD, { isUseADTime: false }, null);
-            this.getAdRewardTimes++;
-            this.lastAdRewardTime = now;
+    checkReward(t) {
+        this.getAdRewardTimes = DailyMgr.inst.sync("frog.adReward", t.getAdRewardTimes || 0);
+        // 上次领取的冷却时间还没到
+        const wait = Number(t.lastAdRewardTime || 0) + this.AD_REWARD_CD - Date.now();
+        if (wait > 0) {
+            Scheduler.inst.delay("frog.adReward", wait);
         }
     }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
-                this.clear();
-                logger.info("[青蛙管理] 达到每日最大领取次数，停止奖励领取");
-            } else {
-                this.processReward();
-            }
-        } catch (error) {
-            logger.error(`[青蛙管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+    async processReward() {
+        if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
+            this.clear();
+            logger.info("[青蛙管理] 达到每日最大领取次数，停止奖励领取");
+            return "今日已领完";
         }
+
+        logger.info(`[青蛙管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
+        // 服务器确认后再计数, 没有发出或领取失败时不计入
+        await GameNetMgr.inst.request(Protocol.S_AD_REWARD_GET_REWARD, { isUseADTime: false });
+        this.getAdRewardTimes = DailyMgr.inst.add("frog.adReward");
+        return `已领取 ${this.getAdRewardTimes} 次`;
     }
 }
@@ -1,15 +1,17 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class GatherEnergyMgr {
     constructor() {
         this.AD_REWARD_DAILY_MAX_NUM = 3;   // 每日最大领取次数
         this.AD_REWARD_CD = 1000;           // 每次间隔时间
-        this.isProcessing = false;
 
-        LoopMgr.inst.add(this);
+        DailyMgr.inst.onNewDay(this, () => (this.getAdRewardTimes = 0));
+        Scheduler.inst.register(this, { name: "gatherEnergy.adReward", every: this.AD_REWARD_CD, run: () => this.processReward() });
     }
 
     static get inst() {
@@ -19,8 +21,17 @@ export default class GatherEnergyMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 7001 聚灵阵状态
+        MsgBus.inst.on("GatherEnergyEnterNewResp", (t) => {
+            logger.debug("[聚灵阵管理] 聚灵阵状态同步");
+            GatherEnergyMgr.inst.SyncGatherEnergyMsgState(t);
+        }, GatherEnergyMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
     }
 
     // "gatherEnergy": {
@@ -31,38 +42,23 @@ export default class GatherEnergyMgr {
     //     "getTimes": 0
     // }
     checkReward(t) {
-        this.isProcessing = true;
-        this.getAdRewardTimes = t.gatherEnergy.getTimes || 0;
-        this.lastAdRewardTime = 0;
-        this.isProcessing = false;
+        this.getAdRewardTimes = DailyMgr.inst.sync("gatherEnergy.adReward", t.gatherEnergy.getTimes || 0);
     }
 
-    processReward() {
-        const now = Date.now();
-        if (this.getAdRewardTimes < this.AD_REWARD_DAILY_MAX_NUM && now - this.lastAdRewardTime >= this.AD_REWARD_CD) {
-            logger.info(`[聚灵阵管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_GATHER_ENERGY_GET_AD_AWARD, { isUseADTime: false }, null);
-            this.getAdRewardTimes++;
-            this.lastAdRewardTime = now;
+    async processReward() {
+        // TODO 自动开启聚灵阵 21:30-22:00有高级聚灵阵 自动进入
+        if (this.getAdRewardTimes === undefined) {
+            return "未同步数据";
         }
-    }
-
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
-                // this.clear();
-                logger.debug("[聚灵阵管理] 达到每日最大领取次数，停止奖励领取");
-            } else {
-                this.processReward();
-            }
-            // TODO 自动开启聚灵阵 21:30-22:00有高级聚灵阵 自动进入
-        } catch (error) {
-            logger.error(`[聚灵阵管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+        if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
+            // this.clear();
+            logger.debug("[聚灵阵管理] 达到每日最大领取次数，停止奖励领取");
+            return "今日已领完";
         }
+
+        logger.info(`[聚灵阵管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
+        await GameNetMgr.inst.request(Protocol.S_GATHER_ENERGY_GET_AD_AWARD, { isUseADTime: false });
+        this.getAdRewardTimes = DailyMgr.inst.add("gatherEnergy.adReward");
+        return `已领取 ${this.getAdRewardTimes} 次`;
     }
 }
@@ -1,18 +1,23 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
-import account from "../../../account.js";
+import Scheduler from "#game/common/Scheduler.js";
+import account, { onAccountChange, isChanged } from "#config/account.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class HeroRankMgr {
     constructor() {
-        this.isProcessing = false;
         this.enabled = account.switch.herorank || false;
         this.buyNumDaily = 0;
         this.buyNumMax = 10;
-        LoopMgr.inst.add(this);
+        this.fighting = false;
+        // 每周一 0:05 开始打群英榜, 连续挑战可能持续较久
+        Scheduler.inst.register(this, { name: "herorank.fight", cron: "0 5 0 * * 1", timeout: 10 * 60 * 1000, run: () => this.startFight() });
+        onAccountChange((changed) => this.applyConfig(changed));
     }
 
+    static FEATURE = { id: "herorank", name: "群英榜", default: false, deps: [] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new HeroRankMgr();
@@ -20,8 +25,25 @@ export default class HeroRankMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 3701 群英榜 同步玩家信息
+        MsgBus.inst.on("SynHeroRankPlayerInfo", (t) => {
+            logger.debug("[群英镑管理] 同步玩家信息");
+            HeroRankMgr.inst.SyncData(t.playerInfo);
+        }, HeroRankMgr);
+
+        // 3702 排行榜和 3703 挑战结果由 fightLoop 中的 request 接收
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
+    }
+
+    applyConfig(changed) {
+        if (isChanged(changed, "switch.herorank")) {
+            this.enabled = account.switch.herorank || false;
+        }
     }
 
     SyncData(t) {
@@ -47,67 +69,58 @@ export default class HeroRankMgr {
         );
     }
 
-    getFightList(t) {
-        this.isProcessing = true;
-        logger.debug(`[群英镑管理] 收到群英镑列表${JSON.stringify(t, null, 2)}`);
-        if (t.ret === 0) {
-            this.rank = t.rank || null;
-            if (t.rank === 1) {
+    async startFight() {
+        if (!this.enabled || this.energy < 1 || this.rank === 1) {
+            logger.info("[群英镑管理] 体力不足, 或者已经打到第一名, 或者未开启速通群英榜");
+            return "跳过";
+        }
+        // 上一轮还没打完
+        if (this.fighting) {
+            return "正在挑战";
+        }
+
+        logger.info("[群英镑管理] 开始快速打群英镑");
+        this.fighting = true;
+        try {
+            return await this.fightLoop();
+        } catch (error) {
+            logger.error(`[群英镑管理] 挑战失败 ${error.message}`);
+            return "挑战失败";
+        } finally {
+            this.fighting = false;
+        }
+    }
+
+    // 请求列表后挑战第一个玩家, 胜利且还有体力时继续
+    async fightLoop() {
+        for (;;) {
+            const list = await GameNetMgr.inst.request(Protocol.S_HERORANK_GET_FIGHT_LIST, { type: 0 });
+            logger.debug(`[群英镑管理] 收到群英镑列表${JSON.stringify(list, null, 2)}`);
+            this.rank = list.rank || null;
+            if (list.rank === 1) {
                 logger.info("[群英镑管理] 当前排名第一, 不需要再打了");
-                return;
+                return "已是第一名";
             }
+
             // 找到第一个玩家 打败他
-            const player = this.findFirstHeroRankPlayer(t);
-            if (player) logger.info(`[群英镑管理] 找到玩家 ${player.showInfo.nickName} 准备攻击...`);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_HERORANK_FIGHT, {
+            const player = this.findFirstHeroRankPlayer(list);
+            if (!player) return "没有可挑战的玩家";
+            logger.info(`[群英镑管理] 找到玩家 ${player.showInfo.nickName} 准备攻击...`);
+            const result = await GameNetMgr.inst.request(Protocol.S_HERORANK_FIGHT, {
                 targetId: "0",
                 targetRank: player.rank,
                 masterId: player.masterId,
                 masterLv: player.masterLv,
                 appearanceId: player.showInfo.appearanceId,
                 cloudId: player.showInfo.equipCloudId,
-            }, null);
-        }
-        this.isProcessing = false;
-    }
+            });
+            logger.debug(`[群英镑] 收到群英镑战斗结果${JSON.stringify(result, null, 2)}`);
 
-    async doFight(t) {
-        this.isProcessing = true;
-        logger.debug(`[群英镑] 收到群英镑战斗结果${JSON.stringify(t, null, 2)}`);
-        if (t.ret === 0) {
-            this.energy = t.playerInfo.energy;
-            if (t.allBattleRecord.isWin) {
-                logger.info(`[群英镑] 当前排名: ${t.rank} 战斗胜利, 再次请求列表...`);
-                await new Promise((resolve) => setTimeout(resolve, 2000));
+            this.energy = result.playerInfo.energy;
+            if (!result.allBattleRecord.isWin || this.energy <= 0) {
+                return `当前排名 ${result.rank}`;
             }
-        }
-        this.isProcessing = false;
-    }
-
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            // 获取当前时间
-            const now = new Date();
-            const isMonday = now.getDay() === 1;
-            const isZeroFive = now.getHours() === 0 && now.getMinutes() === 5;
-
-            if (!this.enabled || this.energy < 1 || this.rank === 1 || !isMonday) {
-                logger.info("[群英镑管理] 停止循环。今天不是周一, 或者体力不足, 或者已经打到第一名, 或者未开启速通群英榜");
-                this.clear();
-                return;
-            }
-
-            if (this.enabled && this.energy > 0 && isZeroFive) {
-                logger.info("[群英镑管理] 开始快速打群英镑");
-                GameNetMgr.inst.sendPbMsg(Protocol.S_HERORANK_GET_FIGHT_LIST, { type: 0 }, null);
-            }
-        } catch (error) {
-            logger.error(`[群英镑管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+            logger.info(`[群英镑] 当前排名: ${result.rank} 战斗胜利, 再次请求列表...`);
         }
     }
 }
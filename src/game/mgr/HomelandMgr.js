@@ -1,9 +1,10 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
-import account from "../../../account.js";
-import UserMgr from "#game/mgr/UserMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import account, { onAccountChange, isChanged } from "#config/account.js";
+import GameState from "#game/common/GameState.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 class Homeland {
     static ExploreReq() {
@@ -58,10 +59,6 @@ export default class HomelandMgr {
             energy: 0,
             ready: false,
         };
-        this.lastLoop = {
-            manage: 0,
-            check: 0,
-        };
         this.player = {
             total: 0,            // 临时数据 总人数
             count: 0,            // 临时数据 已探寻人数
@@ -81,10 +78,10 @@ export default class HomelandMgr {
             failure: 0,          // 记录探寻失败次数
             maxFailure: 6,       // 连续 6 x 5 分钟未发现合适的福地, 且不在高产时间区间, 停止刷新福地
         };
-        
-        this.isProcessing = false;
 
-        LoopMgr.inst.add(this);
+        Scheduler.inst.register(this, { name: "homeland.manage", every: 5 * 1000, run: () => Homeland.Manage() });
+        Scheduler.inst.register(this, { name: "homeland.explore", every: 30 * 1000, run: () => this.explore() });
+        onAccountChange((changed) => this.applyConfig(changed));
     }
 
     static TRANSLATE = {
@@ -135,6 +132,8 @@ export default class HomelandMgr {
         { ItemId: 100047, minItemLv: 5, isCheck: false, description: "昆仑铁" },
     ]
 
+    static FEATURE = { id: "homeland", name: "福地偷桃", default: true, deps: [], config: "rules" };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new HomelandMgr();
@@ -142,8 +141,42 @@ export default class HomelandMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 1051 同步福地鼠宝数据
+        MsgBus.inst.on("SyncHomelandMsg", (t) => {
+            logger.debug("[福地管理] 同步福地鼠宝数据");
+            HomelandMgr.inst.doInit(t);
+        }, HomelandMgr);
+
+        // 1052 进入福地
+        MsgBus.inst.on("HomelandEnterResp", (t) => {
+            logger.debug("[福地管理] 进入福地");
+            HomelandMgr.inst.doEnter(t);
+        }, HomelandMgr);
+
+        // 1053 福地管理界面
+        MsgBus.inst.on("HomelandManageResp", (t) => {
+            logger.debug("[福地管理] 福地管理界面");
+            HomelandMgr.inst.doManage(t);
+        }, HomelandMgr);
+
+        // 1058 福地探寻
+        MsgBus.inst.on("HomelandExploreResp", (t) => {
+            logger.debug("[福地管理] 福地探寻");
+            HomelandMgr.inst.doExplore(t);
+        }, HomelandMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
+    }
+
+    applyConfig(changed) {
+        if (isChanged(changed, "rules")) {
+            this.rules = account.rules || HomelandMgr.DEAFULT_RULES;
+            logger.info(`[福地管理] 规则已更新, 将采集${this.generateRulesDescription(this.rules)}`);
+        }
     }
 
     deepCopy(obj) {
@@ -167,7 +200,7 @@ export default class HomelandMgr {
     }
 
     doManage(t) {
-        const playerId = UserMgr.playerId.toString();
+        const playerId = GameState.inst.user.playerId;
         const ongoing = [];
     
         const now = new Date();
@@ -226,7 +259,7 @@ export default class HomelandMgr {
         const enter = this.convertEnterData(t);
 
         // Analyze oneself individually
-        if (enter.id == UserMgr.playerId.toString()) {
+        if (enter.id == GameState.inst.user.playerId) {
             logger.debug(`[福地管理] 探查自己的福地!`);
             const result = this.checkItems([enter], "自己", true);
             if (result.length > 0) {
@@ -358,7 +391,7 @@ export default class HomelandMgr {
     }
 
     isIllegal(reward, playerId) {
-        if (playerId === UserMgr.playerId.toString()) {
+        if (String(playerId) === GameState.inst.user.playerId) {
             return reward.reward.indexOf("=") == -1 || reward.reward == -1 || reward.owner || reward.enemy;
         } else {
             return reward.reward.indexOf("=") == -1 || reward.reward == -1 || reward.owner || reward.enemy || reward.isOnlyOwnerPull;
@@ -461,41 +494,12 @@ export default class HomelandMgr {
         this.items.match = [];
     }
 
-    loopCheck() {
-        const now = Date.now();
-        const manageInterval = 5 * 1000; // 管理间隔
-        const checkInterval = 30 * 1000; // 检查间隔
-
-        if (now - this.lastLoop.manage >= manageInterval) {
-            Homeland.Manage();
-            this.lastLoop.manage = now;
-        }
-
-        if (now - this.lastLoop.check >= checkInterval && this.worker.ready) {
-            Homeland.ExploreReq();
-            Homeland.ExploreEnter(UserMgr.playerId)
-            this.lastLoop.check = now;
-        }
-    }
-
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (account.switch.homeland === false) {
-                logger.info("[福地管理] 未开启福地偷桃");
-                this.clear();
-                this.isProcessing = false;
-                return;
-            }
-
-            this.loopCheck()
-
-        } catch (error) {
-            logger.error(`[福地管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+    explore() {
+        if (!this.worker.ready) {
+            return "没有空闲老鼠";
         }
+        Homeland.ExploreReq();
+        Homeland.ExploreEnter(GameState.inst.user.playerId)
+        return "已探寻";
     }
 }
@@ -1,18 +1,25 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class MagicMgr {
     constructor() {
         this.AD_REWARD_DAILY_MAX_NUM = 2;   // 每日最大领取次数
         this.AD_REWARD_CD = 1000;           // 每次间隔时间
         this.FREE_NUM = 1;                  // 免费抽奖次数
-        this.isProcessing = false;
 
-        LoopMgr.inst.add(this);
+        DailyMgr.inst.onNewDay(this, () => {
+            this.getAdRewardTimes = 0;
+            this.freeDrawTimes = 0;
+        });
+        Scheduler.inst.register(this, { name: "magic.draw", every: this.AD_REWARD_CD, run: () => this.processReward() });
     }
 
+    static FEATURE = { id: "magic", name: "神通抽取", default: true, deps: [] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new MagicMgr();
@@ -20,49 +27,42 @@ export default class MagicMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 4400 神通数据同步
+        MsgBus.inst.on("PlayerMagicDataMsg", (t) => {
+            logger.debug("[神通管理] 神通数据同步");
+            MagicMgr.inst.checkReward(t);
+        }, MagicMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
     }
 
     checkReward(t) {
-        this.isProcessing = true;
-        this.getAdRewardTimes = t.magicFreeAd.freeTimes  || 0;
-        this.lastAdRewardTime = t.magicFreeAd.lastAdTime || 0;
-        this.freeDrawTimes = t.freeDrawTimes || 0;
-        this.isProcessing = false;
+        this.getAdRewardTimes = DailyMgr.inst.sync("magic.ad", t.magicFreeAd.freeTimes || 0);
+        this.freeDrawTimes = DailyMgr.inst.sync("magic.free", t.freeDrawTimes || 0);
     }
 
-    processReward() {
-        const now = Date.now();
-        if (this.getAdRewardTimes < this.AD_REWARD_DAILY_MAX_NUM && now - this.lastAdRewardTime >= this.AD_REWARD_CD) {
+    async processReward() {
+        if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM && this.freeDrawTimes >= this.FREE_NUM) {
+            this.clear();
+            logger.info("[神通管理] 达到每日最大领取次数，停止奖励领取");
+            return "今日已领完";
+        }
+
+        if (this.getAdRewardTimes < this.AD_REWARD_DAILY_MAX_NUM) {
             logger.info(`[神通管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_MAGIC_DERIVATION, { times: 1, isAd: true, isUseADTime: false }, null);
-            this.getAdRewardTimes++;
-            this.lastAdRewardTime = now;
+            await GameNetMgr.inst.request(Protocol.S_MAGIC_DERIVATION, { times: 1, isAd: true, isUseADTime: false });
+            this.getAdRewardTimes = DailyMgr.inst.add("magic.ad");
         }
 
         if (this.freeDrawTimes < this.FREE_NUM) {
             logger.info(`[神通管理] 还剩 ${this.FREE_NUM - this.freeDrawTimes} 次免费次数`);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_MAGIC_DERIVATION, { times: 1 }, null);
-            this.freeDrawTimes++;
-        }
-    }
-
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM && this.freeDrawTimes >= this.FREE_NUM) {
-                this.clear();
-                logger.info("[神通管理] 达到每日最大领取次数，停止奖励领取");
-            } else {
-                this.processReward();
-            }
-        } catch (error) {
-            logger.error(`[神通管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+            await GameNetMgr.inst.request(Protocol.S_MAGIC_DERIVATION, { times: 1 });
+            this.freeDrawTimes = DailyMgr.inst.add("magic.free");
         }
+        return `广告 ${this.getAdRewardTimes} 次, 免费 ${this.freeDrawTimes} 次`;
     }
 }
@@ -1,18 +1,28 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class MagicTreasureMgr {
     constructor() {
         this.AD_REWARD_DAILY_MAX_NUM = 2; // 每日最大领取次数
         this.AD_REWARD_CD = 1000;         // 每次间隔时间
         this.FREE_NUM = 2;                // 免费抽奖次数
-        this.isProcessing = false;
+        this.jackpotData = [];
 
-        LoopMgr.inst.add(this);
+        DailyMgr.inst.onNewDay(this, () => {
+            this.jackpotData.forEach((pool) => {
+                pool.adFreeTimes = 0;
+                pool.freeDrawTimes = 0;
+            });
+        });
+        Scheduler.inst.register(this, { name: "magicTreasure.draw", every: this.AD_REWARD_CD, run: () => this.processReward() });
     }
 
+    static FEATURE = { id: "magicTreasure", name: "法宝抽取", default: true, deps: [] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new MagicTreasureMgr();
@@ -20,12 +30,20 @@ export default class MagicTreasureMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 6301 玩家法宝数据同步
+        MsgBus.inst.on("MagicTreasurePlayerDataMsg", (t) => {
+            logger.debug("[法宝管理] 法宝数据同步");
+            MagicTreasureMgr.inst.checkReward(t);
+        }, MagicTreasureMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
     }
 
     checkReward(t) {
-        this.isProcessing = true;
         this.jackpotData = t.jackpotData;
     
         // 有时候会出现奇怪的情况，需要重新初始化
@@ -45,47 +63,32 @@ export default class MagicTreasureMgr {
             i.name = t.jackpotConfig[index].title;
             // t.jackpotConfig[index].drawItemCostParam删除=号后面的内容
             i.cost = t.jackpotConfig[index].drawItemCostParam.split("=")[0];
+            i.adFreeTimes = DailyMgr.inst.sync(`magicTreasure.ad.${i.poolId}`, i.adFreeTimes || 0);
+            i.freeDrawTimes = DailyMgr.inst.sync(`magicTreasure.free.${i.poolId}`, i.freeDrawTimes || 0);
         });
-        this.isProcessing = false;
     }
 
-    processReward() {
-        const now = Date.now();
+    async processReward() {
+        if (this.jackpotData.every(i => i.adFreeTimes >= this.AD_REWARD_DAILY_MAX_NUM) 
+            && this.jackpotData.every(i => i.freeDrawTimes >= this.FREE_NUM)) {
+            this.clear();
+            logger.info("[法宝管理] 达到每日最大领取次数，停止奖励领取");
+            return "今日已领完";
+        }
 
         for (const pool of this.jackpotData) {
-            if (pool.adFreeTimes < this.AD_REWARD_DAILY_MAX_NUM && now - pool.lastAdTime >= this.AD_REWARD_CD) {
+            if (pool.adFreeTimes < this.AD_REWARD_DAILY_MAX_NUM) {
                 logger.info(`[法宝管理] [${pool.name}] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - pool.adFreeTimes} 次广告激励`);
-                GameNetMgr.inst.sendPbMsg(Protocol.S_MAGIC_TREASURE_DRAW_REQ, { drawTimes: 1, isAd: true, poolId: pool.poolId, isUseADTime: false}, null);
-                pool.adFreeTimes++;
-                pool.lastAdTime = now;
+                await GameNetMgr.inst.request(Protocol.S_MAGIC_TREASURE_DRAW_REQ, { drawTimes: 1, isAd: true, poolId: pool.poolId, isUseADTime: false});
+                pool.adFreeTimes = DailyMgr.inst.add(`magicTreasure.ad.${pool.poolId}`);
             }
 
             if (pool.freeDrawTimes < this.FREE_NUM) {
                 logger.info(`[法宝管理] [${pool.name}] 还剩 ${this.FREE_NUM - pool.freeDrawTimes} 次免费次数`);
-                GameNetMgr.inst.sendPbMsg(Protocol.S_MAGIC_TREASURE_DRAW_REQ, { drawTimes: 1, isAd: false, poolId: pool.poolId, itemId: pool.cost}, null);
-                pool.freeDrawTimes++;
-            }
-        }
-    }
-
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.jackpotData.every(i => i.adFreeTimes >= this.AD_REWARD_DAILY_MAX_NUM) 
-                && this.jackpotData.every(i => i.freeDrawTimes >= this.FREE_NUM)) {
-                this.clear();
-                logger.info("[法宝管理] 达到每日最大领取次数，停止奖励领取");
-                this.isProcessing = false;
-                return;
-            } else {
-                this.processReward();
+                await GameNetMgr.inst.request(Protocol.S_MAGIC_TREASURE_DRAW_REQ, { drawTimes: 1, isAd: false, poolId: pool.poolId, itemId: pool.cost});
+                pool.freeDrawTimes = DailyMgr.inst.add(`magicTreasure.free.${pool.poolId}`);
             }
-        } catch (error) {
-            logger.error(`[法宝管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
         }
+        return this.jackpotData.map((pool) => `${pool.name} 广告 ${pool.adFreeTimes} 次, 免费 ${pool.freeDrawTimes} 次`).join("; ");
     }
 }
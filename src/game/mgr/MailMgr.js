@@ -0,0 +1,35 @@
+import GameNetMgr from "#game/net/GameNetMgr.js";
+import Protocol from "#game/net/Protocol.js";
+import MsgBus from "#game/net/MsgBus.js";
+import logger from "#utils/logger.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+
+export default class MailMgr {
+    constructor() {}
+
+    static FEATURES = [{ id: "mail", name: "邮件领取", default: true, deps: [] }];
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new MailMgr();
+        }
+        return this._instance;
+    }
+
+    // 订阅服务器消息
+    static subscribe() {
+        // 551 邮件列表数据同步
+        MsgBus.inst.on("MailListMsg", () => {
+            if (!FeatureMgr.inst.isEnabled("mail")) return;
+            MailMgr.inst.getAllReward();
+        }, MailMgr);
+    }
+
+    clear() {}
+
+    // 一键领取邮件奖励
+    getAllReward() {
+        logger.debug("[邮件管理] 一键领取邮件奖励");
+        GameNetMgr.inst.sendPbMsg(Protocol.S_MAIL_GET_ALL_REWARD, {}, null);
+    }
+}
@@ -1,11 +1,12 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class PalaceMgr {
     constructor() {}
 
-    static isMiracle = false;
+    static FEATURE = { id: "palace", name: "仙宫", default: true, deps: [] };
 
     static get inst() {
         if (!this._instance) {
@@ -14,6 +15,33 @@ export default class PalaceMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 4802 仙宫点赞同步
+        MsgBus.inst.on("PalaceWorshipRsp", (t) => {
+            logger.debug("[仙宫管理] 仙宫点赞同步");
+            PalaceMgr.inst.PalaceWorshipRsp(t);
+        }, PalaceMgr);
+
+        // 4803 仙宫外部数据请求
+        MsgBus.inst.on("EnterPalaceRsp", (t) => {
+            logger.debug("[仙宫管理] 仙宫外部数据请求");
+            PalaceMgr.inst.checkWorship(t);
+        }, PalaceMgr);
+
+        // 4808 仙宫送福数据同步
+        MsgBus.inst.on("SendGiftSyncMsg", (t) => {
+            logger.debug("[仙宫管理] 仙宫送福数据同步");
+            PalaceMgr.inst.checkReward(t);
+        }, PalaceMgr);
+
+        // 4809 仙宫神迹同步
+        MsgBus.inst.on("PalaceMiracleDataMsg", (t) => {
+            logger.debug("[仙宫管理] 仙宫神迹同步");
+            PalaceMgr.inst.checkMiracle(t);
+        }, PalaceMgr);
+    }
+
     clear() {}
 
     async checkReward(t) {
@@ -41,9 +69,7 @@ export default class PalaceMgr {
     checkMiracle(t) {
         if (t.miracleId !== 0) {
             logger.info(`[仙宫管理] 已膜拜成功`);
-            PalaceMgr.isMiracle = true;
         } else {
-            PalaceMgr.isMiracle = false;
             GameNetMgr.inst.sendPbMsg(Protocol.S_PALACE_SEND_GIFT_GET_REWARD, {titleId: 0, isRandom: 1}, null);
         }
     }
@@ -1,10 +1,14 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
 import { DBMgr } from "#game/common/DBMgr.js";
 import BagMgr from "#game/mgr/BagMgr.js";
-import account from "../../../account.js";
+import account, { onAccountChange, isChanged } from "#config/account.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
+import GameState from "#game/common/GameState.js";
 
 class Attribute {
     static Chop(times = 1) {
@@ -44,23 +48,25 @@ export default class PlayerAttributeMgr {
         this.AD_REWARD_CD = 30 * 60 * 1000;                         // 每次间隔时间 (30分钟)
         this.separation = false;                                    // 是否有分身
         this.equipmentData = { 0: [], 1: [], 2: [] };
-        this.fightValueData = { 0: [], 1: [], 2: [] };
+        this.fightValueData = { 0: 0, 1: 0, 2: 0 };                 // 各分身的妖力
         this.treeLevel = 1;                                         // 树等级
         this.chopTimes = 1;                                         // 根据树等级计算砍树次数
 
-        this.chopEnabled = account.switch.chopTree || false;        // 用于存储 chopTree 的定时任务
+        this.chopEnabled = FeatureMgr.inst.isEnabled("chopTree");  // 用于存储 chopTree 的定时任务
         this.previousPeachNum = 0;                                  // 用于存储上一次的桃子数量
 
         // 🔒储存状态防止同时砍树和灵脉时候出现问题
         this.isProcessing = false;
 
-        LoopMgr.inst.add(this);
+        DailyMgr.inst.onNewDay(this, () => (this.getAdRewardTimes = 0));
+        // 树状态同步后按服务器返回的冷却时间加速
+        Scheduler.inst.register(this, { name: "attribute.treeSpeedUp", after: "DreamDataMsg", every: this.AD_REWARD_CD, run: () => this.processReward() });
+        // 处理完掉落的装备后继续砍树, 间隔运行只用于回包丢失时恢复
+        Scheduler.inst.register(this, { name: "attribute.chopTree", every: 10 * 1000, run: () => this.chopLoop() });
+        onAccountChange((changed) => this.applyConfig(changed));
     }
 
-    static isMonthCardVip = false;  // 月卡
-    static isYearCardVip = false;   // 终身卡
-    static realmsId = 0;            // 等级
-    static fightValue = 0;          // 妖力
+    static FEATURES = [{ id: "chopTree", name: "自动砍树", default: false, deps: [], config: "chopTree" }];
 
     static get inst() {
         if (!this._instance) {
@@ -69,15 +75,55 @@ export default class PlayerAttributeMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 104 同步特权卡数据
+        MsgBus.inst.on("PrivilegeCardDataMsg", (t) => {
+            logger.debug("[玩家管理] 同步特权卡数据");
+            PlayerAttributeMgr.inst.SyncVip(t);
+        }, PlayerAttributeMgr);
+
+        // 201 玩家属性信息同步
+        MsgBus.inst.on("PlayerAttributeDataMsg", (t) => {
+            logger.debug("[玩家管理] 玩家属性信息同步");
+            PlayerAttributeMgr.inst.SyncAttribute(t);
+        }, PlayerAttributeMgr);
+
+        // 207 树状态
+        MsgBus.inst.on("DreamDataMsg", (t) => {
+            logger.debug("[玩家管理] 树状态同步");
+            PlayerAttributeMgr.inst.SyncTree(t);
+        }, PlayerAttributeMgr);
+
+        // 209 获取未处理装备数据
+        MsgBus.inst.on("GetUnDealEquipmentMsgResp", (t) => {
+            logger.debug("[玩家管理] 获取未处理装备数据");
+            PlayerAttributeMgr.inst.handlerEquipment(t);
+        }, PlayerAttributeMgr);
+
+        // 215 同步分身数据
+        MsgBus.inst.on("GetSeparationDataMsgListResp", (t) => {
+            logger.debug("[玩家管理] 同步分身数据");
+            PlayerAttributeMgr.inst.checkSeparation(t);
+        }, PlayerAttributeMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
+    }
+
+    // 砍树开关或停止条件修改后重新判断是否砍树, 其它 chopTree 配置在使用时读取
+    applyConfig(changed) {
+        if (isChanged(changed, "switch.chopTree") || isChanged(changed, "chopTree.stop")) {
+            this.chopEnabled = FeatureMgr.inst.isEnabled("chopTree");
+            Scheduler.inst.trigger("attribute.chopTree");
+        }
     }
 
     // 201 玩家属性信息同步
     SyncAttribute(t) {
-        PlayerAttributeMgr.realmsId = t.realmsId;
-        PlayerAttributeMgr.fightValue = t.fightValue;
-        logger.info(`[属性管理] 等级: ${PlayerAttributeMgr.realmsId} 妖力: ${PlayerAttributeMgr.fightValue}`);
+        const { realmsId, fightValue } = GameState.inst.attribute;
+        logger.info(`[属性管理] 等级: ${realmsId} 妖力: ${fightValue}`);
     }
 
     // 215 同步分身数据
@@ -90,9 +136,10 @@ export default class PlayerAttributeMgr {
             t.useSeparationDataMsg.forEach((data) => {
                 if (data.hasOwnProperty("index")) {
                     this.equipmentData[data.index] = data.equipmentList || [];
-                    this.fightValueData[data.index] = data.fightValueData || [];
+                    this.fightValueData[data.index] = Number(data.fightValue || 0);
                 }
             });
+            Scheduler.inst.trigger("attribute.chopTree");
         }
     }
 
@@ -127,6 +174,7 @@ export default class PlayerAttributeMgr {
                 }
             }
             this.isProcessing = false;
+            Scheduler.inst.trigger("attribute.chopTree");
         }
     }
 
@@ -275,7 +323,7 @@ export default class PlayerAttributeMgr {
 
     // 207 仙树初始化以及自动升级
     SyncTree(t) {
-        this.getAdRewardTimes = t.freeSpeedUpTimes || 0;
+        this.getAdRewardTimes = DailyMgr.inst.sync("attribute.treeSpeedUp", t.freeSpeedUpTimes || 0);
         this.dreamLvUpEndTime = parseInt(t.dreamLvUpEndTime, 10) || 0;
         this.lastAdRewardTime = parseInt(t.freeSpeedUpCdEndTime, 10) || 0;
         this.treeLevel = t.dreamLv;
@@ -298,36 +346,45 @@ export default class PlayerAttributeMgr {
         }
     }
 
-    processReward() {
+    async processReward() {
         const now = Date.now();
-        if (this.getAdRewardTimes < this.AD_REWARD_DAILY_MAX_NUM && now - this.lastAdRewardTime >= this.AD_REWARD_CD && this.dreamLvUpEndTime !== 0) {
-            logger.info(`[仙树管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
-
-            GameNetMgr.inst.sendPbMsg(Protocol.S_ATTRIBUTE_DREAM_LV_UP_SPEED_UP, { speedUpType: 1, useTimes: 1, isUseADTime: false }, null);
-            this.getAdRewardTimes++;
-            this.lastAdRewardTime = now;
+        if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
+            return "今日已领完";
+        }
+        // 没有在升级, 等下次树状态同步
+        if (!this.dreamLvUpEndTime) {
+            return "未在升级";
+        }
+        // 冷却没到时推迟到冷却结束
+        const wait = this.lastAdRewardTime + this.AD_REWARD_CD - now;
+        if (wait > 0) {
+            Scheduler.inst.delay("attribute.treeSpeedUp", wait);
+            return `冷却中 ${Math.ceil(wait / 1000)} 秒`;
         }
+
+        logger.info(`[仙树管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
+        await GameNetMgr.inst.request(Protocol.S_ATTRIBUTE_DREAM_LV_UP_SPEED_UP, { speedUpType: 1, useTimes: 1, isUseADTime: false });
+        this.getAdRewardTimes = DailyMgr.inst.add("attribute.treeSpeedUp");
+        this.lastAdRewardTime = now;
+        return `已加速 ${this.getAdRewardTimes} 次`;
     }
 
-    // 104 判断是否VIP
+    // 104 是否有特权卡由 GameState 判断, 这里领取当天的奖励
     SyncVip(t) {
-        const monthlyCardExpired = this.isExpired(t.monthlyCardEndTime);
+        const { monthCard, yearCard } = GameState.inst.vip;
         const getMonthlyCardRewardToday = this.isToday(t.getMonthlyCardRewardTime);
-        const yearCardExpired = this.isYearCardEndTimeNegativeOne(t.yearCardEndTime);
         const getYearCardRewardToday = this.isToday(t.getYearCardRewardTime);
 
-        if (!monthlyCardExpired) {
+        if (monthCard) {
             logger.info(`[玩家管理] 检测到月卡`);
-            PlayerAttributeMgr.isMonthCardVip = true;
             if (!getMonthlyCardRewardToday) {
                 logger.info(`[玩家管理] 月卡领取奖励`);
                 GameNetMgr.inst.sendPbMsg(Protocol.S_PRIVILEGE_CARD_RECEIVE_REWARD, { type: 1 }, null);
             }
         }
 
-        if (!yearCardExpired) {
+        if (yearCard) {
             logger.info(`[玩家管理] 检测到年卡`);
-            PlayerAttributeMgr.isYearCardVip = true;
             if (!getYearCardRewardToday) {
                 logger.info(`[玩家管理] 年卡领取奖励`);
                 GameNetMgr.inst.sendPbMsg(Protocol.S_PRIVILEGE_CARD_RECEIVE_REWARD, { type: 2 }, null);
@@ -335,37 +392,15 @@ export default class PlayerAttributeMgr {
         }
     }
 
-    isExpired(timestamp) {
-        const now = Date.now();
-        return parseInt(timestamp, 10) < now;
-    }
-
     isToday(timestamp) {
         const date = new Date(parseInt(timestamp, 10));
         const today = new Date();
         return date.getDate() === today.getDate() && date.getMonth() === today.getMonth() && date.getFullYear() === today.getFullYear();
     }
 
-    isYearCardEndTimeNegativeOne(timestamp) {
-        return !(Number(timestamp) !== 0);
-    }
-
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            // 自动升级仙树
-            this.processReward();
-
-            // 自动砍树
-            if (this.chopEnabled && this.separation) {
-                this.doChopTree();
-            }
-        } catch (error) {
-            logger.error(`[PlayerAttributeMgr] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
-        }
+    // 自动砍树, 处理装备时跳过
+    chopLoop() {
+        if (this.isProcessing || !this.chopEnabled || !this.separation) return;
+        this.doChopTree();
     }
 }
@@ -1,17 +1,21 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class PupilMgr {
     constructor() {
         this.AD_REWARD_DAILY_MAX_NUM = 2;   // 每日最大领取次数
         this.AD_REWARD_CD = 1000;           // 每次间隔时间
-        this.isProcessing = false;
 
-        LoopMgr.inst.add(this);
+        DailyMgr.inst.onNewDay(this, () => (this.getAdRewardTimes = 0));
+        Scheduler.inst.register(this, { name: "pupil.adReward", every: this.AD_REWARD_CD, run: () => this.processReward() });
     }
 
+    static FEATURE = { id: "pupil", name: "宗门弟子", default: true, deps: [] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new PupilMgr();
@@ -19,15 +23,22 @@ export default class PupilMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 11801 进入宗门系统
+        MsgBus.inst.on("EnterPupilSystemResp", (t) => {
+            logger.debug("[宗门管理] 进入宗门系统");
+            PupilMgr.inst.checkReward(t);
+            PupilMgr.inst.checkGraduatation(t);
+        }, PupilMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
     }
 
     checkReward(t) {
-        this.isProcessing = true;
-        this.getAdRewardTimes = t.getTimes  || 0;
-        this.lastAdRewardTime = 0;
-        this.isProcessing = false;
+        this.getAdRewardTimes = DailyMgr.inst.sync("pupil.adReward", t.getTimes || 0);
     }
 
     countElementsWithoutPupilData(siteList) {
@@ -42,56 +53,42 @@ export default class PupilMgr {
 
     async checkGraduatation(t) {
         if (t.ret === 0) {
-            // 判断是否可以招人
-            const invitationCount = this.countElementsWithoutPupilData(t.siteList);
-            if (invitationCount > 0) {
-                logger.info(`[宗门管理] 招 ${invitationCount} 人`);
-                for (let i = 0; i < invitationCount; i++) {
-                    GameNetMgr.inst.sendPbMsg(Protocol.S_PUPIL_RECRUIT, {}, null);
-                    await new Promise((resolve) => setTimeout(resolve, 1000));
+            try {
+                // 判断是否可以招人
+                const invitationCount = this.countElementsWithoutPupilData(t.siteList);
+                if (invitationCount > 0) {
+                    logger.info(`[宗门管理] 招 ${invitationCount} 人`);
+                    for (let i = 0; i < invitationCount; i++) {
+                        await GameNetMgr.inst.request(Protocol.S_PUPIL_RECRUIT, {});
+                    }
                 }
-            }
-    
-            // 判断是否可以出师
-            const graduationIndices = this.getGraduationIndices(t.siteList);
-            if (graduationIndices.length > 0) {
-                logger.info(`[宗门管理] 出师 ${graduationIndices.length} 人`);
-                for (let i = 0; i < graduationIndices.length; i++) {
-                    GameNetMgr.inst.sendPbMsg(Protocol.S_PUPIL_GRADUATE, { siteIndex: graduationIndices[i] }, null);
-                    await new Promise((resolve) => setTimeout(resolve, 1000));
-                    GameNetMgr.inst.sendPbMsg(Protocol.S_PUPIL_RECRUIT, {}, null);
-                    await new Promise((resolve) => setTimeout(resolve, 1000));
+
+                // 判断是否可以出师
+                const graduationIndices = this.getGraduationIndices(t.siteList);
+                if (graduationIndices.length > 0) {
+                    logger.info(`[宗门管理] 出师 ${graduationIndices.length} 人`);
+                    for (let i = 0; i < graduationIndices.length; i++) {
+                        await GameNetMgr.inst.request(Protocol.S_PUPIL_GRADUATE, { siteIndex: graduationIndices[i] });
+                        await GameNetMgr.inst.request(Protocol.S_PUPIL_RECRUIT, {});
+                    }
                 }
+            } catch (error) {
+                logger.error(`[宗门管理] 招收或出师失败 ${error.message}`);
             }
         }
     }
 
-    processReward() {
-        const now = Date.now();
-        if (this.getAdRewardTimes < this.AD_REWARD_DAILY_MAX_NUM && now - this.lastAdRewardTime >= this.AD_REWARD_CD) {
-            logger.info(`[宗门管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_PUPIL_GET_AD_REWARD, { isUseADTime: false }, null);
-            this.getAdRewardTimes++;
-            this.lastAdRewardTime = now;
+    async processReward() {
+        // TODO: 自动检查能量 毕业弟子
+        if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
+            this.clear();
+            logger.info("[宗门管理] 达到每日最大领取次数，停止奖励领取");
+            return "今日已领完";
         }
-    }
-
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
 
-        try {
-            if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
-                this.clear();
-                logger.info("[宗门管理] 达到每日最大领取次数，停止奖励领取");
-            } else {
-                this.processReward();
-            }
-            // TODO: 自动检查能量 毕业弟子
-        } catch (error) {
-            logger.error(`[宗门管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
-        }
+        logger.info(`[宗门管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
+        await GameNetMgr.inst.request(Protocol.S_PUPIL_GET_AD_REWARD, { isUseADTime: false });
+        this.getAdRewardTimes = DailyMgr.inst.add("pupil.adReward");
+        return `已领取 ${this.getAdRewardTimes} 次`;
     }
 }
@@ -1,17 +1,21 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
-import account from "../../../account.js";
+import Scheduler from "#game/common/Scheduler.js";
+import account, { onAccountChange, isChanged } from "#config/account.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class SecretTowerMgr {
     constructor() {
-        this.isProcessing = false;
         this.challenge = account.switch.challenge || 0;
         this.showResult = account.switch.showResult || false;
-        LoopMgr.inst.add(this);
+        Scheduler.inst.register(this, { name: "secretTower.challenge", every: 1000 * 10, run: () => this.doChallenge() });
+        onAccountChange((changed) => this.applyConfig(changed));
     }
 
+    static FEATURE = { id: "secretTower", name: "真火秘境", default: true, deps: [], config: "switch.challenge" };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new SecretTowerMgr();
@@ -19,8 +23,32 @@ export default class SecretTowerMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 5602 真火秘境战斗结果
+        MsgBus.inst.on("SecretTowerFightResp", (t) => {
+            logger.debug("[真火秘境管理] 真火秘境战斗结果");
+            SecretTowerMgr.inst.challengeResult(t);
+        }, SecretTowerMgr);
+
+        // 5605 真火秘境 秘境数据同步
+        MsgBus.inst.on("SynSecretTowerInfo", (t) => {
+            logger.debug("[真火秘境管理] 真火秘境数据同步");
+            SecretTowerMgr.inst.SyncData(t);
+        }, SecretTowerMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
+    }
+
+    applyConfig(changed) {
+        this.showResult = account.switch.showResult || false;
+        // 只有挑战次数被修改时才重置剩余次数
+        if (isChanged(changed, "switch.challenge")) {
+            this.challenge = account.switch.challenge || 0;
+            if (this.challenge > 0 && FeatureMgr.inst.isEnabled("secretTower")) Scheduler.inst.resume(this);
+        }
     }
 
     SyncData(t) {
@@ -35,24 +63,15 @@ export default class SecretTowerMgr {
         }
     }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.challenge == 0) {
-                this.clear();
-                logger.info("[真火秘境管理] 任务完成停止循环");
-            } else {
-                GameNetMgr.inst.sendPbMsg(Protocol.S_SECRETTOWER_FIGHT, {type: 1 }, null);
-                this.challenge--;
-                await new Promise((resolve) => setTimeout(resolve, 1000 * 10));
-            }
-
-        } catch (error) {
-            logger.error(`[真火秘境管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+    doChallenge() {
+        if (this.challenge == 0) {
+            this.clear();
+            logger.info("[真火秘境管理] 任务完成停止循环");
+            return "挑战完成";
         }
+
+        GameNetMgr.inst.sendPbMsg(Protocol.S_SECRETTOWER_FIGHT, {type: 1 }, null);
+        this.challenge--;
+        return `剩余 ${this.challenge} 次`;
     }
 }
@@ -1,17 +1,21 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class SpiritMgr {
     constructor() {
         this.AD_REWARD_DAILY_MAX_NUM = 2;   // 每日最大领取次数
         this.AD_REWARD_CD = 1000;           // 每次间隔时间
-        this.isProcessing = false;
 
-        LoopMgr.inst.add(this);
+        DailyMgr.inst.onNewDay(this, () => (this.getAdRewardTimes = 0));
+        Scheduler.inst.register(this, { name: "spirit.adReward", every: this.AD_REWARD_CD, run: () => this.processReward() });
     }
 
+    static FEATURE = { id: "spirit", name: "精怪广告", default: true, deps: [] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new SpiritMgr();
@@ -19,42 +23,33 @@ export default class SpiritMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 821 同步玩家精怪数据
+        MsgBus.inst.on("SpiritPlayerDataMsg", (t) => {
+            logger.debug("[精怪管理] 精怪数据同步");
+            SpiritMgr.inst.checkReward(t);
+        }, SpiritMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
     }
 
     checkReward(t) {
-        this.isProcessing = true;
-        this.getAdRewardTimes = t.spiritFreeAd.freeTimes  || 0;
-        this.lastAdRewardTime = t.spiritFreeAd.lastAdTime || 0;
-        this.isProcessing = false;
+        this.getAdRewardTimes = DailyMgr.inst.sync("spirit.adReward", t.spiritFreeAd.freeTimes || 0);
     }
 
-    processReward() {
-        const now = Date.now();
-        if (this.getAdRewardTimes < this.AD_REWARD_DAILY_MAX_NUM && now - this.lastAdRewardTime >= this.AD_REWARD_CD) {
-            logger.info(`[精怪管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_SPIRIT_DRAW, { drawTimes: 1, isAd: true, isUseADTime: false }, null);
-            this.getAdRewardTimes++;
-            this.lastAdRewardTime = now;
+    async processReward() {
+        if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
+            this.clear();
+            logger.info("[精怪管理] 达到每日最大领取次数，停止奖励领取");
+            return "今日已领完";
         }
-    }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
-                this.clear();
-                logger.info("[精怪管理] 达到每日最大领取次数，停止奖励领取");
-            } else {
-                this.processReward();
-            }
-        } catch (error) {
-            logger.error(`[精怪管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
-        }
+        logger.info(`[精怪管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次广告激励`);
+        await GameNetMgr.inst.request(Protocol.S_SPIRIT_DRAW, { drawTimes: 1, isAd: true, isUseADTime: false });
+        this.getAdRewardTimes = DailyMgr.inst.add("spirit.adReward");
+        return `已领取 ${this.getAdRewardTimes} 次`;
     }
 }
@@ -1,20 +1,26 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
-import PalaceMgr from "#game/mgr/PalaceMgr.js";
-import account from "../../../account.js";
+import Scheduler from "#game/common/Scheduler.js";
+import GameState from "#game/common/GameState.js";
+import account, { onAccountChange, isChanged } from "#config/account.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class TowerMgr {
     constructor() {
-        this.isProcessing = false;
         this.data = {};
         this.hasReward = false;
         this.challenge = account.switch.challenge || 0;
         this.showResult = account.switch.showResult || false;
-        LoopMgr.inst.add(this);
+        this.CHALLENGE_CD = 1000 * 10;
+        // 挑战之间间隔 10 秒, 镇妖塔数据同步后立即检查
+        Scheduler.inst.register(this, { name: "tower.challenge", every: this.CHALLENGE_CD, run: () => this.doChallenge() });
+        onAccountChange((changed) => this.applyConfig(changed));
     }
 
+    static FEATURE = { id: "tower", name: "镇妖塔", default: true, deps: ["palace"], config: "switch.challenge" };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new TowerMgr();
@@ -22,14 +28,39 @@ export default class TowerMgr {
         return this._instance;
     }
 
+    // 订阅服务器消息
+    static subscribe() {
+        // 761 镇妖塔数据同步
+        MsgBus.inst.on("TowerDataMsg", (t) => {
+            logger.debug("[镇妖塔管理] 同步镇妖塔数据");
+            TowerMgr.inst.SyncData(t);
+        }, TowerMgr);
+
+        // 762 镇妖塔挑战结果
+        MsgBus.inst.on("TowerChallengeResp", (t) => {
+            logger.debug("[镇妖塔管理] 镇妖塔挑战结果");
+            TowerMgr.inst.challengeResult(t);
+        }, TowerMgr);
+    }
+
     clear() {
-        LoopMgr.inst.remove(this);
+        Scheduler.inst.pause(this);
+    }
+
+    applyConfig(changed) {
+        this.showResult = account.switch.showResult || false;
+        // 只有挑战次数被修改时才重置剩余次数
+        if (isChanged(changed, "switch.challenge")) {
+            this.challenge = account.switch.challenge || 0;
+            if (this.challenge > 0 && FeatureMgr.inst.isEnabled("tower")) Scheduler.inst.resume(this);
+        }
     }
 
     SyncData(t) {
-        this.isProcessing = true;
         this.data = t || {};
-        this.isProcessing = false;
+        if (!this.hasReward) {
+            Scheduler.inst.trigger("tower.challenge");
+        }
     }
 
     challengeResult(t) {
@@ -44,39 +75,30 @@ export default class TowerMgr {
     processReward() {
         if (this.data.curPassId == 0 ) {
             // TODO 判断是否已开启仙宫
-            // if (!PalaceMgr.isMiracle && PalaceMgr.Enabled) {
-            if (!PalaceMgr.isMiracle) {
-                return;
+            if (!GameState.inst.palace.isMiracle) {
+                return "未开启仙宫神迹";
             }
             logger.info("[镇妖塔管理] 开始领取镇妖塔奖励");
             GameNetMgr.inst.sendPbMsg(Protocol.S_TOWER_VIEW_SAVE_SELECT, { markPreference: [{priority: 1,skillType: 1017},{priority: 2,skillType: 1018},{priority: 3,skillType: 1023},{priority: 4,skillType: 1024},{priority: 5,skillType: 1022}] }, null);
             GameNetMgr.inst.sendPbMsg(Protocol.S_TOWER_QUICK_CHANLLENGE, {}, null);
             GameNetMgr.inst.sendPbMsg(Protocol.S_TOWER_SELECT_BUFF, {index: 0, isOneKey: true}, null);
             this.hasReward = true;
+            return "已领取奖励";
         }
     }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
-
-        try {
-            if (this.hasReward) {
-                if (this.challenge == 0) {
-                    this.clear();
-                    logger.info("[镇妖塔管理] 任务完成停止循环");
-                } else {
-                    GameNetMgr.inst.sendPbMsg(Protocol.S_TOWER_CHALLENGE, {index: 0, isOneKey: true}, null);
-                    this.challenge--;
-                    await new Promise((resolve) => setTimeout(resolve, 1000 * 10));
-                }
-            } else {
-                this.processReward();
-            }
-        } catch (error) {
-            logger.error(`[镇妖塔管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+    doChallenge() {
+        if (!this.hasReward) {
+            return this.processReward();
+        }
+        if (this.challenge == 0) {
+            this.clear();
+            logger.info("[镇妖塔管理] 任务完成停止循环");
+            return "挑战完成";
         }
+
+        GameNetMgr.inst.sendPbMsg(Protocol.S_TOWER_CHALLENGE, {index: 0, isOneKey: true}, null);
+        this.challenge--;
+        return `剩余 ${this.challenge} 次`;
     }
 }
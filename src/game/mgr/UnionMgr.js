@@ -1,22 +1,19 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
-import UserMgr from "#game/mgr/UserMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import GameState from "#game/common/GameState.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class UnionMgr {
     constructor() {
-        this.unionId = null;              // 妖盟ID
-        this.memberNum = null;            // 妖盟成员数量
-        this.memberList = null;           // 妖盟成员列表
-        this.lastCheckTime = 0;           // 上次检查时间
         this.CHECK_CD = 1000 * 60 * 10;   // 每次间隔时间
 
-        this.isProcessing = false;
-
-        LoopMgr.inst.add(this);
+        Scheduler.inst.register(this, { name: "union.fightBoss", every: this.CHECK_CD, run: () => this.fightBoss() });
     }
 
+    static FEATURE = { id: "union", name: "妖盟任务", default: true, deps: [] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new UnionMgr();
@@ -24,23 +21,27 @@ export default class UnionMgr {
         return this._instance;
     }
 
-    clear() {
-        LoopMgr.inst.remove(this);
+    // 订阅服务器消息
+    static subscribe() {
+        // 2124 妖盟数据 推送我的妖盟数据更新
+        MsgBus.inst.on("MyUnionData", (t) => {
+            logger.debug("[妖盟管理] 妖盟数据同步");
+            UnionMgr.inst.pushMyUnionDataBroadcast(t);
+        }, UnionMgr);
+
+        // 2165 妖盟砍价数据同步
+        MsgBus.inst.on("CutPriceDataMsg", (t) => {
+            logger.debug("[妖盟管理] 妖盟砍价数据同步");
+            UnionMgr.inst.cutPriceSyncData(t);
+        }, UnionMgr);
     }
 
-    collectPlayerData(data) {
-        return data.map(member => ({
-            userId: member.playerData.playerId,
-            nickName: member.playerData.nickName
-        }));
+    clear() {
+        Scheduler.inst.pause(this);
     }
 
-    // 推送妖盟数据
+    // 推送妖盟数据, 妖盟 ID 和成员列表由 GameState 保存
     pushMyUnionDataBroadcast(t) {
-        this.unionId = t.unionId || null;
-        this.memberNum = t.memberNum || null;
-        this.memberList = this.collectPlayerData(t.memberList) || [];
-
         logger.info("[妖盟管理] 妖盟广告");
         GameNetMgr.inst.sendPbMsg(Protocol.S_WATCH_AD_TASK, { activityId: 0, conditionId: 120006, isUseADTime: false }, null);
         GameNetMgr.inst.sendPbMsg(Protocol.S_TASK_GET_REWARD, { taskId: [120006] }, null);
@@ -59,8 +60,9 @@ export default class UnionMgr {
     // 砍价
     cutPriceSyncData(t) {
         if (t) {
-            if (!t.records.find(record => record.userId === UserMgr.playerId)) {
-                logger.info(`[妖盟管理] ${UserMgr.nickName} 开始砍价`);
+            const { playerId, nickName } = GameState.inst.user;
+            if (!t.records.find(record => String(record.userId) === playerId)) {
+                logger.info(`[妖盟管理] ${nickName} 开始砍价`);
                 GameNetMgr.inst.sendPbMsg(Protocol.S_SPIRIT_DRAW, { bussinessId: t.bussinessId }, null);
             }
         }
@@ -68,41 +70,23 @@ export default class UnionMgr {
     }
 
     fightBoss() {
-        const now = Date.now();
-        if (now - this.lastCheckTime >= this.CHECK_CD) {
-
-            logger.info("[妖盟管理] 妖盟讨伐 妖盟布阵");
-            GameNetMgr.inst.sendPbMsg(Protocol.S_UNION_BOSS_ARRAYING, {}, null);
-            // TODO
-            logger.info("[妖盟管理] 妖盟讨伐 已满20人开始战斗");
-            GameNetMgr.inst.sendPbMsg(Protocol.S_UNION_BOSS_BATTLE, {}, null);
-
-            logger.debug("[妖盟管理] 妖盟讨伐 妖盟领奖");
-            GameNetMgr.inst.sendPbMsg(Protocol.S_UNION_BOSS_RECEIVE_REWARD, {}, null);
-
-            this.lastCheckTime = now;
+        // 获取当前时间
+        const now = new Date();
+        const isWeekend = now.getDay() === 6 || now.getDay() === 0;
+        if (!GameState.inst.union.unionId || isWeekend) {
+            logger.info("[妖盟管理] 未加入妖盟 或者 今天是周末");
+            this.clear();
+            return "未加入妖盟或周末";
         }
-    }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
+        logger.info("[妖盟管理] 妖盟讨伐 妖盟布阵");
+        GameNetMgr.inst.sendPbMsg(Protocol.S_UNION_BOSS_ARRAYING, {}, null);
+        // TODO
+        logger.info("[妖盟管理] 妖盟讨伐 已满20人开始战斗");
+        GameNetMgr.inst.sendPbMsg(Protocol.S_UNION_BOSS_BATTLE, {}, null);
 
-        try {
-            // 获取当前时间
-            const now = new Date();
-            const isWeekend = now.getDay() === 6 || now.getDay() === 0;
-            if (!this.unionId || isWeekend) {
-                logger.info("[妖盟管理] 未加入妖盟 或者 今天是周末");
-                this.clear();
-                return;
-            }
-
-            this.fightBoss();
-        } catch (error) {
-            logger.error(`[妖盟管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
-        }
+        logger.debug("[妖盟管理] 妖盟讨伐 妖盟领奖");
+        GameNetMgr.inst.sendPbMsg(Protocol.S_UNION_BOSS_RECEIVE_REWARD, {}, null);
+        return "已讨伐";
     }
 }
@@ -1,8 +0,0 @@
-export default class UserMgr {
-    constructor() {}
-    
-    static nickName = null;
-    static playerId = null;
-    static roleId = null;
-    static serverId = null;
-}
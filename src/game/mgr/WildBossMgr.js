@@ -1,19 +1,21 @@
 import GameNetMgr from "#game/net/GameNetMgr.js";
 import Protocol from "#game/net/Protocol.js";
 import logger from "#utils/logger.js";
-import LoopMgr from "#game/common/LoopMgr.js";
-import PlayerAttributeMgr from "#game/mgr/PlayerAttributeMgr.js";
-import PalaceMgr from "#game/mgr/PalaceMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+import GameState from "#game/common/GameState.js";
+import MsgBus from "#game/net/MsgBus.js";
 
 export default class WildBossMgr {
     constructor() {
-        this.AD_REWARD_DAILY_MAX_NUM = 6 + (PlayerAttributeMgr.isMonthCardVip ? 2 : 0);   // 每日最大领取次数
-        this.AD_REWARD_CD = 1000;                                                         // 每次间隔时间
-        this.isProcessing = false;
+        this.AD_REWARD_CD = 1000;   // 每次间隔时间
 
-        LoopMgr.inst.add(this);
+        DailyMgr.inst.onNewDay(this, () => (this.getAdRewardTimes = 0));
+        Scheduler.inst.register(this, { name: "wildBoss.repeat", every: this.AD_REWARD_CD, run: () => this.processReward() });
     }
 
+    static FEATURE = { id: "wildBoss", name: "挑战妖王", default: true, deps: ["palace"] };
+
     static get inst() {
         if (!this._instance) {
             this._instance = new WildBossMgr();
@@ -21,48 +23,45 @@ export default class WildBossMgr {
         return this._instance;
     }
 
-    clear() {
-        LoopMgr.inst.remove(this);
+    // 订阅服务器消息
+    static subscribe() {
+        // 731 妖王数据同步
+        MsgBus.inst.on("WildBossDataSync", (t) => {
+            logger.debug("[挑战妖王管理] 妖王数据同步");
+            WildBossMgr.inst.checkReward(t);
+        }, WildBossMgr);
     }
 
-    checkReward(t) {
-        this.isProcessing = true;
-        this.getAdRewardTimes = t.data.useRepeatTimes  || 0;
-        this.lastAdRewardTime = 0;
-        this.isProcessing = false;
+    clear() {
+        Scheduler.inst.pause(this);
     }
 
-    processReward() {
-        const now = Date.now();
+    // 每日最大领取次数, 月卡多 2 次
+    get AD_REWARD_DAILY_MAX_NUM() {
+        return 6 + (GameState.inst.vip.monthCard ? 2 : 0);
+    }
 
-        if (this.getAdRewardTimes < this.AD_REWARD_DAILY_MAX_NUM && now - this.lastAdRewardTime >= this.AD_REWARD_CD) {
-            // TODO 判断是否已开启仙宫
-            // if (!PalaceMgr.isMiracle && PalaceMgr.Enabled) {
-            if (!PalaceMgr.isMiracle) {
-                return;
-            }
-            logger.info(`[挑战妖王管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次`);
-            GameNetMgr.inst.sendPbMsg(Protocol.S_WILDBOSS_REPEAT, {}, null);
-            this.getAdRewardTimes++;
-            this.lastAdRewardTime = now;
-        }
+    checkReward(t) {
+        this.getAdRewardTimes = DailyMgr.inst.sync("wildBoss.repeat", t.data.useRepeatTimes || 0);
     }
 
-    async loopUpdate() {
-        if (this.isProcessing) return;
-        this.isProcessing = true;
+    async processReward() {
+        // 次数和是否开启神迹都要等特权卡和仙宫数据同步后才能判断
+        if (!GameState.inst.isReady("vip", "palace")) {
+            return "等待同步";
+        }
+        if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
+            this.clear();
+            logger.info("[挑战妖王管理] 达到每日最大领取次数，停止奖励领取");
+            return "今日已完成";
+        }
 
-        try {
-            if (this.getAdRewardTimes >= this.AD_REWARD_DAILY_MAX_NUM) {
-                this.clear();
-                logger.info("[挑战妖王管理] 达到每日最大领取次数，停止奖励领取");
-            } else {
-                this.processReward();
-            }
-        } catch (error) {
-            logger.error(`[挑战妖王管理] loopUpdate error: ${error}`);
-        } finally {
-            this.isProcessing = false;
+        if (!GameState.inst.palace.isMiracle) {
+            return "未开启仙宫神迹";
         }
+        logger.info(`[挑战妖王管理] 还剩 ${this.AD_REWARD_DAILY_MAX_NUM - this.getAdRewardTimes} 次`);
+        await GameNetMgr.inst.request(Protocol.S_WILDBOSS_REPEAT, {});
+        this.getAdRewardTimes = DailyMgr.inst.add("wildBoss.repeat");
+        return `已挑战 ${this.getAdRewardTimes} 次`;
     }
 }
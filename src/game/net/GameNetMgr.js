@@ -1,31 +1,89 @@
 
-import async from 'async';
-
 import Protocol from '#game/net/Protocol.js';
 import { Stream } from '#game/net/Stream.js';
 import { ProtobufMgr } from '#game/net/ProtobufMgr.js';
 import { NetSocket, NetState } from '#game/net/NetSocket.js';
+import { NetError, RequestTimeoutError, DisconnectedError, SendDroppedError, ResponseRetError } from '#game/net/NetError.js';
+import { TrafficRecorder } from '#game/net/TrafficRecorder.js';
+import SendQueue from '#game/net/SendQueue.js';
+import Heartbeat from '#game/net/Heartbeat.js';
+import LoginSync from '#game/net/LoginSync.js';
+import MsgValidator from '#game/net/MsgValidator.js';
+import MsgBus from '#game/net/MsgBus.js';
+import UnknownTraffic, { UnknownKind } from '#game/net/UnknownTraffic.js';
+import { ExitReason, RATE_LIMIT_RET, classifyLoginError, exitWithReason } from '#supervisor/ExitReason.js';
 
 import logger from "#utils/logger.js";
-import MsgRecvMgr from '#game/common/MsgRecvMgr.js';
-import LoopMgr from '#game/common/LoopMgr.js';
+import Scheduler from '#game/common/Scheduler.js';
+import account, { onAccountChange, isChanged } from '#config/account.js';
+
+// 连接状态: 断开 -> 连接中 -> 登录中 -> 同步中 -> 在线, 断线后进入等待重连, 重连次数用完后为失败
+const ConnState = {
+    DISCONNECTED: "disconnected",
+    CONNECTING: "connecting",
+    AUTHENTICATING: "authenticating",
+    SYNCING: "syncing",
+    ONLINE: "online",
+    BACKOFF: "backoff",
+    FATAL: "fatal",
+};
 
 class GameNetMgr {
     constructor() {
         this.token = null;
         this.playerId = null;
+        // 使用缓存的 token 时设置, 登录被拒绝后用来重新获取 token
+        this.tokenRefresher = null;
         // Server
         this.net = new NetSocket();
-        this.isLogined = false;
         this._closed = false;
-        // Restart
-        this.maxReconnectNum = 2;
-        this.reConnectTimes = 0;
-        this.isReconnectNum = 0;
+        // 连接状态和重连
+        this.state = ConnState.DISCONNECTED;
+        this.stateListeners = [];
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        // 最近一次收到操作过于频繁错误码的时间
+        this.rateLimitedAt = 0;
         // handlers
         this.handlers = {};
+        // Request smMsgId -> 等待回包的请求队列
+        this.pendingRequests = {};
+        this.requestTimeout = 10 * 1000;
         // Msg
         this.sendMsgLength = 0;
+        // 发送限速
+        this.sendQueue = new SendQueue(account.sendLimit);
+        // 心跳存活检测
+        this.heartbeat = new Heartbeat(account.heartbeat);
+        // 等待登录同步完成
+        this.loginSync = new LoginSync(account.loginSync);
+        // 发送前检查消息字段
+        this.validator = new MsgValidator(account.sendValidation);
+        // 账号在别处登录, 被挤下线
+        MsgBus.inst.on("OtherLoginMsg", () => {
+            logger.warn("[登录] 账号在别处登录, 已被挤下线");
+            this.close();
+            exitWithReason(ExitReason.KICKED, "账号在别处登录");
+        }, this);
+        onAccountChange((changed) => {
+            if (isChanged(changed, "sendLimit")) {
+                this.sendQueue.configure(account.sendLimit);
+                logger.info("[发送队列] 限速配置已更新");
+            }
+            if (isChanged(changed, "heartbeat")) {
+                this.heartbeat.configure(account.heartbeat);
+                this.net.heartbeatStart(this.heartbeat.interval);
+                logger.info("[心跳] 配置已更新");
+            }
+            if (isChanged(changed, "sendValidation")) {
+                this.validator.configure(account.sendValidation);
+            }
+            if (isChanged(changed, "loginSync")) {
+                this.loginSync.configure(account.loginSync);
+            }
+        });
+        // 只在在线 (登录同步完成) 时运行定时任务, 断线期间发送的消息会丢失
+        this.onStateChange((state) => (state === ConnState.ONLINE ? Scheduler.inst.start() : Scheduler.inst.stop()));
     }
 
     static get inst() {
@@ -40,103 +98,199 @@ class GameNetMgr {
         this.token = token;
 
         this._closed = false;
+        this.reconnectAttempts = 0;
         this.net.initWithUrl(url);
         this.net.addHandler(this.ping.bind(this), this.parseArrayBuffMsg.bind(this));
 
+        this.setState(ConnState.CONNECTING);
         this.net.connect(this.netStateChangeHandler.bind(this));
-        this.isLogined = true;
 
         // 开始心跳
-        GameNetMgr.inst.net.heartbeatStart();
-        // 开始循环任务
-        LoopMgr.inst.start()
+        GameNetMgr.inst.net.heartbeatStart(this.heartbeat.interval);
     }
 
-    netStateChangeHandler(state) {
-        this.netConnState = state;
+    onStateChange(listener) {
+        this.stateListeners.push(listener);
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        const prev = this.state;
+        this.state = state;
+        logger.debug(`[连接] ${prev} -> ${state}`);
+        this.stateListeners.forEach((listener) => {
+            try {
+                listener(state, prev);
+            } catch (error) {
+                logger.error(`[连接] 状态回调失败 ${error.message}`);
+            }
+        });
+    }
+
+    isOnline() {
+        return this.state === ConnState.ONLINE;
+    }
 
-        switch (this.netConnState) {
+    netStateChangeHandler(state) {
+        switch (state) {
             case NetState.NET_CONNECT:
                 this.netConnectHandler();
                 break;
             case NetState.NET_CLOSE:
-                this.netCloseHandler();
+                this.handleDisconnect("已断开连接");
                 break;
             case NetState.NET_ERROR:
-                this.netErrorHandler();
+                this.handleDisconnect("连接错误");
                 break;
         }
     }
 
     netConnectHandler() {
-        this._closed = false;
-        this.reConnectTimes = 0;
-        this.isReconnectNum = 0;
-        this.login();
         logger.info("[WebSocket] 连接成功");
+        this.heartbeat.reset();
+        this.setState(ConnState.AUTHENTICATING);
+        this.login();
     }
 
-    netCloseHandler() {
-        logger.error("[WebSocket] 已断开连接");
-        if (!this._closed) {
-            this.reConnectTimes += 1;
-            if (this.reConnectTimes <= 100) this.reConnect();
-        }
-    }
-
-    netErrorHandler() {
-        logger.error("[WebSocket] 连接错误");
-        this.reConnect();
-    }
-
-    reConnect() {
-        if (!this._closed) {
-
-            async.waterfall([
-                (callback) => {
-                    if (this.isReconnectNum < this.maxReconnectNum) {
-                        const delay = 1000 * this.isReconnectNum;
-                        this.isReconnectNum++;
-                        setTimeout(() => {
-                            logger.warn("[WebSocket] 开始重连");
-                            GameNetMgr.inst.net.reConnect();
-                            GameNetMgr.inst.handlers = {};
-                            callback(null, true);
-                        }, delay);
-                    } else {
-                        callback(null, false);
-                    }
-                },
-                (isReconnected, callback) => {
-                    if (isReconnected) {
-                        callback(null, isReconnected, false);
-                    } else {
-                        logger.error("[WebSocket] 重连超过次数");
-                    }
-                },
-                (isReconnected, callback) => {
-                    if (!isReconnected) {
-                        this.isReconnectNum = 0;
-                        this.close();
-                    }
-                    callback();
-                }
-            ], (err) => {
-                if (err) console.error(err);
-            });
+    handleDisconnect(reason) {
+        // 同一次断线会先后收到 error 和 close, 只处理第一次
+        if (this._closed || ![ConnState.CONNECTING, ConnState.AUTHENTICATING, ConnState.SYNCING, ConnState.ONLINE].includes(this.state)) {
+            return;
+        }
+
+        logger.error(`[WebSocket] ${reason}`);
+        // 刚收到操作过于频繁的错误码后断开, 是被服务器踢下线, 马上重连还会被踢, 交给守护进程退避
+        if (this.rateLimitedAt && Date.now() - this.rateLimitedAt < 10 * 1000) {
+            this.setState(ConnState.FATAL);
+            this.close();
+            exitWithReason(ExitReason.RATE_LIMITED, "操作过于频繁被踢下线");
+            return;
+        }
+        this.loginSync.cancel();
+        this.rejectPendingRequests();
+        this.clearSendQueue();
+        this.clearHandlers();
+        this.setState(ConnState.DISCONNECTED);
+        this.scheduleReconnect();
+    }
+
+    /**
+     * @description 按 account.reconnect 指数退避重连, 等待时间 = min(base * factor^(n-1), max) + 0~jitter 毫秒。
+     * 登录成功后次数清零, 连续失败 attempts 次后退出, 由守护进程按重启策略处理。
+     */
+    scheduleReconnect() {
+        const { attempts = 5, base = 1000, factor = 2, max = 60 * 1000, jitter = 1000 } = account.reconnect || {};
+        this.reconnectAttempts++;
+
+        if (this.reconnectAttempts > attempts) {
+            logger.error(`[WebSocket] 重连 ${attempts} 次失败`);
+            this.setState(ConnState.FATAL);
+            this.close();
+            // 连接断开且重连失败, 通常是服务器维护, 交给守护进程稍后重启
+            exitWithReason(ExitReason.MAINTENANCE, `重连 ${attempts} 次失败`);
+            return;
         }
+
+        const delay = Math.round(Math.min(base * factor ** (this.reconnectAttempts - 1), max) + Math.random() * jitter);
+        logger.warn(`[WebSocket] ${(delay / 1000).toFixed(1)} 秒后第 ${this.reconnectAttempts}/${attempts} 次重连`);
+        this.setState(ConnState.BACKOFF);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this._closed) return;
+            logger.warn("[WebSocket] 开始重连");
+            this.setState(ConnState.CONNECTING);
+            this.net.reConnect();
+        }, delay);
     }
 
+    /**
+     * @description 登录流程: 发送登录请求, 等待登录同步 (S_LOGIN_SYNC_OVER 和 account.loginSync.required 中的同步消息) 完成或超时,
+     * 然后进入在线状态开始运行各功能。同步消息紧跟在登录回包之后下发, 所以在发送登录请求前就开始记录。
+     * 每次连接成功 (包括重连) 都会重新走一遍。
+     */
     login() {
         const loginData = {
             token: this.token,
             language: "zh_cn"
         };
-        this.sendPbMsg(Protocol.S_PLAYER_LOGIN, loginData, null);
+        const sync = this.loginSync.begin();
+        this.request(Protocol.S_PLAYER_LOGIN, loginData).then(async () => {
+            this.setState(ConnState.SYNCING);
+            const result = await sync;
+            // 同步期间断线, 重连后重新登录
+            if (!result || this.state !== ConnState.SYNCING) return;
+
+            if (result.complete) {
+                logger.debug(`[登录] 登录同步完成 ${result.elapsed}ms`);
+            } else {
+                logger.warn(`[登录] 等待登录同步超时, 缺少 ${result.missing.join(", ")}`);
+            }
+            if (this.reconnectAttempts > 0) {
+                logger.info(`[登录] 重连成功`);
+            }
+            this.reconnectAttempts = 0;
+            this.setState(ConnState.ONLINE);
+        }).catch(async (error) => {
+            this.loginSync.cancel();
+            if (error instanceof ResponseRetError && error.ret !== RATE_LIMIT_RET && this.tokenRefresher) {
+                logger.warn(`[登录] 缓存的 token 被拒绝 ret: ${error.ret}, 重新获取 token`);
+                await this.refreshToken();
+            } else if (error instanceof ResponseRetError) {
+                logger.error(`[登录] 游戏服务器拒绝登录 ret: ${error.ret}`);
+                this.setState(ConnState.FATAL);
+                this.close();
+                exitWithReason(classifyLoginError(error), `游戏登录返回错误码 ${error.ret}`);
+            } else {
+                logger.warn(`[登录] ${error.message}`);
+                // 登录超时时断开重连, 连接已断开时由 handleDisconnect 处理
+                if (error instanceof RequestTimeoutError) {
+                    this.net.close();
+                }
+            }
+        });
+    }
+
+    async refreshToken() {
+        const tokenRefresher = this.tokenRefresher;
+        this.tokenRefresher = null;
+        try {
+            const { wsAddress, playerId, token } = await tokenRefresher();
+            this.playerId = playerId;
+            this.token = token;
+            // 缓存的游戏服地址可能已经变了 (如合服), 换到新地址后断开重连
+            if (wsAddress && wsAddress !== this.net.url) {
+                logger.warn(`[登录] 游戏服地址已变化 ${this.net.url} -> ${wsAddress}`);
+                this.net.initWithUrl(wsAddress);
+                if (this.net.isConnected()) {
+                    this.net.close();
+                }
+                return;
+            }
+        } catch (error) {
+            logger.error(`[登录] 重新获取 token 失败 ${error.message}`);
+            this.setState(ConnState.FATAL);
+            this.close();
+            exitWithReason(classifyLoginError(error), error.message);
+            return;
+        }
+
+        // 连接已断开时, 重连成功后会使用新 token 登录
+        if (this.net.isConnected()) {
+            this.login();
+        }
     }
 
+    // 心跳在下一次心跳前没有回包视为超时, 连续超时时断开重连
     ping() {
-        this.sendPbMsg(Protocol.S_PLAYER_PING, null, null);
+        const sentAt = Date.now();
+        this.request(Protocol.S_PLAYER_PING, null, { timeout: this.heartbeat.interval, checkRet: false })
+            .then(() => this.heartbeat.pong(Date.now() - sentAt))
+            .catch((error) => {
+                if (error instanceof RequestTimeoutError && this.heartbeat.timeout(sentAt)) {
+                    logger.error(`[心跳] 连续 ${this.heartbeat.maxMissed} 次没有回包, 连接已失效`);
+                    this.net.terminate();
+                }
+            });
     }
 
     addHandler(msgId, handler) {
@@ -148,9 +302,13 @@ class GameNetMgr {
         };
     }
 
-    sendPbMsg(msgId, msgData, callback, extraCmd) {
+    /**
+     * @param {Function} [onDrop] 排队期间因队列已满被挤掉时调用
+     * @returns {boolean} 是否进入发送队列, 未连接、参数错误或队列已满被丢弃时为 false
+     */
+    sendPbMsg(msgId, msgData, callback, extraCmd, onDrop = null) {
         if (!this.net.isConnected()) {
-            return;
+            return false;
         }
 
         // Create a new message stream
@@ -162,7 +320,11 @@ class GameNetMgr {
         stream.writeLong(this.playerId);
 
         if (stream.pbMsg) {
-            const body = stream.pbMsg.encode(msgData).finish();
+            if (!this.validator.check(msgId, stream.pbMsg, msgData)) {
+                return false;
+            }
+            // fromObject 负责把枚举名、字符串形式的 int64 等转换为编码需要的值
+            const body = stream.pbMsg.encode(stream.pbMsg.fromObject(msgData ?? {})).finish();
             stream.writeBytes(body, 18);
         }
 
@@ -183,68 +345,201 @@ class GameNetMgr {
             this.addHandler(extraCmd, callback);
         }
 
-        this.net.sendMsg(stream);
+        // 经过发送队列限速, 排队期间断开的消息不再发送
+        return this.sendQueue.push(msgId, () => {
+            if (this.net.isConnected()) {
+                this.net.sendMsg(stream);
+            }
+        }, onDrop);
+    }
+
+    // 输出发送队列和心跳延迟
+    reportNet() {
+        const { depth, categories, sent, dropped, maxDepth, avgWait, maxWait } = this.sendQueue.stats();
+        logger.info(`[发送队列] 积压 ${depth} ${JSON.stringify(categories)} 已发送 ${sent} 丢弃 ${dropped} 最大积压 ${maxDepth} 平均等待 ${avgWait}ms 最长等待 ${maxWait}ms`);
+        const { last, min, avg, p95, max, totalMissed } = this.heartbeat.stats();
+        logger.info(`[心跳] 延迟 ${last}ms 最小 ${min}ms 平均 ${avg}ms p95 ${p95}ms 最大 ${max}ms 超时 ${totalMissed} 次`);
+        return `积压 ${depth}, 平均延迟 ${avg}ms`;
+    }
+
+    // 断线后不会再收到回包
+    clearHandlers() {
+        const count = Object.keys(this.handlers).length;
+        if (count > 0) {
+            logger.debug(`[连接] 清除 ${count} 个未收到回包的回调`);
+        }
+        this.handlers = {};
+    }
+
+    clearSendQueue() {
+        const dropped = this.sendQueue.clear();
+        if (dropped > 0) {
+            logger.warn(`[发送队列] 连接断开, 丢弃 ${dropped} 条未发送的消息`);
+        }
+    }
+
+    /**
+     * @description 发送请求并等待回包, 回包协议由 cmdList[msgId].smMsgId 确定。
+     * 同类型的多个请求按发送顺序排队匹配回包。
+     * @param {number} msgId 请求协议号
+     * @param {object} msgData 请求数据
+     * @param {{ timeout?: number, checkRet?: boolean }} [options] checkRet 为 true 时 ret 不为 0 会以 ResponseRetError 拒绝
+     * @returns {Promise<object>} 解码后的回包
+     */
+    request(msgId, msgData, { timeout = this.requestTimeout, checkRet = true } = {}) {
+        return new Promise((resolve, reject) => {
+            const protoCmd = ProtobufMgr.inst.cmdList[msgId];
+            if (!protoCmd || !protoCmd.smMsgId) {
+                reject(new NetError(`[Request] ${msgId} 没有对应的回包协议`, msgId));
+                return;
+            }
+
+            if (!this.net.isConnected()) {
+                reject(new DisconnectedError(msgId));
+                return;
+            }
+
+            const smMsgId = protoCmd.smMsgId;
+            const pending = { msgId, checkRet, resolve, reject, timer: null };
+            // 排队期间被挤掉时立即失败, 不再等待回包
+            const onDrop = () => {
+                clearTimeout(pending.timer);
+                this.removePendingRequest(smMsgId, pending);
+                reject(new SendDroppedError(msgId));
+            };
+
+            // 回包不会早于发送, 先发送以便参数错误或队列已满被丢弃时不再等待
+            if (!this.sendPbMsg(msgId, msgData, null, null, onDrop)) {
+                reject(new NetError(`[Request] ${Protocol.getName(msgId)} 参数错误或发送队列已满, 未发送`, msgId));
+                return;
+            }
+
+            pending.timer = setTimeout(() => {
+                this.removePendingRequest(smMsgId, pending);
+                reject(new RequestTimeoutError(msgId, timeout));
+            }, timeout);
+
+            if (!this.pendingRequests[smMsgId]) {
+                this.pendingRequests[smMsgId] = [];
+            }
+            this.pendingRequests[smMsgId].push(pending);
+        });
+    }
+
+    resolvePendingRequest(smMsgId, msgData) {
+        const queue = this.pendingRequests[smMsgId];
+        if (!queue || queue.length === 0) {
+            return false;
+        }
+
+        const pending = queue.shift();
+        clearTimeout(pending.timer);
+        if (pending.checkRet && typeof msgData.ret === "number" && msgData.ret !== 0) {
+            pending.reject(new ResponseRetError(pending.msgId, msgData.ret, msgData));
+        } else {
+            pending.resolve(msgData);
+        }
+        return true;
+    }
+
+    removePendingRequest(smMsgId, pending) {
+        const queue = this.pendingRequests[smMsgId];
+        if (queue) {
+            const index = queue.indexOf(pending);
+            if (index !== -1) {
+                queue.splice(index, 1);
+            }
+        }
+    }
+
+    rejectPendingRequests() {
+        const pendingRequests = this.pendingRequests;
+        this.pendingRequests = {};
+        for (const smMsgId in pendingRequests) {
+            pendingRequests[smMsgId].forEach((pending) => {
+                clearTimeout(pending.timer);
+                pending.reject(new DisconnectedError(pending.msgId));
+            });
+        }
     }
 
     parseArrayBuffMsg(arrayBuffer) {
+        if (TrafficRecorder.inst.enabled) {
+            TrafficRecorder.inst.record("in", arrayBuffer);
+        }
+        this.heartbeat.inbound();
+
+        let msgId = 0;
+        let msgData;
         try {
             const stream = new Stream();
             stream.initByBuff(arrayBuffer, NetSocket.BYTES_OF_MSG_HEADER);
             stream.readShort();
             const length = stream.readInt();
-            const msgId = stream.readInt();
-
-            const protoMsg = ProtobufMgr.inst.getMsg(msgId, false, true);
-            const msgBody = new Uint8Array(arrayBuffer.subarray(NetSocket.BYTES_OF_MSG_HEADER, length));
+            msgId = stream.readInt();
 
-            if (protoMsg) {
-                const parsedMsg = protoMsg.decode(msgBody);
-                // logger.info(`msgId: ${msgId} ${JSON.stringify(parsedMsg)}`);
-                this.resvHandler(msgId, parsedMsg);
+            const protoMsg = ProtobufMgr.inst.getMsg(msgId, false);
+            if (!protoMsg) {
+                UnknownTraffic.inst.record(msgId, UnknownKind.UNKNOWN, { bytes: arrayBuffer });
+                return;
             }
+            msgData = protoMsg.decode(new Uint8Array(arrayBuffer.subarray(NetSocket.BYTES_OF_MSG_HEADER, length)));
         } catch (error) {
-            logger.debug(`[未知协议] ${this.toHexString(new Uint8Array(arrayBuffer))}`);
+            UnknownTraffic.inst.record(msgId, UnknownKind.DECODE_ERROR, { bytes: arrayBuffer, error });
+            return;
         }
-    }
 
-    toHexString = (bytes) => {
-        let hex = [];
-        for (let i = 0; i < bytes.length; i++) {
-            let current = bytes[i] < 0 ? bytes[i] + 256 : bytes[i];
-            hex.push((current >>> 4).toString(16));
-            hex.push((current & 0xf).toString(16));
+        // 处理出错只影响这一条消息, 不中断连接
+        try {
+            this.resvHandler(msgId, msgData);
+        } catch (error) {
+            logger.error(`[消息] 处理 ${MsgBus.nameOf(msgId) || msgId} 失败 ${error.stack || error}`);
         }
-        return hex.join("");
-    };
+    }
 
     resvHandler(msgId, msgData) {
         if (msgData) {
-            if (msgId && this.handlers[msgId]) {
+            if (msgData.ret === RATE_LIMIT_RET) {
+                this.rateLimitedAt = Date.now();
+                logger.warn(`[消息] ${MsgBus.nameOf(msgId) || msgId} 返回操作过于频繁 (ret: ${RATE_LIMIT_RET})`);
+            }
+
+            // 等待回包的请求和回调先拿到结果, 订阅者和等待该消息的任务照常收到
+            let consumed = this.resolvePendingRequest(msgId, msgData);
+            if (!consumed && msgId && this.handlers[msgId]) {
                 const handler = this.handlers[msgId];
                 delete this.handlers[msgId];
                 handler.call(this, msgData);
-            } else {
-                const protoCmd = ProtobufMgr.inst.resvCmdList[msgId].smMethod.split(".");
-                const method = protoCmd[protoCmd.length - 1];
-
-                if (MsgRecvMgr[method]) {
-                    logger.debug(`[Handler] 找到处理函数: ${method} msgId: ${msgId} ${JSON.stringify(msgData)}`);
-                    MsgRecvMgr[method](msgData, msgId);
-                } else {
-                    logger.debug(`[Handler] 未找到处理函数: ${method}`);
-                }
+                consumed = true;
+            }
+
+            const method = MsgBus.nameOf(msgId);
+            const count = MsgBus.inst.emit(msgId, msgData);
+            // 触发等待该消息的任务
+            const tasks = Scheduler.inst.emit(method);
+            if (count > 0) {
+                logger.debug(`[Handler] ${method} 订阅者 ${count} 个 msgId: ${msgId} ${JSON.stringify(msgData)}`);
+            } else if (!consumed && tasks === 0) {
+                UnknownTraffic.inst.record(msgId, UnknownKind.UNHANDLED, { msgData });
             }
         }
     }
 
     close() {
         this._closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.rejectPendingRequests();
+        this.sendQueue.clear();
         if (this.net) {
+            this.net.heartbeatStop();
             this.net.close(true);
         };
-        this.isReconnectNum = 0;
+        if (this.state !== ConnState.FATAL) {
+            this.setState(ConnState.DISCONNECTED);
+        }
     }
 }
 
-
 export default GameNetMgr;
+export { ConnState };
@@ -0,0 +1,90 @@
+import logger from "#utils/logger.js";
+
+// 保留最近多少次的往返时间用于统计
+const RTT_SAMPLES = 60;
+
+/**
+ * @description 心跳存活检测。记录最后一次收到消息的时间和每次心跳的往返时间 (RTT),
+ * 连续 maxMissed 次心跳没有回包, 且期间没有收到任何消息时认为连接已失效。
+ * 配置: { interval, maxMissed, spikeFactor, spikeMin }, RTT 超过平均值的 spikeFactor 倍且不低于 spikeMin 毫秒时警告。
+ */
+export default class Heartbeat {
+    constructor(config = {}) {
+        this.samples = [];
+        this.missed = 0;
+        this.totalMissed = 0;
+        this.lastInboundAt = 0;
+        this.lastPongAt = 0;
+        this.configure(config);
+    }
+
+    configure({ interval = 5000, maxMissed = 3, spikeFactor = 3, spikeMin = 500 } = {}) {
+        this.interval = interval;
+        this.maxMissed = maxMissed;
+        this.spikeFactor = spikeFactor;
+        this.spikeMin = spikeMin;
+    }
+
+    // 新连接重新计数
+    reset() {
+        this.missed = 0;
+        this.lastInboundAt = Date.now();
+    }
+
+    inbound() {
+        this.lastInboundAt = Date.now();
+    }
+
+    pong(rtt) {
+        const avg = this.average();
+        if (this.samples.length >= 5 && rtt > Math.max(avg * this.spikeFactor, this.spikeMin)) {
+            logger.warn(`[心跳] 延迟升高 ${rtt}ms, 平均 ${Math.round(avg)}ms`);
+        }
+
+        this.samples.push(rtt);
+        if (this.samples.length > RTT_SAMPLES) {
+            this.samples.shift();
+        }
+        this.missed = 0;
+        this.lastPongAt = Date.now();
+    }
+
+    /**
+     * @description 心跳超时, 发出后收到过其它消息时不计入
+     * @param {number} sentAt 心跳发出的时间
+     * @returns {boolean} 连接是否已失效
+     */
+    timeout(sentAt) {
+        if (this.lastInboundAt > sentAt) {
+            return false;
+        }
+
+        this.missed++;
+        this.totalMissed++;
+        logger.warn(`[心跳] 超过 ${this.interval / 1000} 秒没有回包 (${this.missed}/${this.maxMissed})`);
+        return this.missed >= this.maxMissed;
+    }
+
+    average() {
+        return this.samples.length > 0 ? this.samples.reduce((sum, rtt) => sum + rtt, 0) / this.samples.length : 0;
+    }
+
+    /**
+     * @description 最近 60 次心跳的往返时间 (毫秒) 和超时次数
+     */
+    stats() {
+        const sorted = [...this.samples].sort((a, b) => a - b);
+        const percentile = (p) => (sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0);
+        return {
+            samples: sorted.length,
+            last: this.samples[this.samples.length - 1] || 0,
+            min: sorted[0] || 0,
+            avg: Math.round(this.average()),
+            p95: percentile(0.95),
+            max: sorted[sorted.length - 1] || 0,
+            missed: this.missed,
+            totalMissed: this.totalMissed,
+            lastInboundAgo: this.lastInboundAt ? Date.now() - this.lastInboundAt : null,
+        };
+    }
+}
@@ -0,0 +1,97 @@
+import Protocol from "#game/net/Protocol.js";
+import { ProtobufMgr } from "#game/net/ProtobufMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
+import logger from "#utils/logger.js";
+
+// 登录后服务器依次下发的同步消息, 全部收到且收到登录下发完成后才开始运行各功能
+const DEFAULT_REQUIRED = [
+    "S_PLAYER_DATA_SYNC_MSG", // 101 用户信息
+    "S_SYSTEM_UNLOCK_SYNC_MSG", // 102 系统解锁
+    "S_ATTRIBUTE_DATA_SYNC_MSG", // 201 玩家属性
+    "S_DREAM_DATA_SYNC", // 207 树状态
+    "S_TASK_DATA_SEND", // 501 任务数据
+];
+
+/**
+ * @description 登录同步屏障。发送登录请求前开始记录服务器下发的消息, 等到收到登录下发完成 (S_LOGIN_SYNC_OVER)
+ * 和 required 中的全部同步消息, 或等待超过 timeout 毫秒后结束, 超时时打印缺少的消息后照常继续。
+ * 配置: { timeout, required }, required 为 Protocol 中的请求名。
+ */
+export default class LoginSync {
+    constructor(config = {}) {
+        this.pending = null;
+        this.configure(config);
+    }
+
+    configure({ timeout = 15000, required = DEFAULT_REQUIRED } = {}) {
+        this.timeout = timeout;
+        this.required = required.filter((name) => {
+            if (typeof Protocol[name] !== "number") {
+                logger.warn(`[登录] 未知的同步消息 ${name}, 已忽略`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // 请求名 -> 服务器下发的协议号
+    resvMsgId(name) {
+        return ProtobufMgr.inst.cmdList[Protocol[name]]?.smMsgId;
+    }
+
+    /**
+     * @description 开始记录同步消息, 需要在发送登录请求之前调用, 之前未结束的等待会被取消
+     * @returns {Promise<{ complete: boolean, missing: string[], elapsed: number } | null>} 结束时的结果, 被取消时为 null
+     */
+    begin() {
+        this.cancel();
+
+        const startAt = Date.now();
+        const waiting = new Map();
+        for (const name of ["S_LOGIN_SYNC_OVER", ...this.required]) {
+            const msgId = this.resvMsgId(name);
+            if (msgId === undefined) {
+                logger.warn(`[登录] ${name} 没有下发的消息定义, 不等待`);
+                continue;
+            }
+            waiting.set(name, msgId);
+        }
+
+        return new Promise((resolve) => {
+            const pending = { resolve, timer: null };
+            const finish = (complete) => {
+                this.release(pending);
+                resolve({ complete, missing: [...waiting.keys()], elapsed: Date.now() - startAt });
+            };
+            if (waiting.size === 0) {
+                finish(true);
+                return;
+            }
+
+            for (const [name, msgId] of waiting) {
+                MsgBus.inst.once(msgId, () => {
+                    waiting.delete(name);
+                    if (waiting.size === 0) finish(true);
+                }, pending);
+            }
+            pending.timer = setTimeout(() => finish(false), this.timeout);
+            this.pending = pending;
+        });
+    }
+
+    // 断线时取消正在进行的等待
+    cancel() {
+        const pending = this.pending;
+        if (!pending) return;
+        this.release(pending);
+        pending.resolve(null);
+    }
+
+    release(pending) {
+        clearTimeout(pending.timer);
+        MsgBus.inst.offOwner(pending);
+        if (this.pending === pending) {
+            this.pending = null;
+        }
+    }
+}
@@ -0,0 +1,120 @@
+import { ProtobufMgr } from "#game/net/ProtobufMgr.js";
+import logger from "#utils/logger.js";
+
+// 通配订阅, 收到任何消息都会调用
+const WILDCARD = "*";
+
+/**
+ * @description 服务器消息的订阅中心。
+ * 按协议号或回包消息名 (如 "SyncBagMsg") 订阅, 同一消息可以有多个订阅者, 按订阅顺序调用, "*" 订阅所有消息 (在具体订阅之后调用)。
+ * 订阅者的参数为 (msgData, msgId, name), 抛出的异常和返回的 Promise 拒绝只记录日志, 不影响其它订阅者。
+ */
+class MsgBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new MsgBus();
+        }
+        return this._instance;
+    }
+
+    // 回包协议号 -> 消息名, 如 CityMsg.SyncBagMsg -> SyncBagMsg
+    static nameOf(msgId) {
+        const smMethod = ProtobufMgr.inst.resvCmdList[msgId]?.smMethod;
+        return smMethod ? smMethod.split(".").pop() : null;
+    }
+
+    /**
+     * @param {number|string} event 协议号、消息名或 "*"
+     * @param {Function} listener (msgData, msgId, name) => void
+     * @param {object} [owner] 订阅者, 可以用 offOwner 一次取消
+     * @returns {Function} 取消订阅
+     */
+    on(event, listener, owner = null) {
+        return this.add(event, { listener, owner, once: false });
+    }
+
+    // 只接收一次
+    once(event, listener, owner = null) {
+        return this.add(event, { listener, owner, once: true });
+    }
+
+    add(event, entry) {
+        const key = String(event);
+        if (!this.listeners.has(key)) {
+            this.listeners.set(key, []);
+        }
+        this.listeners.get(key).push(entry);
+        return () => this.remove(key, (item) => item === entry);
+    }
+
+    off(event, listener) {
+        this.remove(String(event), (item) => item.listener === listener);
+    }
+
+    offOwner(owner) {
+        for (const key of [...this.listeners.keys()]) {
+            this.remove(key, (item) => item.owner === owner);
+        }
+    }
+
+    remove(key, match) {
+        const list = this.listeners.get(key);
+        if (!list) return;
+        const rest = list.filter((item) => !match(item));
+        if (rest.length > 0) {
+            this.listeners.set(key, rest);
+        } else {
+            this.listeners.delete(key);
+        }
+    }
+
+    listenerCount(event) {
+        return this.listeners.get(String(event))?.length || 0;
+    }
+
+    /**
+     * @description 分发一条服务器消息
+     * @returns {number} 调用的订阅者数量, 不含通配订阅
+     */
+    emit(msgId, msgData) {
+        const name = MsgBus.nameOf(msgId);
+        let count = 0;
+        for (const key of [String(msgId), name]) {
+            if (key) count += this.dispatch(key, msgData, msgId, name);
+        }
+        this.dispatch(WILDCARD, msgData, msgId, name);
+        return count;
+    }
+
+    dispatch(key, msgData, msgId, name) {
+        const list = this.listeners.get(key);
+        if (!list) return 0;
+
+        // 复制一份, 订阅者中取消或新增订阅不影响本次分发
+        const snapshot = [...list];
+        if (snapshot.some((item) => item.once)) {
+            this.remove(key, (item) => item.once && snapshot.includes(item));
+        }
+        for (const { listener } of snapshot) {
+            try {
+                const result = listener(msgData, msgId, name);
+                if (result && typeof result.catch === "function") {
+                    result.catch((error) => this.report(name || msgId, error));
+                }
+            } catch (error) {
+                this.report(name || msgId, error);
+            }
+        }
+        return snapshot.length;
+    }
+
+    report(event, error) {
+        logger.error(`[消息] 处理 ${event} 失败 ${error.stack || error}`);
+    }
+}
+
+export default MsgBus;
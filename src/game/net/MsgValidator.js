@@ -0,0 +1,115 @@
+import protobuf from "protobufjs";
+import Protocol from "#game/net/Protocol.js";
+import { MsgValidationError } from "#game/net/NetError.js";
+import logger from "#utils/logger.js";
+
+const MODES = ["warn", "drop", "throw"];
+
+const isInt64 = (value) =>
+    Number.isInteger(value) || (typeof value === "string" && /^-?\d+$/.test(value)) || (value !== null && typeof value === "object" && Number.isInteger(value.low) && Number.isInteger(value.high));
+
+const SCALAR_CHECKS = {
+    double: (value) => typeof value === "number",
+    float: (value) => typeof value === "number",
+    int32: Number.isInteger,
+    uint32: Number.isInteger,
+    sint32: Number.isInteger,
+    fixed32: Number.isInteger,
+    sfixed32: Number.isInteger,
+    int64: isInt64,
+    uint64: isInt64,
+    sint64: isInt64,
+    fixed64: isInt64,
+    sfixed64: isInt64,
+    bool: (value) => typeof value === "boolean",
+    string: (value) => typeof value === "string",
+    bytes: (value) => value instanceof Uint8Array || typeof value === "string",
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+function checkValue(field, value, path, problems) {
+    const type = field.resolvedType;
+    if (type instanceof protobuf.Type) {
+        checkMessage(type, value, path, problems);
+    } else if (type instanceof protobuf.Enum) {
+        // 枚举可以传数字或名字
+        const valid = typeof value === "string" ? Object.hasOwn(type.values, value) : Object.values(type.values).includes(value);
+        if (!valid) problems.push(`${path} 不是 ${type.name} 的枚举值: ${JSON.stringify(value)}`);
+    } else if (!SCALAR_CHECKS[field.type](value)) {
+        problems.push(`${path} 应为 ${field.type}: ${JSON.stringify(value)}`);
+    }
+}
+
+function checkMessage(type, data, path, problems) {
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        problems.push(`${path || "消息"} 应为 ${type.name} 对象: ${JSON.stringify(data)}`);
+        return;
+    }
+
+    // ProtobufMgr 按需解析类型, 字段的 resolvedType 在 resolveAll 之后才有
+    type.resolveAll();
+    for (const key of Object.keys(data)) {
+        if (!type.fields[key] && data[key] !== undefined) {
+            problems.push(`${join(path, key)} 不是 ${type.name} 的字段`);
+        }
+    }
+
+    for (const field of type.fieldsArray) {
+        const fieldPath = join(path, field.name);
+        const value = data[field.name];
+        if (value === undefined || value === null) {
+            if (field.required) problems.push(`缺少必填字段 ${fieldPath}`);
+        } else if (field.map) {
+            Object.entries(value).forEach(([key, item]) => checkValue(field, item, `${fieldPath}[${key}]`, problems));
+        } else if (field.repeated) {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => checkValue(field, item, `${fieldPath}[${index}]`, problems));
+            } else {
+                problems.push(`${fieldPath} 应为数组: ${JSON.stringify(value)}`);
+            }
+        } else {
+            checkValue(field, value, fieldPath, problems);
+        }
+    }
+}
+
+/**
+ * @description 发送前按协议定义检查消息: 未知字段、缺少必填字段、字段类型错误。
+ * 模式: warn 打印警告后照常发送, drop 打印错误并丢弃, throw 抛出 MsgValidationError。
+ * 同一协议的同一个错误只警告一次, 避免定时任务刷屏。
+ */
+export default class MsgValidator {
+    constructor(mode) {
+        this.reported = new Set();
+        this.configure(mode);
+    }
+
+    configure(mode = "warn") {
+        this.mode = MODES.includes(mode) ? mode : "warn";
+    }
+
+    /**
+     * @param {number} msgId 协议号
+     * @param {protobuf.Type} type 请求消息类型
+     * @param {object} msgData 消息内容
+     * @returns {boolean} 是否发送
+     */
+    check(msgId, type, msgData) {
+        const problems = [];
+        checkMessage(type, msgData ?? {}, "", problems);
+        if (problems.length === 0) return true;
+
+        const name = Protocol.getName(msgId);
+        if (this.mode === "throw") {
+            throw new MsgValidationError(msgId, name, problems);
+        }
+
+        const key = `${msgId}|${problems.join("|")}`;
+        if (this.reported.size > 1000) this.reported.clear();
+        const level = this.reported.has(key) ? "debug" : this.mode === "drop" ? "error" : "warn";
+        this.reported.add(key);
+        logger[level](`[发送] ${name} 参数错误${this.mode === "drop" ? ", 已丢弃" : ""}: ${problems.join("; ")}`);
+        return this.mode !== "drop";
+    }
+}
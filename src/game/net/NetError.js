@@ -0,0 +1,48 @@
+class NetError extends Error {
+    constructor(message, msgId) {
+        super(message);
+        this.name = this.constructor.name;
+        this.msgId = msgId;
+    }
+}
+
+// 等待回包超时
+class RequestTimeoutError extends NetError {
+    constructor(msgId, timeout) {
+        super(`[Request] ${msgId} 等待回包超时 (${timeout}ms)`, msgId);
+        this.timeout = timeout;
+    }
+}
+
+// 请求未完成时连接断开
+class DisconnectedError extends NetError {
+    constructor(msgId) {
+        super(`[Request] ${msgId} 连接已断开`, msgId);
+    }
+}
+
+// 进入发送队列后因队列已满被丢弃
+class SendDroppedError extends NetError {
+    constructor(msgId) {
+        super(`[Request] ${msgId} 发送队列已满, 未发送`, msgId);
+    }
+}
+
+// 回包 ret 不为 0
+class ResponseRetError extends NetError {
+    constructor(msgId, ret, data) {
+        super(`[Request] ${msgId} 返回错误码 ${ret}`, msgId);
+        this.ret = ret;
+        this.data = data;
+    }
+}
+
+// 发送的消息与协议定义不符
+class MsgValidationError extends NetError {
+    constructor(msgId, name, problems) {
+        super(`[发送] ${name} 参数错误: ${problems.join("; ")}`, msgId);
+        this.problems = problems;
+    }
+}
+
+export { NetError, RequestTimeoutError, DisconnectedError, SendDroppedError, ResponseRetError, MsgValidationError };
@@ -1,5 +1,6 @@
 import WebSocket from "ws";
 import logger from "#utils/logger.js";
+import { TrafficRecorder } from "#game/net/TrafficRecorder.js";
 
 const NetState = {
     NET_CONNECT: 1,
@@ -70,8 +71,12 @@ class NetSocket {
         }
 
         this.sio = new WebSocket(this.url);
+        // 重连后旧连接的事件不再上报
+        const index = ++this.sioIndex;
+        const isStale = () => index !== this.sioIndex;
 
         this.sio.onopen = (event) => {
+            if (isStale()) return;
             // 更新状态
             this.connected = true;
             this.isConnecting = false;
@@ -82,6 +87,7 @@ class NetSocket {
         };
 
         this.sio.onmessage = (event) => {
+            if (isStale()) return;
             const data = event.data;
             this.sizeOfResv += data.size;
             if (data && data !== "null") {
@@ -96,6 +102,7 @@ class NetSocket {
         this.sio.onclose = (event) => {
             setTimeout(() => {
                 logger.debug("[WebSocket] 连接关闭");
+                if (isStale()) return;
                 this.connected = false;
                 this.isConnecting = false;
                 if (this.sio) {
@@ -117,6 +124,7 @@ class NetSocket {
 
         this.sio.onerror = (event) => {
             logger.debug("[WebSocket] 连接出错");
+            if (isStale()) return;
             this.connected = false;
             this.isConnecting = false;
             if (this.netCallback) {
@@ -131,6 +139,13 @@ class NetSocket {
         this.connect();
     }
 
+    // 连接已失效时直接断开, 不等待关闭握手
+    terminate() {
+        if (this.sio) {
+            this.sio.terminate();
+        }
+    }
+
     close() {
         if (this.connected) {
             if (this.sio) {
@@ -145,6 +160,9 @@ class NetSocket {
     sendMsg(msg) {
         const buffer = new ArrayBuffer(msg.streamsize);
         new Uint8Array(buffer).set(new Uint8Array(msg.buff).subarray(0, msg.streamsize), 0);
+        if (TrafficRecorder.inst.enabled) {
+            TrafficRecorder.inst.record("out", new Uint8Array(buffer));
+        }
         this.send(buffer);
     }
 
@@ -152,9 +170,11 @@ class NetSocket {
         return this.connected;
     }
 
-    heartbeatStart() {
-        if (!this.heartbeatFlag) {
+    // 修改间隔时重新开始
+    heartbeatStart(interval = this.heartbeatInterval) {
+        if (!this.heartbeatFlag || interval !== this.heartbeatInterval) {
             this.heartbeatFlag = true;
+            this.heartbeatInterval = interval;
             if (this.heartbeatTimeId !== null) {
                 clearInterval(this.heartbeatTimeId);
                 this.heartbeatTimeId = null;
@@ -167,6 +187,12 @@ class NetSocket {
         }
     }
 
+    heartbeatStop() {
+        this.heartbeatFlag = false;
+        clearInterval(this.heartbeatTimeId);
+        this.heartbeatTimeId = null;
+    }
+
     send(buffer) {
         try {
             if (this.sio && this.sio.readyState === WSState.OPEN) {
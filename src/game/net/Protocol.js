@@ -1,482 +1,438 @@
+// 由 yarn gen:protocol 根据 src/game/config/grpc 生成, 不要手动修改
 class Protocol {
     static getProtocalIdRemainder(id) {
         return id >= 100000 ? id % 100000 : id % 10000;
     }
-    
-    static S_SYSTEMSHIELD_DATA_SYNC = 17;
+
+    // 协议号 -> 协议名, 用于日志
+    static getName(id) {
+        if (!this._names) {
+            this._names = {};
+            for (const [name, value] of Object.entries(this)) {
+                if (typeof value === "number") this._names[value] = name;
+            }
+        }
+        return this._names[id] || String(id);
+    }
+
     static S_SYSTEMSHIELD_DATA_SYNC = 17;
-    static S_PLAYER_LOGIN = 20001;
-    static S_LOGIN_SYNC_OVER = 20002;
-    static S_PLAYER_PING = 20003;
-    static S_OTHER_LOGIN_YOUR_ROLE = 20011;
-    static S_SYN_BACKEND_CONFIG = 20016;
-    static S_GET_POLICY_INFO_REQ = 20031;
-    static S_BACK_INFO_SYNC = 20032;
-    static S_GET_BIND_STATUS_REQ = 20033;
-    static S_GET_BIND_CODE_REQ = 20034;
-    static S_UNTIE_BIND_CODE_REQ = 20035;
-    static S_GET_BIND_CODE_INFO_REQ = 20036;
-    static S_DELETE_PLAYER = 20037;
-    static S_PRECHARGE = 20004;
-    static S_NOTIFY_RECHARGE_SUCCESS = 20005;
-    static S_MALL_CHANCE_BUY = 20604;
-    static S_PLAYER_DATA_SYNC_MSG = 20101;
-    static S_SYSTEM_UNLOCK_SYNC_MSG = 20102;
-    static S_SYSTEM_GET_REWARD_MSG = 20103;
-    static S_CREATE_ROLE = 20006;
-    static S_GET_RANDOM_NICKNAME = 20007;
-    static S_PLAYER_CHARA_DATA_SYNC = 20106;
-    static S_PLAYER_CHARA_CHANGE = 20107;
-    static S_PLAYER_GET_CHARA_LIST = 20108;
-    static S_GET_PLAYER_DETAIL_DATA = 20109;
-    static S_GET_PLAYER_DETAIL_DATA_BY_SYSTEM = 20134;
-    static S_GET_PLAYER_PILOT_SHOW_DATA_MSG_LIST = 20135;
-    static S_PLAYER_COMMON_SEARCH_PLAYER = 20136;
-    static S_PLAYER_CHARA_COLLECT = 20150;
-    static S_PLAYER_CHARA_UPGRADE = 20151;
-    static S_CHANGE_NICK_NAME = 20008;
-    static S_EXCHANGE_CODE = 20009;
-    static S_GET_SERVER_CONFIG_VERSION = 20010;
-    static S_SHIELD_MALL_RECHARGE_ID = 20125;
-    static S_GET_TOP_PLAYER_INFO = 20118;
-    static S_SYNC_TITLE_MSG = 20119;
-    static S_USE_TITLE = 20120;
-    static S_GOODSSHIELD_DATA_SYNC = 20121;
-    static S_SYNC_MEDAL_MSG = 20122;
-    static S_USE_MEDAL = 20123;
-    static S_ACTIVITY_POSTER_SHIELD_SYNC = 20124;
-    static S_EMOTICON_DATA_SYNC = 21201;
-    static S_PALACE_SYNC = 24801;
-    static S_PALACE_WORSHIP = 24802;
-    static S_PALACE_ENTER_OUTER = 24803;
-    static S_PALACE_ENTER_INNER = 24804;
-    static S_PALACE_BOOK = 24805;
-    static S_PALACE_SEND_GIFT = 24806;
-    static S_PALACE_SEND_GIFT_GET_REWARD = 24807;
-    static S_PALACE_SEND_GIFT_SYNC_DATA = 24808;
-    static S_PALACE_WORSHIP_MIRACLE_SYNC_DATA = 24809;
-    static S_PALACE_ACHIEVE_GET_REWARD = 24857;
-    static S_PALACE_GET_TITLE_ID_LIST = 24810;
-    static S_ATTRIBUTE_DATA_SYNC_MSG = 20201;
-    static S_ATTRIBUTE_EQUIPMENT_DEAL_MSG = 20202;
-    static S_ATTRIBUTE_DREAM_MSG = 20203;
-    static S_ATTRIBUTE_REALMS_LEVE_UP_MSG = 20204;
-    static S_ATTRIBUTE_DREAM_LV_UP = 20205;
-    static S_ATTRIBUTE_DREAM_LV_UP_SPEED_UP = 20206;
-    static S_DREAM_DATA_SYNC = 20207;
-    static S_ATTRIBUTE_GET_TRIBULATION_SUCCESS_PRO = 20208;
-    static S_ATTRIBUTE_GET_UNDEAL_EQUIPMENT_MSG = 20209;
-    static S_ATTRIBUTE_SOARING_REQ = 20212;
-    static S_ATTRIBUTE_SET_SEPARATION_NAME_REQ = 20213;
-    static S_ATTRIBUTE_SWITCH_SEPARATION_REQ = 20214;
-    static S_ATTRIBUTE_GET_SEPARATION_DATAA_MSG_LIST_REQ = 20215;
-    static S_TASK_DATA_SEND = 20501;
-    static S_TASK_DATA_SYNC = 20502;
-    static S_TASK_GET_REWARD = 20503;
-    static S_WATCH_AD_TASK = 20019;
-    static S_BAG_DATA_SYNC_MSG = 20301;
-    static S_BAG_USE_PROP = 20302;
-    static S_BAG_COMPOUND_PROP = 20303;
-    static S_BATTLE_TEST = 20401;
-    static S_TEAM_BATTLE_TEST = 20405;
-    static S_STAGE_CHALLENGE = 20402;
-    static S_STAGE_DATA_SYNC = 20403;
-    static S_STAGE_VIEW_MONSTER_ATTR = 20404;
-    static S_INVADE_CHALLENGE = 21401;
-    static S_INVADE_DATA_SYNC = 21402;
-    static S_MAIL_LIST = 20551;
-    static S_MAIL_SYNC = 20552;
-    static S_MAIL_DELETE_ALL_MAIL = 20553;
-    static S_MAIL_DELETE_MAIL = 20554;
-    static S_MAIL_GET_ALL_REWARD = 20555;
-    static S_MAIL_GET_REWARD = 20556;
-    static S_MAIL_READ_MAIL = 20557;
-    static S_MALL_BUY_GOODS = 20601;
-    static S_MALL_BUY_COUNT_SYNC = 20602;
-    static S_MALL_RANDOM_GOODS = 20603;
-    static S_RECHARGE_MALL_TIMES_SYNC = 20014;
-    static S_MAGIC_SHOP_ZERO_TIME_REFRESH = 2015401;
-    static S_SYSTEM_RED_POINT_SYNC = 20012;
-    static S_ACTIVITY_RED_POINT_SYNC = 20013;
-    static S_ACTIVITY_SYNC_MAIN_CONFIG_LIST = 21001;
-    static S_ACTIVITY_SYNC_DETAIL_CONFIG = 21002;
-    static S_ACTIVITY_SELECT_DATA_LIST_SYNC = 21027;
-    static S_ACTIVITY_GET_DATA = 21003;
-    static S_ACTIVITY_GET_CONDITION_REWARD = 21004;
-    static S_ACTIVITY_BUY_MALL_GOODS = 21005;
-    static S_ACTIVITY_SYNC_CONDITION_LIST = 21007;
-    static S_ACTIVITY_SYNC_MALL_BUY_COUNT_LIST = 21008;
-    static S_ACTIVITY_SYNC_ACTIVITY_DATA = 21009;
-    static S_ACTIVITY_FUNDS_GET_REWARD = 21010;
-    static S_ACTIVITY_SYNC_ACTIVITY_SCORE_LIST = 21015;
-    static S_ACTIVITY_SHARE = 21016;
-    static S_ACTIVITY_BBS = 21030;
-    static S_ACTIVITY_GAME_CIRCLE = 21031;
-    static S_ACTIVITY_SELECT_MALL_GOODS = 21032;
-    static S_ACTIVITY_GET_RANK_STATE = 21017;
-    static S_ACTIVITY_GET_CONDITION_REWARD_BY_ARR = 21022;
-    static S_ACTIVITY_GET_RANK_REWARD = 21006;
-    static S_ACTIVITY_GUESS_INFO_LOAD = 21040;
-    static S_ACTIVITY_GUESS = 21041;
-    static S_ACTIVITY_GUESS_REWARD = 21042;
-    static S_ACTIVITY_GUESS_RESULT_DETAIL = 21043;
-    static S_ACTIVITY_SHIELD_SYNC = 21044;
-    static S_ACTIVITY_RECEIVE_CROSS_UNION_RECHARGE = 21045;
-    static S_ACTIVITY_GET_JOIN_MEMBER_LIST_REQ = 21046;
-    static S_ACTIVITY_SYNC_ACTIVITY_SPECIAL_TIME = 209301;
-    static S_ACTIVITY_GET_BATTLE_PASS_CONDITION_REWARD = 21033;
-    static S_RANK_GET_LIST = 20801;
-    static S_RANK_GET_UNION_MEMBER_SCORE = 20803;
-    static S_CLOUD_PLAYER_DATA_SYNC = 20711;
-    static S_CLOUD_UNLOCK = 20712;
-    static S_CLOUD_LV_UP = 20713;
-    static S_CLOUD_STAGE_UP = 20714;
-    static S_CLOUD_EQUIP = 20715;
-    static S_CLOUD_EQUIP_SKIN = 20716;
-    static S_CLOUD_SKIN_LV_UP = 20717;
-    static S_CLOUD_REFINE_PLAYER_DATA_SYNC = 212900;
-    static S_CLOUD_REFINE_CHARGE = 212901;
-    static S_CLOUD_REFINE_STARLVUP = 212902;
-    static S_WILDBOSS_SYNC = 20731;
-    static S_WILDBOSS_CHALLENGE = 20732;
-    static S_WILDBOSS_REPEAT = 20733;
-    static S_CASTSWORD_ENTER = 2011901;
-    static S_CASTSWORD_MOVE = 2011902;
-    static S_CASTSWORD_SETTLEMENT = 2011903;
-    static S_CASTSWORD_USETOOL = 2011904;
-    static S_CASTSWORD_GETREWARD = 2011905;
-    static S_CASTSWORD_REFRESHSTRENGTH = 2011906;
-    static S_CASTSWORD_GAMEOVER = 2011907;
-    static S_CASTSWORD_RANKSYNC = 2011908;
-    static S_RULE_TRIAL_CHALLENGE = 209101;
-    static S_RULE_TRIAL_REPEAT = 209102;
-    static S_RULE_ONE_KEY_TRIAL_REPEAT = 209103;
-    static U_RULE_TRIAL_SYNC_BOSS_CONFIG = 209104;
-    static U_RULE_TRIAL_PLAYER_DATA_SYNC = 209105;
-    static S_RULE_TRIAL_VIEW_MONSTER_ATTR = 209106;
-    static S_PET_DATA_SYNC = 20740;
-    static S_PET_CATCH = 20741;
-    static S_PET_REFRESH_POOL = 20742;
-    static S_PET_ADD_BAG_COUNT = 20743;
-    static S_PET_RELEASE = 20744;
-    static S_PET_LEVEL_UP = 20745;
-    static S_PET_GOBBLE_UP = 20746;
-    static S_PET_EQUIP = 20747;
-    static S_PET_RESET = 20748;
-    static S_CHOOSE_WISH_PET = 20749;
-    static S_PET_ASSISTANT = 20750;
-    static S_PET_SOUL_SHAPE = 20751;
-    static S_PET_SELECT_SKILL = 20752;
-    static S_PET_REFLESH_SKILL_VIEW = 20753;
-    static S_PET_REFLESH_SKILL = 20754;
-    static S_PET_REFLESH_SKILL_RESULT = 20755;
-    static S_PET_LOCK_STATE_CHANGE = 20756;
-    static S_PET_FATEUP = 212203;
-    static S_PET_ROOTUP = 212201;
-    static S_PET_AWAKE = 212202;
-    static S_PET_SWITCH_LINKAGE_SKIN = 20757;
-    static S_PET_LOCK_NEED_PASSWORD = 20758;
-    static S_WORLD_MESSAGE_CHAT = 20110;
-    static S_WORLD_MESSAGE_SYNC = 20111;
-    static S_WORLD_MESSAGE_LIST = 20112;
-    static S_UNION_MESSAGE_SYNC = 20113;
-    static S_UNION_MESSAGE_LIST = 20114;
-    static S_ACTIVITY_MESSAGE_SYNC = 20115;
-    static S_ACTIVITY_MESSAGE_LIST = 20116;
-    static S_REPORT_PLAYER = 20130;
-    static S_SYSTEM_MESSAGE_SYNC = 20131;
-    static S_SYSTEM_MESSAGE_LIST = 20132;
-    static S_WORLD_MESSAGE_REMOVE_BLACK = 203205;
-    static S_WORLD_MESSAGE_GET_BLACK_LIST = 203206;
-    static S_WORLD_MESSAGE_SYNC_BLACK_LIST = 203207;
-    static S_WORLD_MESSAGE_CHECK_EFFECTIVE_REQ = 203208;
-    static S_RED_PACKET_STATE_MSG_SYNC = 20140;
-    static S_RED_PACKET_OPEN_REQ = 20141;
-    static S_RED_PACKET_DRAW_RESULT = 20142;
-    static S_WELFARE_GIFT_KR = 209201;
-    static S_KILLTIME_GIFT_KR = 209202;
-    static S_REPORT_MESSAGE = 20133;
-    static S_TOWER_SYNC_DATA = 20761;
-    static S_TOWER_CHALLENGE = 20762;
-    static S_TOWER_QUICK_CHANLLENGE = 20763;
-    static S_TOWER_SELECT_BUFF = 20764;
-    static S_TOWER_VIEW_MONSTER_ATTR = 20765;
-    static S_TOWER_VIEW_GET_SELECT = 20766;
-    static S_TOWER_VIEW_SAVE_SELECT = 20767;
-    static S_TALENT_SYNC_DATA = 20621;
-    static S_TALENT_RANDOM_TALENT = 20622;
-    static S_TALENT_DEAL_TALENT = 20623;
-    static S_TALENT_READ_BOOK = 20624;
-    static S_TALENT_GET_UNDEAL_TALENT_MSG = 20625;
-    static S_SPIRIT_SYNC_DATA = 20821;
-    static S_SPIRIT_DRAW = 20822;
-    static S_SPIRIT_UNLOCK = 20823;
-    static S_SPIRIT_LV_UP = 20824;
-    static S_SPIRIT_SWITCH_BATTLE_TEAM = 20825;
-    static S_SPIRIT_BATTLE = 20826;
-    static S_SPIRIT_COMBINE_LV_UP = 20827;
-    static S_SPIRIT_SWITCH_LINKAGE_SKIN = 20828;
-    static S_PRIVILEGE_CARD_SYNC_DATA = 20104;
-    static S_PRIVILEGE_CARD_RECEIVE_REWARD = 20105;
-    static S_BALLGVG_APPLICATION = 21101;
-    static S_BALLGVG_RANK_NUM = 21102;
-    static S_BALLGVG_ENTER_ACT = 21103;
-    static S_BALLGVG_ENTER_ROOM = 21104;
-    static S_BALLGVG_LEAVE_ROOM = 21105;
-    static S_BALLGVG_MOVE = 21106;
-    static S_BALLGVG_ATTACK = 21107;
-    static S_BALLGVG_APPOINT = 21108;
-    static S_BALLGVG_MARK = 21109;
+    static S_HOLD_PET_EGG_DATA_SYNC = 4600; // 同步灵兽蛋数据
+    static U_HOLD_SPECIAL_ITEM_DATA_SYNC = 4601; // 同步太初秘册数据
+    static S_PLAYER_LOGIN = 20001; // 登陆消息
+    static S_LOGIN_SYNC_OVER = 20002; // 登录下发完成
+    static S_PLAYER_PING = 20003; // 心跳
+    static S_PRECHARGE = 20004; // 预购买
+    static S_NOTIFY_RECHARGE_SUCCESS = 20005; // 通知充值到账
+    static S_CREATE_ROLE = 20006; // 创建角色请求
+    static S_GET_RANDOM_NICKNAME = 20007; // 随机昵称回复
+    static S_CHANGE_NICK_NAME = 20008; // 改名
+    static S_EXCHANGE_CODE = 20009; // 兑换码
+    static S_GET_SERVER_CONFIG_VERSION = 20010; // 服务端配置
+    static S_OTHER_LOGIN_YOUR_ROLE = 20011; // 其他人登录你的账户
+    static S_SYSTEM_RED_POINT_SYNC = 20012; // 系统红点同步
+    static S_ACTIVITY_RED_POINT_SYNC = 20013; // 活动红点同步
+    static S_RECHARGE_MALL_TIMES_SYNC = 20014; // 充值商品次数同步
+    static S_SYN_BACKEND_CONFIG = 20016; // 同步后台配置
+    static S_WATCH_AD_TASK = 20019; // 观看视频广告任务
+    static S_PIG_ESCAPE_GET_REWARD = 20020; // 熊口逃生领奖
+    static S_GET_POLICY_INFO_REQ = 20031; // 获取隐私注册协议
+    static S_BACK_INFO_SYNC = 20032; // 同步协议 回归玩家信息
+    static S_GET_BIND_STATUS_REQ = 20033; // 获取绑定状态
+    static S_GET_BIND_CODE_REQ = 20034; // 生成绑定码
+    static S_UNTIE_BIND_CODE_REQ = 20035; // 解绑
+    static S_GET_BIND_CODE_INFO_REQ = 20036; // 获取绑定信息
+    static S_DELETE_PLAYER = 20037; // 注销账号
+    static S_PLAYER_DATA_SYNC_MSG = 20101; // 用户信息同步
+    static S_SYSTEM_UNLOCK_SYNC_MSG = 20102; // 系统解锁同步
+    static S_SYSTEM_GET_REWARD_MSG = 20103; // 请求领取系统解锁奖励
+    static S_PRIVILEGE_CARD_SYNC_DATA = 20104; // 同步特权卡数据
+    static S_PRIVILEGE_CARD_RECEIVE_REWARD = 20105; // 领取特权卡奖励
+    static S_PLAYER_CHARA_DATA_SYNC = 20106; // 玩家形象同步
+    static S_PLAYER_CHARA_CHANGE = 20107; // 切换形象请求
+    static S_PLAYER_GET_CHARA_LIST = 20108; // 获取形象回复
+    static S_GET_PLAYER_DETAIL_DATA = 20109; // 获取玩家详细数据
+    static S_WORLD_MESSAGE_CHAT = 20110; // 请求聊天
+    static S_WORLD_MESSAGE_SYNC = 20111; // 世界消息同步
+    static S_WORLD_MESSAGE_LIST = 20112; // 世界消息列表，登录时下发
+    static S_UNION_MESSAGE_SYNC = 20113; // 妖盟消息同步
+    static S_UNION_MESSAGE_LIST = 20114; // 妖盟消息列表，登录时下发
+    static S_ACTIVITY_MESSAGE_SYNC = 20115; // 活动消息同步
+    static S_ACTIVITY_MESSAGE_LIST = 20116; // 请求活动消息列表
+    static S_HORSE_RACE_LAMP_MSG_ADD = 20117; // 跑马灯广播通知
+    static S_GET_TOP_PLAYER_INFO = 20118; // 获取仙树后面飘的玩家信息
+    static S_SYNC_TITLE_MSG = 20119; // 玩家称号同步
+    static S_USE_TITLE = 20120; // 穿戴称号
+    static S_GOODSSHIELD_DATA_SYNC = 20121; // 道具屏蔽列表同步
+    static S_SYNC_MEDAL_MSG = 20122; // 玩家勋章同步
+    static S_USE_MEDAL = 20123; // 穿戴称号
+    static S_ACTIVITY_POSTER_SHIELD_SYNC = 20124; // 活动海报屏蔽列表同步
+    static S_SHIELD_MALL_RECHARGE_ID = 20125; // 同步渠道屏蔽商城付费项列表
+    static S_REPORT_PLAYER = 20130; // 举报玩家
+    static S_SYSTEM_MESSAGE_SYNC = 20131; // 系统聊天同步
+    static S_SYSTEM_MESSAGE_LIST = 20132; // 系统聊天列表，请求下发
+    static S_REPORT_MESSAGE = 20133; // 聊天举报
+    static S_GET_PLAYER_DETAIL_DATA_BY_SYSTEM = 20134; // 获取玩家(某个系统)锁定的详细数据-请求
+    static S_GET_PLAYER_PILOT_SHOW_DATA_MSG_LIST = 20135; // 请求飞行员列表数据-请求
+    static S_PLAYER_COMMON_SEARCH_PLAYER = 20136; // 通用搜索玩家
+    static S_RED_PACKET_STATE_MSG_SYNC = 20140; // 红包状态同步
+    static S_RED_PACKET_OPEN_REQ = 20141; // 获取红包信息
+    static S_RED_PACKET_DRAW_RESULT = 20142; // 领取红包奖励
+    static S_PLAYER_CHARA_COLLECT = 20150; // 皮肤羁绊任务领取
+    static S_PLAYER_CHARA_UPGRADE = 20151; // 皮肤等级升级
+    static S_ATTRIBUTE_DATA_SYNC_MSG = 20201; // 玩家属性信息同步
+    static S_ATTRIBUTE_EQUIPMENT_DEAL_MSG = 20202; // 处理装备
+    static S_ATTRIBUTE_DREAM_MSG = 20203; // 做梦
+    static S_ATTRIBUTE_REALMS_LEVE_UP_MSG = 20204; // 境界升级
+    static S_ATTRIBUTE_DREAM_LV_UP = 20205; // 梦境升级
+    static S_ATTRIBUTE_DREAM_LV_UP_SPEED_UP = 20206; // 梦境升级加速
+    static S_DREAM_DATA_SYNC = 20207; // 做梦玩家数据
+    static S_ATTRIBUTE_GET_TRIBULATION_SUCCESS_PRO = 20208; // 获取渡劫成功率
+    static S_ATTRIBUTE_GET_UNDEAL_EQUIPMENT_MSG = 20209; // 获取未处理装备数据
+    static S_AD_REWARD_DATA_SYNC = 20210; // 数据同步
+    static S_AD_REWARD_GET_REWARD = 20211; // 广告领奖
+    static S_ATTRIBUTE_SOARING_REQ = 20212; // 斩道也调用这个接口
+    static S_ATTRIBUTE_SET_SEPARATION_NAME_REQ = 20213; // 设置分身名字
+    static S_ATTRIBUTE_SWITCH_SEPARATION_REQ = 20214; // 切换分身
+    static S_ATTRIBUTE_GET_SEPARATION_DATAA_MSG_LIST_REQ = 20215; // 获取分身列表数据
+    static S_GET_LOGIN_MESSAGE_SUBSCRIBE = 20250; // 微信消息订阅登陆下发
+    static S_SET_MESSAGE_SUBSCRIBE = 20251; // 设置订阅消息
+    static S_AUTHORIZE_WECHAT_HEAD_URL = 20252; // 微信头像授权
+    static S_BAG_DATA_SYNC_MSG = 20301; // 同步背包数据
+    static S_BAG_USE_PROP = 20302; // 使用道具
+    static S_BAG_COMPOUND_PROP = 20303; // 合成道具
+    static S_BATTLE_TEST = 20401; // 测试战斗
+    static S_STAGE_CHALLENGE = 20402; // 关卡挑战
+    static S_STAGE_DATA_SYNC = 20403; // 关卡数据同步
+    static S_STAGE_VIEW_MONSTER_ATTR = 20404; // 查看关卡怪物信息
+    static S_TEAM_BATTLE_TEST = 20405; // 测试组队战斗
+    static S_RANK_BATTLE_GET_BATTLE_LIST = 20410; // 获取对战列表
+    static S_RANK_BATTLE_REFRESH_BATTLE_LIST = 20411; // 刷新对战列表
+    static S_RANK_BATTLE_CHALLENGE = 20412; // 挑战请求
+    static S_RANK_BATTLE_GET_LOG = 20413; // 获取妖榜日志
+    static S_RANK_BATTLE_REVENGE = 20414; // 妖榜复仇请求
+    static S_RANK_BATTLE_LOGIN_SYNC = 20415; // 斗法登录同步
+    static S_TASK_DATA_SEND = 20501; // 玩家登录任务数据下发
+    static S_TASK_DATA_SYNC = 20502; // 玩家任务数据同步
+    static S_TASK_GET_REWARD = 20503; // 领取任务奖励响应
+    static S_MAIL_LIST = 20551; // 邮件列表数据同步
+    static S_MAIL_SYNC = 20552; // 邮件数据同步
+    static S_MAIL_DELETE_ALL_MAIL = 20553; // 一键删除邮件
+    static S_MAIL_DELETE_MAIL = 20554; // 删除邮件
+    static S_MAIL_GET_ALL_REWARD = 20555; // 一键领取邮件
+    static S_MAIL_GET_REWARD = 20556; // 领取邮件
+    static S_MAIL_READ_MAIL = 20557; // 读取邮件
+    static S_MALL_BUY_GOODS = 20601; // 购买商品
+    static S_MALL_BUY_COUNT_SYNC = 20602; // 商品购买数量集合
+    static S_MALL_RANDOM_GOODS = 20603; // 商店列表
+    static S_MALL_CHANCE_BUY = 20604; // 通宝购买请求
+    static S_TALENT_SYNC_DATA = 20621; // 同步神通数据
+    static S_TALENT_RANDOM_TALENT = 20622; // 炼化
+    static S_TALENT_DEAL_TALENT = 20623; // 处理神通
+    static S_TALENT_READ_BOOK = 20624; // 阅读妖书
+    static S_TALENT_GET_UNDEAL_TALENT_MSG = 20625; // 获取未处理神通数据
+    static S_DESTINY_DATA_SYNC = 20651; // 数据同步
+    static S_DESTINY_GIFT = 20652; // 赠礼
+    static S_DESTINY_TRAVEL = 20653; // 游历
+    static S_DESTINY_CHALLENGE = 20654; // 切磋
+    static S_DESTINY_UNLOCK = 20655; // 解锁道具仙友
+    static S_DESTINY_SKIN_UNLOCK = 20657; // 皮肤解锁
+    static S_DESTINY_SKIN_ENHANCE = 20658; // 强化皮肤
+    static S_DESTINY_SKIN_WEAR = 20659; // 穿戴皮肤
+    static S_DESTINY_SWITCH_LINKAGE_SKIN = 20660; // 切换挚友联动形象
+    static S_CLOUD_PLAYER_DATA_SYNC = 20711; // 筋斗云数据同步
+    static S_CLOUD_UNLOCK = 20712; // 解锁筋斗云请求
+    static S_CLOUD_LV_UP = 20713; // 筋斗云升级请求
+    static S_CLOUD_STAGE_UP = 20714; // 筋斗云升阶请求
+    static S_CLOUD_EQUIP = 20715; // 筋斗云穿戴请求
+    static S_CLOUD_EQUIP_SKIN = 20716; // 筋斗云皮肤穿戴请求
+    static S_CLOUD_SKIN_LV_UP = 20717; // 筋斗云皮肤升级 0->1 为激活
+    static S_WILDBOSS_SYNC = 20731; // 同步宝地
+    static S_WILDBOSS_CHALLENGE = 20732; // 请求宝地挑战
+    static S_WILDBOSS_REPEAT = 20733; // 请求宝地扫荡
+    static S_PET_DATA_SYNC = 20740; // 同步玩家灵兽数据
+    static S_PET_CATCH = 20741; // 捕捉灵兽请求
+    static S_PET_REFRESH_POOL = 20742; // 刷新灵兽池子请求
+    static S_PET_ADD_BAG_COUNT = 20743; // 开启灵兽背包格子请求
+    static S_PET_RELEASE = 20744; // 灵兽放生请求
+    static S_PET_LEVEL_UP = 20745; // 灵兽升级请求
+    static S_PET_GOBBLE_UP = 20746; // 灵兽吞噬请求
+    static S_PET_EQUIP = 20747; // 携带灵兽请求
+    static S_PET_RESET = 20748; // 携带灵兽请求
+    static S_CHOOSE_WISH_PET = 20749; // 灵兽心愿选择
+    static S_PET_ASSISTANT = 20750; // 灵兽协助
+    static S_PET_SOUL_SHAPE = 20751; // 灵兽塑魂
+    static S_PET_SELECT_SKILL = 20752; // 灵兽塑魂技能选择
+    static S_PET_REFLESH_SKILL_VIEW = 20753; // 灵兽洗练界面
+    static S_PET_REFLESH_SKILL = 20754; // 灵兽洗练
+    static S_PET_REFLESH_SKILL_RESULT = 20755; // 灵兽洗练结果处理
+    static S_PET_LOCK_STATE_CHANGE = 20756; // 灵兽加锁
+    static S_PET_SWITCH_LINKAGE_SKIN = 20757; // 切换灵兽联动形象
+    static S_PET_LOCK_NEED_PASSWORD = 20758; // 灵兽新版上锁（需要密码解锁）
+    static S_TOWER_SYNC_DATA = 20761; // 同步数据
+    static S_TOWER_CHALLENGE = 20762; // 挑战
+    static S_TOWER_QUICK_CHANLLENGE = 20763; // 快速挑战
+    static S_TOWER_SELECT_BUFF = 20764; // 选择加成请求
+    static S_TOWER_VIEW_MONSTER_ATTR = 20765; // 查看怪物属性
+    static S_TOWER_VIEW_GET_SELECT = 20766; // 获取选择选项
+    static S_TOWER_VIEW_SAVE_SELECT = 20767; // 保存选择选项
+    static S_RANK_GET_LIST = 20801; // 获取排行列表
+    static S_FIRST_RECHARGE_GET_REWARD = 20802; // 首充领取奖励
+    static S_RANK_GET_UNION_MEMBER_SCORE = 20803; // 查看联盟积分
+    static S_SPIRIT_SYNC_DATA = 20821; // 同步玩家精怪数据
+    static S_SPIRIT_DRAW = 20822; // 精怪抽取请求
+    static S_SPIRIT_UNLOCK = 20823; // 精怪解锁请求
+    static S_SPIRIT_LV_UP = 20824; // 精怪升级请求
+    static S_SPIRIT_SWITCH_BATTLE_TEAM = 20825; // 切换出战队伍请求
+    static S_SPIRIT_BATTLE = 20826; // 精怪上下阵请求
+    static S_SPIRIT_COMBINE_LV_UP = 20827; // 精怪共鸣等级提升
+    static S_SPIRIT_SWITCH_LINKAGE_SKIN = 20828; // 切换精怪联动形象
+    static S_ACTIVITY_SYNC_MAIN_CONFIG_LIST = 21001; // 活动通用数据同步
+    static S_ACTIVITY_SYNC_DETAIL_CONFIG = 21002; // 同步活动详细配置
+    static S_ACTIVITY_GET_DATA = 21003; // 请求活动通用数据
+    static S_ACTIVITY_GET_CONDITION_REWARD = 21004; // 领取活动任务条件奖励
+    static S_ACTIVITY_BUY_MALL_GOODS = 21005; // 购买活动商品
+    static S_ACTIVITY_GET_RANK_REWARD = 21006; // 领取活动排行奖励
+    static S_ACTIVITY_SYNC_CONDITION_LIST = 21007; // 同步活动任务条件数据 增量
+    static S_ACTIVITY_SYNC_MALL_BUY_COUNT_LIST = 21008; // 同步活动商品购买次数列表 增量
+    static S_ACTIVITY_SYNC_ACTIVITY_DATA = 21009; // 同步活动用户数据
+    static S_ACTIVITY_FUNDS_GET_REWARD = 21010; // 领取基金活动任务条件奖励
+    static S_ACTIVITY_LUCKY_DRAW = 21013; // 运势抽奖请求
+    static S_ACTIVITY_OPTIONAL_GIFT_SELECT = 21014; // 自选礼包选择道具
+    static S_ACTIVITY_SYNC_ACTIVITY_SCORE_LIST = 21015; // 同步活动积分数据
+    static S_ACTIVITY_SHARE = 21016; // 活动分享任务完成请求
+    static S_ACTIVITY_GET_RANK_STATE = 21017; // 请求榜单状态
+    static S_ACTIVITY_GET_CONDITION_REWARD_BY_ARR = 21022; // 通过数组一次性领取活动任务条件奖励
+    static S_ACTIVITY_SEEKTREASURE_DRAW = 21023; // 妖市觅宝抽奖
+    static S_ACTIVITY_SEEKTREASURE_VIEW = 21024; // 妖市觅宝界面
+    static S_ACTIVITY_SEEKTREASURE_RARE_REWARD = 21025; // 选择稀有奖励
+    static S_ACTIVITY_SEEKTREASURE_DRAW_NOTICE_SYNC = 21026; // 同步妖市觅宝抽奖公告
+    static S_ACTIVITY_SELECT_DATA_LIST_SYNC = 21027; // 活动商买自选商品列表同步
+    static S_ACTIVITY_BBS = 21030; // 论坛分享
+    static S_ACTIVITY_GAME_CIRCLE = 21031; // 游戏圈分享
+    static S_ACTIVITY_SELECT_MALL_GOODS = 21032; // 自选商品选中协议
+    static S_ACTIVITY_GET_BATTLE_PASS_CONDITION_REWARD = 21033; // 领取活动战令任务奖励
+    static S_ACTIVITY_CONDITION_SELECT_GOODS = 21034; // 活动任务自选商品
+    static S_ACTIVITY_SYNC_CONDITION_SELECT_LIST = 21035; // 同步活动任务奖励自选记录
+    static S_ACTIVITY_GUESS_INFO_LOAD = 21040; // 请求竞猜数据
+    static S_ACTIVITY_GUESS = 21041; // 竞猜押注
+    static S_ACTIVITY_GUESS_REWARD = 21042; // 领取竞猜奖励
+    static S_ACTIVITY_GUESS_RESULT_DETAIL = 21043; // 查看竞猜奖励名单
+    static S_ACTIVITY_SHIELD_SYNC = 21044; // 活动屏蔽同步
+    static S_ACTIVITY_RECEIVE_CROSS_UNION_RECHARGE = 21045; // 领取跨服获得内置的 妖盟充值活动的奖励
+    static S_ACTIVITY_GET_JOIN_MEMBER_LIST_REQ = 21046; // 查看自己所属妖盟的参与名单
+    static S_HOMELAND_SYNC_MSG = 21051; // 同步信息
+    static S_HOMELAND_ENTER = 21052; // 进入福地
+    static S_HOMELAND_MANAGE = 21053; // 福地管理界面
+    static S_HOMELAND_LEVEL_UP = 21054; // 福地升级
+    static S_HOMELAND_REFRESH_RESOURCE = 21055; // 福地刷新资源
+    static S_HOMELAND_BUY_WORKER = 21056; // 福地购买鼠宝
+    static S_HOMELAND_RECORD = 21057; // 福地日志
+    static S_HOMELAND_EXPLORE = 21058; // 福地探寻
+    static S_HOMELAND_EXPLORE_REFRESH = 21059; // 福地探寻刷新
+    static S_HOMELAND_DISPATCH_WORKER = 21060; // 福地派遣鼠宝
+    static S_HOMELAND_DISPATCH_WORKER_PREVIEW = 21061; // 福地派遣鼠宝预览
+    static S_HOMELAND_SYNC_HAS_REWARD = 21062; // 同步有奖励消息
+    static S_HOMELAND_LEAVE = 21063; // 离开福地
+    static S_HOMELAND_SYNC_HOMELAND_DATA = 21064; // 同步福地数据
+    static S_HOMELAND_GET_REWARD = 21065; // 福地获取奖励
+    static S_HOMELAND_SYNC_CORNUCOPIA = 21066; // 福地聚宝盆数据同步
+    static S_HOMELAND_CORNUCOPIA_GET_REWARD = 21067; // 福地聚宝盆领奖
+    static S_HOMELAND_MANAGER_BATTLE = 21068; // 福地鼠鼠自动采集
+    static S_HOMELAND_MANAGER_FREE_USE = 21069; // 福地鼠宝总管试用
+    static S_HOMELAND_MANAGER_SAVE_SETTINGS = 21070; // 鼠鼠总管保存设置
+    static S_HOMELAND_DISPATCH_ALL_WORKER = 21071; // 桃源一键召回小妖
+    static S_HOMELAND_SYNC_NOTICE_LEAVE = 21072; // 福地通知玩家离开(只有偷其他玩家福地时才会通知)
+    static S_BALLGVG_APPLICATION = 21101; // 请求报名
+    static S_BALLGVG_RANK_NUM = 21102; // 请求报名期战力排名
+    static S_BALLGVG_ENTER_ACT = 21103; // 进入pvp活动请求协议
+    static S_BALLGVG_ENTER_ROOM = 21104; // 进入宝地(房间)请求协议
+    static S_BALLGVG_LEAVE_ROOM = 21105; // 离开当前房间请求协议
+    static S_BALLGVG_MOVE = 21106; // 移动协议
+    static S_BALLGVG_ATTACK = 21107; // 攻击协议
+    static S_BALLGVG_APPOINT = 21108; // 任命宗主权限
+    static S_BALLGVG_MARK = 21109; // 标记地点(重复标记视为取消标记)
     static S_BALLGVG_LEAVE_ACT = 21110;
-    static S_BALLGVG_GET_PLACE = 21111;
-    static S_BALLGVG_REQ_USER_LIST = 21113;
-    static S_BALLGVG_SYNC_ATTACKED = 21116;
-    static S_BALLGVG_SYNC_SCORE = 21117;
-    static S_BALLGVG_SYNC_PLACE = 21118;
-    static S_BALLGVG_SYNC_NOTICE = 21119;
-    static S_BALLGVG_SYNC_CAMP = 21120;
-    static S_BALLGVG_SYNC_BEATC = 21121;
-    static S_BALLGVG_SYNC_SEIZE = 21122;
-    static S_BALLGVG_SYNC_ENTER_ROOM = 21123;
-    static S_BALLGVG_SYNC_LEAVE_ROOM = 21124;
-    static S_BALLGVG_RANK = 21126;
-    static S_BALLGVG_RESULT_SYNC = 21127;
-    static S_BALLGVG_UNION_NAME_LIST = 21128;
-    static S_BALLGVG_GET_UNION_USER_LIST = 21129;
-    static S_HOMELAND_SYNC_MSG = 21051;
-    static S_HOMELAND_SYNC_HAS_REWARD = 21062;
-    static S_HOMELAND_ENTER = 21052;
-    static S_HOMELAND_MANAGE = 21053;
-    static S_HOMELAND_LEVEL_UP = 21054;
-    static S_HOMELAND_REFRESH_RESOURCE = 21055;
-    static S_HOMELAND_BUY_WORKER = 21056;
-    static S_HOMELAND_RECORD = 21057;
-    static S_HOMELAND_EXPLORE = 21058;
-    static S_HOMELAND_EXPLORE_REFRESH = 21059;
-    static S_HOMELAND_DISPATCH_WORKER = 21060;
-    static S_HOMELAND_DISPATCH_WORKER_PREVIEW = 21061;
-    static S_HOMELAND_LEAVE = 21063;
-    static S_HOMELAND_SYNC_HOMELAND_DATA = 21064;
-    static S_HOMELAND_GET_REWARD = 21065;
-    static S_HOMELAND_SYNC_CORNUCOPIA = 21066;
-    static S_HOMELAND_CORNUCOPIA_GET_REWARD = 21067;
-    static S_HOMELAND_MANAGER_BATTLE = 21068;
-    static S_HOMELAND_MANAGER_FREE_USE = 21069;
-    static S_HOMELAND_MANAGER_SAVE_SETTINGS = 21070;
-    static S_HOMELAND_DISPATCH_ALL_WORKER = 21071;
-    static S_HOMELAND_SYNC_NOTICE_LEAVE = 21072;
-    static S_UNION_CREATE = 22101;
-    static S_UNION_ENTER = 22102;
-    static S_UNION_LIST = 22103;
-    static S_UNION_JOIN = 22104;
-    static S_UNION_RANDOMJOIN = 22105;
-    static S_UNION_DETAIL = 22106;
-    static S_UNION_POSITION = 22107;
-    static S_UNION_APPLYPLAYERLIST = 22108;
-    static S_UNION_RANDOMSTATE = 22109;
-    static S_UNION_LIMITREALMSID = 22110;
-    static S_UNION_CLEARAPPLY = 22111;
-    static S_UNION_PASSAPPLY = 22112;
-    static S_UNION_REMOVE = 22113;
-    static S_UNION_EXIT = 22114;
-    static S_UNION_TRENDS = 22115;
-    static S_UNION_MODIFY = 22116;
-    static S_UNION_DAILYTASK = 22117;
-    static S_UNION_GETDAILYTASK = 22118;
-    static S_UNION_PUSHEVICTION = 22119;
-    static S_UNION_DONATEDAILYTASK = 22120;
-    static S_UNION_DAILYTASKPROGRESS = 22121;
-    static S_UNION_EVICTION = 22122;
-    static S_UNION_JOINLIST = 22123;
-    static S_UNION_PUSHMYDATA = 22124;
-    static S_GET_UNION_HELP_DATA_LIST = 22125;
-    static S_REQUEST_UNION_HELP = 22126;
-    static S_UNION_HELP = 22127;
-    static S_GET_UNION_HELP_STATE = 22128;
-    static S_UNION_WATCH_REDDOT = 22129;
-    static S_UNION_SAME_NAME_ACTIVITY_NAME_LIST = 21501;
-    static S_GET_UNION_RECHARGE_ACTIVITY_RECHARGE_DATA = 21511;
-    static S_UNION_RECHARGE_ACTIVITY_RECHARGE_DATA_SYNC = 21512;
-    static S_UNION_TIME_SYNC = 22168;
-    static S_UNION_PUBLISH_RECRUIT = 201654;
-    static S_UNION_PUBLISH_RECRUIT_SYNC = 201655;
-    static S_UNION_PLAYER_STRENGTH_RANK = 201630;
-    static S_UNION_GET_CROSS_SERVER = 201651;
-    static S_UNION_SET_RECRUIT_INFO = 201650;
-    static S_UNION_DETAIL_IN_GROUP = 201604;
-    static S_UNION_PLAYER_RATE_SYNC = 201656;
-    static S_RANK_BATTLE_GET_BATTLE_LIST = 20410;
-    static S_RANK_BATTLE_REFRESH_BATTLE_LIST = 20411;
-    static S_RANK_BATTLE_CHALLENGE = 20412;
-    static S_RANK_BATTLE_GET_LOG = 20413;
-    static S_RANK_BATTLE_REVENGE = 20414;
-    static S_RANK_BATTLE_LOGIN_SYNC = 20415;
-    static S_DESTINY_DATA_SYNC = 20651;
-    static S_DESTINY_GIFT = 20652;
-    static S_DESTINY_TRAVEL = 20653;
-    static S_DESTINY_CHALLENGE = 20654;
-    static S_DESTINY_UNLOCK = 20655;
-    static S_DESTINY_SKIN_UNLOCK = 20657;
-    static S_DESTINY_SKIN_ENHANCE = 20658;
-    static S_DESTINY_SKIN_WEAR = 20659;
-    static S_DESTINY_SWITCH_LINKAGE_SKIN = 20660;
-    static S_BIND_INVITE_CODE = 22401;
-    static S_GET_BIND_INVITE_CODE = 22402;
-    static S_ACTIVITY_LUCKY_DRAW = 21013;
-    static S_ACTIVITY_OPTIONAL_GIFT_SELECT = 21014;
-    static S_GET_LOGIN_MESSAGE_SUBSCRIBE = 20250;
-    static S_SET_MESSAGE_SUBSCRIBE = 20251;
-    static S_AUTHORIZE_WECHAT_HEAD_URL = 20252;
-    static S_HORSE_RACE_LAMP_MSG_ADD = 20117;
-    static S_AD_REWARD_DATA_SYNC = 20210;
-    static S_AD_REWARD_GET_REWARD = 20211;
-    static S_CUT_PRICE_SYNC = 22165;
-    static S_CUT_PRICE_BARGAIN = 22166;
-    static S_CUT_PRICE_BUY = 22167;
-    static S_HERORANK_ENTER = 23700;
-    static S_HERORANK_SYNC_PLAYERDATA = 23701;
-    static S_HERORANK_GET_FIGHT_LIST = 23702;
-    static S_HERORANK_FIGHT = 23703;
-    static S_HERORANK_CLEAR = 23704;
-    static S_HERORANK_GET_RECORD = 23705;
-    static S_HERORANK_GET_ACHIEVE_REWARD = 23706;
-    static S_HERORANK_BUY_ENERGY = 23707;
-    static S_SPIRIT_TRIAL_REFRESH_EVIL = 24201;
-    static S_SPIRIT_TRIAL_BATTLE_EVIL = 24202;
-    static S_MAGIC_PLAYER_DATA_SYNC = 24400;
-    static S_MAGIC_EQUIP = 24401;
-    static S_MAGIC_RESET = 24402;
-    static S_MAGIC_STAGE_UP = 24403;
-    static S_MAGIC_LEVEL_UP = 24404;
-    static S_MAGIC_EQUIP_MARK = 24405;
-    static S_MAGIC_UNSNATCH_MARK = 24406;
-    static S_MAGIC_FUSION_MARK = 24407;
-    static S_MAGIC_DERIVATION = 24408;
-    static S_MAGIC_COMBINE_LEVEL_UP = 24409;
-    static S_MAGIC_SWITCH_PRESETS_REQ = 24410;
-    static S_MAGIC_STAGE_UP_ALL = 24411;
-    static S_PET_DREAMLAND_DRAW = 24101;
-    static S_PET_DREAMLAND_PLACE_UNLOCK = 24102;
-    static S_PET_DREAMLAND_SLOT_UNLOCK = 24103;
-    static S_PET_DREAMLAND_DISPATCH = 24104;
-    static S_PET_DREAMLAND_GET_PROFIT = 24105;
-    static S_ACTIVITY_WILD_ZONE_ENTER_PANEL = 25001;
-    static S_ACTIVITY_WILD_ZONE_TEAM_CREATE = 25002;
-    static S_ACTIVITY_WILD_ZONE_TEAM_LIST = 25003;
-    static S_ACTIVITY_WILD_ZONE_TEAM_INFO = 25004;
-    static S_ACTIVITY_WILD_ZONE_TEAM_APPLY_DO = 25005;
-    static S_ACTIVITY_WILD_ZONE_TEAM_APPLY_CANCEL = 25006;
-    static S_ACTIVITY_WILD_ZONE_TEAM_OUT = 25007;
-    static S_ACTIVITY_WILD_ZONE_LEAVE_PANEL = 25008;
-    static S_ACTIVITY_WILD_ZONE_TEAM_APPLY_AGREE = 25009;
-    static S_ACTIVITY_WILD_ZONE_TEAM_APPLY_REFUSED = 25010;
-    static S_ACTIVITY_WILD_ZONE_TEAM_KICK_OUT = 25011;
-    static S_ACTIVITY_WILD_ENTER_REGION = 25012;
-    static S_ACTIVITY_WILD_PLAYER_EXPLORE = 25013;
-    static S_ACTIVITY_WILD_PLAYER_EXECUTE_EXPLORE = 25014;
-    static S_ACTIVITY_WILD_PLAYER_ACTION_EXPLORE = 25015;
-    static S_ACTIVITY_WILD_LOG_MEMBER_HELP = 25016;
-    static S_ACTIVITY_WILD_LOG_BATTLEGROUND = 25017;
-    static S_ACTIVITY_WILD_LOG_PERSON = 25018;
-    static S_ACTIVITY_WILD_RANK_PERSON = 25019;
-    static S_ACTIVITY_WILD_RANK_TEAM = 25020;
+    static S_BALLGVG_GET_PLACE = 21111; // 获取所有房间数据
+    static S_BALLGVG_REQ_USER_LIST = 21113; // 请求宗门玩家列表
+    static S_BALLGVG_SYNC_ATTACKED = 21116; // 被打同步（有人被打即时同步）
+    static S_BALLGVG_SYNC_SCORE = 21117; // 积分同步
+    static S_BALLGVG_SYNC_PLACE = 21118; // 宝地信息同步（位置同步）
+    static S_BALLGVG_SYNC_NOTICE = 21119; // 公告推送
+    static S_BALLGVG_SYNC_CAMP = 21120; // 同步宗门信息（任命、标记）
+    static S_BALLGVG_SYNC_BEATC = 21121; // 被打同步最新用户信息(通知被打人)
+    static S_BALLGVG_SYNC_SEIZE = 21122; // 房间抢占信息同步(人数变动，进房间，出房间  成功占领)
+    static S_BALLGVG_SYNC_ENTER_ROOM = 21123; // 进房间同步信息（有人进房间及时同步）
+    static S_BALLGVG_SYNC_LEAVE_ROOM = 21124; // 出房间同步信息（有人出房间及时同步）
+    static S_BALLGVG_RANK = 21126; // 请求报名期妖盟战力排行
+    static S_BALLGVG_RESULT_SYNC = 21127; // 战斗结算同步
+    static S_BALLGVG_UNION_NAME_LIST = 21128; // 获取参与妖盟的名字
+    static S_BALLGVG_GET_UNION_USER_LIST = 21129; // 获取上古遗迹妖盟成员信息
+    static S_EMOTICON_DATA_SYNC = 21201; // 同步表情包数据
+    static S_INVADE_CHALLENGE = 21401; // 异兽入侵挑战
+    static S_INVADE_DATA_SYNC = 21402; // 异兽入侵数据同步
+    static S_WEEK_CARD_ROUND_REWARD = 21421; // 仙缘进度领奖
+    static S_UNION_SAME_NAME_ACTIVITY_NAME_LIST = 21501; // 获取商会同名姓名列表
+    static S_GET_UNION_RECHARGE_ACTIVITY_RECHARGE_DATA = 21511; // 获取商会充值列表
+    static S_UNION_RECHARGE_ACTIVITY_RECHARGE_DATA_SYNC = 21512; // 商会充值活动数据同步
+    static S_UNION_CREATE = 22101; // 创建妖盟
+    static S_UNION_ENTER = 22102; // 进入妖盟
+    static S_UNION_LIST = 22103; // 获取妖盟列表
+    static S_UNION_JOIN = 22104; // 加入妖盟
+    static S_UNION_RANDOMJOIN = 22105; // 随机加入妖盟
+    static S_UNION_DETAIL = 22106; // 妖盟详情
+    static S_UNION_POSITION = 22107; // 职位变更
+    static S_UNION_APPLYPLAYERLIST = 22108; // 获取申请加入妖盟的玩家列表
+    static S_UNION_RANDOMSTATE = 22109; // 设置随机加入状态
+    static S_UNION_LIMITREALMSID = 22110; // 设置入盟限制等级
+    static S_UNION_CLEARAPPLY = 22111; // 清理所有申请玩家
+    static S_UNION_PASSAPPLY = 22112; // 通过新玩家的申请
+    static S_UNION_REMOVE = 22113; // 解散妖盟
+    static S_UNION_EXIT = 22114; // 退出妖盟
+    static S_UNION_TRENDS = 22115; // 获取妖盟动态
+    static S_UNION_MODIFY = 22116; // 妖盟信息修改
+    static S_UNION_DAILYTASK = 22117; // 获取每日任务列表
+    static S_UNION_GETDAILYTASK = 22118; // 领取每日任务奖励
+    static S_UNION_PUSHEVICTION = 22119; // 推送被踢出妖盟广播
+    static S_UNION_DONATEDAILYTASK = 22120; // 每日任务捐献
+    static S_UNION_DAILYTASKPROGRESS = 22121; // 获取每日任务成员完成进度
+    static S_UNION_EVICTION = 22122; // 逐出妖盟
+    static S_UNION_JOINLIST = 22123; // 加入的妖盟列表(我没有妖盟时的列表)
+    static S_UNION_PUSHMYDATA = 22124; // 推送我的妖盟数据更新
+    static S_GET_UNION_HELP_DATA_LIST = 22125; // 获取妖盟协助列表
+    static S_REQUEST_UNION_HELP = 22126; // 请求妖盟协助
+    static S_UNION_HELP = 22127; // 执行妖盟协助
+    static S_GET_UNION_HELP_STATE = 22128; // 获取妖盟协助状态
+    static S_UNION_WATCH_REDDOT = 22129; // 查看妖盟的红点
+    static S_CUT_PRICE_SYNC = 22165; // 砍价数据同步
+    static S_CUT_PRICE_BARGAIN = 22166; // 砍价
+    static S_CUT_PRICE_BUY = 22167; // 砍价购买
+    static S_UNION_TIME_SYNC = 22168; // 妖盟时间同步
+    static S_BIND_INVITE_CODE = 22401; // 绑定邀请码
+    static S_GET_BIND_INVITE_CODE = 22402; // 获取绑定他人的邀请码
+    static S_HERORANK_ENTER = 23700; // 进入群英榜
+    static S_HERORANK_SYNC_PLAYERDATA = 23701; // 同步群英榜玩家信息
+    static S_HERORANK_GET_FIGHT_LIST = 23702; // 请求挑战者列表
+    static S_HERORANK_FIGHT = 23703; // 请求挑战玩家
+    static S_HERORANK_CLEAR = 23704; // 请求扫荡玩家
+    static S_HERORANK_GET_RECORD = 23705; // 请求日志数据
+    static S_HERORANK_GET_ACHIEVE_REWARD = 23706; // 请求领取成就奖励
+    static S_HERORANK_BUY_ENERGY = 23707; // 请求购买体力
+    static S_PET_DREAMLAND_DRAW = 24101; // 抽奖
+    static S_PET_DREAMLAND_PLACE_UNLOCK = 24102; // 区域解锁
+    static S_PET_DREAMLAND_SLOT_UNLOCK = 24103; // 坑位解锁
+    static S_PET_DREAMLAND_DISPATCH = 24104; // 灵兽派遣
+    static S_PET_DREAMLAND_GET_PROFIT = 24105; // 领取收益
+    static S_SPIRIT_TRIAL_REFRESH_EVIL = 24201; // 刷新邪祟
+    static S_SPIRIT_TRIAL_BATTLE_EVIL = 24202; // 镇压邪祟
+    static S_MAGIC_PLAYER_DATA_SYNC = 24400; // 神通数据同步
+    static S_MAGIC_EQUIP = 24401; // 装备神通
+    static S_MAGIC_RESET = 24402; // 重置神通
+    static S_MAGIC_STAGE_UP = 24403; // 进阶神通
+    static S_MAGIC_LEVEL_UP = 24404; // 升级神通
+    static S_MAGIC_EQUIP_MARK = 24405; // 装备印记
+    static S_MAGIC_UNSNATCH_MARK = 24406; // 卸下印记
+    static S_MAGIC_FUSION_MARK = 24407; // 融合神通印记
+    static S_MAGIC_DERIVATION = 24408; // 衍化
+    static S_MAGIC_COMBINE_LEVEL_UP = 24409; // 升级组合
+    static S_MAGIC_SWITCH_PRESETS_REQ = 24410; // 切换预设
+    static S_MAGIC_STAGE_UP_ALL = 24411; // 一键突破神通
+    static S_CLIENT_STORAGE_DATA = 24501; // 添加储存数据
+    static S_CLIENT_STORAGE_SYNC = 24502; // 全量同步储存数据
+    static S_PALACE_SYNC = 24801; // 仙宫数据同步
+    static S_PALACE_WORSHIP = 24802; // 仙宫点赞同步
+    static S_PALACE_ENTER_OUTER = 24803; // 仙宫外部数据请求
+    static S_PALACE_ENTER_INNER = 24804; // 仙宫内部数据请求
+    static S_PALACE_BOOK = 24805; // 仙名录数据请求
+    static S_PALACE_SEND_GIFT = 24806; // 执行仙宫送福
+    static S_PALACE_SEND_GIFT_GET_REWARD = 24807; // 仙宫送福领奖
+    static S_PALACE_SEND_GIFT_SYNC_DATA = 24808; // 仙宫送福数据同步
+    static S_PALACE_WORSHIP_MIRACLE_SYNC_DATA = 24809; // 仙宫神迹同步
+    static S_PALACE_GET_TITLE_ID_LIST = 24810; // 获得当前已开启的天宫称号id
+    static S_PALACE_ACHIEVE_GET_REWARD = 24857; // 仙宫获得成就奖励
+    static S_ACTIVITY_WILD_ZONE_ENTER_PANEL = 25001; // 蛮荒 进入活动页
+    static S_ACTIVITY_WILD_ZONE_TEAM_CREATE = 25002; // 蛮荒 创建队伍
+    static S_ACTIVITY_WILD_ZONE_TEAM_LIST = 25003; // 蛮荒 获取队伍列表
+    static S_ACTIVITY_WILD_ZONE_TEAM_INFO = 25004; // 蛮荒 查看队伍数据
+    static S_ACTIVITY_WILD_ZONE_TEAM_APPLY_DO = 25005; // 蛮荒 加入队伍
+    static S_ACTIVITY_WILD_ZONE_TEAM_APPLY_CANCEL = 25006; // 蛮荒 取消申请队伍
+    static S_ACTIVITY_WILD_ZONE_TEAM_OUT = 25007; // 蛮荒 解散/退出队伍
+    static S_ACTIVITY_WILD_ZONE_LEAVE_PANEL = 25008; // 蛮荒 退出活动
+    static S_ACTIVITY_WILD_ZONE_TEAM_APPLY_AGREE = 25009; // 蛮荒 玩家申请入队同意
+    static S_ACTIVITY_WILD_ZONE_TEAM_APPLY_REFUSED = 25010; // 蛮荒 玩家申请入队一键拒绝
+    static S_ACTIVITY_WILD_ZONE_TEAM_KICK_OUT = 25011; // 蛮荒 踢出队伍
+    static S_ACTIVITY_WILD_ENTER_REGION = 25012; // 蛮荒 进入区域
+    static S_ACTIVITY_WILD_PLAYER_EXPLORE = 25013; // 蛮荒 探索
+    static S_ACTIVITY_WILD_PLAYER_EXECUTE_EXPLORE = 25014; // 蛮荒 执行探索事件 
+    static S_ACTIVITY_WILD_PLAYER_ACTION_EXPLORE = 25015; // 蛮荒 action探索事件(标记，绕过) 
+    static S_ACTIVITY_WILD_LOG_MEMBER_HELP = 25016; // 蛮荒 日志-队友互助 
+    static S_ACTIVITY_WILD_LOG_BATTLEGROUND = 25017; // 蛮荒 日志-战场日志 
+    static S_ACTIVITY_WILD_LOG_PERSON = 25018; // 蛮荒 日志-个人日志 
+    static S_ACTIVITY_WILD_RANK_PERSON = 25019; // 蛮荒 排行-个人 
+    static S_ACTIVITY_WILD_RANK_TEAM = 25020; // 蛮荒 排行-队伍 
     static S_ACTIVITY_WILD_SYNC_ACTIVITY_CONFIG = 25021;
-    static S_ACTIVITY_WILD_SYNC_ENEMY_INFO = 25022;
-    static S_ACTIVITY_WILD_SYNC_TEAM_LEADER = 25023;
-    static S_ACTIVITY_WILD_SYNC_TEAM_MEMBER = 25024;
-    static S_ACTIVITY_WILD_SYNC_EVENT_INFO = 25029;
-    static S_ACTIVITY_WILD_PLAYER_RECOVER_ENERGY = 25025;
-    static S_ACTIVITY_WILD_PLAYER_DO_HELP = 25026;
-    static S_ACTIVITY_WILD_OPEN_BOX = 25027;
-    static S_ACTIVITY_WILD_PLAYER_DO_HELP_REWARD = 25028;
-    static S_ACTIVITY_WILD_SEND_SYNC_USER_DATA = 25030;
-    static S_ACTIVITY_WILD_SYNC_MARQUEE = 25031;
-    static S_WEEK_CARD_ROUND_REWARD = 21421;
-    static S_GOOD_FORTUNE_GET_REWARD_REQ = 210701;
-    static S_CLIENT_STORAGE_DATA = 24501;
-    static S_CLIENT_STORAGE_SYNC = 24502;
-    static S_UNION_BATTLE_ENTER = 205301;
-    static S_UNION_BATTLE_GET_JOIN_MEMBER_LIST = 205302;
-    static S_UNION_BATTLE_MATCH = 205303;
-    static S_UNION_BATTLE_CHALLENGE = 205304;
-    static S_UNION_BATTLE_GET_REPORT = 205306;
-    static S_UNION_BATTLE_BUY_BUFF = 205307;
-    static S_UNION_BATTLE_SELECT_BUFF = 205308;
-    static S_UNION_BATTLE_GET_PLAY_BACK_LIST = 205309;
-    static S_UNION_BATTLE_RECEIVE_UNION_ACHIEVE_REWARD = 205310;
-    static S_UnionBattlePb_SynPlayerInfo = 205311;
-    static S_UNION_BATTLE_GET_UNION_MEMBER_SCORE = 205312;
-    static S_EQUIPMENT_REFINE = 25501;
-    static S_EQUIPMENT_ADVANCE = 25502;
-    static S_EQUIPMENT_SKILL_UNLOCK = 25503;
-    static S_EQUIPMENT_ADVANCE_DATA_SYNC = 25504;
-    static S_SECRETTOWER_ENTER = 25601;
-    static S_SECRETTOWER_FIGHT = 25602;
-    static S_SECRETTOWER_GETSTAGE = 25603;
-    static S_SECRETTOWER_VIEWMONSTER = 25604;
-    static S_SECRETTOWER_SYNC = 25605;
-    static S_SECRETTOWER_VIEWACHI = 25606;
-    static S_SECRETTOWER_GETACHI = 25607;
-    static S_UNION_BOSS_ENTER = 25801;
-    static S_UNION_BOSS_ARRAYING = 25802;
-    static S_UNION_BOSS_GET_REWARD_INFO = 25803;
-    static S_UNION_BOSS_RECEIVE_REWARD = 25804;
-    static S_UNION_BOSS_BATTLE = 25805;
-    static S_UNION_BOSS_RECEIVE_ACHIEVE_REWARD = 25806;
-    static S_UNION_BOSS_BOSS_INFO_MSG_SYNC = 25807;
-    static S_UNION_BOSS_MSG_BUFF_INFO_SYNC = 25808;
-    static S_UNION_BOSS_GET_ADD_BUFF_PLAYER = 25809;
-    static S_FAIRYLAND_HEARTDEVIL_BATTLE = 214201;
-    static S_FAIRYLAND_SYNC_PLAYER_DATA = 214202;
-    static S_FAIRYLAND_GOTO_SOUTH_DOOR = 214204;
-    static S_FAIRYLAND_ENTER_SOUTH_DOOR = 214205;
-    static S_FAIRYLAND_SOUTH_DOOR_BATTLE = 214206;
-    static S_FAIRYLAND_SOUTH_DOOR_INVITE = 214207;
-    static S_FAIRYLAND_SOUTH_DOOR_HELP = 214208;
-    static S_FAIRYLAND_SOAR = 214209;
-    static S_FAIRYLAND_HEARTDEVIL_MONSTER = 214210;
-    static S_FAIRYLAND_SYNC_SERVERS_DATA = 214211;
-    static S_UNION_AREA_WAR_BASE_INFO = 206001;
-    static S_UNION_AREA_WAR_BASE_RANK = 206002;
-    static S_UNION_AREA_WAR_BASE_GROUP = 206003;
-    static S_UNION_AREA_WAR_DEFENDERS = 206004;
-    static S_UNION_AREA_WAR_DEFENDERS_UPDATE = 206005;
-    static S_UNION_AREA_WAR_AREA_LIST = 206006;
-    static S_UNION_AREA_WAR_AREA_LIST_UPDATE = 206007;
-    static S_UNION_AREA_WAR_PLAYER_INFO = 206008;
-    static S_UNION_AREA_WAR_ATTACK = 206009;
-    static S_UNION_AREA_WAR_HISTORY = 206010;
-    static S_UNION_AREA_WAR_DEVELOP = 206011;
-    static S_UNION_AREA_WAR_TREASURE_INFO = 206013;
-    static S_UNION_AREA_WAR_TREASURE_DRAW = 206014;
-    static S_UNION_AREA_WAR_SUMMON_DRAGON = 206015;
-    static S_UNION_AREA_WAR_BASE_WORSHIP = 206016;
-    static S_UNION_AREA_WAR_GUESS_INFO = 206017;
-    static S_UNION_AREA_WAR_GUESS = 206018;
-    static S_UNION_AREA_WAR_FIGHT_SCENE = 206019;
-    static S_UNION_AREA_WAR_CONSTRUCT_DATA = 206020;
-    static S_UNION_AREA_WAR_REPORT_DATA = 206021;
-    static S_UNION_AREA_WAR_REPORT_DETAIL = 206022;
-    static S_UNION_AREA_WAR_UNION_DAMAGE_INFO = 206023;
-    static S_UNION_AREA_WAR_UNION_BET_DATA = 206024;
-    static S_UNION_AREA_WAR_UNION_BET_SELECT = 206025;
-    static S_UNION_AREA_WAR_UNION_BET_REWARD = 206026;
-    static S_UNION_AREA_WAR_UNION_GET_MEMBER_LIST = 206027;
-    static S_UNION_AREA_WAR_DRAGON_ATTACK_SYNC = 206028;
-    static S_UNION_AREA_WAR_UNION_GROUP_DAMAGE_INFO = 206029;
-    static S_UNION_AREA_WAR_UNION_RED_DOT_DATA = 206030;
-    static S_UNION_AREA_WAR_GUESS_PLAYER_LIST = 206031;
-    static S_UNION_AREA_WAR_DAN_GROUP_COUNT = 206032;
-    static S_MAGIC_TREASURE_PLAYER_DATA_MSG = 26301;
-    static S_MAGIC_TREASURE_DRAW_REQ = 26302;
-    static S_MAGIC_TREASURE_LV_UP_REQ = 26303;
-    static S_MAGIC_TREASURE_ACTIVE_REQ = 26304;
-    static S_MAGIC_TREASURE_STAR_UP_REQ = 26305;
-    static S_MAGIC_TREASURE_SYNC_DATA_MSG = 26306;
-    static S_ACTIVITY_SEEKTREASURE_DRAW = 21023;
-    static S_ACTIVITY_SEEKTREASURE_VIEW = 21024;
-    static S_ACTIVITY_SEEKTREASURE_RARE_REWARD = 21025;
-    static S_ACTIVITY_SEEKTREASURE_DRAW_NOTICE_SYNC = 21026;
+    static S_ACTIVITY_WILD_SYNC_ENEMY_INFO = 25022; // 蛮荒 广播-仇人信息
+    static S_ACTIVITY_WILD_SYNC_TEAM_LEADER = 25023; // 蛮荒 广播-队长收到的广播
+    static S_ACTIVITY_WILD_SYNC_TEAM_MEMBER = 25024; // 蛮荒 广播-队员接收到的广播
+    static S_ACTIVITY_WILD_PLAYER_RECOVER_ENERGY = 25025; // 蛮荒 恢复体力
+    static S_ACTIVITY_WILD_PLAYER_DO_HELP = 25026; // 蛮荒 执行协助
+    static S_ACTIVITY_WILD_OPEN_BOX = 25027; // 蛮荒 开宝箱
+    static S_ACTIVITY_WILD_PLAYER_DO_HELP_REWARD = 25028; // 蛮荒 领取协助奖励
+    static S_ACTIVITY_WILD_SYNC_EVENT_INFO = 25029; // 蛮荒 事件广播
+    static S_ACTIVITY_WILD_SEND_SYNC_USER_DATA = 25030; // 蛮荒 发送同步玩家信息协议
+    static S_ACTIVITY_WILD_SYNC_MARQUEE = 25031; // 蛮荒 击杀广播
+    static S_EQUIPMENT_REFINE = 25501; // 精炼
+    static S_EQUIPMENT_ADVANCE = 25502; // 进阶
+    static S_EQUIPMENT_SKILL_UNLOCK = 25503; // 技能解锁
+    static S_EQUIPMENT_ADVANCE_DATA_SYNC = 25504; // 数据同步
+    static S_SECRETTOWER_ENTER = 25601; // 进入秘境
+    static S_SECRETTOWER_FIGHT = 25602; // 挑战怪物
+    static S_SECRETTOWER_GETSTAGE = 25603; // 领取阶段奖励
+    static S_SECRETTOWER_VIEWMONSTER = 25604; // 查看怪物属性
+    static S_SECRETTOWER_SYNC = 25605; // 秘境数据同步
+    static S_SECRETTOWER_VIEWACHI = 25606; // 查看秘境成就
+    static S_SECRETTOWER_GETACHI = 25607; // 领取成就奖励
+    static S_UNION_BOSS_ENTER = 25801; // 进入妖邪讨伐
+    static S_UNION_BOSS_ARRAYING = 25802; // 布阵
+    static S_UNION_BOSS_GET_REWARD_INFO = 25803; // 查看讨伐奖励
+    static S_UNION_BOSS_RECEIVE_REWARD = 25804; // 领取讨伐奖励
+    static S_UNION_BOSS_BATTLE = 25805; // 挑战
+    static S_UNION_BOSS_RECEIVE_ACHIEVE_REWARD = 25806; // 领取讨伐成就奖励
+    static S_UNION_BOSS_BOSS_INFO_MSG_SYNC = 25807; // 同步boss信息
+    static S_UNION_BOSS_MSG_BUFF_INFO_SYNC = 25808; // 同步阵法信息
+    static S_UNION_BOSS_GET_ADD_BUFF_PLAYER = 25809; // 请求已布阵玩家信息
+    static S_MAGIC_TREASURE_PLAYER_DATA_MSG = 26301; // 玩家法宝数据
+    static S_MAGIC_TREASURE_DRAW_REQ = 26302; // 法宝抽取
+    static S_MAGIC_TREASURE_LV_UP_REQ = 26303; // 法宝升级
+    static S_MAGIC_TREASURE_ACTIVE_REQ = 26304; // 法宝激活
+    static S_MAGIC_TREASURE_STAR_UP_REQ = 26305; // 法宝升星
+    static S_MAGIC_TREASURE_SYNC_DATA_MSG = 26306; // 同步法宝列表数据
+    static S_FAIRY_RABBIT_DRAW_REQ = 27101;
+    static S_FAIRY_RABBIT_SELECT_BIG_REWARD_REQ = 27102;
+    static S_MINI_GAMES_REWARD = 200021; // 小游戏领奖
+    static S_MINI_GAMES_STAGE_MAP_CHALLENGE = 200022; // 秘境挑战
+    static S_PLAYER_FORBIDDEN_TRAILS_GET_REWARD = 200023; // 禁地试炼领奖
+    static S_UNION_DETAIL_IN_GROUP = 201604; // 查看本分组妖盟详情
+    static S_UNION_PLAYER_STRENGTH_RANK = 201630; // 获取分组评级排行
+    static S_UNION_SET_RECRUIT_INFO = 201650; // 评级人数分配设置
+    static S_UNION_GET_CROSS_SERVER = 201651; // 获取妖盟跨服信息
+    static S_UNION_PUBLISH_RECRUIT = 201654; // 发布招募信息
+    static S_UNION_PUBLISH_RECRUIT_SYNC = 201655; // 同步招募次数
+    static S_UNION_PLAYER_RATE_SYNC = 201656; // 登录或者评级变化时 同步玩家的评级数据
+    static S_WORLD_MESSAGE_REMOVE_BLACK = 203205; // 移除黑名单
+    static S_WORLD_MESSAGE_GET_BLACK_LIST = 203206; // 获取黑名单列表
+    static S_WORLD_MESSAGE_SYNC_BLACK_LIST = 203207; // 黑名单列表同步
+    static S_WORLD_MESSAGE_CHECK_EFFECTIVE_REQ = 203208; // 检测消息是否有效
+    static S_UNION_BATTLE_ENTER = 205301; // 进入妖盟乱斗
+    static S_UNION_BATTLE_GET_JOIN_MEMBER_LIST = 205302; // 查看自己所属联盟的参与名单
+    static S_UNION_BATTLE_MATCH = 205303; // 匹配
+    static S_UNION_BATTLE_CHALLENGE = 205304; // 挑战
+    static S_UNION_BATTLE_GET_REPORT = 205306; // 查看战报信息
+    static S_UNION_BATTLE_BUY_BUFF = 205307; // 购买buff
+    static S_UNION_BATTLE_SELECT_BUFF = 205308; // 选择buff
+    static S_UNION_BATTLE_GET_PLAY_BACK_LIST = 205309; // 获取本次挑战的回放列表
+    static S_UNION_BATTLE_RECEIVE_UNION_ACHIEVE_REWARD = 205310; // 领取联盟成就奖励
+    static S_UnionBattlePb_SynPlayerInfo = 205311; // 同步玩家用户信息
+    static S_UNION_BATTLE_GET_UNION_MEMBER_SCORE = 205312; // 查看联盟积分
     static S_ASKDING_APPLICATION = 205901;
     static S_ASKDING_ENTER_ACT = 205903;
     static S_ASKDING_ENTER_ROOM = 205904;
@@ -506,193 +462,174 @@ class Protocol {
     static S_ASKDING_FINAL_GAME_INFO = 205932;
     static S_ASKDING_GET_CHAMPION_HISTORY = 205933;
     static S_ASKDING_BREAKOUT_SCORE_LIST = 205934;
-    static S_ASKDING_CHAMPION_INFO = 205935;
+    static S_ASKDING_CHAMPION_INFO = 205935; // 领奖期 冠军弹窗
     static S_ASKDING_RED_POINT = 205936;
     static S_ASKDING_FINAL_GAME_END_SYNC = 205937;
-    static S_ASKDING_PLAYER_JOIN_SYNC = 205938;
+    static S_ASKDING_PLAYER_JOIN_SYNC = 205938; // 玩家参赛后 同步玩家参赛资格
     static S_ASKDING_WATCH_GAME = 205939;
-    static S_SYNC_GATHER_ENERGY_MSG = 207002;
-    static S_GATHER_ENERGY_OPEN_VIEW = 207003;
-    static S_GATHER_ENERGY_OPEN = 207004;
-    static S_GATHER_ENERGY_FIGHT = 207007;
-    static S_GATHER_ENERGY_REWARD_SHOW = 207010;
-    static S_GATHER_ENERGY_GET_REWARD = 207011;
-    static S_GATHER_ENERGY_LIKE = 207012;
-    static S_GATHER_ENERGY_TRANSFORM = 207015;
-    static S_GATHER_ENERGY_LEAVE = 207017;
-    static S_GATHER_ENERGY_NOTICE = 207018;
-    static S_GATHER_ENERGY_GET_AD_AWARD = 207019;
-    static S_GATHER_ENERGY_ENTER_NEW = 207001;
-    static S_GATHER_ENERGY_FIRST_LIST_VIEW = 207020;
-    static S_GATHER_ENERGY_SECOND_LIST_VIEW = 207021;
-    static S_GATHER_ENERGY_INSIDE_VIEW_NEW = 207022;
-    static S_GATHER_ENERGY_FIGHT_REPORT_NEW = 207023;
-    static S_GATHER_ENERGY_SEARCH_NEW = 207024;
-    static S_GATHER_ENERGY_ATTEND_NEW = 207025;
-    static S_ASKWAY_ENTER = 206101;
-    static S_ASKWAY_MATCH = 206102;
-    static S_ASKWAY_BATTLE = 206103;
-    static S_ASKWAY_GETREPORT = 206104;
-    static S_ASKWAY_BATTLEREPLY = 206105;
-    static S_ASKWAY_RECEIVETIERREWAWARD = 206106;
-    static S_ASKWAY_ReceiveScoreReward = 206107;
-    static S_ASKWAY_BUYCHALLENGETIME = 206108;
-    static S_ASKWAY_GETPLAYERINFO = 206109;
-    static S_ASKWAY_GetGuessCoin = 206110;
-    static S_ASKWAY_ToSkyGuess = 206111;
-    static S_ASKWAY_ToSkyBattleReply = 206112;
-    static S_ASKWAY_Worship = 206113;
-    static S_ASKWAY_ToSkyRankReward = 206114;
-    static S_ASKWAY_ToSkyRoster = 206115;
-    static S_ASKWAY_ToSkyGetGoupData = 206116;
-    static S_ASKWAY_GetToSkyGuessInfo = 206117;
-    static S_ASKWAY_GetToSkyReport = 206118;
-    static S_ASKWAY_GetCurStateInfo = 206132;
-    static S_GOD_ISLAND_BASE_INFO_LOAD = 206801;
-    static S_GOD_ISLAND_GROUP = 206802;
-    static S_GOD_ISLAND_REPORT_DATA = 206803;
-    static S_GOD_ISLAND_REPORT_DETAIL = 206804;
-    static S_GOD_ISLAND_UNION_DAMAGE_INFO = 206805;
-    static S_GOD_ISLAND_UNION_GET_MEMBER_LIST = 206806;
-    static S_GOD_ISLAND_UNION_GROUP_DAMAGE_INFO = 206807;
-    static S_GOD_ISLAND_RED_DOT_DATA = 206808;
-    static S_GOD_ISLAND_WORSHIP = 206809;
-    static S_GOD_ISLAND_PLAYER_BATTLE_REPORT = 206810;
-    static S_GOD_ISLAND_UPDATE_POWER = 206811;
-    static S_GOD_ISLAND_UNION_BATTLE_SCORE_LIST = 206812;
-    static S_GOD_ISLAND_UNION_LIQUID_RECEIVE_RECORD = 206813;
-    static S_GOD_ISLAND_UNION_MEMBER_SCORE_LIST = 206814;
-    static S_GOD_ISLAND_HEART_BEAT = 206819;
-    static S_GOD_ISLAND_GAME_INFO_LOAD = 206820;
+    static S_UNION_AREA_WAR_BASE_INFO = 206001; // 查询据点战基础信息
+    static S_UNION_AREA_WAR_BASE_RANK = 206002;
+    static S_UNION_AREA_WAR_BASE_GROUP = 206003; // 请求查看分组
+    static S_UNION_AREA_WAR_DEFENDERS = 206004; // 请求防守人列表
+    static S_UNION_AREA_WAR_DEFENDERS_UPDATE = 206005; // 刷新防守人列表
+    static S_UNION_AREA_WAR_AREA_LIST = 206006; // 获取据点列表
+    static S_UNION_AREA_WAR_AREA_LIST_UPDATE = 206007; // 刷新据点列表
+    static S_UNION_AREA_WAR_PLAYER_INFO = 206008;
+    static S_UNION_AREA_WAR_ATTACK = 206009; // 请求战斗场景攻击
+    static S_UNION_AREA_WAR_HISTORY = 206010;
+    static S_UNION_AREA_WAR_DEVELOP = 206011; // 建设(捐献)
+    static S_UNION_AREA_WAR_TREASURE_INFO = 206013; // 加载宝库信息
+    static S_UNION_AREA_WAR_TREASURE_DRAW = 206014; // 宝库抽奖
+    static S_UNION_AREA_WAR_SUMMON_DRAGON = 206015; // 请求召唤神龙
+    static S_UNION_AREA_WAR_BASE_WORSHIP = 206016; // 查询据点战膜拜
+    static S_UNION_AREA_WAR_GUESS_INFO = 206017;
+    static S_UNION_AREA_WAR_GUESS = 206018;
+    static S_UNION_AREA_WAR_FIGHT_SCENE = 206019; // 请求战斗场景数据
+    static S_UNION_AREA_WAR_CONSTRUCT_DATA = 206020; // 请求捐献建设数据
+    static S_UNION_AREA_WAR_REPORT_DATA = 206021; // 请求战报数据
+    static S_UNION_AREA_WAR_REPORT_DETAIL = 206022; // 请求战报伤害详情数据
+    static S_UNION_AREA_WAR_UNION_DAMAGE_INFO = 206023; // 请求联盟伤害数据
+    static S_UNION_AREA_WAR_UNION_BET_DATA = 206024; // 请求竞猜界面数据
+    static S_UNION_AREA_WAR_UNION_BET_SELECT = 206025; // 请求竞猜选择
+    static S_UNION_AREA_WAR_UNION_BET_REWARD = 206026; // 请求竞猜奖励
+    static S_UNION_AREA_WAR_UNION_GET_MEMBER_LIST = 206027; // 查看自己所属联盟的参与名单
+    static S_UNION_AREA_WAR_DRAGON_ATTACK_SYNC = 206028; // 神龙战场攻击推送
+    static S_UNION_AREA_WAR_UNION_GROUP_DAMAGE_INFO = 206029; // 请求查看联盟分段位伤害信息
+    static S_UNION_AREA_WAR_UNION_RED_DOT_DATA = 206030; // 请求红点信息
+    static S_UNION_AREA_WAR_GUESS_PLAYER_LIST = 206031; // 请求查看竞猜结果的获奖玩家列表
+    static S_UNION_AREA_WAR_DAN_GROUP_COUNT = 206032; // 查看所有段位的分组数量
+    static S_ASKWAY_ENTER = 206101; // 进入活动
+    static S_ASKWAY_MATCH = 206102; // 斗法匹配
+    static S_ASKWAY_BATTLE = 206103; // 斗法战斗
+    static S_ASKWAY_GETREPORT = 206104; // 获取战报
+    static S_ASKWAY_BATTLEREPLY = 206105; // 斗法战斗回放
+    static S_ASKWAY_RECEIVETIERREWAWARD = 206106; // 领取段位奖励
+    static S_ASKWAY_ReceiveScoreReward = 206107; // 领取斗法榜单积分奖励
+    static S_ASKWAY_BUYCHALLENGETIME = 206108; // 购买挑战令道具
+    static S_ASKWAY_GETPLAYERINFO = 206109; // 查看玩家数据
+    static S_ASKWAY_GetGuessCoin = 206110; // 领取竞猜币
+    static S_ASKWAY_ToSkyGuess = 206111; // 登天竞猜
+    static S_ASKWAY_ToSkyBattleReply = 206112; // 登天战斗回放
+    static S_ASKWAY_Worship = 206113; // 朝拜
+    static S_ASKWAY_ToSkyRankReward = 206114; // 领取登天榜单奖励
+    static S_ASKWAY_ToSkyRoster = 206115; // 往届妖神榜
+    static S_ASKWAY_ToSkyGetGoupData = 206116; // 获取登天期组别数据
+    static S_ASKWAY_GetToSkyGuessInfo = 206117; // 获取竞猜信息
+    static S_ASKWAY_GetToSkyReport = 206118; // 获取登天战报数据
+    static S_ASKWAY_GetCurStateInfo = 206132; // 获取海报数据
+    static S_UNION_FIGHT_MAIN = 206701; // 妖盟夺位战主界面
+    static S_UNION_FIGHT_APPLY = 206702; // 妖盟夺位战报名
+    static S_UNION_FIGHT_ENTER = 206703; // 妖盟夺位战进入战斗界面
+    static S_UNION_FIGHT_REQUEST = 206704; // 妖盟夺位战请战
+    static S_UNION_FIGHT_UP = 206705; // 妖盟夺位战上阵
+    static S_UNION_FIGHT_DOWN = 206706; // 妖盟夺位战下阵
+    static S_UNION_FIGHT_GROUP_RANK = 206707; // 妖盟夺位战小组排行
+    static S_UNION_FIGHT_LEAVE = 206708; // 妖盟夺位战离开
+    static S_UNION_FIGHT_SUPREMACY = 206709; // 妖盟夺位战至尊榜
+    static S_UNION_FIGHT_WORSHIP = 206710; // 妖盟夺位战膜拜
+    static S_UNION_FIGHT_PLAY_BACK = 206711; // 妖盟夺位战回放
+    static S_UNION_FIGHT_RECORD = 206712; // 妖盟夺位战对战记录
+    static S_UNION_FIGHT_HISTORY = 206713; // 妖盟夺位战历史最高
+    static S_UNION_FIGHT_LOCKED_DETAIL = 206714; // 妖盟夺位战获取锁定属性
+    static S_UNION_FIGHT_SET_LOCK = 206715; // 妖盟夺位战设置锁定状态
+    static S_UNION_FIGHT_TODAY_DETAIL = 206716; // 妖盟夺位战今日详情
+    static S_UNION_FIGHT_GET_UNION_RANK_LIST = 206717; // 获取妖盟排行列表
+    static S_UNION_FIGHT_DATA_SYNC = 206721; // 妖盟夺位战备战数据同步
+    static S_UNION_FIGHT_LOGIN_SYNC = 206730; // 妖盟夺位战登录数据
+    static S_GOD_ISLAND_BASE_INFO_LOAD = 206801; // 基础信息
+    static S_GOD_ISLAND_GROUP = 206802; // 查看分组
+    static S_GOD_ISLAND_REPORT_DATA = 206803; // 请求妖盟建筑战报
+    static S_GOD_ISLAND_REPORT_DETAIL = 206804; // 请求妖盟建筑战报详情数据
+    static S_GOD_ISLAND_UNION_DAMAGE_INFO = 206805; // 请求联盟战功数据
+    static S_GOD_ISLAND_UNION_GET_MEMBER_LIST = 206806; // 查看自己所属联盟的参与名单
+    static S_GOD_ISLAND_UNION_GROUP_DAMAGE_INFO = 206807; // 妖盟分段位伤害信息
+    static S_GOD_ISLAND_RED_DOT_DATA = 206808; // 红点信息
+    static S_GOD_ISLAND_WORSHIP = 206809; // 点赞
+    static S_GOD_ISLAND_PLAYER_BATTLE_REPORT = 206810; // 请求个人战报
+    static S_GOD_ISLAND_UPDATE_POWER = 206811; // 妖力转灵力
+    static S_GOD_ISLAND_UNION_BATTLE_SCORE_LIST = 206812; // 查看妖盟战功列表
+    static S_GOD_ISLAND_UNION_LIQUID_RECEIVE_RECORD = 206813; // 灵液领取记录
+    static S_GOD_ISLAND_UNION_MEMBER_SCORE_LIST = 206814; // 妖盟成员战功统计
+    static S_GOD_ISLAND_HEART_BEAT = 206819; // 活动心跳
+    static S_GOD_ISLAND_GAME_INFO_LOAD = 206820; // 游戏基础信息
     static S_GOD_ISLAND_GAME_ROUTE_INFO = 206821;
-    static S_GOD_ISLAND_GAME_ROUTE_INFO_SYNC = 206822;
-    static S_GOD_ISLAND_GAME_MAP_CITY_INFO = 206823;
-    static S_GOD_ISLAND_GAME_EVENT = 206824;
-    static S_GOD_ISLAND_GAME_CITY_BUFF_SYNC = 206825;
-    static S_GOD_ISLAND_GAME_SPIRITUALBALL_INFO = 206826;
-    static S_GOD_ISLAND_GAME_USE_SPIRITUALBALL = 206827;
-    static S_GOD_ISLAND_GAME_TARGET_CITY_INFO = 206828;
-    static S_GOD_ISLAND_GAME_TARGET_CITY_LINE_INFO = 206829;
-    static S_GOD_ISLAND_GAME_ATTACK = 206830;
-    static S_GOD_ISLAND_GAME_AUTO_ATTACK = 206831;
-    static S_GOD_ISLAND_GAME_MOVE = 206832;
-    static S_GOD_ISLAND_GAME_EVENT_SYNC = 206833;
-    static S_GOD_ISLAND_GAME_MINIMAP_INFO = 206834;
-    static S_GOD_ISLAND_GAME_SET_UNION_TYPE = 206835;
-    static S_GOD_ISLAND_GAME_PLANT_INFO = 206836;
-    static S_GOD_ISLAND_GAME_USE_FRUIT = 206837;
-    static S_GOD_ISLAND_GAME_PLANT_RECEIVE_FRUITS = 206838;
-    static S_GOD_ISLAND_GAME_PLANT_WATER = 206839;
-    static S_GOD_ISLAND_CRYSTAL_INFO = 206840;
-    static S_GOD_ISLAND_CRYSTAL_RECEIVE = 206841;
-    static S_GOD_ISLAND_GAME_STRATEGY_INFO = 206842;
-    static S_GOD_ISLAND_GAME_COMMANDER_SET = 206843;
-    static S_GOD_ISLAND_GAME_SET_UNION_TARGET = 206844;
-    static S_GOD_ISLAND_GAME_FOR_HELP = 206845;
-    static S_GOD_ISLAND_GAME_CITY_CHANGE_SYNC = 206846;
-    static S_GOD_ISLAND_GAME_PLAYER_WIN_SYNC = 206847;
-    static S_GOD_ISLAND_GAME_LINE_INFO_SYNC = 206848;
-    static S_GOD_ISLAND_GAME_ACCELERATE_MOVE = 206849;
-    static S_GOD_ISLAND_GAME_MYGAMEINFO_SYNC = 206850;
-    static S_GOD_ISLAND_GAME_PLANT_SEND_LIQUID = 206851;
-    static S_GOD_ISLAND_GAME_PLANT_SEND_LIQUID_RECORD = 206852;
-    static S_GOD_ISLAND_GAME_HORSE_LAMP_SYNC = 206853;
-    static S_GOD_ISLAND_SUPPRESS_BUFF_SYNC = 206854;
-    static S_GOD_ISLAND_GAME_CITY_BUFF_INFO = 206855;
-    static S_GOD_ISLAND_GAME_BACK_HOME = 206856;
-    static S_GOD_ISLAND_GAME_LEFT_OUT_SYNC = 206857;
-    static S_GOD_ISLAND_GAME_SET_FRIEND_UNION = 206858;
-    static S_GOD_ISLAND_GAME_FRIEND_UNION_SYNC = 206859;
-    static S_GOD_ISLAND_GAME_COMMANDER_CHANGE_SYNC = 206860;
-    static S_GOD_ISLAND_BEEN_KILL_SYNC = 206861;
-    static S_GOD_ISLAND_GAME_CITY_BATTLE = 206862;
-    static S_GOD_ISLAND_AUTO_BATTLE_STOP_SYNC = 206863;
-    static S_GOD_ISLAND_GHOST_CITY_UNLOCK_SYNC = 206864;
-    static S_UNION_FIGHT_LOGIN_SYNC = 206730;
-    static S_UNION_FIGHT_MAIN = 206701;
-    static S_UNION_FIGHT_APPLY = 206702;
-    static S_UNION_FIGHT_ENTER = 206703;
-    static S_UNION_FIGHT_REQUEST = 206704;
-    static S_UNION_FIGHT_UP = 206705;
-    static S_UNION_FIGHT_DOWN = 206706;
-    static S_UNION_FIGHT_GROUP_RANK = 206707;
-    static S_UNION_FIGHT_DATA_SYNC = 206721;
-    static S_UNION_FIGHT_LEAVE = 206708;
-    static S_UNION_FIGHT_SUPREMACY = 206709;
-    static S_UNION_FIGHT_WORSHIP = 206710;
-    static S_UNION_FIGHT_PLAY_BACK = 206711;
-    static S_UNION_FIGHT_RECORD = 206712;
-    static S_UNION_FIGHT_HISTORY = 206713;
-    static S_UNION_FIGHT_LOCKED_DETAIL = 206714;
-    static S_UNION_FIGHT_SET_LOCK = 206715;
-    static S_UNION_FIGHT_TODAY_DETAIL = 206716;
-    static S_UNION_FIGHT_GET_UNION_RANK_LIST = 206717;
-    static SYNC_UNION_DUEL_MSG = 208501;
-    static S_UNION_DUEL_OPEN_VIEW = 208502;
-    static S_UNION_DUEL_APPLY = 208503;
-    static S_UNION_DUEL_OPEN_LIST_VIEW = 208504;
-    static S_UNION_DUEL_FIGHT = 208505;
-    static S_UNION_DUEL_OPEN_BATTLE_NOTICE = 208508;
-    static S_UNION_DUEL_OPEN_CONTRIBUTE_VIEW = 208509;
-    static S_UNION_DUEL_OPEN_REWARD_PREVIEW = 208510;
-    static S_UNION_DUEL_SYNC_DATA = 208511;
-    static S_UNION_BOUNTY_ENTRY_MAP = 213602;
-    static S_UNION_BOUNTY_EXIT_MAP = 213603;
-    static S_UNION_BOUNTY_PLUNDER = 213604;
-    static S_UNION_BOUNTY_DEAL_BOUNTY = 213605;
-    static S_UNION_BOUNTY_GET_REWARD_ESCORT = 213606;
-    static S_UNION_BOUNTY_CHECK_ESCORT = 213608;
-    static S_UNION_BOUNTY_GET_REPORT = 213609;
-    static S_UNION_BOUNTY_REPORT_CHECK_ESCORT = 213611;
-    static S_UNION_BOUNTY_WORSHIP = 213612;
-    static S_UNION_BOUNTY_REFRESH_MAP = 213613;
-    static S_UNION_BOUNTY_OPEN_BOUNTY_EVENT = 213614;
-    static S_UNION_BOUNTY_OPEN_BOUNTY_RETALIATE = 213615;
-    static S_UNION_BOUNTY_GET_MEMBER_SCORE = 213616;
-    static S_UNION_BOUNTY_HAVE_ESCORT = 213617;
-    static S_UNION_BOUNTY_OPEN_ESCORT_DETAIL = 213618;
-    static S_UNION_BOUNTY_OPEN_MONSTER = 213619;
-    static S_UNION_BOUNTY_ATTACK_MONSTER = 213620;
-    static S_UNION_BOUNTY_ASK_HELP = 213621;
-    static S_UNION_BOUNTY_OPEN_ASK_HELP = 213622;
-    static S_UNION_BOUNTY_DEAL_ASK_HELP = 213623;
-    static S_UNION_BOUNTY_MANAGE_TEAM = 213624;
-    static S_UNION_BOUNTY_SYN_MONSTER_INFO = 213625;
-    static S_UNION_BOUNTY_GET_MONSTER_ATTRIBUTE = 213626;
-    static S_UNION_BOUNTY_MONSTER_CHANGE_POS = 213627;
-    static S_UNION_BOUNTY_GET_EXIST_MONSTER = 213628;
-    static S_DOURO_OPEN_VIEW = 209403;
-    static S_DOURO_USE_SOUL_POWER = 209401;
-    static S_DOURO_GET_SCORE_REWARD = 209402;
-    static S_DOURO_OPEN_TASK = 209404;
-    static S_FANREN_USE_SWORD_POWER = 2013401;
-    static S_PLAYER_FORBIDDEN_TRAILS_GET_REWARD = 200023;
-    static S_STARTRIAL_DATA_SYNC = 206901;
-    static S_STARTRIAL_Fight = 206902;
-    static S_STARTRIAL_GetRecord = 206903;
-    static S_STARTRIAL_BattleReply = 206904;
-    static S_STARTRIAL_CodexEnter = 206905;
-    static S_STARTRIAL_GetCodexMsg = 206906;
-    static S_STARTRIAL_GetBossAttrMsg = 206907;
-    static S_STARTRIAL_GetDailyFightReward = 206908;
-    static S_STARTRIAL_GetGroupInfo = 206909;
-    static S_STARTRIAL_GetPlayerDetailInfo = 206910;
-    static S_STARTRIAL_EnterMainPanel = 206911;
-    static S_HOLD_PET_EGG_DATA_SYNC = 4600;
-    static U_HOLD_SPECIAL_ITEM_DATA_SYNC = 4601;
-    static S_PIG_ESCAPE_GET_REWARD = 20020;
-    static S_FAIRY_RABBIT_DRAW_REQ = 27101;
-    static S_FAIRY_RABBIT_SELECT_BIG_REWARD_REQ = 27102;
-    static S_WEST_TRAVEL_PASS_GAME = 210901;
-    static S_RECEIVE_SDK_REWARD_SYN = 207201;
-    static S_RECEIVE_SDK_REWARD = 207202;
-    static S_QQCARD_GET_REWARD = 207203;
-    static S_ALIPAY_SET_START_PARAM = 207204;
-    static S_RECEIVE_SDK_DAILY_REWARD = 207205;
-    static S_ADGIFTPB_TRIGGER = 215201;
-    static S_ADGIFTPB_GET_REWARD = 215202;
-    static S_MINI_GAMES_REWARD = 200021;
-    static S_MINI_GAMES_STAGE_MAP_CHALLENGE = 200022;
+    static S_GOD_ISLAND_GAME_ROUTE_INFO_SYNC = 206822; // 游戏路线同步信息
+    static S_GOD_ISLAND_GAME_MAP_CITY_INFO = 206823; // 游戏大地图城市信息(在滑动地图时候将视野内的城市id发送)
+    static S_GOD_ISLAND_GAME_EVENT = 206824; // npc事件选择
+    static S_GOD_ISLAND_GAME_CITY_BUFF_SYNC = 206825; // 城市buff同步
+    static S_GOD_ISLAND_GAME_SPIRITUALBALL_INFO = 206826; // 灵力球信息
+    static S_GOD_ISLAND_GAME_USE_SPIRITUALBALL = 206827; // 使用灵力球
+    static S_GOD_ISLAND_GAME_TARGET_CITY_INFO = 206828; // 目标城市具体信息
+    static S_GOD_ISLAND_GAME_TARGET_CITY_LINE_INFO = 206829; // 目标城市队列信息
+    static S_GOD_ISLAND_GAME_ATTACK = 206830; // 进攻
+    static S_GOD_ISLAND_GAME_AUTO_ATTACK = 206831; // 自动操作 托管
+    static S_GOD_ISLAND_GAME_MOVE = 206832; // 行军移动
+    static S_GOD_ISLAND_GAME_EVENT_SYNC = 206833; // npc事件同步
+    static S_GOD_ISLAND_GAME_MINIMAP_INFO = 206834; // 小地图信息
+    static S_GOD_ISLAND_GAME_SET_UNION_TYPE = 206835; // 设置联盟类型
+    static S_GOD_ISLAND_GAME_PLANT_INFO = 206836; // 联盟种草信息
+    static S_GOD_ISLAND_GAME_USE_FRUIT = 206837; // 使用仙果 补充灵力球的灵力
+    static S_GOD_ISLAND_GAME_PLANT_RECEIVE_FRUITS = 206838; // 联盟种草领取果实
+    static S_GOD_ISLAND_GAME_PLANT_WATER = 206839; // 联盟种草浇水
+    static S_GOD_ISLAND_CRYSTAL_INFO = 206840; // 灵晶数据加载
+    static S_GOD_ISLAND_CRYSTAL_RECEIVE = 206841; // 领取灵晶
+    static S_GOD_ISLAND_GAME_STRATEGY_INFO = 206842; // 联盟指挥信息
+    static S_GOD_ISLAND_GAME_COMMANDER_SET = 206843; // 联盟指挥设置
+    static S_GOD_ISLAND_GAME_SET_UNION_TARGET = 206844; // 联盟指挥设置目标
+    static S_GOD_ISLAND_GAME_FOR_HELP = 206845; // 联盟指挥请求支援
+    static S_GOD_ISLAND_GAME_CITY_CHANGE_SYNC = 206846; // 城市变化同步
+    static S_GOD_ISLAND_GAME_PLAYER_WIN_SYNC = 206847; // 连胜消息同步
+    static S_GOD_ISLAND_GAME_LINE_INFO_SYNC = 206848; // 队列消息同步(大地图，城市队列，具体队列信息都通过这条去同步刷新)
+    static S_GOD_ISLAND_GAME_ACCELERATE_MOVE = 206849; // 加速行军
+    static S_GOD_ISLAND_GAME_MYGAMEINFO_SYNC = 206850; // 我的游戏信息同步
+    static S_GOD_ISLAND_GAME_PLANT_SEND_LIQUID = 206851; // 联盟发送灵液
+    static S_GOD_ISLAND_GAME_PLANT_SEND_LIQUID_RECORD = 206852; // 联盟灵液发送记录
+    static S_GOD_ISLAND_GAME_HORSE_LAMP_SYNC = 206853; // 跑马灯消息同步
+    static S_GOD_ISLAND_SUPPRESS_BUFF_SYNC = 206854; // 玩家的所向披靡同步
+    static S_GOD_ISLAND_GAME_CITY_BUFF_INFO = 206855; // 请求城市界面buff信息
+    static S_GOD_ISLAND_GAME_BACK_HOME = 206856; // 阵亡之后 补兵完成之后从场外回大本营
+    static S_GOD_ISLAND_GAME_LEFT_OUT_SYNC = 206857; // 场内有妖盟被淘汰 同步下来
+    static S_GOD_ISLAND_GAME_SET_FRIEND_UNION = 206858; // 修改盟友
+    static S_GOD_ISLAND_GAME_FRIEND_UNION_SYNC = 206859; // 盟友同步
+    static S_GOD_ISLAND_GAME_COMMANDER_CHANGE_SYNC = 206860; // 指挥权变化同步
+    static S_GOD_ISLAND_BEEN_KILL_SYNC = 206861; // 被击杀后同步
+    static S_GOD_ISLAND_GAME_CITY_BATTLE = 206862; // 城市战斗状态
+    static S_GOD_ISLAND_AUTO_BATTLE_STOP_SYNC = 206863; // 托管操作 结束后同步给客户端
+    static S_GOD_ISLAND_GHOST_CITY_UNLOCK_SYNC = 206864; // 修罗城解锁同步
+    static S_STARTRIAL_DATA_SYNC = 206901; // 星宿试炼数据同步
+    static S_STARTRIAL_Fight = 206902; // 星宿试炼战斗
+    static S_STARTRIAL_GetRecord = 206903; // 获取日志信息
+    static S_STARTRIAL_BattleReply = 206904; // 战斗回放
+    static S_STARTRIAL_CodexEnter = 206905; // 进入星空图鉴信息
+    static S_STARTRIAL_GetCodexMsg = 206906; // 获取详细图鉴击败信息
+    static S_STARTRIAL_GetBossAttrMsg = 206907; // 获取Boss属性信息
+    static S_STARTRIAL_GetDailyFightReward = 206908; // 每日领奖
+    static S_STARTRIAL_GetGroupInfo = 206909; // 获取分组信息
+    static S_STARTRIAL_GetPlayerDetailInfo = 206910; // 查看玩家详情
+    static S_STARTRIAL_EnterMainPanel = 206911; // 进入星宿试炼
+    static S_GATHER_ENERGY_ENTER_NEW = 207001; // 进入聚灵阵
+    static S_SYNC_GATHER_ENERGY_MSG = 207002; // 同步聚灵阵数据
+    static S_GATHER_ENERGY_OPEN_VIEW = 207003; // 开启灵阵界面
+    static S_GATHER_ENERGY_OPEN = 207004; // 开启某个灵阵
+    static S_GATHER_ENERGY_FIGHT = 207007; // 挑战某人
+    static S_GATHER_ENERGY_REWARD_SHOW = 207010; // 聚灵阵奖励推送
+    static S_GATHER_ENERGY_GET_REWARD = 207011; // 聚灵阵奖励领取
+    static S_GATHER_ENERGY_LIKE = 207012; // 聚灵阵排行榜点赞
+    static S_GATHER_ENERGY_TRANSFORM = 207015; // 灵气转换
+    static S_GATHER_ENERGY_LEAVE = 207017; // 离开聚灵阵
+    static S_GATHER_ENERGY_NOTICE = 207018; // 聚灵阵公告
+    static S_GATHER_ENERGY_GET_AD_AWARD = 207019; // 聚灵阵获取广告奖励
+    static S_GATHER_ENERGY_FIRST_LIST_VIEW = 207020; // 打开聚灵阵一级列表界面（参与人数）
+    static S_GATHER_ENERGY_SECOND_LIST_VIEW = 207021; // 打开聚灵阵二级列表界面（参与名字）
+    static S_GATHER_ENERGY_INSIDE_VIEW_NEW = 207022; // 打开某个聚灵阵内部
+    static S_GATHER_ENERGY_FIGHT_REPORT_NEW = 207023; // 打开战报界面
+    static S_GATHER_ENERGY_SEARCH_NEW = 207024; // 查询某人参与的阵法
+    static S_GATHER_ENERGY_ATTEND_NEW = 207025; // 加入聚灵阵
+    static S_RECEIVE_SDK_REWARD_SYN = 207201; // 同步sdk奖励数据
+    static S_RECEIVE_SDK_REWARD = 207202; // 领取sdk奖励
+    static S_QQCARD_GET_REWARD = 207203; // 领取qq卡券奖励
+    static S_ALIPAY_SET_START_PARAM = 207204; // 支付宝启动参数
+    static S_RECEIVE_SDK_DAILY_REWARD = 207205; // Sdk七日登录奖励领取
     static S_SKY_WAR_ENTER = 208401;
     static S_SKY_WAR_REFRESH_ENEMY = 208402;
     static S_SKY_WAR_FIGHT = 208403;
@@ -705,58 +642,36 @@ class Protocol {
     static S_SKY_WAR_WORSHIP = 208410;
     static S_SKY_WAR_BUY_TIMES = 208411;
     static S_SKY_WAR_DATA_SYNC = 208413;
-    static S_SKY_WAR_DATA_LOGIN_SYNC = 208414;
-    static S_WORLD_RULE_PLAYER_DATA_SYNC = 209005;
-    static S_WORLD_RULE_PERCEPTION_REQ = 209001;
-    static S_WORLD_RULE_PERCEPTION_REPLACE_REQ = 209002;
-    static S_WORLD_RULE_GET_PERCEPTION_LOG_REQ = 209003;
-    static S_WORLD_RULE_SWITCH_PROGRAMME_REQ = 209004;
-    static S_MOUNTAIN_SEA_ENTER_BATTLE = 209750;
-    static S_MOUNTAIN_SEA_ENTER_SWITCH_SEPARATION = 209752;
-    static S_MOUNTAIN_SEA_SWITCH_SEPARATION = 209753;
-    static S_MOUNTAIN_SEA_SEPARATION_DETAIL = 209754;
-    static S_MOUNTAIN_SEA_CHANGE_POS = 209755;
-    static S_MOUNTAIN_SEA_CHANGE_TEAM_SKILL = 209756;
-    static S_MOUNTAIN_SEA_DO_BATTLE = 209757;
-    static S_MOUNTAIN_SEA_ENTER_BATTLE_NOTIFY = 209770;
-    static S_MOUNTAIN_SEA_SWITCH_SEPARATION_NOTIFY = 209771;
-    static S_MOUNTAIN_SEA_CHANGE_TEAM_SKILL_NOTIFY = 209772;
-    static S_MOUNTAIN_SEA_DO_BATTLE_NOTIFY = 209773;
-    static S_MOUNTAIN_SEA_CHANGE_POS_NOTIFY = 209774;
-    static S_MOUNTAIN_SEA_INVITE_LIST = 209783;
-    static S_MOUNTAIN_SEA_RED_INFO = 209784;
-    static S_MOUNTAIN_SEA_INVITE_REFUSE = 209785;
-    static S_MOUNTAIN_SEA_SEARCH_SET_APPOINT = 209786;
-    static S_MOUNTAIN_SEA_INVITE_JOIN_TEAM = 209787;
-    static S_SYNC_MARK_STATE_MSG = 208601;
-    static S_MARK_FINISH = 208602;
-    static S_MOUNTAIN_SEA_ENTER = 209701;
-    static S_MOUNTAIN_SEA_ENTER_TEAM = 209702;
-    static S_MOUNTAIN_SEA_TEAM_START = 209703;
-    static S_MOUNTAIN_SEA_CREATE_TEAM = 209704;
-    static S_MOUNTAIN_SEA_GET_TEAM_LIST = 209705;
-    static S_MOUNTAIN_SEA_GET_TEAM_INFO = 209706;
-    static S_MOUNTAIN_SEA_JOIN_TEAM = 209707;
-    static S_MOUNTAIN_SEA_CANCEL_TEAM_APPLY = 209708;
-    static S_MOUNTAIN_SEA_APPLY_JOIN_TEAM_AGREE = 209709;
-    static S_MOUNTAIN_SEA_APPLY_JOIN_TEAM_REFUSED = 209710;
-    static S_MOUNTAIN_SEA_QUIT_TEAM = 209711;
-    static S_MOUNTAIN_SEA_KICK_OUT_TEAM = 209712;
-    static S_MOUNTAIN_SEA_CHANGE_LEADER = 209713;
-    static S_MOUNTAIN_SEA_TEAM_PREPARE = 209714;
-    static S_MOUNTAIN_SEA_MATCH_MEMBER = 209715;
-    static S_MOUNTAIN_SEA_START_BATTLE = 209716;
-    static S_MOUNTAIN_SEA_RANK_PLAYER_INFO = 209717;
-    static S_MOUNTAIN_SEA_WORSHIP = 209718;
-    static S_MOUNTAIN_SEA_GET_BATTLE_REPLAY = 209719;
-    static S_MOUNTAIN_SEA_GET_BOSS_INFO = 209720;
-    static S_MOUNTAIN_SEA_CHALLENGE_TIME = 209721;
-    static S_MOUNTAIN_SEA_START_MATCH = 209722;
-    static S_MOUNTAIN_SEA_INVITE = 209723;
-    static S_MOUNTAIN_SEA_LEAVE = 209724;
-    static S_MOUNTAIN_SEA_GET_BOSS_POWER = 209725;
-    static S_MOUNTAIN_SEA_TEAM_LEADER_NOTIFY_SYNC = 209731;
-    static S_MOUNTAIN_SEA_TEAM_MEMBER_NOTIFY_SYNC = 209732;
+    static S_SKY_WAR_DATA_LOGIN_SYNC = 208414; // 征战诸天数据登录同步，阶段变化同步1
+    static SYNC_UNION_DUEL_MSG = 208501; // 妖盟对决-同步妖盟对决数据
+    static S_UNION_DUEL_OPEN_VIEW = 208502; // 妖盟对决-开启主界面
+    static S_UNION_DUEL_APPLY = 208503;
+    static S_UNION_DUEL_OPEN_LIST_VIEW = 208504;
+    static S_UNION_DUEL_FIGHT = 208505;
+    static S_UNION_DUEL_OPEN_BATTLE_NOTICE = 208508;
+    static S_UNION_DUEL_OPEN_CONTRIBUTE_VIEW = 208509;
+    static S_UNION_DUEL_OPEN_REWARD_PREVIEW = 208510;
+    static S_UNION_DUEL_SYNC_DATA = 208511; // 妖盟对决-妖盟对决同步数据
+    static S_SYNC_MARK_STATE_MSG = 208601; // 同步评分状态
+    static S_MARK_FINISH = 208602; // 评分完成
+    static S_WORLD_RULE_PERCEPTION_REQ = 209001; // 法则感悟
+    static S_WORLD_RULE_PERCEPTION_REPLACE_REQ = 209002; // 法则感悟替换
+    static S_WORLD_RULE_GET_PERCEPTION_LOG_REQ = 209003; // 获取法则感悟记录
+    static S_WORLD_RULE_SWITCH_PROGRAMME_REQ = 209004; // 切换法则方案
+    static S_WORLD_RULE_PLAYER_DATA_SYNC = 209005; // 天地法则玩家数据同步
+    static S_RULE_TRIAL_CHALLENGE = 209101;
+    static S_RULE_TRIAL_REPEAT = 209102;
+    static S_RULE_ONE_KEY_TRIAL_REPEAT = 209103;
+    static U_RULE_TRIAL_SYNC_BOSS_CONFIG = 209104; // 同步法则试炼Boss妖力
+    static U_RULE_TRIAL_PLAYER_DATA_SYNC = 209105; // 同步法则试炼
+    static S_RULE_TRIAL_VIEW_MONSTER_ATTR = 209106;
+    static S_WELFARE_GIFT_KR = 209201; // 缩时香礼包
+    static S_KILLTIME_GIFT_KR = 209202; // 使用缩时香
+    static S_ACTIVITY_SYNC_ACTIVITY_SPECIAL_TIME = 209301;
+    static S_DOURO_USE_SOUL_POWER = 209401;
+    static S_DOURO_GET_SCORE_REWARD = 209402;
+    static S_DOURO_OPEN_VIEW = 209403;
+    static S_DOURO_OPEN_TASK = 209404;
     static S_HOLY_LAND_BASE_INFO_LOAD = 209501;
     static S_HOLY_LAND_GROUP = 209502;
     static S_HOLY_LAND_UNION_GET_MEMBER_LIST = 209503;
@@ -774,8 +689,6 @@ class Protocol {
     static S_HOLY_LAND_UNION_RANK_LIST = 209517;
     static S_HOLY_LAND_GET_SEPARATION = 209518;
     static S_HOLY_LAND_ALL_JOIN_SERVER = 209519;
-    static S_HOLY_LAND_RECENLTY_CHAMPION = 209536;
-    static S_HOLY_LAND_GET_GUESS_COIN = 209538;
     static S_HOLY_LAND_GAME_HEART_BEAT = 209520;
     static S_HOLY_LAND_GAME_INFO_LOAD = 209521;
     static S_HOLY_LAND_GAME_MAP_CITY_INFO = 209522;
@@ -792,7 +705,9 @@ class Protocol {
     static S_HOLY_LAND_GAME_BATTLE = 209533;
     static S_HOLY_LAND_GAME_UNION_DETAIL = 209534;
     static S_HOLY_LAND_GAME_WAR_SITUATION = 209535;
+    static S_HOLY_LAND_RECENLTY_CHAMPION = 209536;
     static S_HOLY_LAND_GAME_AUTO_ATTACK = 209537;
+    static S_HOLY_LAND_GET_GUESS_COIN = 209538;
     static S_HOLY_LAND_GAME_CITY_CHANGE_SYNC = 209550;
     static S_HOLY_LAND_GAME_PLAYER_WIN_SYNC = 209551;
     static S_HOLY_LAND_GAME_LINE_INFO_SYNC = 209552;
@@ -805,10 +720,57 @@ class Protocol {
     static S_HOLY_LAND_GAME_ROUTE_INFO_SYNC = 209559;
     static S_HOLY_LAND_GAME_AUTO_BATTLE_STOP_SYNC = 209560;
     static S_HOLY_LAND_GAME_RED_DOT_SYNC = 209561;
-    static S_HOLY_LAND_BATTLE_APPLY_DATA_SYNC = 209570;
-    static S_HOLY_LAND_BATTLE_TIME_STAMPS = 209575;
-    static S_SOUL_LIQUID_DATA_MSG = 209801;
+    static S_HOLY_LAND_BATTLE_APPLY_DATA_SYNC = 209570; // 九幽争霸数据登录同步
+    static S_HOLY_LAND_BATTLE_TIME_STAMPS = 209575; // 九幽争霸赛事时间戳数据登录前同步
+    static S_SIGN_FUND_REPAIR = 209601; // 补签接口
+    static S_MOUNTAIN_SEA_ENTER = 209701;
+    static S_MOUNTAIN_SEA_ENTER_TEAM = 209702;
+    static S_MOUNTAIN_SEA_TEAM_START = 209703;
+    static S_MOUNTAIN_SEA_CREATE_TEAM = 209704;
+    static S_MOUNTAIN_SEA_GET_TEAM_LIST = 209705;
+    static S_MOUNTAIN_SEA_GET_TEAM_INFO = 209706;
+    static S_MOUNTAIN_SEA_JOIN_TEAM = 209707; // 加入队伍
+    static S_MOUNTAIN_SEA_CANCEL_TEAM_APPLY = 209708;
+    static S_MOUNTAIN_SEA_APPLY_JOIN_TEAM_AGREE = 209709;
+    static S_MOUNTAIN_SEA_APPLY_JOIN_TEAM_REFUSED = 209710;
+    static S_MOUNTAIN_SEA_QUIT_TEAM = 209711;
+    static S_MOUNTAIN_SEA_KICK_OUT_TEAM = 209712;
+    static S_MOUNTAIN_SEA_CHANGE_LEADER = 209713;
+    static S_MOUNTAIN_SEA_TEAM_PREPARE = 209714;
+    static S_MOUNTAIN_SEA_MATCH_MEMBER = 209715;
+    static S_MOUNTAIN_SEA_START_BATTLE = 209716;
+    static S_MOUNTAIN_SEA_RANK_PLAYER_INFO = 209717;
+    static S_MOUNTAIN_SEA_WORSHIP = 209718;
+    static S_MOUNTAIN_SEA_GET_BATTLE_REPLAY = 209719;
+    static S_MOUNTAIN_SEA_GET_BOSS_INFO = 209720;
+    static S_MOUNTAIN_SEA_CHALLENGE_TIME = 209721; // 请求挑战次数
+    static S_MOUNTAIN_SEA_START_MATCH = 209722;
+    static S_MOUNTAIN_SEA_INVITE = 209723;
+    static S_MOUNTAIN_SEA_LEAVE = 209724;
+    static S_MOUNTAIN_SEA_GET_BOSS_POWER = 209725;
+    static S_MOUNTAIN_SEA_TEAM_LEADER_NOTIFY_SYNC = 209731;
+    static S_MOUNTAIN_SEA_TEAM_MEMBER_NOTIFY_SYNC = 209732;
+    static S_MOUNTAIN_SEA_ENTER_BATTLE = 209750; // 进入布阵界面
+    static S_MOUNTAIN_SEA_ENTER_SWITCH_SEPARATION = 209752; // 进入切换分身界面
+    static S_MOUNTAIN_SEA_SWITCH_SEPARATION = 209753; // 切换上阵的分身
+    static S_MOUNTAIN_SEA_SEPARATION_DETAIL = 209754; // 查看分身详细数据
+    static S_MOUNTAIN_SEA_CHANGE_POS = 209755; // 改变参战对象位置
+    static S_MOUNTAIN_SEA_CHANGE_TEAM_SKILL = 209756; // 改变装配的队伍技能
+    static S_MOUNTAIN_SEA_DO_BATTLE = 209757; // 进行战斗
+    static S_MOUNTAIN_SEA_ENTER_BATTLE_NOTIFY = 209770; // 广播进入布阵界面
+    static S_MOUNTAIN_SEA_SWITCH_SEPARATION_NOTIFY = 209771; // 切换上阵分身广播
+    static S_MOUNTAIN_SEA_CHANGE_TEAM_SKILL_NOTIFY = 209772; // 装配的队伍技能变更广播
+    static S_MOUNTAIN_SEA_DO_BATTLE_NOTIFY = 209773; // 广播战斗数据
+    static S_MOUNTAIN_SEA_CHANGE_POS_NOTIFY = 209774; // 参战对象位置变更广播
+    static S_MOUNTAIN_SEA_INVITE_LIST = 209783; // 邀请列表
+    static S_MOUNTAIN_SEA_RED_INFO = 209784; // 请求红点
+    static S_MOUNTAIN_SEA_INVITE_REFUSE = 209785; // 一键拒绝邀请队伍
+    static S_MOUNTAIN_SEA_SEARCH_SET_APPOINT = 209786; // 设置接受指定邀请开关
+    static S_MOUNTAIN_SEA_INVITE_JOIN_TEAM = 209787; // 加入指定邀请队伍
+    static S_SOUL_LIQUID_DATA_MSG = 209801; // 琼浆玉液数据同步
     static S_SOUL_LIQUID_ACTIVE = 209802;
+    static S_TREASURE_BOWL_SIGN = 209901;
+    static S_SKY_PRESENT_DATA_SYNC = 209910; // 天道馈赠数据同步
     static S_REGRESSION_ACTIVITY_SHARE = 210001;
     static S_REGRESSION_ACTIVITY_LOTTERY = 210002;
     static S_REGRESSION_ACTIVITY_BIND_LIST = 210003;
@@ -822,13 +784,14 @@ class Protocol {
     static S_RENEW_ACTIVITY_BINDPLAYER = 210202;
     static S_RENEW_ACTIVITY_LIFECARDACTIVE = 210203;
     static S_RENEW_ACTIVITY_SYNCPLAYERINFO = 210204;
-    static S_SIGN_FUND_REPAIR = 209601;
-    static S_TREASURE_BOWL_SIGN = 209901;
-    static S_SKY_PRESENT_DATA_SYNC = 209910;
-    static S_UNION_BLESSING_SEND_GIFT = 210601;
-    static S_UNION_BLESSING_RECEIVE_GIFT = 210602;
-    static S_UNION_BLESSING_SYNC_GIFT = 210603;
-    static S_UNION_BLESSING_SYNC_BLESSING_COUNT = 210604;
+    static S_AUSPICIOUS_BLESS_GET_REWARD = 210501;
+    static S_AUSPICIOUS_BLESS_LOCK_RARE_REWARD = 210502;
+    static S_AUSPICIOUS_BLESS_DATA_SYNC = 210550;
+    static S_UNION_BLESSING_SEND_GIFT = 210601; // 妖盟赐福
+    static S_UNION_BLESSING_RECEIVE_GIFT = 210602; // 领取赐福奖励
+    static S_UNION_BLESSING_SYNC_GIFT = 210603; // 同步妖盟散财数据
+    static S_UNION_BLESSING_SYNC_BLESSING_COUNT = 210604; // 同步自己妖盟的散财的旗帜和时间
+    static S_GOOD_FORTUNE_GET_REWARD_REQ = 210701; // 获取签到奖励
     static S_DRAGON_HOME_ENTER_ACTIVITY = 210800;
     static S_DRAGON_HOME_TEAM_LIST = 210802;
     static S_DRAGON_HOME_TEAM_CREATE = 210803;
@@ -868,92 +831,100 @@ class Protocol {
     static S_DRAGON_HOME_REMOVE_ASSIST = 210860;
     static S_DRAGON_HOME_BEST_TEAM_INFO = 210861;
     static S_DRAGON_HOME_XIE_ZHU_NOTIFY = 210862;
-    static S_AUSPICIOUS_BLESS_DATA_SYNC = 210550;
-    static S_AUSPICIOUS_BLESS_GET_REWARD = 210501;
-    static S_AUSPICIOUS_BLESS_LOCK_RARE_REWARD = 210502;
-    static S_FIRST_RECHARGE_GET_REWARD = 20802;
-    static S_FESTIVAL_CELEBRATIONS_PLAYER_INFO_MSG = 211e3;
-    static S_FESTIVAL_CELEBRATIONS_USE_BANQUET_ITEM_REQ = 211001;
-    static S_FESTIVAL_CELEBRATIONS_DRAW_BANQUET_REWARD_REQ = 211002;
-    static S_FESTIVAL_CELEBRATIONS_GET_BANQUET_SCORE_DETAIL_REQ = 211003;
-    static S_FESTIVAL_CELEBRATIONS_USE_LUCKY_FATE_ITEM_REQ = 211004;
-    static S_FESTIVAL_CELEBRATIONS_GET_SIGN_REWARD_REQ = 211005;
-    static S_FESTIVAL_CELEBRATIONS_COLLECT_SYNTHESIS_REQ = 211006;
-    static S_FESTIVAL_CELEBRATIONS_COLLECT_FILL_REQ = 211007;
-    static S_FESTIVAL_CELEBRATIONS_COLLECT_DRAW_BIG_REWARD_REQ = 211008;
-    static S_FESTIVAL_CELEBRATIONS_COLLECT_GET_CLAIM_LIST_REQ = 211009;
-    static S_FESTIVAL_CELEBRATIONS_COLLECT_SEARCH_PLAYER_REQ = 211010;
-    static S_FESTIVAL_CELEBRATIONS_COLLECT_GIVE_REQ = 211011;
-    static S_FESTIVAL_CELEBRATIONS_COLLECT_ASK_FOR_REQ = 211012;
-    static S_FESTIVAL_CELEBRATIONS_COLLECT_GET_GIVEN_REQ = 211014;
-    static S_FESTIVAL_CELEBRATIONS_EASTER_EGG_GET_REWARD_REQ = 211013;
-    static S_FESTIVAL_CELEBRATIONS_GET_LUCKY_FATE_REWARD_REQ = 211015;
-    static S_FESTIVAL_CELEBRATIONS_GET_BIND_UNION_MEMBER_DATA_LIST_REQ = 211016;
-    static S_FESTIVAL_CELEBRATIONS_GET_ANNUAL_MEMORY_REQ = 211021;
-    static S_FESTIVAL_CELEBRATIONS_WORSHIP_REQ = 211022;
-    static S_DOUBLE_DEMONS_DATA_LOGIN_SYNC = 211111;
-    static S_DOUBLE_DEMONS_AGREE = 211112;
-    static S_DOUBLE_DEMONS_REFUSE = 211113;
-    static S_DOUBLE_DEMONS_RECEIVE_PRESENT = 211114;
+    static S_WEST_TRAVEL_PASS_GAME = 210901; // 通关请求
+    static S_FESTIVAL_CELEBRATIONS_PLAYER_INFO_MSG = 211000; // 庆典玩家数据同步
+    static S_FESTIVAL_CELEBRATIONS_USE_BANQUET_ITEM_REQ = 211001; // 使用宴会道具
+    static S_FESTIVAL_CELEBRATIONS_DRAW_BANQUET_REWARD_REQ = 211002; // 领取宴会奖励
+    static S_FESTIVAL_CELEBRATIONS_GET_BANQUET_SCORE_DETAIL_REQ = 211003; // 获取积分详情
+    static S_FESTIVAL_CELEBRATIONS_USE_LUCKY_FATE_ITEM_REQ = 211004; // 使用福缘道具
+    static S_FESTIVAL_CELEBRATIONS_GET_SIGN_REWARD_REQ = 211005; // 获取签到奖励
+    static S_FESTIVAL_CELEBRATIONS_COLLECT_SYNTHESIS_REQ = 211006; // 请求合成
+    static S_FESTIVAL_CELEBRATIONS_COLLECT_FILL_REQ = 211007; // 请求填充
+    static S_FESTIVAL_CELEBRATIONS_COLLECT_DRAW_BIG_REWARD_REQ = 211008; // 领取大奖
+    static S_FESTIVAL_CELEBRATIONS_COLLECT_GET_CLAIM_LIST_REQ = 211009; // 获取领取名单
+    static S_FESTIVAL_CELEBRATIONS_COLLECT_SEARCH_PLAYER_REQ = 211010; // 搜索玩家
+    static S_FESTIVAL_CELEBRATIONS_COLLECT_GIVE_REQ = 211011; // 赠送道具
+    static S_FESTIVAL_CELEBRATIONS_COLLECT_ASK_FOR_REQ = 211012; // 索要道具
+    static S_FESTIVAL_CELEBRATIONS_EASTER_EGG_GET_REWARD_REQ = 211013; // 领取彩蛋奖励
+    static S_FESTIVAL_CELEBRATIONS_COLLECT_GET_GIVEN_REQ = 211014; // 领取赠送五福
+    static S_FESTIVAL_CELEBRATIONS_GET_LUCKY_FATE_REWARD_REQ = 211015; // 领取福源奖励
+    static S_FESTIVAL_CELEBRATIONS_GET_BIND_UNION_MEMBER_DATA_LIST_REQ = 211016; // 获取绑定妖盟成员列表
+    static S_FESTIVAL_CELEBRATIONS_GET_ANNUAL_MEMORY_REQ = 211021; // 获取周年回忆条目
+    static S_FESTIVAL_CELEBRATIONS_WORSHIP_REQ = 211022; // 膜拜
     static S_DOUBLE_DEMONS_ENTER = 211101;
     static S_DOUBLE_DEMONS_DATA_SYNC = 211102;
     static S_DOUBLE_DEMONS_GET_REWARD = 211103;
     static S_DOUBLE_DEMONS_FLY_UP = 211104;
     static S_DOUBLE_DEMONS_SHARE_INVITE = 211105;
-    static S_DOUBLE_DEMONS_APPOINT_INVITE = 211106;
+    static S_DOUBLE_DEMONS_APPOINT_INVITE = 211106; // 指定邀请
     static S_DOUBLE_DEMONS_FIND_FRIEND = 211107;
     static S_DOUBLE_DEMONS_SEND_PRESENT = 211108;
+    static S_DOUBLE_DEMONS_DATA_LOGIN_SYNC = 211111; // 双妖成行登录同步数据
+    static S_DOUBLE_DEMONS_AGREE = 211112; // 同意邀请/结为伴侣
+    static S_DOUBLE_DEMONS_REFUSE = 211113; // 一键拒绝
+    static S_DOUBLE_DEMONS_RECEIVE_PRESENT = 211114; // 领取赠送奖励
     static S_DOUBLE_DEMONS_RANK_SYNC = 211115;
+    static NewYearRedBagPb_PlayerData = 211500; // 新春红包 登录数据下发
+    static NewYearRedBagPb_Enter = 211501; // 新春红包 进入系统
+    static NewYearRedBagPb_Exit = 211502; // 新春红包 退出系统
+    static NewYearRedBagPb_OPEN = 211503; // 新春红包 打开红包
+    static NewYearRedBagPb_SYNC_NOTICE = 211504; // 新春红包 同步公告
     static S_DEMON_TOWER_BASE_INFO = 211601;
     static S_DEMON_TOWER_DRAW = 211602;
     static S_DEMON_TOWER_CHOOSE_RAREREWARD = 211603;
-    static NewYearRedBagPb_PlayerData = 211500;
-    static NewYearRedBagPb_Enter = 211501;
-    static NewYearRedBagPb_Exit = 211502;
-    static NewYearRedBagPb_OPEN = 211503;
-    static NewYearRedBagPb_SYNC_NOTICE = 211504;
-    static S_GET_WECHAT_RANK_WHITE_LIST = 212601;
-    static S_PUPIL_LOGIN_SYNC = 211813;
-    static S_PUPIL_ENTER = 211801;
-    static S_PUPIL_TRAIN = 211802;
-    static S_PUPIL_TRAIN_TIMES_RECOVER = 211803;
+    static S_PET_KERNEL_CARRY = 211702; // 穿戴内丹
+    static S_PET_KERNEL_UP_LEVEL = 211703; // 内丹升级
+    static S_PET_KERNEL_UP_GRADE = 211704; // 内丹升星
+    static S_PET_KERNEL_ACTIVE = 211705; // 内丹激活
+    static S_PET_KERNEL_DRAW = 211706; // 抽取灵兽内丹
+    static S_PET_KERNEL_COMBINE_UPGRADE = 211707; // 内丹共鸣升级或激活
+    static S_PET_KERNEL_SYNC_DATA = 211708; // 内丹同步(商店是否开启 pieceShopOpen只有这个字段有用)
+    static S_PUPIL_ENTER = 211801; // 进入门徒系统
+    static S_PUPIL_TRAIN = 211802; // 门徒培养
+    static S_PUPIL_TRAIN_TIMES_RECOVER = 211803; // 恢复培养次数
     static S_PUPIL_LV_UP = 211804;
-    static S_PUPIL_RECRUIT = 211805;
-    static S_PUPIL_GRADUATE = 211806;
-    static S_PUPIL_GET_GRADUATE_LIST = 211807;
-    static S_PUPIL_GET_FIGHT_LIST = 211808;
-    static S_PUPIL_FIGHT_ON = 211809;
-    static S_PUPIL_GET_SECT_INFO = 211810;
-    static S_PUPIL_GET_AD_REWARD = 211814;
-    static S_PUPIL_LOCK = 211815;
-    static S_PUPIL_MARRIAGE_USER_DATA_SYNC = 211850;
-    static S_PUPIL_MARRIAGE_APPOINT_APPLY_SYNC = 211851;
-    static S_PUPIL_MARRIAGE_GRADUATED_UN_MARRIAGE_LIST_SYNC = 211852;
-    static S_PUPIL_MARRIAGE_RECORD_SYNC = 211853;
-    static S_PUPIL_MARRIAGE_REFUSE_NOTIFY_SYNC = 211854;
-    static S_PUPIL_MARRIAGE_GRADUATED_UN_MARRIAGE_LIST = 211855;
-    static S_PUPIL_MARRIAGE_RECORD_LIST = 211856;
-    static S_PUPIL_MARRIAGE_GET_SERVER_APPLY = 211857;
-    static S_PUPIL_MARRIAGE_RECOMMEND_PLAYER = 211858;
-    static S_PUPIL_MARRIAGE_GET_APPOINT_APPLY = 211859;
-    static S_PUPIL_MARRIAGE_APPLY_DEAL = 211860;
-    static S_PUPIL_MARRIAGE_APPLY_PUBLISH = 211861;
-    static S_PUPIL_MARRIAGE_APPLY_CANCEL = 211862;
-    static S_PUPIL_MARRIAGE_REFRESH_SERVER_APPLY = 211863;
-    static S_PUPIL_MARRIAGE_SET_APPOINT = 211864;
-    static S_PUPIL_MARRIAGE_GET_APPOINT_APPLY_TIMES_LIST = 211865;
-    static S_SEARCH_PLAYER = 211811;
-    static S_PET_KERNEL_CARRY = 211702;
-    static S_PET_KERNEL_UP_LEVEL = 211703;
-    static S_PET_KERNEL_UP_GRADE = 211704;
-    static S_PET_KERNEL_ACTIVE = 211705;
-    static S_PET_KERNEL_DRAW = 211706;
-    static S_PET_KERNEL_COMBINE_UPGRADE = 211707;
-    static S_PET_KERNEL_SYNC_DATA = 211708;
-    static S_UNION_ASSEMBLE_USE_ITEM_REQ = 212101;
-    static S_UNION_ASSEMBLE_GET_REWARD_REQ = 212102;
+    static S_PUPIL_RECRUIT = 211805; // 招收门徒
+    static S_PUPIL_GRADUATE = 211806; // 门徒出师
+    static S_PUPIL_GET_GRADUATE_LIST = 211807; // 获取出师门徒列表
+    static S_PUPIL_GET_FIGHT_LIST = 211808; // 获取上阵列表
+    static S_PUPIL_FIGHT_ON = 211809; // 门徒上阵
+    static S_PUPIL_GET_SECT_INFO = 211810; // 获取门派统计信息
+    static S_SEARCH_PLAYER = 211811; // 搜索玩家
+    static S_PUPIL_LOGIN_SYNC = 211813; // 门徒系统登录同步
+    static S_PUPIL_GET_AD_REWARD = 211814; // 领取广告奖励
+    static S_PUPIL_LOCK = 211815; // 锁定弟子
+    static S_PUPIL_MARRIAGE_USER_DATA_SYNC = 211850; // 结义用户数据同步
+    static S_PUPIL_MARRIAGE_APPOINT_APPLY_SYNC = 211851; // 同步其他玩家发起的结义请求（别的玩家指定你结义的列表）
+    static S_PUPIL_MARRIAGE_GRADUATED_UN_MARRIAGE_LIST_SYNC = 211852; // 同步出师未结义的门徒列表
+    static S_PUPIL_MARRIAGE_RECORD_SYNC = 211853; // 结义记录数据同步
+    static S_PUPIL_MARRIAGE_REFUSE_NOTIFY_SYNC = 211854; // 拒绝结义通知同步
+    static S_PUPIL_MARRIAGE_GRADUATED_UN_MARRIAGE_LIST = 211855; // 获得出师未结义的门徒列表
+    static S_PUPIL_MARRIAGE_RECORD_LIST = 211856; // 结义记录列表
+    static S_PUPIL_MARRIAGE_GET_SERVER_APPLY = 211857; // 获取全服结义请求列表(包括妖盟)
+    static S_PUPIL_MARRIAGE_RECOMMEND_PLAYER = 211858; // 指定结义推荐玩家请求
+    static S_PUPIL_MARRIAGE_GET_APPOINT_APPLY = 211859; // 获取其他玩家发起的结义请求（别的玩家指定你结义的列表）
+    static S_PUPIL_MARRIAGE_APPLY_DEAL = 211860; // 处理结义请求
+    static S_PUPIL_MARRIAGE_APPLY_PUBLISH = 211861; // 发布结义请求
+    static S_PUPIL_MARRIAGE_APPLY_CANCEL = 211862; // 取消结义请求
+    static S_PUPIL_MARRIAGE_REFRESH_SERVER_APPLY = 211863; // 刷新全服结义列表请求
+    static S_PUPIL_MARRIAGE_SET_APPOINT = 211864; // 设置是否接受指向结义请求
+    static S_PUPIL_MARRIAGE_GET_APPOINT_APPLY_TIMES_LIST = 211865; // 同步其他玩家发起的结义请求时间
     static S_LIMIT_TIME_GROUP_BUY_SYNC_PROGRESS_DATA_REQ = 212003;
     static S_LIMIT_TIME_GROUP_BUY_GET_CONDITION_REWARD_REQ = 212004;
+    static S_UNION_ASSEMBLE_USE_ITEM_REQ = 212101;
+    static S_UNION_ASSEMBLE_GET_REWARD_REQ = 212102;
+    static S_PET_ROOTUP = 212201; // 洪荒灵兽灵根升级请求
+    static S_PET_AWAKE = 212202; // 洪荒灵兽觉醒请求
+    static S_PET_FATEUP = 212203; // 洪荒灵兽缘分升级请求
+    static S_GET_WECHAT_RANK_WHITE_LIST = 212601; // 获取微信排行榜白名单
+    static S_CLOUD_REFINE_PLAYER_DATA_SYNC = 212900; // 筋斗云注灵数据同步
+    static S_CLOUD_REFINE_CHARGE = 212901; // 筋斗云注灵请求
+    static S_CLOUD_REFINE_STARLVUP = 212902; // 筋斗云注灵渡劫请求
+    static S_COMPOSE_BALL_ENTER_REQ = 213001;
+    static S_COMPOSE_BALL_COMPOSE_REQ = 213002;
+    static S_COMPOSE_BALL_USE_ITEM_REQ = 213003;
+    static S_COMPOSE_BALL_HP_ITEM_REQ = 213004;
+    static S_COMPOSE_BALL_SETTLE_REQ = 213005;
     static S_MONOPOLY_ENTER_ACTIVITY = 213101;
     static S_MONOPOLY_ENTER_MAP = 213102;
     static S_MONOPOLY_ROLL_DICE = 213103;
@@ -970,6 +941,8 @@ class Protocol {
     static S_MONOPOLY_USE_REMOTE_ROLL = 213116;
     static S_MONOPOLY_ENTER_ROB = 213117;
     static S_MONOPOLY_AUTO_UNLOCK = 213118;
+    static S_MONOPOLY_BRESSINGLIST = 213119;
+    static S_MONOPOLY_REQ_GETBRESSING = 213120;
     static S_MONOPOLY_USE_MOVE_BUFF = 213121;
     static S_MONOPOLY_SPE_MOVE = 213122;
     static S_MONOPOLY_EVENT_HANDLE = 213123;
@@ -983,11 +956,9 @@ class Protocol {
     static S_MONOPOLY_NOTIFY_PLAYER_BREAK_TRAP = 213132;
     static S_MONOPOLY_NOTIFY_BUILDING_UP_LEVEL = 213133;
     static S_MONOPOLY_NOTIFY_ALL_PLAYER = 213134;
+    static S_MONOPOLY_BLESSING_ASYNC = 213135;
     static S_MONOPOLY_TEAM_SCORE_CHANGED = 213136;
     static S_MONOPOLY_SELF_RANK_CHANGED = 213137;
-    static S_MONOPOLY_BRESSINGLIST = 213119;
-    static S_MONOPOLY_REQ_GETBRESSING = 213120;
-    static S_MONOPOLY_BLESSING_ASYNC = 213135;
     static S_MONOPOLY_MY_BLESSING = 213139;
     static S_MONOPOLY_ASSIST_RED = 213140;
     static S_SUPPRESSDEMON_BASE_INFO_LOAD = 213201;
@@ -1011,35 +982,51 @@ class Protocol {
     static S_SUPPRESSDEMON_GET_BOSS_ATTR = 213219;
     static S_SUPPRESSDEMON_GUESS_PLAYER_LIST = 213220;
     static S_SUPPRESSDEMON_GET_TOP3PLAYER = 213221;
-    static S_SUPPRESSDEMON_LOGIN_SYNC = 213250;
-    static S_SUPPRESSDEMON_TIME_SYNC = 213251;
-    static S_PEACH_BANQUET_LOGIN_SYNC = 213515;
-    static S_PEACH_BANQUET_OPEN_SYNC = 213510;
+    static S_SUPPRESSDEMON_LOGIN_SYNC = 213250; // 镇魔登录同步
+    static S_SUPPRESSDEMON_TIME_SYNC = 213251; // 镇魔登录时间戳同步
     static S_PEACH_BANQUET_JOIN_LIST_SYNC = 213500;
-    static S_PEACH_BANQUET_REWARD_SYNC = 213512;
-    static S_PEACH_BANQUET_SEAT_INFO_SYNC = 213511;
     static S_PEACH_BANQUET_GET_LIST = 213501;
+    static S_PEACH_BANQUET_SITDOWN = 213502;
     static S_PEACH_BANQUET_ENTER = 213503;
     static S_PEACH_BANQUET_EXIT = 213504;
-    static S_PEACH_BANQUET_SITDOWN = 213502;
     static S_PEACH_BANQUET_SET_AUTO = 213505;
     static S_PEACH_BANQUET_GET_APPLY_LIST = 213506;
     static S_PEACH_BANQUET_AGREE_APPLY = 213507;
     static S_PEACH_BANQUET_REFUSE_ALL = 213508;
     static S_PEACH_BANQUET_SEARCH = 213509;
+    static S_PEACH_BANQUET_OPEN_SYNC = 213510; // 宴会开启同步(类仙宫送福)
+    static S_PEACH_BANQUET_SEAT_INFO_SYNC = 213511;
+    static S_PEACH_BANQUET_REWARD_SYNC = 213512;
+    static S_PEACH_BANQUET_LOGIN_SYNC = 213515; // 蟠桃宴登录同步
     static S_PEACH_BANQUET_APPLY_SYNC = 213518;
-    static S_PEACH_BANQUET_ITEM_SYNC = 213519;
-    static S_PEACH_BANQUET_ITEM_USE = 213520;
-    static S_COMPOSE_BALL_ENTER_REQ = 213001;
-    static S_COMPOSE_BALL_COMPOSE_REQ = 213002;
-    static S_COMPOSE_BALL_USE_ITEM_REQ = 213003;
-    static S_COMPOSE_BALL_HP_ITEM_REQ = 213004;
-    static S_COMPOSE_BALL_SETTLE_REQ = 213005;
+    static S_PEACH_BANQUET_ITEM_SYNC = 213519; // 蟠桃宴道具同步
+    static S_PEACH_BANQUET_ITEM_USE = 213520; // 宴会道具使用
+    static S_UNION_BOUNTY_ENTRY_MAP = 213602;
+    static S_UNION_BOUNTY_EXIT_MAP = 213603;
+    static S_UNION_BOUNTY_PLUNDER = 213604;
+    static S_UNION_BOUNTY_DEAL_BOUNTY = 213605;
+    static S_UNION_BOUNTY_GET_REWARD_ESCORT = 213606;
+    static S_UNION_BOUNTY_CHECK_ESCORT = 213608;
+    static S_UNION_BOUNTY_GET_REPORT = 213609;
+    static S_UNION_BOUNTY_REPORT_CHECK_ESCORT = 213611;
+    static S_UNION_BOUNTY_WORSHIP = 213612;
+    static S_UNION_BOUNTY_REFRESH_MAP = 213613;
+    static S_UNION_BOUNTY_OPEN_BOUNTY_EVENT = 213614;
+    static S_UNION_BOUNTY_OPEN_BOUNTY_RETALIATE = 213615;
+    static S_UNION_BOUNTY_GET_MEMBER_SCORE = 213616;
+    static S_UNION_BOUNTY_HAVE_ESCORT = 213617; // 妖盟悬赏-是否有正在押镖
+    static S_UNION_BOUNTY_OPEN_ESCORT_DETAIL = 213618;
+    static S_UNION_BOUNTY_OPEN_MONSTER = 213619;
+    static S_UNION_BOUNTY_ATTACK_MONSTER = 213620;
+    static S_UNION_BOUNTY_ASK_HELP = 213621;
+    static S_UNION_BOUNTY_OPEN_ASK_HELP = 213622;
+    static S_UNION_BOUNTY_DEAL_ASK_HELP = 213623;
+    static S_UNION_BOUNTY_MANAGE_TEAM = 213624; // 妖盟悬赏-队伍管理（加入队伍、离开队伍、踢出队伍）
+    static S_UNION_BOUNTY_SYN_MONSTER_INFO = 213625; // 妖盟悬赏-同步妖兽房间信息
+    static S_UNION_BOUNTY_GET_MONSTER_ATTRIBUTE = 213626;
+    static S_UNION_BOUNTY_MONSTER_CHANGE_POS = 213627;
+    static S_UNION_BOUNTY_GET_EXIST_MONSTER = 213628; // 获取当前存在的妖兽
     static S_HaoActivity_LUCKY_DRAW = 213701;
-    static S_EXPLORE_CHALLENGE_BOSS = 2013901;
-    static S_EXPLORE_TRANSFER_TO_NEXT_STAGE = 2013902;
-    static S_EXPLORE_VIEW_BOSS_DETAIL = 2013903;
-    static S_EXPLORE_CLEAR_MONSTERS_POS = 2013904;
     static S_PUPIL_RANK_ENTER = 213801;
     static S_PUPIL_RANK_GET_INCREASE_RECORD = 213802;
     static S_PUPIL_RANK_DETAIL = 213803;
@@ -1048,44 +1035,29 @@ class Protocol {
     static S_FRIEND_RECEIVE = 214103;
     static S_FRIEND_ONE_KEY = 214104;
     static S_FRIEND_REMOVE = 214105;
-    static S_FRIEND_SYNC = 214130;
-    static S_FRIEND_SYNC_MODIFY = 214132;
-    static S_FRIEND_MESSAGE_SYNC = 214131;
-    static S_FRIEND_MESSAGE_LIST = 214120;
-    static S_SKY_TRADE_ENTER = 215e3;
-    static S_SKY_TRADE_ENTER_MAP = 215001;
-    static S_SKY_TRADE_GROUP_INFO = 215002;
-    static S_SKY_TRADE_SPEED_UP = 215003;
-    static S_SKY_TRADE_MOVE = 215004;
-    static S_SKY_TRADE_BUY = 215005;
-    static S_SKY_TRADE_CHALLENGE_LIST = 215006;
-    static S_SKY_TRADE_CHALLENGE_INFO = 215007;
-    static S_SKY_TRADE_PLAYER_INFO = 215008;
-    static S_SKY_TRADE_REQ_MOVE_FINISH = 215009;
-    static S_SKY_TRADE_REPORT = 215010;
-    static S_SKY_TRADE_LOG = 215011;
-    static S_SKY_TRADE_PLANT_INFO = 215012;
-    static S_SKY_TRADE_PLANT_NOTICE = 215013;
-    static S_SKY_TRADE_PLANT_WATER = 215014;
-    static S_SKY_TRADE_PLANT_SEND = 215015;
-    static S_SKY_TRADE_PLANT_SEND_LOG = 215016;
-    static S_SKY_TRADE_KEEP_HEART = 215017;
-    static S_SKY_TRADE_USE_ITEM = 215018;
-    static S_SKY_TRADE_REPORT_DETAIL = 215019;
-    static S_SKY_TRADE_GUESS_PLAYER_LIST = 215020;
-    static S_SKY_TRADE_BET_DATA = 215021;
-    static S_SKY_TRADE_BET_SELECT = 215022;
-    static S_SKY_TRADE_BET_REWARD = 215023;
-    static S_SKY_TRADE_REPORT_GOODS = 215024;
-    static S_SKY_TRADE_RESET_STOCK = 215025;
-    static S_SKY_TRADE_RED = 215026;
-    static S_SKY_TRADE_UNION_GROUP_DAMAGE = 215027;
-    static S_SKY_TRADE_SCORE_CHANGED = 215050;
-    static S_SKY_TRADE_BUILDING_REST_NOTIFY = 215051;
-    static S_SKY_TRADE_SHIP_DATA_NOTIFY = 215052;
-    static S_SKY_TRADE_CHANLLENGE_NOTIFY = 215053;
-    static S_SKY_TRADE_RAREGOODS_NOTIFY = 215054;
-    static S_SKY_TRADE_FAME_RANK_NOTIFY = 215055;
+    static S_FRIEND_MESSAGE_LIST = 214120; // 好友消息列表
+    static S_FRIEND_SYNC = 214130; // 同步世交信息列表
+    static S_FRIEND_MESSAGE_SYNC = 214131; // 好友消息同步
+    static S_FRIEND_SYNC_MODIFY = 214132; // 同步世交信息
+    static S_FAIRYLAND_HEARTDEVIL_BATTLE = 214201;
+    static S_FAIRYLAND_SYNC_PLAYER_DATA = 214202; // 飞升仙界-同步玩家数据
+    static S_FAIRYLAND_GOTO_SOUTH_DOOR = 214204;
+    static S_FAIRYLAND_ENTER_SOUTH_DOOR = 214205;
+    static S_FAIRYLAND_SOUTH_DOOR_BATTLE = 214206;
+    static S_FAIRYLAND_SOUTH_DOOR_INVITE = 214207;
+    static S_FAIRYLAND_SOUTH_DOOR_HELP = 214208; // 飞升仙界-南天门协助
+    static S_FAIRYLAND_SOAR = 214209;
+    static S_FAIRYLAND_HEARTDEVIL_MONSTER = 214210;
+    static S_FAIRYLAND_SYNC_SERVERS_DATA = 214211; // 飞升仙界-区服列表同步
+    static S_UNIVERSE_SYNC_PLAYER_DATA = 214302; // 同步小世界信息
+    static S_UNIVERSE_LEVEL_UP = 214303;
+    static S_UNIVERSE_DRAW = 214304;
+    static S_UNIVERSE_SKILL_UNLOCK = 214305;
+    static S_UNIVERSE_SKILL_EQUIP = 214306;
+    static S_UNIVERSE_SKILL_CONBINE = 214307;
+    static S_UNIVERSE_SKILL_DRAW = 214308;
+    static S_UNIVERSE_SKILL_LV_UP = 214309;
+    static S_UNIVERSE_DRAW_TWICE = 214310;
     static S_GOD_DEMON_BATTLE_BASE_INFO = 214501;
     static S_GOD_DEMON_BATTLE_RECEIVE_CAMP_REWARD = 214502;
     static S_GOD_DEMON_BATTLE_GET_CAMP_PLAYERNUM = 214503;
@@ -1122,23 +1094,11 @@ class Protocol {
     static S_GOD_DEMON_BATTLE_ROOM_ROUND_SYNC = 214552;
     static S_GOD_DEMON_PLAYER_ROOM_STATUS_SYNC = 214553;
     static S_GOD_DEMON_PLAYER_ROOM_BATTLE_END_SYNC = 214554;
-    static S_ACTIVITY_CONDITION_SELECT_GOODS = 21034;
-    static S_ACTIVITY_SYNC_CONDITION_SELECT_LIST = 21035;
-    static S_UNIVERSE_SYNC_PLAYER_DATA = 214302;
-    static S_UNIVERSE_LEVEL_UP = 214303;
-    static S_UNIVERSE_DRAW = 214304;
-    static S_UNIVERSE_SKILL_UNLOCK = 214305;
-    static S_UNIVERSE_SKILL_EQUIP = 214306;
-    static S_UNIVERSE_SKILL_CONBINE = 214307;
-    static S_UNIVERSE_SKILL_DRAW = 214308;
-    static S_UNIVERSE_SKILL_LV_UP = 214309;
-    static S_UNIVERSE_DRAW_TWICE = 214310;
-    static S_PAINT_FAIRYLAND_ENTER_MAIN = 214640;
     static S_PAINT_FAIRYLAND_ENTER = 214601;
     static S_PAINT_FAIRYLAND_GET_BATTLE_RECORD = 214602;
     static S_PAINT_FAIRYLAND_COLLECT_ANIMA = 214603;
-    static S_PAINT_FAIRYLAND_LEAVE = 214605;
     static S_PAINT_FAIRYLAND_ENTER_SHOP = 214604;
+    static S_PAINT_FAIRYLAND_LEAVE = 214605;
     static S_PAINT_FAIRYLAND_MOUNTAIN_ENTER_FAIRY = 214610;
     static S_PAINT_FAIRYLAND_MOUNTAIN_OCCUPY_FAIRY = 214611;
     static S_PAINT_FAIRYLAND_POOL_ENTER_FAIRY = 214620;
@@ -1155,17 +1115,54 @@ class Protocol {
     static S_PAINT_FAIRYLAND_PALACE_ENTER = 214634;
     static S_PAINT_FAIRYLAND_PALACE_JOIN = 214635;
     static S_PAINT_FAIRYLAND_PALACE_OCCUPY = 214636;
-    static S_PAINT_FAIRYLAND_BEING_SYNC = 214699;
     static S_PAINT_FAIRYLAND_REFRESH_SYNC = 214637;
-    static S_PAINT_REPORT_LAST_APPLY_SYNC = 214639;
     static S_PAINT_REPORT_GET_PLAYER_INFO = 214638;
-    static S_PAINT_FAIRYLAND_CHECK_POOL = 214698;
+    static S_PAINT_REPORT_LAST_APPLY_SYNC = 214639;
+    static S_PAINT_FAIRYLAND_ENTER_MAIN = 214640;
+    static S_PAINT_FAIRYLAND_CHECK_POOL = 214698; // 画中仙境-检测仙泽
+    static S_PAINT_FAIRYLAND_BEING_SYNC = 214699; // 画中仙境被抢夺同步
     static S_WISHPOOL_GET_BUYER_INFO = 214901;
     static S_WISHPOOL_ENTER = 214902;
     static S_WISHPOOL_SYNC_REWARD = 214903;
     static S_WISHPOOL_GET_BIG_PRIZE_INFO = 214904;
     static S_WISHPOOL_EXIT = 214905;
     static S_WISHPOOL_DRAW_INFO_SYNC = 214910;
+    static S_SKY_TRADE_ENTER = 215000;
+    static S_SKY_TRADE_ENTER_MAP = 215001;
+    static S_SKY_TRADE_GROUP_INFO = 215002;
+    static S_SKY_TRADE_SPEED_UP = 215003;
+    static S_SKY_TRADE_MOVE = 215004;
+    static S_SKY_TRADE_BUY = 215005;
+    static S_SKY_TRADE_CHALLENGE_LIST = 215006;
+    static S_SKY_TRADE_CHALLENGE_INFO = 215007;
+    static S_SKY_TRADE_PLAYER_INFO = 215008;
+    static S_SKY_TRADE_REQ_MOVE_FINISH = 215009;
+    static S_SKY_TRADE_REPORT = 215010;
+    static S_SKY_TRADE_LOG = 215011;
+    static S_SKY_TRADE_PLANT_INFO = 215012;
+    static S_SKY_TRADE_PLANT_NOTICE = 215013;
+    static S_SKY_TRADE_PLANT_WATER = 215014;
+    static S_SKY_TRADE_PLANT_SEND = 215015;
+    static S_SKY_TRADE_PLANT_SEND_LOG = 215016;
+    static S_SKY_TRADE_KEEP_HEART = 215017;
+    static S_SKY_TRADE_USE_ITEM = 215018;
+    static S_SKY_TRADE_REPORT_DETAIL = 215019;
+    static S_SKY_TRADE_GUESS_PLAYER_LIST = 215020;
+    static S_SKY_TRADE_BET_DATA = 215021;
+    static S_SKY_TRADE_BET_SELECT = 215022;
+    static S_SKY_TRADE_BET_REWARD = 215023;
+    static S_SKY_TRADE_REPORT_GOODS = 215024;
+    static S_SKY_TRADE_RESET_STOCK = 215025;
+    static S_SKY_TRADE_RED = 215026;
+    static S_SKY_TRADE_UNION_GROUP_DAMAGE = 215027;
+    static S_SKY_TRADE_SCORE_CHANGED = 215050;
+    static S_SKY_TRADE_BUILDING_REST_NOTIFY = 215051;
+    static S_SKY_TRADE_SHIP_DATA_NOTIFY = 215052;
+    static S_SKY_TRADE_CHANLLENGE_NOTIFY = 215053;
+    static S_SKY_TRADE_RAREGOODS_NOTIFY = 215054;
+    static S_SKY_TRADE_FAME_RANK_NOTIFY = 215055;
+    static S_ADGIFTPB_TRIGGER = 215201; // 支付宝广告礼包-触发
+    static S_ADGIFTPB_GET_REWARD = 215202; // 支付宝广告礼包-领取奖励
     static S_KIDDING_SEA_SAVE_PROPERTY = 215501;
     static S_KIDDING_SEA_RESET_PROPERTY = 215502;
     static S_KIDDING_SEA_RELEASE_PARTNER = 215503;
@@ -1174,6 +1171,20 @@ class Protocol {
     static S_KIDDING_SEA_GET_ONHOOK_EXP = 215506;
     static S_KIDDING_SEA_TO_NEXT_STAGE = 215507;
     static S_KIDDING_SEA_ACTIVE_ON_HOOK = 215508;
+    static S_CASTSWORD_ENTER = 2011901;
+    static S_CASTSWORD_MOVE = 2011902;
+    static S_CASTSWORD_SETTLEMENT = 2011903;
+    static S_CASTSWORD_USETOOL = 2011904;
+    static S_CASTSWORD_GETREWARD = 2011905;
+    static S_CASTSWORD_REFRESHSTRENGTH = 2011906;
+    static S_CASTSWORD_GAMEOVER = 2011907;
+    static S_CASTSWORD_RANKSYNC = 2011908;
+    static S_FANREN_USE_SWORD_POWER = 2013401;
+    static S_EXPLORE_CHALLENGE_BOSS = 2013901;
+    static S_EXPLORE_TRANSFER_TO_NEXT_STAGE = 2013902;
+    static S_EXPLORE_VIEW_BOSS_DETAIL = 2013903;
+    static S_EXPLORE_CLEAR_MONSTERS_POS = 2013904;
+    static S_MAGIC_SHOP_ZERO_TIME_REFRESH = 2015401;
 }
 
-export default Protocol;
\ No newline at end of file
+export default Protocol;
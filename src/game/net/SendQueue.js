@@ -0,0 +1,237 @@
+import Protocol from "#game/net/Protocol.js";
+import logger from "#utils/logger.js";
+
+// 优先级从高到低, 同一优先级按发送顺序
+const LANES = ["system", "high", "normal", "low"];
+// 心跳和登录始终最先发送, 不受限速
+const SYSTEM_CMDS = [Protocol.S_PLAYER_PING, Protocol.S_PLAYER_LOGIN];
+
+class TokenBucket {
+    constructor(rate, burst) {
+        this.tokens = Infinity;
+        this.updatedAt = Date.now();
+        this.configure(rate, burst);
+    }
+
+    configure(rate, burst) {
+        this.rate = rate;
+        this.burst = Math.max(burst, 1);
+        this.tokens = Math.min(this.tokens, this.burst);
+    }
+
+    // 距离有可用令牌还要多少毫秒
+    wait(now) {
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+        return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+}
+
+/**
+ * @description 发送队列, 所有发往游戏服的消息经过令牌桶限速, 避免短时间发送过多被服务器以 "操作过于频繁" 踢下线。
+ * 全局限速之外, 可以按协议名前缀划分分类, 每个分类有自己的速率和优先级:
+ * { rate, burst, maxQueue, warnDepth, categories: [{ name, prefix: ["S_UNION_"], rate, burst, priority }] }
+ * rate 为每秒发送数, burst 为允许连续发送的数量; priority 为 high / normal / low。
+ */
+export default class SendQueue {
+    constructor(config = {}) {
+        this.lanes = Object.fromEntries(LANES.map((lane) => [lane, []]));
+        this.timer = null;
+        this.global = null;
+        this.categories = new Map();
+        this.cache = new Map();
+        this.depthWarned = false;
+        this.metrics = { sent: 0, dropped: 0, maxDepth: 0, totalWait: 0, maxWait: 0 };
+        this.configure(config);
+    }
+
+    // 修改配置后保留桶中剩余的令牌
+    configure({ rate = 5, burst = 8, maxQueue = 300, warnDepth = 50, categories = [] } = {}) {
+        this.maxQueue = maxQueue;
+        this.warnDepth = warnDepth;
+
+        if (this.global) {
+            this.global.configure(rate, burst);
+        } else {
+            this.global = new TokenBucket(rate, burst);
+        }
+
+        const previous = this.categories;
+        this.categories = new Map();
+        for (const { name, prefix = [], rate: catRate = rate, burst: catBurst = burst, priority = "normal" } of categories) {
+            const bucket = previous.get(name)?.bucket || new TokenBucket(catRate, catBurst);
+            bucket.configure(catRate, catBurst);
+            this.categories.set(name, { name, prefix, priority, bucket });
+        }
+        this.cache.clear();
+        this.flush();
+    }
+
+    // 按协议名前缀匹配分类, 没有匹配的只受全局限速
+    categoryOf(msgId) {
+        if (!this.cache.has(msgId)) {
+            const name = Protocol.getName(msgId);
+            const category = [...this.categories.values()].find((category) => category.prefix.some((prefix) => name.startsWith(prefix)));
+            this.cache.set(msgId, category || null);
+        }
+        return this.cache.get(msgId);
+    }
+
+    get depth() {
+        return LANES.reduce((sum, lane) => sum + this.lanes[lane].length, 0);
+    }
+
+    /**
+     * @param {number} msgId 协议号
+     * @param {Function} send 实际发送的函数
+     * @param {Function} [onDrop] 排队期间因队列已满被挤掉时调用
+     * @returns {boolean} 是否进入队列, 队列已满被丢弃时为 false
+     */
+    push(msgId, send, onDrop = null) {
+        const category = this.categoryOf(msgId);
+        const lane = SYSTEM_CMDS.includes(msgId) ? "system" : category?.priority || "normal";
+
+        if (this.depth >= this.maxQueue && !this.dropLower(lane)) {
+            this.metrics.dropped++;
+            logger.warn(`[发送队列] 队列已满 (${this.maxQueue}), 丢弃 ${Protocol.getName(msgId)}`);
+            return false;
+        }
+
+        this.lanes[lane].push({ msgId, send, onDrop, category, enqueuedAt: Date.now() });
+        this.checkDepth();
+        this.flush();
+        return true;
+    }
+
+    // 队列满时丢弃优先级不高于新消息的最早一条
+    dropLower(lane) {
+        for (let i = LANES.length - 1; i >= LANES.indexOf(lane); i--) {
+            const queue = this.lanes[LANES[i]];
+            if (queue.length > 0) {
+                const item = queue.shift();
+                this.metrics.dropped++;
+                logger.warn(`[发送队列] 队列已满 (${this.maxQueue}), 丢弃 ${Protocol.getName(item.msgId)}`);
+                try {
+                    item.onDrop?.();
+                } catch (error) {
+                    logger.error(`[发送队列] 处理丢弃 ${Protocol.getName(item.msgId)} 失败 ${error.message}`);
+                }
+                return true;
+            }
+        }
+        return false;
+    }
+
+    checkDepth() {
+        const depth = this.depth;
+        this.metrics.maxDepth = Math.max(this.metrics.maxDepth, depth);
+        if (!this.depthWarned && depth >= this.warnDepth) {
+            this.depthWarned = true;
+            logger.warn(`[发送队列] 积压 ${depth} 条消息 ${JSON.stringify(this.depthByCategory())}`);
+        } else if (this.depthWarned && depth < this.warnDepth / 2) {
+            this.depthWarned = false;
+        }
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        // 心跳和登录直接发送
+        while (this.lanes.system.length > 0) {
+            this.dispatch(this.lanes.system.shift());
+        }
+
+        for (;;) {
+            const now = Date.now();
+            if (this.depth === 0) return;
+
+            const globalWait = this.global.wait(now);
+            if (globalWait > 0) {
+                return this.schedule(globalWait);
+            }
+
+            // 分类限速到了的消息不阻塞同一优先级的其它分类
+            let next = null;
+            let minWait = Infinity;
+            for (const lane of LANES) {
+                const queue = this.lanes[lane];
+                const index = queue.findIndex((item) => {
+                    const wait = item.category ? item.category.bucket.wait(now) : 0;
+                    minWait = Math.min(minWait, wait);
+                    return wait === 0;
+                });
+                if (index !== -1) {
+                    next = queue.splice(index, 1)[0];
+                    break;
+                }
+            }
+            if (!next) {
+                return this.schedule(minWait);
+            }
+
+            this.global.take();
+            if (next.category) next.category.bucket.take();
+            this.dispatch(next);
+        }
+    }
+
+    schedule(ms) {
+        this.timer = setTimeout(() => this.flush(), ms);
+    }
+
+    dispatch(item) {
+        const wait = Date.now() - item.enqueuedAt;
+        this.metrics.sent++;
+        this.metrics.totalWait += wait;
+        this.metrics.maxWait = Math.max(this.metrics.maxWait, wait);
+        try {
+            item.send();
+        } catch (error) {
+            logger.error(`[发送队列] 发送 ${Protocol.getName(item.msgId)} 失败 ${error.message}`);
+        }
+        this.checkDepth();
+    }
+
+    // 断线时丢弃未发送的消息, 返回丢弃数量
+    clear() {
+        const depth = this.depth;
+        LANES.forEach((lane) => (this.lanes[lane] = []));
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.metrics.dropped += depth;
+        return depth;
+    }
+
+    depthByCategory() {
+        const result = {};
+        for (const lane of LANES) {
+            for (const item of this.lanes[lane]) {
+                const name = item.category ? item.category.name : "default";
+                result[name] = (result[name] || 0) + 1;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @description 队列状态: 当前积压 (按优先级和分类), 已发送/丢弃数, 最大积压, 平均和最长等待毫秒
+     */
+    stats() {
+        const { sent, dropped, maxDepth, totalWait, maxWait } = this.metrics;
+        return {
+            depth: this.depth,
+            lanes: Object.fromEntries(LANES.map((lane) => [lane, this.lanes[lane].length])),
+            categories: this.depthByCategory(),
+            sent,
+            dropped,
+            maxDepth,
+            avgWait: sent > 0 ? Math.round(totalWait / sent) : 0,
+            maxWait,
+        };
+    }
+}
@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import Protocol from "#game/net/Protocol.js";
+import { Stream } from "#game/net/Stream.js";
+import { ProtobufMgr } from "#game/net/ProtobufMgr.js";
+import { NetSocket } from "#game/net/NetSocket.js";
+import logger from "#utils/logger.js";
+
+/**
+ * @description 录制 WebSocket 收发的每一帧到 JSONL 文件, 每行一条:
+ * { timestamp, direction: "in" | "out", msgId, protocol, body, hex }
+ */
+class TrafficRecorder {
+    constructor() {
+        this.filePath = null;
+        this.stream = null;
+        this.protocolNames = null;
+    }
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new TrafficRecorder();
+        }
+        return this._instance;
+    }
+
+    get enabled() {
+        return this.stream !== null;
+    }
+
+    start(filePath) {
+        this.stop();
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.filePath = filePath;
+        this.stream = fs.createWriteStream(filePath, { flags: "a" });
+        logger.info(`[录制] 开始录制到 ${filePath}`);
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+            logger.info(`[录制] 停止录制 ${this.filePath}`);
+        }
+    }
+
+    record(direction, bytes) {
+        if (!this.stream) return;
+
+        try {
+            this.stream.write(JSON.stringify(this.decodeFrame(direction, bytes)) + "\n");
+        } catch (error) {
+            logger.debug(`[录制] 写入失败 ${error.message}`);
+        }
+    }
+
+    decodeFrame(direction, bytes) {
+        const isReq = direction === "out";
+        const stream = new Stream();
+        stream.initByBuff(bytes, bytes.length);
+        stream.readShort();
+        const length = stream.readInt();
+        const msgId = stream.readInt();
+
+        let body = null;
+        try {
+            const pbMsg = ProtobufMgr.inst.getMsg(msgId, isReq);
+            if (pbMsg) {
+                const decoded = pbMsg.decode(bytes.subarray(NetSocket.BYTES_OF_MSG_HEADER, length));
+                body = pbMsg.toObject(decoded, { longs: String, enums: String, bytes: String });
+            }
+        } catch (error) {
+            logger.debug(`[录制] ${msgId} 解码失败 ${error.message}`);
+        }
+
+        return {
+            timestamp: Date.now(),
+            direction: direction,
+            msgId: msgId,
+            protocol: this.getProtocolName(msgId, isReq),
+            body: body,
+            hex: Buffer.from(bytes).toString("hex"),
+        };
+    }
+
+    // 发送用请求号查找, 接收用 cmdList 中的 smMsgId 反查
+    getProtocolName(msgId, isReq) {
+        if (!this.protocolNames) {
+            this.protocolNames = { req: {}, resv: {} };
+            for (const name of Object.keys(Protocol)) {
+                const id = Protocol[name];
+                this.protocolNames.req[id] = name;
+                const protoCmd = ProtobufMgr.inst.cmdList[id];
+                if (protoCmd && protoCmd.smMsgId !== undefined && !this.protocolNames.resv[protoCmd.smMsgId]) {
+                    this.protocolNames.resv[protoCmd.smMsgId] = name;
+                }
+            }
+        }
+        return (isReq ? this.protocolNames.req[msgId] : this.protocolNames.resv[msgId]) || null;
+    }
+}
+
+export { TrafficRecorder };
@@ -0,0 +1,102 @@
+import fs from "fs";
+import readline from "readline";
+import { Stream } from "#game/net/Stream.js";
+import { ProtobufMgr } from "#game/net/ProtobufMgr.js";
+import { NetSocket } from "#game/net/NetSocket.js";
+import { TrafficRecorder } from "#game/net/TrafficRecorder.js";
+import GameNetMgr from "#game/net/GameNetMgr.js";
+import UnknownTraffic, { UnknownKind } from "#game/net/UnknownTraffic.js";
+import logger from "#utils/logger.js";
+
+// 回放时替代 NetSocket, 不连接网络, 只记录本该发出的消息
+class ReplaySocket {
+    constructor() {
+        this.sentList = [];
+    }
+
+    isConnected() {
+        return true;
+    }
+
+    sendMsg(msg) {
+        const bytes = new Uint8Array(msg.buff).subarray(0, msg.streamsize);
+        const frame = TrafficRecorder.inst.decodeFrame("out", bytes);
+        this.sentList.push(frame);
+        logger.info(`[回放] 发送 ${frame.protocol || frame.msgId} ${JSON.stringify(frame.body)}`);
+        if (TrafficRecorder.inst.enabled) {
+            TrafficRecorder.inst.record("out", bytes);
+        }
+    }
+
+    heartbeatStart() {}
+
+    close() {}
+}
+
+/**
+ * @description 把 TrafficRecorder 录制的会话按顺序重新交给 GameNetMgr.resvHandler 处理。
+ * realtime 为 true 时按录制时的间隔 (除以 speed) 回放, 否则逐条立即回放。
+ */
+class TrafficReplayer {
+    constructor(filePath, { realtime = false, speed = 1 } = {}) {
+        this.filePath = filePath;
+        this.realtime = realtime;
+        this.speed = speed;
+        this.socket = new ReplaySocket();
+    }
+
+    async readFrames() {
+        const frames = [];
+        const rl = readline.createInterface({ input: fs.createReadStream(this.filePath), crlfDelay: Infinity });
+        for await (const line of rl) {
+            if (line.trim()) {
+                frames.push(JSON.parse(line));
+            }
+        }
+        return frames;
+    }
+
+    async run() {
+        const frames = await this.readFrames();
+        const inbound = frames.filter((frame) => frame.direction === "in");
+        logger.info(`[回放] ${this.filePath} 共 ${frames.length} 条, 其中接收 ${inbound.length} 条`);
+
+        GameNetMgr.inst.net = this.socket;
+
+        let lastTimestamp = inbound.length > 0 ? inbound[0].timestamp : 0;
+        for (const frame of inbound) {
+            if (this.realtime && frame.timestamp > lastTimestamp) {
+                await new Promise((resolve) => setTimeout(resolve, (frame.timestamp - lastTimestamp) / this.speed));
+            }
+            lastTimestamp = frame.timestamp;
+            this.feed(frame);
+            // 让处理函数中的异步逻辑先执行完
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+
+        logger.info(`[回放] 回放结束, 共发送 ${this.socket.sentList.length} 条消息`);
+        return this.socket.sentList;
+    }
+
+    feed(frame) {
+        const bytes = new Uint8Array(Buffer.from(frame.hex, "hex"));
+        const pbMsg = ProtobufMgr.inst.getMsg(frame.msgId, false);
+        if (!pbMsg) {
+            UnknownTraffic.inst.record(frame.msgId, UnknownKind.UNKNOWN, { bytes });
+            return;
+        }
+
+        try {
+            const stream = new Stream();
+            stream.initByBuff(bytes, bytes.length);
+            stream.readShort();
+            const length = stream.readInt();
+            const msgData = pbMsg.decode(bytes.subarray(NetSocket.BYTES_OF_MSG_HEADER, length));
+            GameNetMgr.inst.resvHandler(frame.msgId, msgData);
+        } catch (error) {
+            logger.error(`[回放] ${frame.protocol || frame.msgId} 处理失败 ${error.message}`);
+        }
+    }
+}
+
+export { TrafficReplayer, ReplaySocket };
@@ -0,0 +1,161 @@
+import fs from "fs";
+import path from "path";
+import account from "#config/account.js";
+import { ProtobufMgr } from "#game/net/ProtobufMgr.js";
+import MsgBus from "#game/net/MsgBus.js";
+import logger from "#utils/logger.js";
+
+const logDir = path.join(process.cwd(), "logs");
+
+// 没有协议定义 / 有定义但解码失败 / 解码成功但没有订阅者
+const Kind = {
+    UNKNOWN: "unknown",
+    DECODE_ERROR: "decodeError",
+    UNHANDLED: "unhandled",
+};
+
+const KIND_LABELS = {
+    [Kind.UNKNOWN]: "无协议定义",
+    [Kind.DECODE_ERROR]: "解码失败",
+    [Kind.UNHANDLED]: "没有处理",
+};
+
+const MAX_ENTRIES = 1000;
+const MAX_SAMPLES = 3;
+// 样本过大时截断, 活动配置之类的消息可能有几百 KB
+const MAX_HEX_BYTES = 2048;
+const MAX_BODY_LENGTH = 16 * 1024;
+
+/**
+ * @description 统计没有协议定义、解码失败或没有订阅者的服务器消息, 用于发现游戏更新后新增的系统和被忽略的同步消息。
+ * 按协议号和类型记录次数、首次和最近出现的时间以及前几条样本 (能解码的保存解码结果, 否则保存十六进制),
+ * 报告保存在 logs/unknown_<账号名>.json, 重启后继续累计, 删除该文件即可重新统计。
+ */
+class UnknownTraffic {
+    constructor() {
+        this.filePath = path.join(logDir, `unknown_${account.name || "default"}.json`);
+        // `${msgId}|${kind}` -> entry
+        this.entries = new Map();
+        this.dirty = false;
+        this.persist = true;
+        this.load();
+    }
+
+    static get inst() {
+        if (!this._instance) {
+            this._instance = new UnknownTraffic();
+        }
+        return this._instance;
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            for (const entry of data.messages || []) {
+                this.entries.set(`${entry.msgId}|${entry.kind}`, {
+                    ...entry,
+                    firstSeen: Date.parse(entry.firstSeen),
+                    lastSeen: Date.parse(entry.lastSeen),
+                });
+            }
+        } catch (error) {
+            logger.warn(`[未知消息] 读取报告失败 ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this.persist || !this.dirty) return;
+        try {
+            fs.mkdirSync(logDir, { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(this.toReport(), null, 4));
+            this.dirty = false;
+        } catch (error) {
+            logger.warn(`[未知消息] 保存报告失败 ${error.message}`);
+        }
+    }
+
+    // 回放时只在内存中统计, 不影响正在运行的账号
+    memoryOnly() {
+        this.persist = false;
+        this.entries.clear();
+    }
+
+    /**
+     * @param {number} msgId 协议号, 帧头无法解析时为 0
+     * @param {string} kind Kind 中的值
+     * @param {{ bytes?: Uint8Array, msgData?: object, error?: Error }} detail 原始帧、解码结果或解码错误
+     */
+    record(msgId, kind, { bytes = null, msgData = null, error = null } = {}) {
+        const key = `${msgId}|${kind}`;
+        const now = Date.now();
+        let entry = this.entries.get(key);
+        if (!entry) {
+            if (this.entries.size >= MAX_ENTRIES) return;
+            entry = { msgId, name: MsgBus.nameOf(msgId), kind, count: 0, firstSeen: now, lastSeen: now, samples: [] };
+            this.entries.set(key, entry);
+
+            // 没有处理的同步消息很多, 只在调试时输出
+            const level = kind === Kind.UNHANDLED ? "debug" : "warn";
+            logger[level](`[未知消息] ${entry.name || msgId} (${msgId}) ${KIND_LABELS[kind]}${error ? ` ${error.message}` : ""}`);
+        }
+
+        entry.count++;
+        entry.lastSeen = now;
+        if (error) entry.error = error.message;
+        if (entry.samples.length < MAX_SAMPLES) {
+            entry.samples.push({ time: new Date(now).toISOString(), ...this.sample(msgId, bytes, msgData) });
+        }
+        this.dirty = true;
+    }
+
+    sample(msgId, bytes, msgData) {
+        if (msgData) {
+            const type = ProtobufMgr.inst.getMsg(msgId, false);
+            const body = type ? type.toObject(msgData, { longs: String, enums: String, bytes: String }) : msgData;
+            const json = JSON.stringify(body);
+            return json.length > MAX_BODY_LENGTH ? { preview: json.slice(0, MAX_BODY_LENGTH), truncated: true } : { body };
+        }
+        if (bytes) {
+            const hex = Buffer.from(bytes.subarray(0, MAX_HEX_BYTES)).toString("hex");
+            return bytes.length > MAX_HEX_BYTES ? { hex, length: bytes.length, truncated: true } : { hex };
+        }
+        return {};
+    }
+
+    list() {
+        return [...this.entries.values()].sort((a, b) => b.count - a.count);
+    }
+
+    toReport() {
+        return {
+            account: account.name || "default",
+            updatedAt: new Date().toISOString(),
+            messages: this.list().map((entry) => ({
+                ...entry,
+                firstSeen: new Date(entry.firstSeen).toISOString(),
+                lastSeen: new Date(entry.lastSeen).toISOString(),
+            })),
+        };
+    }
+
+    // 按类型汇总, 用于定期日志
+    summary() {
+        const counts = {};
+        for (const entry of this.entries.values()) {
+            counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+        }
+        return Object.entries(counts).map(([kind, num]) => `${KIND_LABELS[kind]} ${num} 种`).join(", ");
+    }
+
+    report(top = 20) {
+        if (this.entries.size === 0) return;
+        logger.info(`[未知消息] ${this.summary()}${this.persist ? `, 详见 ${path.relative(process.cwd(), this.filePath)}` : ""}`);
+        for (const entry of this.list().slice(0, top)) {
+            logger.info(`[未知消息]   ${entry.name || entry.msgId} (${entry.msgId}) ${KIND_LABELS[entry.kind]} ${entry.count} 次`);
+        }
+    }
+}
+
+export default UnknownTraffic;
+export { Kind as UnknownKind };
@@ -1,5 +1,17 @@
-import account from "../account.js";
+import account from "#config/account.js";
 import initialize from "#loaders/index.js";
+import { ExitReason, exitWithReason } from "#supervisor/ExitReason.js";
+import logger from "#utils/logger.js";
+
+process.on("uncaughtException", (error) => {
+    logger.error(`[进程] 未捕获的异常 ${error.stack || error}`);
+    exitWithReason(ExitReason.CRASH, error.message);
+});
+
+process.on("unhandledRejection", (reason) => {
+    logger.error(`[进程] 未处理的 Promise 拒绝 ${(reason && reason.stack) || reason}`);
+    exitWithReason(ExitReason.CRASH, (reason && reason.message) || String(reason));
+});
 
 async function start() {
     const { username, password, serverId } = account;
@@ -0,0 +1,57 @@
+import account, { onAccountChange, isChanged } from "#config/account.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+import BagMgr from "#game/mgr/BagMgr.js";
+import PlayerAttributeMgr from "#game/mgr/PlayerAttributeMgr.js";
+import FrogMgr from "#game/mgr/FrogMgr.js";
+import SpiritMgr from "#game/mgr/SpiritMgr.js";
+import MagicMgr from "#game/mgr/MagicMgr.js";
+import MagicTreasureMgr from "#game/mgr/MagicTreasureMgr.js";
+import PupilMgr from "#game/mgr/PupilMgr.js";
+import WildBossMgr from "#game/mgr/WildBossMgr.js";
+import DestinyMgr from "#game/mgr/DestinyMgr.js";
+import UnionMgr from "#game/mgr/UnionMgr.js";
+import PalaceMgr from "#game/mgr/PalaceMgr.js";
+import ChapterMgr from "#game/mgr/ChapterMgr.js";
+import TowerMgr from "#game/mgr/TowerMgr.js";
+import SecretTowerMgr from "#game/mgr/SecretTowerMgr.js";
+import HomelandMgr from "#game/mgr/HomelandMgr.js";
+import HeroRankMgr from "#game/mgr/HeroRankMgr.js";
+import MailMgr from "#game/mgr/MailMgr.js";
+import logger from "#utils/logger.js";
+
+// 可以通过 account.js 中 switch 关闭的管理器
+const FEATURE_MGRS = [
+    FrogMgr, SpiritMgr, MagicMgr, MagicTreasureMgr, PupilMgr, PalaceMgr, WildBossMgr, DestinyMgr, UnionMgr,
+    ChapterMgr, TowerMgr, SecretTowerMgr, HomelandMgr, HeroRankMgr,
+];
+
+// 始终运行的管理器中可以单独关闭的部分
+const FEATURE_OWNERS = [BagMgr, PlayerAttributeMgr, MailMgr];
+
+export default async () => {
+    for (const mgr of FEATURE_MGRS) {
+        FeatureMgr.inst.register(mgr.FEATURE, mgr);
+    }
+    for (const owner of FEATURE_OWNERS) {
+        owner.FEATURES.forEach((feature) => FeatureMgr.inst.register(feature));
+    }
+
+    FeatureMgr.inst.resolve(account.switch);
+    const { enabled, disabled } = FeatureMgr.inst.describe();
+    logger.info(`[功能] 已开启: ${enabled.join(", ") || "无"}`);
+    if (disabled.length > 0) {
+        logger.info(`[功能] 已关闭: ${disabled.join(", ")}`);
+    }
+
+    onAccountChange((changed) => {
+        if (isChanged(changed, "switch")) {
+            FeatureMgr.inst.apply(account.switch);
+        }
+
+        for (const [id, feature] of FeatureMgr.inst.features) {
+            if (feature.config && !FeatureMgr.inst.isEnabled(id) && isChanged(changed, feature.config)) {
+                logger.warn(`[功能] ${FeatureMgr.inst.label(id)} 未开启, 修改 ${feature.config} 不生效`);
+            }
+        }
+    });
+};
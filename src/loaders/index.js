@@ -1,21 +1,68 @@
+import path from "path";
+import account, { watchAccount } from "#config/account.js";
 import AuthService from "#services/authService.js";
+import TokenCache from "#services/tokenCache.js";
 import dependencyInjectorLoader from "#loaders/dependencyInjector.js";
+import featuresLoader from "#loaders/features.js";
+import messagesLoader from "#loaders/messages.js";
+import pluginsLoader from "#loaders/plugins.js";
 import GameNetMgr from "#game/net/GameNetMgr.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+import GameState from "#game/common/GameState.js";
+import { TrafficRecorder } from "#game/net/TrafficRecorder.js";
+import UnknownTraffic from "#game/net/UnknownTraffic.js";
+import { classifyLoginError, exitWithReason } from "#supervisor/ExitReason.js";
 import logger from '#utils/logger.js';
 
 export default async (username, password, serverId) => {
     await dependencyInjectorLoader();
+    await featuresLoader();
+    // 各管理器订阅自己关心的服务器消息
+    await messagesLoader();
+    // plugins/ 目录下的插件, 在管理器之后订阅
+    await pluginsLoader();
+    // 运行中修改 account.js 会推送到各个管理器, 无需重启
+    watchAccount();
+    // 定期输出接下来要运行的任务、发送队列和心跳延迟
+    const REPORT_INTERVAL = 10 * 60 * 1000;
+    Scheduler.inst.register(Scheduler.inst, { name: "scheduler.report", every: REPORT_INTERVAL, priority: -1, run: () => Scheduler.inst.report() });
+    Scheduler.inst.delay("scheduler.report", REPORT_INTERVAL);
+    Scheduler.inst.register(GameNetMgr.inst, { name: "net.report", every: REPORT_INTERVAL, priority: -1, run: () => GameNetMgr.inst.reportNet() });
+    Scheduler.inst.delay("net.report", REPORT_INTERVAL);
+    // 未知和没有处理的消息每分钟写入报告, 每 10 分钟输出汇总
+    Scheduler.inst.register(UnknownTraffic.inst, { name: "unknown.save", every: 60 * 1000, priority: -1, run: () => UnknownTraffic.inst.save() });
+    Scheduler.inst.register(UnknownTraffic.inst, { name: "unknown.report", every: REPORT_INTERVAL, priority: -1, run: () => UnknownTraffic.inst.report(5) });
+    Scheduler.inst.delay("unknown.report", REPORT_INTERVAL);
+    // 每 10 分钟导出游戏状态
+    Scheduler.inst.register(GameState.inst, { name: "state.export", every: REPORT_INTERVAL, priority: -1, run: () => GameState.inst.export() });
+    Scheduler.inst.delay("state.export", REPORT_INTERVAL);
+    // 零点后重置每日计数
+    DailyMgr.inst.start();
 
     try {
         // Login first, and then fetch the wsAddress and token
-        const authServiceInstance = new AuthService();
-        const response = await authServiceInstance.Login(username, password, serverId);
+        const authServiceInstance = new AuthService(account.endpoints, account.authRetry);
+        const tokenCache = account.tokenCache && account.tokenCache.enabled ? new TokenCache(account.name, account.tokenCache.ttl) : null;
+        const response = tokenCache
+            ? await authServiceInstance.CachedLogin(tokenCache, username, password, serverId)
+            : await authServiceInstance.Login(username, password, serverId);
+
+        // 缓存的 token 被游戏服拒绝时重新获取
+        if (response.fromCache) {
+            GameNetMgr.inst.tokenRefresher = () => authServiceInstance.RefreshLogin(tokenCache, response, username, password, serverId);
+        }
 
         // Initialize WebSocket
         const { wsAddress, playerId, token } = response;
+        if (account.capture) {
+            const datePart = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '_');
+            TrafficRecorder.inst.start(path.join(process.cwd(), 'records', `${playerId}_${datePart}.jsonl`));
+        }
         GameNetMgr.inst.connectGameServer(wsAddress, playerId, token);
     } catch (error) {
         logger.error(error.message || error);
+        exitWithReason(classifyLoginError(error), error.message);
     }
 };
 
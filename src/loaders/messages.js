@@ -0,0 +1,40 @@
+import GameState from "#game/common/GameState.js";
+import PlayerAttributeMgr from "#game/mgr/PlayerAttributeMgr.js";
+import CustomMgr from "#game/mgr/CustomMgr.js";
+import BagMgr from "#game/mgr/BagMgr.js";
+import FrogMgr from "#game/mgr/FrogMgr.js";
+import DestinyMgr from "#game/mgr/DestinyMgr.js";
+import SpiritMgr from "#game/mgr/SpiritMgr.js";
+import UnionMgr from "#game/mgr/UnionMgr.js";
+import PalaceMgr from "#game/mgr/PalaceMgr.js";
+import PupilMgr from "#game/mgr/PupilMgr.js";
+import MagicMgr from "#game/mgr/MagicMgr.js";
+import MagicTreasureMgr from "#game/mgr/MagicTreasureMgr.js";
+import GatherEnergyMgr from "#game/mgr/GatherEnergyMgr.js";
+import ChapterMgr from "#game/mgr/ChapterMgr.js";
+import MailMgr from "#game/mgr/MailMgr.js";
+import WildBossMgr from "#game/mgr/WildBossMgr.js";
+import TowerMgr from "#game/mgr/TowerMgr.js";
+import SecretTowerMgr from "#game/mgr/SecretTowerMgr.js";
+import HeroRankMgr from "#game/mgr/HeroRankMgr.js";
+import ActivityMgr from "#game/mgr/ActivityMgr.js";
+import HomelandMgr from "#game/mgr/HomelandMgr.js";
+import FeatureMgr from "#game/common/FeatureMgr.js";
+
+// 按顺序订阅, 同一消息的订阅者按这里的顺序调用 (GameState 最先更新状态)
+const SUBSCRIBERS = [
+    GameState, PlayerAttributeMgr, CustomMgr, BagMgr, FrogMgr, DestinyMgr, SpiritMgr, UnionMgr, PalaceMgr, PupilMgr,
+    MagicMgr, MagicTreasureMgr, GatherEnergyMgr, ChapterMgr, MailMgr, WildBossMgr, TowerMgr, SecretTowerMgr,
+    HeroRankMgr, ActivityMgr, HomelandMgr,
+];
+
+export default async () => {
+    for (const mgr of SUBSCRIBERS) {
+        // 可关闭的功能只在开启时订阅, 运行中修改开关时由 FeatureMgr.apply 订阅或取消
+        if (mgr.FEATURE) {
+            FeatureMgr.inst.subscribe(mgr.FEATURE.id);
+        } else {
+            mgr.subscribe();
+        }
+    }
+};
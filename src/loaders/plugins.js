@@ -0,0 +1,8 @@
+import PluginMgr from "#game/common/PluginMgr.js";
+import createPath from "#utils/path.js";
+
+const resolvePath = createPath(import.meta.url);
+
+export default async () => {
+    await PluginMgr.inst.loadDir(resolvePath("../../plugins"));
+};
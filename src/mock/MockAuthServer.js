@@ -0,0 +1,167 @@
+import http from "http";
+import qs from "qs";
+import { v4 as uuidv4 } from "uuid";
+import logger from "#utils/logger.js";
+
+/**
+ * @description 本地模拟登录服务, 实现 AuthService 用到的 4 个接口, 返回值沿用真实接口的 code / ret 约定。
+ * 场景文件中的 auth 配置:
+ * {
+ *   "username": "test", "password": "123456",       // 不填则接受任意账号密码
+ *   "uid": "900001",
+ *   "servers": [{ "serverId": 1, "serverName": "模拟1服" }],
+ *   "playerServerList": [1]                          // 玩家有角色的区服, 不填为全部
+ * }
+ * 游戏登录返回的 wsAddress 指向 gameAddress (模拟游戏服)。
+ */
+export default class MockAuthServer {
+    constructor(scenario = {}, port = 8082, gameAddress = "ws://localhost:8081") {
+        this.auth = {
+            uid: "900001",
+            servers: [{ serverId: 1, serverName: "模拟1服" }],
+            ...scenario.auth,
+        };
+        this.playerId = scenario.playerId || "10000001";
+        this.port = port;
+        this.gameAddress = gameAddress;
+        this.server = null;
+        // ptoken -> 账号, app_pst -> 账号
+        this.ptokens = new Map();
+        this.sessions = new Map();
+    }
+
+    // 对应 account.js 中的 endpoints
+    get endpoints() {
+        const base = `http://localhost:${this.port}`;
+        return {
+            sdkLogin: `${base}/sdk/login`,
+            sdkSession: `${base}/sdk/session`,
+            gameLogin: `${base}/s{serverId}_http/player/login`,
+            serverList: `${base}/server/list`,
+        };
+    }
+
+    // 端口被占用等错误时 reject
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.onRequest(req, res));
+            this.server.once("error", reject);
+            this.server.listen(this.port, () => {
+                logger.info(`[MockAuth] 模拟登录服务已启动 http://localhost:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (this.server) {
+                this.server.close(() => resolve());
+                this.server = null;
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    onRequest(req, res) {
+        const chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", () => {
+            let result;
+            try {
+                const body = this.parseBody(req, Buffer.concat(chunks).toString());
+                result = this.route(req.url, body);
+            } catch (error) {
+                logger.error(`[MockAuth] 处理 ${req.url} 失败 ${error.message}`);
+                res.writeHead(500);
+                res.end();
+                return;
+            }
+
+            if (!result) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(result));
+        });
+    }
+
+    parseBody(req, raw) {
+        if (!raw) return {};
+        const contentType = req.headers["content-type"] || "";
+        return contentType.includes("application/json") ? JSON.parse(raw) : qs.parse(raw);
+    }
+
+    route(url, body) {
+        const pathname = url.split("?")[0];
+        if (pathname === "/sdk/login") return this.sdkLogin(body);
+        if (pathname === "/sdk/session") return this.sdkSession(body);
+        if (pathname === "/server/list") return this.serverList(body);
+
+        const match = /^\/s(\d+)_http\/player\/login$/.exec(pathname);
+        if (match) return this.gameLogin(Number(match[1]), body);
+        return null;
+    }
+
+    // 与 AuthService.encryptPwd 相反: 8位随机 + 前3位 + 5位随机 + 剩余部分 + 2位随机
+    decryptPwd(encrypted) {
+        const str = Buffer.from(encrypted || "", "base64").toString("utf8");
+        const length = str.length - 15;
+        if (length <= 3) {
+            return str.substring(8, 8 + Math.max(length, 0));
+        }
+        return str.substring(8, 11) + str.substring(16, str.length - 2);
+    }
+
+    // 37 账号登录 code 为 1 表示成功
+    sdkLogin(body) {
+        const username = body.login_account;
+        const password = this.decryptPwd(body.password);
+        if (this.auth.username && (username !== this.auth.username || password !== this.auth.password)) {
+            logger.warn(`[MockAuth] 账号或密码错误 ${username}`);
+            return { code: 0, msg: "账号或密码错误" };
+        }
+
+        const ptoken = uuidv4();
+        this.ptokens.set(ptoken, username);
+        logger.info(`[MockAuth] 账号登录 ${username}`);
+        return { code: 1, data: { app_pst: ptoken, userinfo: { uid: this.auth.uid, login_account: username } } };
+    }
+
+    sdkSession(body) {
+        if (!this.ptokens.has(body.ptoken)) {
+            return { code: 0, msg: "登录已失效" };
+        }
+
+        const appPst = uuidv4();
+        this.sessions.set(appPst, body.puid);
+        return { code: 1, data: { app_pst: appPst } };
+    }
+
+    // 游戏登录 ret 为 0 表示成功
+    gameLogin(serverId, body) {
+        const data = JSON.parse(decodeURIComponent(body.data || "{}"));
+        if (!this.sessions.has(data.token)) {
+            logger.warn(`[MockAuth] 游戏登录 token 无效`);
+            return { ret: 1002 };
+        }
+        if (!this.getPlayerServerList().includes(serverId)) {
+            logger.warn(`[MockAuth] 区服 ${serverId} 没有角色`);
+            return { ret: 1001 };
+        }
+
+        logger.info(`[MockAuth] 游戏登录 区服: ${serverId}`);
+        return { ret: 0, wsAddress: this.gameAddress, playerId: this.playerId, token: uuidv4() };
+    }
+
+    serverList() {
+        return { serverList: this.auth.servers, playerServerList: this.getPlayerServerList() };
+    }
+
+    getPlayerServerList() {
+        return this.auth.playerServerList || this.auth.servers.map((server) => server.serverId);
+    }
+}
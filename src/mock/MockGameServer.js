@@ -0,0 +1,210 @@
+import { WebSocketServer } from "ws";
+import Protocol from "#game/net/Protocol.js";
+import { Stream } from "#game/net/Stream.js";
+import { ProtobufMgr } from "#game/net/ProtobufMgr.js";
+import { NetSocket } from "#game/net/NetSocket.js";
+import logger from "#utils/logger.js";
+
+/**
+ * @description 本地模拟游戏服, 使用与 NetSocket 相同的 18 字节包头。
+ * 场景文件格式:
+ * {
+ *   "playerId": "10000001",
+ *   "login": [{ "msgId": "S_PLAYER_DATA_SYNC_MSG", "body": {...} }],          // 登录后依次下发的同步消息
+ *   "responses": { "S_PUPIL_RECRUIT": { "body": { "ret": 0 } } },              // 请求 -> 回包, 也可以是数组
+ *   "pushes": [{ "after": 5000, "every": 60000, "msgId": 551, "body": {...} }]  // 登录后定时推送
+ * }
+ * msgId 可以是 Protocol 中的名字 (按 cmdList 转为回包号) 或直接填回包号。
+ */
+export default class MockGameServer {
+    constructor(scenario = {}, port = 8081) {
+        this.scenario = scenario;
+        this.port = port;
+        this.playerId = scenario.playerId || "10000001";
+        this.wss = null;
+        this.clients = new Set();
+    }
+
+    // 端口被占用等错误时 reject
+    start() {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocketServer({ port: this.port });
+            this.wss.once("error", reject);
+            this.wss.on("connection", (ws) => this.onConnection(ws));
+            this.wss.once("listening", () => {
+                logger.info(`[Mock] 模拟游戏服已启动 ws://localhost:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            for (const client of this.clients) {
+                this.clearTimers(client);
+                client.ws.terminate();
+            }
+            this.clients.clear();
+            if (this.wss) {
+                this.wss.close(() => resolve());
+                this.wss = null;
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    onConnection(ws) {
+        const client = { ws, timers: [], logined: false };
+        this.clients.add(client);
+        logger.info("[Mock] 客户端已连接");
+
+        ws.on("message", (data) => {
+            try {
+                this.onMessage(client, new Uint8Array(data));
+            } catch (error) {
+                logger.error(`[Mock] 处理消息失败 ${error.message}`);
+            }
+        });
+
+        ws.on("close", () => {
+            logger.info("[Mock] 客户端已断开");
+            this.clearTimers(client);
+            this.clients.delete(client);
+        });
+    }
+
+    clearTimers(client) {
+        client.timers.forEach((timer) => clearTimeout(timer));
+        client.timers = [];
+    }
+
+    onMessage(client, bytes) {
+        const { msgId, body } = this.decodeFrame(bytes);
+        const name = this.getProtocolName(msgId);
+
+        switch (msgId) {
+            case Protocol.S_PLAYER_LOGIN:
+                this.onLogin(client, body);
+                break;
+            case Protocol.S_PLAYER_PING:
+                this.send(client, this.toResvMsgId(Protocol.S_PLAYER_PING), { timeData: this.getTimeData() });
+                break;
+            default:
+                logger.debug(`[Mock] 收到 ${name || msgId} ${JSON.stringify(body)}`);
+                this.reply(client, msgId);
+                break;
+        }
+    }
+
+    onLogin(client, body) {
+        const entries = this.getResponses(Protocol.S_PLAYER_LOGIN);
+        const loginRsp = entries.length > 0 ? entries[0].body : { ret: 0 };
+        this.send(client, this.toResvMsgId(Protocol.S_PLAYER_LOGIN), { timeData: this.getTimeData(), ...loginRsp });
+
+        if (loginRsp.ret !== 0) {
+            logger.warn(`[Mock] 拒绝登录 token: ${body && body.token}`);
+            return;
+        }
+
+        client.logined = true;
+        logger.info(`[Mock] 玩家登录 token: ${body && body.token}`);
+        (this.scenario.login || []).forEach((entry) => this.sendEntry(client, entry));
+        this.send(client, this.toResvMsgId(Protocol.S_LOGIN_SYNC_OVER), {});
+
+        (this.scenario.pushes || []).forEach((entry) => this.schedulePush(client, entry));
+    }
+
+    schedulePush(client, entry) {
+        const push = () => {
+            if (client.ws.readyState !== client.ws.OPEN) return;
+            this.sendEntry(client, entry);
+            if (entry.every) {
+                client.timers.push(setTimeout(push, entry.every));
+            }
+        };
+        client.timers.push(setTimeout(push, entry.after || 0));
+    }
+
+    reply(client, msgId) {
+        const entries = this.getResponses(msgId);
+        if (entries.length === 0) {
+            logger.debug(`[Mock] ${this.getProtocolName(msgId) || msgId} 未配置回包`);
+            return;
+        }
+        entries.forEach((entry) => this.sendEntry(client, entry, this.toResvMsgId(msgId)));
+    }
+
+    getResponses(msgId) {
+        const responses = this.scenario.responses || {};
+        const entries = responses[this.getProtocolName(msgId)] || responses[msgId];
+        if (!entries) return [];
+        return Array.isArray(entries) ? entries : [entries];
+    }
+
+    sendEntry(client, entry, defaultMsgId) {
+        const msgId = entry.msgId !== undefined ? this.resolveMsgId(entry.msgId) : defaultMsgId;
+        if (!msgId) {
+            logger.warn(`[Mock] 无法识别的消息 ${JSON.stringify(entry.msgId)}`);
+            return;
+        }
+        this.send(client, msgId, entry.body || {});
+    }
+
+    send(client, msgId, body) {
+        if (client.ws.readyState !== client.ws.OPEN) return;
+        client.ws.send(this.encodeFrame(msgId, body));
+    }
+
+    encodeFrame(msgId, body) {
+        const stream = new Stream();
+        stream.init(msgId, +this.playerId, NetSocket.BYTES_OF_MSG_HEADER + NetSocket.MSG_DATA_LENGTH, false);
+        stream.writeShort(NetSocket.HEADER);
+        stream.writeInt(50);
+        stream.writeInt(msgId);
+        stream.writeLong(this.playerId);
+
+        if (stream.pbMsg) {
+            const data = stream.pbMsg.encode(stream.pbMsg.fromObject(body)).finish();
+            stream.writeBytes(data, NetSocket.BYTES_OF_MSG_HEADER);
+        } else {
+            logger.warn(`[Mock] 回包 ${msgId} 没有对应的 proto`);
+        }
+
+        stream.writeInt(stream.offset, 2);
+        return Buffer.from(stream.buff.subarray(0, stream.offset));
+    }
+
+    decodeFrame(bytes) {
+        const stream = new Stream();
+        stream.initByBuff(bytes, bytes.length);
+        stream.readShort();
+        const length = stream.readInt();
+        const msgId = stream.readInt();
+        const pbMsg = ProtobufMgr.inst.getMsg(msgId, true);
+        const data = bytes.subarray(NetSocket.BYTES_OF_MSG_HEADER, length);
+        const body = pbMsg ? pbMsg.toObject(pbMsg.decode(data), { longs: String }) : null;
+        return { msgId, body };
+    }
+
+    // 协议名或请求号 -> 回包号
+    resolveMsgId(msgId) {
+        if (typeof msgId === "string") {
+            return Protocol[msgId] ? this.toResvMsgId(Protocol[msgId]) : null;
+        }
+        return msgId;
+    }
+
+    toResvMsgId(msgId) {
+        const protoCmd = ProtobufMgr.inst.cmdList[msgId];
+        return protoCmd ? protoCmd.smMsgId : null;
+    }
+
+    getProtocolName(msgId) {
+        return Object.keys(Protocol).find((key) => Protocol[key] === msgId) || null;
+    }
+
+    getTimeData() {
+        return { timestamp: Date.now(), timeZone: 8 };
+    }
+}
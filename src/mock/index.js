@@ -0,0 +1,47 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import logger from "#utils/logger.js";
+import createPath from "#utils/path.js";
+import { ProtobufMgr } from "#game/net/ProtobufMgr.js";
+import MockGameServer from "#mock/MockGameServer.js";
+import MockAuthServer from "#mock/MockAuthServer.js";
+
+const resolvePath = createPath(import.meta.url);
+
+// 场景名 -> scenarios/<name>.json, 也可以直接传文件路径
+function loadScenario(scenario) {
+    const filePath = fs.existsSync(scenario) ? scenario : resolvePath("scenarios", `${scenario}.json`);
+    logger.info(`[Mock] 加载场景 ${path.relative(process.cwd(), filePath)}`);
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+async function start() {
+    const { values } = parseArgs({
+        options: {
+            port: { type: "string", default: "8081" },
+            "auth-port": { type: "string", default: "8082" },
+            scenario: { type: "string", default: "default" },
+        },
+    });
+
+    await ProtobufMgr.inst.initialize();
+
+    const scenario = loadScenario(values.scenario);
+    const server = new MockGameServer(scenario, Number(values.port));
+    await server.start();
+
+    const authServer = new MockAuthServer(scenario, Number(values["auth-port"]), `ws://localhost:${values.port}`);
+    await authServer.start();
+    logger.info(`[Mock] 在 account.js 中设置 endpoints 即可连接本地模拟服务: ${JSON.stringify(authServer.endpoints)}`);
+
+    process.on("SIGINT", async () => {
+        await Promise.all([server.stop(), authServer.stop()]);
+        process.exit(0);
+    });
+}
+
+start().catch((error) => {
+    logger.error(`[Mock] 启动失败 ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,60 @@
+import { parseArgs } from "util";
+import logger from "#utils/logger.js";
+import dependencyInjectorLoader from "#loaders/dependencyInjector.js";
+import featuresLoader from "#loaders/features.js";
+import messagesLoader from "#loaders/messages.js";
+import pluginsLoader from "#loaders/plugins.js";
+import { TrafficRecorder } from "#game/net/TrafficRecorder.js";
+import { TrafficReplayer } from "#game/net/TrafficReplayer.js";
+import UnknownTraffic from "#game/net/UnknownTraffic.js";
+import Scheduler from "#game/common/Scheduler.js";
+import DailyMgr from "#game/common/DailyMgr.js";
+
+// yarn replay records/xxx.jsonl [--realtime] [--speed 10] [--loop] [--out replay.jsonl]
+async function start() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            realtime: { type: "boolean", default: false },
+            speed: { type: "string", default: "1" },
+            loop: { type: "boolean", default: false },
+            out: { type: "string" },
+        },
+    });
+
+    if (positionals.length === 0) {
+        logger.error("[回放] 请指定录制文件");
+        process.exit(1);
+    }
+
+    await dependencyInjectorLoader();
+    // 按 account.js 的功能开关回放
+    await featuresLoader();
+    // 各管理器订阅自己关心的服务器消息
+    await messagesLoader();
+    // plugins/ 目录下的插件, 在管理器之后订阅
+    await pluginsLoader();
+    DailyMgr.inst.memoryOnly();
+    UnknownTraffic.inst.memoryOnly();
+
+    if (values.out) {
+        TrafficRecorder.inst.start(values.out);
+    }
+    // 默认只回放消息处理逻辑, --loop 时同时运行各管理器的定时任务
+    if (values.loop) {
+        Scheduler.inst.start();
+    }
+
+    const replayer = new TrafficReplayer(positionals[0], { realtime: values.realtime, speed: Number(values.speed) });
+    await replayer.run();
+    // 录制中没有处理的消息
+    UnknownTraffic.inst.report();
+
+    Scheduler.inst.stop();
+    TrafficRecorder.inst.stop();
+}
+
+start().catch((error) => {
+    logger.error(`[回放] 回放失败 ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,59 @@
+// 登录各阶段的错误, stage 为 sdkLogin / sdkSession / gameLogin / serverList
+// retryable 为 true 的错误会在 AuthService 内带随机延迟重试
+class AuthError extends Error {
+    constructor(message, stage, retryable = false) {
+        super(message);
+        this.name = this.constructor.name;
+        this.stage = stage;
+        this.retryable = retryable;
+    }
+}
+
+// 账号或密码错误
+class BadCredentialsError extends AuthError {
+    constructor(stage, msg) {
+        super(`[登录] 账号或密码错误${msg ? `: ${msg}` : ""}`, stage);
+    }
+}
+
+// 账号被锁定或需要验证码, 需要人工处理
+class AccountLockedError extends AuthError {
+    constructor(stage, msg) {
+        super(`[登录] 账号被锁定或需要验证码${msg ? `: ${msg}` : ""}`, stage);
+    }
+}
+
+// SDK 提示操作过于频繁, 不在进程内重试, 交给守护进程退避
+class RateLimitError extends AuthError {
+    constructor(stage, msg) {
+        super(`[登录] 操作过于频繁${msg ? `: ${msg}` : ""}`, stage);
+    }
+}
+
+// 配置的区服不在 playerServerList 中
+class ServerNotListedError extends AuthError {
+    constructor(serverId, playerServerList = []) {
+        super(`[登录] 区服 ${serverId} 没有角色, 有角色的区服: ${playerServerList.join(", ") || "无"}`, "serverList");
+        this.serverId = serverId;
+        this.playerServerList = playerServerList;
+    }
+}
+
+// 游戏登录返回 ret 不为 0
+class GameLoginError extends AuthError {
+    constructor(ret, data) {
+        super(`[登录] 游戏登录失败 (ret: ${ret})`, "gameLogin");
+        this.ret = ret;
+        this.data = data;
+    }
+}
+
+// 网络错误或服务器 5xx, 可以重试
+class AuthNetworkError extends AuthError {
+    constructor(stage, cause) {
+        super(`[登录] ${stage} 请求失败: ${cause.code || ""} ${cause.message}`.replace(/\s+/g, " "), stage, true);
+        this.cause = cause;
+    }
+}
+
+export { AuthError, BadCredentialsError, AccountLockedError, RateLimitError, ServerNotListedError, GameLoginError, AuthNetworkError };
@@ -3,8 +3,81 @@ import CryptoJS from "crypto-js";
 import qs from "qs";
 import { v4 as uuidv4 } from "uuid";
 import logger from "#utils/logger.js";
+import {
+    AuthError, BadCredentialsError, AccountLockedError, RateLimitError,
+    ServerNotListedError, GameLoginError, AuthNetworkError,
+} from "#services/authError.js";
+
+// 登录相关接口地址, 可在 account.js 的 endpoints 中覆盖, {serverId} 会被替换为区服 ID
+const DEFAULT_ENDPOINTS = {
+    sdkLogin: "https://mysdk.37.com/index.php?c=api-login&a=act_login",
+    sdkSession: "https://apimyh5.37.com/index.php?c=sdk-login&a=act_login",
+    gameLogin: "https://proxy-xddq.hdnd01.com/s{serverId}_http/player/login",
+    serverList: "https://login-xddq.hdnd01.com/server/list",
+};
+
+// 网络错误和服务器 5xx 的重试次数 (含第一次) 和延迟范围 (毫秒)
+const DEFAULT_RETRY = { attempts: 3, baseDelay: 1000, maxDelay: 10000 };
+
+async function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
 export default class AuthService {
+    constructor(endpoints = {}, retry = {}) {
+        this.endpoints = { ...DEFAULT_ENDPOINTS, ...endpoints };
+        this.retry = { ...DEFAULT_RETRY, ...retry };
+    }
+
+    // 第 n 次重试的等待时间: 上限按 2 的幂增长, 取上限的 50%~100%
+    getRetryDelay(attempt) {
+        const cap = Math.min(this.retry.maxDelay, this.retry.baseDelay * Math.pow(2, attempt - 1));
+        return Math.floor(cap / 2 + Math.random() * cap / 2);
+    }
+
+    /**
+     * @description 发送登录相关的请求, 网络错误和 5xx 带随机延迟重试, 其它错误直接抛出。
+     * @returns {Promise<object>} 响应的 data
+     */
+    async post(stage, config) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await axios(config);
+                return response.data;
+            } catch (error) {
+                const authError = error.response && error.response.status < 500
+                    ? new AuthError(`[登录] ${stage} 请求失败: HTTP ${error.response.status}`, stage)
+                    : new AuthNetworkError(stage, error);
+                if (!authError.retryable || attempt >= this.retry.attempts) {
+                    throw authError;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                logger.warn(`${authError.message}, ${(delay / 1000).toFixed(1)} 秒后重试 (${attempt}/${this.retry.attempts - 1})`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // 37 的接口 code 为 1 表示成功, 否则按 msg 区分错误类型
+    checkSdkResponse(stage, response) {
+        if (response && response.code === 1) {
+            return;
+        }
+
+        const msg = (response && response.msg) || "";
+        if (msg.includes("频繁")) {
+            throw new RateLimitError(stage, msg);
+        }
+        if (/锁定|冻结|封禁|验证码|captcha/i.test(msg)) {
+            throw new AccountLockedError(stage, msg);
+        }
+        if (/密码|账号不存在|帐号不存在|用户不存在/.test(msg)) {
+            throw new BadCredentialsError(stage, msg);
+        }
+        throw new AuthError(`[登录] ${stage} 失败 (code: ${response && response.code})${msg ? `: ${msg}` : ""}`, stage);
+    }
+
     getRandomNum(count) {
         const chars = "abcdefghijklmnopqrstuvwxyz0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
         let result = "";
@@ -41,20 +114,14 @@ export default class AuthService {
     
         const config = {
             method: 'post',
-            url: 'https://mysdk.37.com/index.php?c=api-login&a=act_login',
+            url: this.endpoints.sdkLogin,
             headers: { 
                 'Content-Type': 'application/x-www-form-urlencoded'
             },
             data: data
         };
     
-        try {
-            const response = await axios(config);
-            return response.data;
-        } catch (error) {
-            console.error(error);
-            throw error;
-        }
+        return this.post("sdkLogin", config);
     }
 
     async secondRequest(username, ptoken) {
@@ -67,20 +134,14 @@ export default class AuthService {
     
         const config = {
             method: 'post',
-            url: 'https://apimyh5.37.com/index.php?c=sdk-login&a=act_login',
+            url: this.endpoints.sdkSession,
             headers: { 
                 'Content-Type': 'application/x-www-form-urlencoded'
             },
             data: data
         };
     
-        try {
-            const response = await axios(config);
-            return response.data;
-        } catch (error) {
-            console.error(error);
-            throw error;
-        }
+        return this.post("sdkSession", config);
     }
 
     async thirdRequest(serverId, token, uid, username) {
@@ -96,56 +157,47 @@ export default class AuthService {
     
         const config = {
             method: 'post',
-            url: `https://proxy-xddq.hdnd01.com/s${serverId}_http/player/login`,
+            url: this.endpoints.gameLogin.replace("{serverId}", serverId),
             headers: { 
                 'Content-Type': 'application/json'
             },
             data: data
         };
     
-        try {
-            const response = await axios(config);
-            return response.data;
-        } catch (error) {
-            console.error(error);
-            throw error;
-        }
+        return this.post("gameLogin", config);
     }
 
-    async Bind(username, password) {
-        try {
-            const response = await this.firstRequest(username, password);
-            const firstResponse = response.data;
-            if (response.code === 1) {
-                return firstResponse;
-            } else {
-                throw new Error("登陆失败");
+    async serverListRequest(uid) {
+        const config = {
+            method: 'post',
+            url: this.endpoints.serverList,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            data: {
+                "openId": uid,
+                "channelId": 31,
             }
-        } catch (error) {
-            console.error(error);
-            throw error;
-        }
+        };
+
+        const { serverList = [], playerServerList = [] } = await this.post("serverList", config);
+        return { serverList, playerServerList };
+    }
+
+    async Bind(username, password) {
+        const response = await this.firstRequest(username, password);
+        this.checkSdkResponse("sdkLogin", response);
+        return response.data;
     }
 
     async List(username, password) {
         try {
             const firstResponse = await this.Bind(username, password);
             const uid = firstResponse.userinfo.uid;
-            const url = "https://login-xddq.hdnd01.com/server/list";
-            const headers = {
-                "content-type": "application/json",
-            };
-
-            const body = {
-                "openId": uid,
-                "channelId": 31,
-            };
-
-            const response = await axios.post(url, body, { headers });
-            const { serverList, playerServerList } = response.data;
+            const { serverList, playerServerList } = await this.serverListRequest(uid);
 
-            if (!playerServerList || playerServerList.length === 0) {
-                throw new Error("无活跃服务器");
+            if (playerServerList.length === 0) {
+                throw new AuthError("[登录] 无活跃服务器", "serverList");
             }
 
             const servers = serverList.filter(server => playerServerList.includes(server.serverId))
@@ -164,29 +216,77 @@ export default class AuthService {
     }
 
     async Login(username, password, serverId) {
+        logger.info(`正在连接服务器...`);
+        const firstResponse = await this.Bind(username, password);
+        const ptoken = firstResponse.app_pst;
+        const uid = firstResponse.userinfo.uid;
+
+        const secondResponse = await this.secondRequest(username, ptoken);
+        this.checkSdkResponse("sdkSession", secondResponse);
+        const token = secondResponse.data.app_pst;
+
+        const thirdResponse = await this.thirdRequest(serverId, token, uid, username);
+        if (thirdResponse.ret !== 0) {
+            await this.checkServerListed(uid, serverId);
+            throw new GameLoginError(thirdResponse.ret, thirdResponse);
+        }
+        logger.info(`登录成功, ${JSON.stringify(thirdResponse, null, "\t")}`);
+
+        return { ...thirdResponse, app_pst: token, uid: uid };
+    }
+
+    // 游戏登录失败时查询服务器列表, 区服没有角色时抛出 ServerNotListedError
+    async checkServerListed(uid, serverId) {
+        let playerServerList;
         try {
-            logger.info(`正在连接服务器...`);
-            const firstResponse = await this.Bind(username, password);
-            const ptoken = firstResponse.app_pst;
-            const uid = firstResponse.userinfo.uid;
+            ({ playerServerList } = await this.serverListRequest(uid));
+        } catch (error) {
+            logger.debug(`[登录] 查询服务器列表失败 ${error.message}`);
+            return;
+        }
 
-            const secondResponse = await this.secondRequest(username, ptoken);
-            if (secondResponse.code === 1) {
-                const token = secondResponse.data.app_pst;
+        if (!playerServerList.map(Number).includes(Number(serverId))) {
+            throw new ServerNotListedError(serverId, playerServerList);
+        }
+    }
+
+    /**
+     * @description 优先使用缓存的凭证, 不发送任何登录请求; 没有可用缓存时完整登录并写入缓存。
+     * 返回值中 fromCache 为 true 表示凭证来自缓存, 游戏服拒绝时应调用 RefreshLogin。
+     */
+    async CachedLogin(tokenCache, username, password, serverId) {
+        const cached = tokenCache.load(username, serverId);
+        if (cached) {
+            logger.info(`[登录缓存] 使用缓存的凭证 (playerId: ${cached.playerId}), 跳过登录请求`);
+            return { ...cached, fromCache: true };
+        }
+
+        const response = await this.Login(username, password, serverId);
+        tokenCache.save(username, serverId, response);
+        return response;
+    }
 
-                const thirdResponse = await this.thirdRequest(serverId, token, uid, username);
+    // 缓存的 token 被游戏服拒绝: 先用缓存的 app_pst 只重新请求游戏登录, 失败再完整登录
+    async RefreshLogin(tokenCache, cached, username, password, serverId) {
+        tokenCache.clear();
 
-                if (thirdResponse.ret !== 0) {
-                    throw new Error("登陆失败");
+        if (cached.app_pst && cached.uid) {
+            try {
+                const thirdResponse = await this.thirdRequest(serverId, cached.app_pst, cached.uid, username);
+                if (thirdResponse.ret === 0) {
+                    logger.info("[登录缓存] 使用缓存的 app_pst 重新获取 token 成功");
+                    const response = { ...thirdResponse, app_pst: cached.app_pst, uid: cached.uid };
+                    tokenCache.save(username, serverId, response);
+                    return response;
                 }
-                logger.info(`登录成功, ${JSON.stringify(thirdResponse, null, "\t")}`);
-    
-                return thirdResponse;
-            } else {
-                throw new Error("登陆失败");
+                logger.warn(`[登录缓存] 缓存的 app_pst 已失效 (ret: ${thirdResponse.ret}), 重新完整登录`);
+            } catch (error) {
+                logger.warn(`[登录缓存] 使用缓存的 app_pst 获取 token 失败 ${error.message}, 重新完整登录`);
             }
-        } catch (error) {
-            throw new Error(error.message || "登陆失败");
         }
+
+        const response = await this.Login(username, password, serverId);
+        tokenCache.save(username, serverId, response);
+        return response;
     }
 }
@@ -0,0 +1,62 @@
+import fs from "fs";
+import path from "path";
+import logger from "#utils/logger.js";
+
+const cacheDir = path.join(process.cwd(), "cache");
+
+/**
+ * @description 每个账号的登录凭证缓存 (cache/token_<账号名>.json)。
+ * 保存 app_pst, uid, wsAddress, playerId, token, 过期后或账号/区服变化时视为无效。
+ */
+export default class TokenCache {
+    constructor(name, ttl = 6 * 3600) {
+        this.filePath = path.join(cacheDir, `token_${name || "default"}.json`);
+        this.ttl = ttl;
+    }
+
+    load(username, serverId) {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return null;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            if (data.username !== username || String(data.serverId) !== String(serverId)) {
+                logger.info("[登录缓存] 账号或区服已变化, 忽略缓存");
+                return null;
+            }
+            if (!data.expireAt || Date.now() >= data.expireAt) {
+                logger.info("[登录缓存] 缓存已过期");
+                return null;
+            }
+            return data;
+        } catch (error) {
+            logger.warn(`[登录缓存] 读取失败 ${error.message}`);
+            return null;
+        }
+    }
+
+    save(username, serverId, { app_pst, uid, wsAddress, playerId, token }) {
+        try {
+            fs.mkdirSync(cacheDir, { recursive: true });
+            const now = Date.now();
+            fs.writeFileSync(this.filePath, JSON.stringify({
+                username, serverId, app_pst, uid, wsAddress, playerId, token,
+                savedAt: now,
+                expireAt: now + this.ttl * 1000,
+            }, null, 4));
+        } catch (error) {
+            logger.warn(`[登录缓存] 保存失败 ${error.message}`);
+        }
+    }
+
+    clear() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                fs.unlinkSync(this.filePath);
+            }
+        } catch (error) {
+            logger.warn(`[登录缓存] 删除失败 ${error.message}`);
+        }
+    }
+}
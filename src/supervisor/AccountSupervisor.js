@@ -0,0 +1,499 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+import schedule from "node-schedule";
+import logger from "#utils/logger.js";
+import RunCalendar from "#supervisor/RunCalendar.js";
+import RestartPolicy from "#supervisor/RestartPolicy.js";
+import { ExitReason, getExitReasonByCode } from "#supervisor/ExitReason.js";
+
+async function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const SupervisorState = {
+    STOPPED: "stopped",             // 未运行
+    RUNNING: "running",             // 子进程运行中
+    SLEEPING: "sleeping",           // 休眠时间段
+    BACKING_OFF: "backing-off",     // 意外退出, 等待重启
+    RATE_LIMITED: "rate-limited",   // 操作频繁, 等待重启
+    RESTARTING: "restarting",       // 计划性重启中
+    FAILED: "failed",               // 连续登录失败, 已熔断, 不再自动重启
+};
+
+// 根据账号名创建唯一的状态文件路径, 多个账号互不干扰
+function getStatusFilePath(name) {
+    return path.join(process.cwd(), `restart_status_${name || 'default'}.json`);
+}
+
+/**
+ * @description 管理单个账号的子进程 (./src/index.js), 每个账号独立的重启状态、等待时间、休眠时间段和日志文件。
+ */
+export default class AccountSupervisor {
+    constructor(account, { multiAccount = false } = {}) {
+        this.account = account;
+        this.name = account.name;
+        this.tag = `[守护][${this.name}]`;
+        this.multiAccount = multiAccount;
+        this.statusFilePath = getStatusFilePath(this.name);
+        this.calendar = new RunCalendar(account.schedule);
+        this.restartPolicy = new RestartPolicy(account.restartPolicy);
+
+        this.childProcess = null;
+        this.childStartTime = 0;
+        this.exitReport = null;         // 子进程通过 IPC 上报的退出原因
+        this.isInPauseTime = false;
+        this.scheduledRestartTime = null;
+        this.isIntentionalExit = false;
+        this.circuitOpen = false;
+
+        this.state = SupervisorState.STOPPED;
+        this.status = {};
+        this.jobs = [];
+    }
+
+    static getStatusFilePath(name) {
+        return getStatusFilePath(name);
+    }
+
+    setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.writeStatusFile();
+        }
+    }
+
+    writeStatusFile() {
+        try {
+            fs.writeFileSync(this.statusFilePath, JSON.stringify({
+                ...this.status,
+                name: this.name,
+                username: this.account.username,
+                serverId: this.account.serverId,
+                state: this.state,
+                pid: this.childProcess ? this.childProcess.pid : null,
+                updatedAt: Date.now(),
+            }));
+        } catch (err) {
+            logger.error(`${this.tag} 保存重启状态失败 (${this.statusFilePath})`, err);
+        }
+    }
+
+    // 记录重启状态到文件
+    saveRestartStatus(status) {
+        this.status = status;
+        this.writeStatusFile();
+    }
+
+    // 读取重启状态
+    loadRestartStatus() {
+        try {
+            if (fs.existsSync(this.statusFilePath)) {
+                return JSON.parse(fs.readFileSync(this.statusFilePath, "utf8"));
+            }
+        } catch (err) {
+            logger.error(`${this.tag} 读取重启状态失败 (${this.statusFilePath})`, err);
+        }
+        return null;
+    }
+
+    checkIfInPauseTime() {
+        return this.calendar.isPaused();
+    }
+
+    // 旧版本的状态文件没有 restartAt, 视为立即重启
+    getRestartAt(status) {
+        return status.restartAt || status.timestamp || 0;
+    }
+
+    formatTime(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            return '无效日期';
+        }
+        try {
+            return new Intl.DateTimeFormat('zh-CN', {
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                hour12: false,
+                timeZone: this.calendar.timezone
+            }).format(date);
+        } catch (e) {
+            logger.warn(`${this.tag} Intl.DateTimeFormat 格式化时间失败，回退到本地时间格式。`, e);
+            return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}:${date.getSeconds().toString().padStart(2, '0')} (本地时区)`;
+        }
+    }
+
+    // 多账号时为子进程的每一行输出加上账号名
+    writeOutput(streamData) {
+        if (!this.multiAccount) {
+            process.stdout.write(streamData);
+            return;
+        }
+        const lines = streamData.toString().split(/\r?\n/).filter((line) => line.length > 0);
+        lines.forEach((line) => process.stdout.write(`[${this.name}] ${line}\n`));
+    }
+
+    async start() {
+        const savedStatus = this.loadRestartStatus();
+        if (savedStatus && savedStatus.needRestart) {
+            const remainingTime = this.getRestartAt(savedStatus) - Date.now();
+            if (remainingTime > 0) {
+                logger.info(`${this.tag} 检测到上次有未完成的重启任务 (${savedStatus.reason || "未知原因"})，将在${Math.ceil(remainingTime / 1000)}秒后重启`);
+                this.status = savedStatus;
+                this.setState(SupervisorState.BACKING_OFF);
+                await sleep(remainingTime);
+            } else {
+                logger.info(`${this.tag} 检测到上次有未完成的重启任务，已超过等待时间，立即尝试重启`);
+            }
+        }
+
+        this.scheduleJobs();
+
+        logger.info(`${this.tag} 开始启动...`);
+        await this.runCmd();
+        logger.info(`${this.tag} 初始化启动流程完成 (子进程若在休眠期则不会立即启动)`);
+    }
+
+    async runCmd() {
+        if (this.circuitOpen) {
+            this.setState(SupervisorState.FAILED);
+            logger.warn(`${this.tag} 连续登录失败已熔断，不再自动启动子进程。请检查账号配置后重新启动守护进程`);
+            return;
+        }
+
+        if (this.checkIfInPauseTime()) {
+            this.isInPauseTime = true;
+            this.setState(SupervisorState.SLEEPING);
+            const window = this.calendar.getPauseWindow();
+            logger.warn(`${this.tag} 当前为休眠时间段 (${window ? window.name : ""}, 休眠时间: ${this.calendar.describe()})，暂不启动子进程`);
+            return;
+        }
+        this.isInPauseTime = false;
+
+        if (this.childProcess) {
+            logger.warn(`${this.tag} runCmd 被调用，但似乎已有子进程存在。`);
+            return;
+        }
+
+        try {
+            logger.info(`${this.tag} 正在启动子进程 (./src/index.js)...`);
+            this.exitReport = null;
+
+            // 多账号时通过环境变量告诉子进程使用哪个账号和日志文件
+            const env = this.multiAccount ? { ...process.env, XDDQ_ACCOUNT: this.name, XDDQ_LOG_NAME: this.name } : { ...process.env };
+            const childProcess = spawn("node", ["./src/index.js"], {
+                cwd: process.cwd(),
+                shell: false,
+                stdio: ['inherit', 'pipe', 'pipe', 'ipc'],
+                env: env,
+            });
+            this.childProcess = childProcess;
+            this.childStartTime = Date.now();
+
+            const streamHandler = (streamData) => this.writeOutput(streamData);
+            childProcess.stdout.on('data', streamHandler);
+            childProcess.stderr.on('data', streamHandler);
+
+            childProcess.on("message", (msg) => {
+                if (msg && msg.type === "exit" && this.childProcess === childProcess) {
+                    logger.info(`${this.tag} 子进程上报退出原因: ${msg.reason} ${msg.message || ""}`);
+                    this.exitReport = msg;
+                }
+            });
+
+            this.state = SupervisorState.RUNNING;
+            this.saveRestartStatus({ needRestart: false, timestamp: Date.now(), pid: childProcess.pid });
+            logger.info(`${this.tag} 子进程已启动，PID: ${childProcess.pid}`);
+
+            childProcess.on("exit", (code, signal) => this.onChildExit(childProcess, code, signal));
+
+            childProcess.on("error", (err) => {
+                logger.error(`${this.tag} 子进程 (PID: ${childProcess.pid || '未知'}) 发生启动错误`, err);
+                if (this.childProcess === childProcess) {
+                    this.childProcess = null;
+                }
+                this.state = SupervisorState.STOPPED;
+                this.saveRestartStatus({ needRestart: true, timestamp: Date.now(), error: err.message, errorType: 'spawnError' });
+            });
+
+        } catch (err) {
+            logger.error(`${this.tag} 尝试启动子进程失败 (spawn 同步错误)`, err);
+            this.childProcess = null;
+            logger.info(`${this.tag} 5分钟后将重试启动子进程 (runCmd catch)`);
+            this.state = SupervisorState.BACKING_OFF;
+            this.saveRestartStatus({ needRestart: true, timestamp: Date.now(), errorType: 'spawnSyncError' });
+            await sleep(5 * 60 * 1000);
+            await this.runCmd();
+        }
+    }
+
+    async onChildExit(childProcess, code, signal) {
+        const exitedPidForLog = childProcess.pid || '之前PID未知';
+
+        if (this.childProcess === childProcess) {
+            this.childProcess = null;
+        }
+
+        const exitTime = new Date();
+        if (this.isIntentionalExit) {
+            logger.info(`${this.tag} 子进程 (PID: ${exitedPidForLog}) 因计划性操作而退出 (代码: ${code}, 信号: ${signal}).`);
+            this.isIntentionalExit = false;
+            if (this.state === SupervisorState.RUNNING) {
+                this.setState(SupervisorState.STOPPED);
+            }
+        } else {
+            const reason = this.exitReport ? this.exitReport.reason : getExitReasonByCode(code);
+            const runTime = exitTime.getTime() - this.childStartTime;
+            const { delay, attempt, tripped } = this.restartPolicy.next(reason, runTime);
+
+            if (tripped) {
+                const detail = this.exitReport && this.exitReport.message ? ` (${this.exitReport.message})` : "";
+                if (reason === ExitReason.BAD_CREDENTIALS) {
+                    logger.error(`${this.tag} 账号密码错误或账号需要人工处理${detail}，已停止自动重启，避免反复请求登录接口。请修改配置后重新启动守护进程。`);
+                } else {
+                    logger.error(`${this.tag} 子进程 (PID: ${exitedPidForLog}) 连续 ${attempt} 次退出原因为 ${reason}${detail}，已熔断，不再自动重启。`);
+                }
+                this.circuitOpen = true;
+                this.setState(SupervisorState.FAILED);
+                this.saveRestartStatus({ needRestart: false, timestamp: Date.now(), reason, attempt, message: this.exitReport ? this.exitReport.message : "" });
+                return;
+            }
+
+            logger.warn(`${this.tag} 子进程 (PID: ${exitedPidForLog}) 退出 (原因: ${reason}, 第${attempt}次, 代码: ${code}, 信号: ${signal})，将在 ${Math.round(delay / 1000)} 秒后重启。`);
+            this.scheduledRestartTime = new Date(exitTime.getTime() + delay);
+            logger.info(`${this.tag} 预计重启时间: ${this.formatTime(this.scheduledRestartTime)} (${this.calendar.timezone})`);
+            this.state = reason === ExitReason.RATE_LIMITED ? SupervisorState.RATE_LIMITED : SupervisorState.BACKING_OFF;
+            this.saveRestartStatus({ needRestart: true, timestamp: Date.now(), restartAt: this.scheduledRestartTime.getTime(), reason, attempt });
+            await this.restartProcess(reason);
+        }
+    }
+
+    async restartProcess(reason) {
+        try {
+            const waitStartTime = new Date();
+            logger.info(`${this.tag} 开始等待重启流程 (退出原因: ${reason})，当前时间: ${this.formatTime(waitStartTime)} (${this.calendar.timezone})`);
+
+            if (this.childProcess) {
+                logger.warn(`${this.tag} restartProcess 被调用，但 childProcess 引用仍存在 (PID: ${this.childProcess.pid})。尝试清理。`);
+                try {
+                    this.childProcess.kill();
+                    await sleep(1000);
+                } catch (killErr) {
+                    logger.error(`${this.tag} restartProcess 中尝试清理残余 childProcess 时出错`, killErr);
+                }
+                this.childProcess = null;
+            }
+
+            if (!(this.scheduledRestartTime instanceof Date) || isNaN(this.scheduledRestartTime.getTime())) {
+                logger.warn(`${this.tag} 计划重启时间无效，将立即重启`);
+                this.scheduledRestartTime = new Date();
+            }
+            const waitTime = Math.max(0, this.scheduledRestartTime.getTime() - Date.now());
+            logger.info(`${this.tag} 等待${Math.ceil(waitTime / 60000)}分钟后重新启动子进程...预计启动时间: ${this.formatTime(this.scheduledRestartTime)} (${this.calendar.timezone})`);
+
+            const waitLogInterval = setInterval(() => {
+                const remainingMinutes = Math.ceil((this.scheduledRestartTime.getTime() - Date.now()) / 60000);
+                if (remainingMinutes > 0) {
+                    logger.info(`${this.tag} 重启等待中...还剩${remainingMinutes}分钟`);
+                } else {
+                    clearInterval(waitLogInterval);
+                }
+            }, 5 * 60 * 1000);
+
+            await sleep(waitTime);
+            clearInterval(waitLogInterval);
+
+            if (this.childProcess) {
+                logger.info(`${this.tag} 重启等待结束，但检测到子进程 (PID: ${this.childProcess.pid}) 已由其他任务（如定时重启）启动，故取消本次重启。`);
+                this.saveRestartStatus({ needRestart: false, timestamp: 0 });
+                return;
+            }
+
+            logger.info(`${this.tag} 重启等待结束，当前时间: ${this.formatTime(new Date())} (${this.calendar.timezone})，准备重新启动子进程`);
+            this.state = SupervisorState.STOPPED;
+            this.saveRestartStatus({ needRestart: false, timestamp: 0 });
+            await this.runCmd();
+        } catch (err) {
+            logger.error(`${this.tag} 重启子进程过程中发生严重错误`, err);
+            logger.info(`${this.tag} 5分钟后将重试重启流程 (restartProcess catch)`);
+            await sleep(5 * 60 * 1000);
+            await this.restartProcess(reason);
+        }
+    }
+
+    async forceRestart() {
+        try {
+            logger.info(`${this.tag} 执行计划性重启 (重新启动 ./src/index.js)`);
+            this.isIntentionalExit = true;
+            this.setState(SupervisorState.RESTARTING);
+            if (this.childProcess) {
+                const pidToKill = this.childProcess.pid;
+                logger.info(`${this.tag} 强制重启：尝试终止当前子进程 (PID: ${pidToKill || '未知'})`);
+                this.childProcess.kill();
+                await new Promise((resolve) => {
+                    const timeout = setTimeout(() => {
+                        logger.warn(`${this.tag} 等待子进程 (PID: ${pidToKill}) 退出超时 (forceRestart's own wait)`);
+                        resolve();
+                    }, 10000);
+                    const tempChild = this.childProcess;
+                    if (tempChild) {
+                        tempChild.once("exit", () => {
+                            clearTimeout(timeout);
+                            logger.info(`${this.tag} 强制重启：当前子进程 (PID: ${pidToKill}) 已确认退出`);
+                            resolve();
+                        });
+                    } else {
+                        logger.warn(`${this.tag} forceRestart: childProcess 在设置退出监听前已为 null (PID: ${pidToKill})`);
+                        clearTimeout(timeout);
+                        resolve();
+                    }
+                });
+                if (this.childProcess && this.childProcess.pid === pidToKill) {
+                    this.childProcess = null;
+                }
+            } else {
+                logger.info(`${this.tag} 强制重启：未发现正在运行的子进程。`);
+            }
+
+            logger.info(`${this.tag} 短暂等待 (5秒) 后启动新进程...`);
+            await sleep(5000);
+            await this.runCmd();
+        } catch (err) {
+            logger.error(`${this.tag} 强制重启过程中发生错误`, err);
+            this.isIntentionalExit = false;
+            logger.info(`${this.tag} 30秒后将重试强制重启`);
+            await sleep(30 * 1000);
+            await this.forceRestart();
+        }
+    }
+
+    enterPause(label) {
+        logger.info(`${this.tag} 进入休眠时间段 (${label}, 时区: ${this.calendar.timezone})`);
+        this.isInPauseTime = true;
+        this.setState(SupervisorState.SLEEPING);
+        if (this.childProcess) {
+            logger.info(`${this.tag} 休眠：正在停止子进程...`);
+            this.isIntentionalExit = true;
+            this.childProcess.kill();
+        } else {
+            logger.info(`${this.tag} 休眠：未发现正在运行的子进程。`);
+        }
+    }
+
+    async leavePause(label) {
+        logger.info(`${this.tag} 结束休眠时间段 (${label}, 时区: ${this.calendar.timezone})，准备启动子进程`);
+        this.isInPauseTime = false;
+        if (!this.childProcess) {
+            this.setState(SupervisorState.STOPPED);
+            await this.runCmd();
+        } else {
+            logger.info(`${this.tag} 结束休眠：子进程已在运行 (PID: ${this.childProcess.pid})。不重复启动。`);
+        }
+    }
+
+    async scheduledRestart(label, restart) {
+        const randomDelay = this.calendar.getRandomDelay(restart);
+        logger.info(`${this.tag} 已到达${label}定时重启时间，将在 ${Math.round(randomDelay / 1000)} 秒的随机延迟后执行重启。`);
+        await sleep(randomDelay);
+        await this.forceRestart();
+    }
+
+    async checkStatus() {
+        logger.debug(`${this.tag} 每5分钟检查执行`);
+        const status = this.loadRestartStatus();
+        if (status && status.needRestart) {
+            if (Date.now() >= this.getRestartAt(status)) {
+                logger.warn(`${this.tag} 每5分钟检查：检测到未完成的重启任务标记，立即执行重启`);
+                this.saveRestartStatus({ needRestart: false, timestamp: 0 });
+                if (!this.childProcess) await this.runCmd(); else logger.warn(`${this.tag} 每5分钟检查：尝试重启，但子进程已存在。`);
+            }
+        }
+
+        if (this.childProcess && this.childProcess.pid) {
+            try {
+                process.kill(this.childProcess.pid, 0);
+            } catch (err) {
+                if (err.code === 'ESRCH') {
+                    logger.warn(`${this.tag} 每5分钟检查：检测到子进程 (PID: ${this.childProcess.pid}) 已死亡但未正确触发exit事件。标记需要重启。`);
+                    const deadPid = this.childProcess.pid;
+                    this.childProcess = null;
+                    if (!this.isIntentionalExit) {
+                        this.state = SupervisorState.BACKING_OFF;
+                        this.saveRestartStatus({ needRestart: true, timestamp: Date.now(), restartAt: Date.now(), reason: ExitReason.CRASH, deadPid });
+                        logger.info(`${this.tag} 由于检测到进程死亡，将尝试立即重启（通过下次状态检查或等待的重启流程）。`);
+                    } else {
+                        logger.info(`${this.tag} 每5分钟检查：检测到子进程 (PID: ${deadPid}) 死亡，但标记为计划性退出，不自动重启。`);
+                    }
+                } else {
+                    logger.error(`${this.tag} 每5分钟检查：检查子进程存活时发生未知错误 (PID: ${this.childProcess.pid})`, err);
+                }
+            }
+        } else if (!this.isInPauseTime && !this.childProcess && !this.isIntentionalExit && !this.circuitOpen) {
+            const currentStatus = this.loadRestartStatus();
+            if (!currentStatus || !currentStatus.needRestart) {
+                logger.warn(`${this.tag} 每5分钟检查：检测到子进程不存在且不在休眠期/重启流程/计划退出中，尝试启动。`);
+                await this.runCmd();
+            }
+        }
+    }
+
+    async checkPauseConsistency() {
+        logger.debug(`${this.tag} 每分钟休眠状态同步检查执行`);
+        const currentlyInPause = this.checkIfInPauseTime();
+        if (currentlyInPause !== this.isInPauseTime) {
+            logger.info(`${this.tag} 每分钟检查：检测到休眠状态实际变化: 当前应休眠 ${currentlyInPause} (守护进程记录 ${this.isInPauseTime})`);
+
+            if (currentlyInPause) {
+                if (!this.isInPauseTime && this.childProcess) {
+                    logger.warn(`${this.tag} 每分钟检查：状态不一致！实际应休眠但守护进程认为在运行。强制进入休眠流程。`);
+                    this.isInPauseTime = true;
+                    this.isIntentionalExit = true;
+                    this.setState(SupervisorState.SLEEPING);
+                    this.childProcess.kill();
+                } else if (!this.isInPauseTime && !this.childProcess) {
+                    this.isInPauseTime = true;
+                    this.setState(SupervisorState.SLEEPING);
+                    logger.info(`${this.tag} 每分钟检查：状态同步，当前应休眠且无子进程。`);
+                }
+            } else {
+                if (this.isInPauseTime) {
+                    logger.warn(`${this.tag} 每分钟检查：状态不一致！实际应工作但守护进程认为在休眠。强制进入工作流程。`);
+                    this.isInPauseTime = false;
+                    if (!this.childProcess) {
+                        this.setState(SupervisorState.STOPPED);
+                        const status = this.loadRestartStatus();
+                        if (!status || !status.needRestart) {
+                            await this.runCmd();
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    scheduleJobs() {
+        try {
+            const jobOptions = { tz: this.calendar.timezone };
+            const add = (rule, fn) => this.jobs.push(schedule.scheduleJob({ rule, ...jobOptions }, fn));
+
+            const handlers = {
+                pauseStart: (job) => this.enterPause(job.label),
+                pauseEnd: (job) => this.leavePause(job.label),
+                restart: (job) => this.scheduledRestart(job.label, job.restart),
+            };
+            for (const job of this.calendar.getJobs()) {
+                add(job.rule, () => handlers[job.type](job));
+                logger.debug(`${this.tag} 定时任务 ${job.type} ${job.label} (${job.rule})`);
+            }
+            add("*/5 * * * *", () => this.checkStatus());
+            add("*/1 * * * *", () => this.checkPauseConsistency());
+
+            logger.info(`${this.tag} 已成功设置所有定时任务 (统一使用时区: ${jobOptions.tz})`);
+        } catch (err) {
+            logger.error(`${this.tag} 设置定时任务时发生严重错误`, err);
+        }
+    }
+}
+
+export { SupervisorState };
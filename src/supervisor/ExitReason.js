@@ -0,0 +1,75 @@
+import {
+    BadCredentialsError, AccountLockedError, RateLimitError, ServerNotListedError, AuthNetworkError,
+} from "#services/authError.js";
+import { ResponseRetError } from "#game/net/NetError.js";
+
+// 子进程的退出原因, 通过 IPC 消息和退出码两种方式告诉守护进程
+const ExitReason = {
+    BAD_CREDENTIALS: "badCredentials", // 账号密码错误、账号锁定/需要验证码、区服没有角色, 需要人工处理
+    LOGIN_FAILED: "loginFailed",    // 登录失败 (游戏登录返回错误码等)
+    KICKED: "kicked",               // 账号在别处登录 (S_OTHER_LOGIN_YOUR_ROLE)
+    RATE_LIMITED: "rateLimited",    // 操作过于频繁
+    MAINTENANCE: "maintenance",     // 服务器维护
+    CRASH: "crash",                 // 未捕获的异常或其它意外退出
+};
+
+const EXIT_CODES = {
+    [ExitReason.LOGIN_FAILED]: 10,
+    [ExitReason.KICKED]: 11,
+    [ExitReason.RATE_LIMITED]: 12,
+    [ExitReason.MAINTENANCE]: 13,
+    [ExitReason.BAD_CREDENTIALS]: 14,
+    [ExitReason.CRASH]: 1,
+};
+
+// 游戏服错误码 17 (Game_Error-17 消息发送过于频繁), 之后会被踢下线
+const RATE_LIMIT_RET = 17;
+
+// 没有收到 IPC 消息时 (比如子进程被直接杀掉) 根据退出码判断原因
+function getExitReasonByCode(code) {
+    const reason = Object.keys(EXIT_CODES).find((key) => EXIT_CODES[key] === code);
+    return reason || ExitReason.CRASH;
+}
+
+// 根据登录时的错误判断退出原因, AuthService 的错误按类型判断, 其它错误按错误信息判断
+function classifyLoginError(error) {
+    if (error instanceof BadCredentialsError || error instanceof AccountLockedError || error instanceof ServerNotListedError) {
+        return ExitReason.BAD_CREDENTIALS;
+    }
+    if (error instanceof RateLimitError || (error instanceof ResponseRetError && error.ret === RATE_LIMIT_RET)) {
+        return ExitReason.RATE_LIMITED;
+    }
+    if (error instanceof AuthNetworkError) {
+        return ExitReason.CRASH;
+    }
+
+    const message = (error && error.message) || String(error);
+    if (message.includes("频繁")) {
+        return ExitReason.RATE_LIMITED;
+    }
+    if (message.includes("维护")) {
+        return ExitReason.MAINTENANCE;
+    }
+    // 网络错误不是账号的问题, 不计入登录失败
+    if (/ENOTFOUND|EAI_AGAIN|ECONNREFUSED|ECONNRESET|ETIMEDOUT|socket hang up|Network Error|timeout/i.test(message)) {
+        return ExitReason.CRASH;
+    }
+    return ExitReason.LOGIN_FAILED;
+}
+
+/**
+ * @description 子进程调用: 先通过 IPC 上报退出原因, 再以对应的退出码退出。
+ * 没有 IPC 通道时 (直接运行 src/index.js) 只使用退出码。
+ */
+function exitWithReason(reason, message = "") {
+    const code = EXIT_CODES[reason] ?? EXIT_CODES[ExitReason.CRASH];
+    if (typeof process.send === "function" && process.connected) {
+        process.send({ type: "exit", reason, message }, () => process.exit(code));
+        // IPC 发送卡住时也要退出
+        setTimeout(() => process.exit(code), 3000).unref();
+    } else {
+        process.exit(code);
+    }
+}
+
+export { ExitReason, EXIT_CODES, RATE_LIMIT_RET, getExitReasonByCode, classifyLoginError, exitWithReason };
@@ -0,0 +1,57 @@
+import { ExitReason } from "#supervisor/ExitReason.js";
+import { configDefaults } from "#config/schema.js";
+
+// 单位: 秒, account.js 未填写的部分使用 schema 中的默认值
+const { stableTime: DEFAULT_STABLE_TIME, ...DEFAULT_POLICY } = configDefaults("restartPolicy");
+
+/**
+ * @description 按退出原因计算重启等待时间: base * factor^(连续次数-1), 不超过 max, 再加上 0~jitter 秒的随机延迟。
+ * 设置了 maxAttempts 的原因连续失败达到该次数后熔断, 不再自动重启。
+ */
+export default class RestartPolicy {
+    constructor(config = {}) {
+        const { stableTime = DEFAULT_STABLE_TIME, ...reasons } = config;
+        this.stableTime = stableTime;
+        this.policies = {};
+        for (const reason of Object.values(ExitReason)) {
+            const policy = { ...DEFAULT_POLICY[reason], ...reasons[reason] };
+            if (!(policy.base >= 0) || !(policy.factor >= 1) || !(policy.max >= policy.base)) {
+                throw new Error(`[重启策略] ${reason} 配置错误, 需要 base >= 0, factor >= 1, max >= base`);
+            }
+            this.policies[reason] = policy;
+        }
+        this.failures = {};
+    }
+
+    getFailures(reason) {
+        return this.failures[reason] || 0;
+    }
+
+    /**
+     * @description 记录一次退出并返回处理方式。
+     * @param {string} reason 退出原因
+     * @param {number} runTime 本次子进程运行的毫秒数
+     * @returns {{ delay: number, attempt: number, tripped: boolean }} delay 为毫秒, tripped 为 true 时不再重启
+     */
+    next(reason, runTime = 0) {
+        if (runTime >= this.stableTime * 1000) {
+            this.reset();
+        }
+
+        const policy = this.policies[reason] || this.policies[ExitReason.CRASH];
+        const attempt = this.getFailures(reason) + 1;
+        this.failures[reason] = attempt;
+
+        if (policy.maxAttempts && attempt >= policy.maxAttempts) {
+            return { delay: 0, attempt, tripped: true };
+        }
+
+        const seconds = Math.min(policy.max, policy.base * Math.pow(policy.factor, attempt - 1));
+        const jitter = Math.floor(Math.random() * ((policy.jitter || 0) + 1));
+        return { delay: (seconds + jitter) * 1000, attempt, tripped: false };
+    }
+
+    reset() {
+        this.failures = {};
+    }
+}
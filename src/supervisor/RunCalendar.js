@@ -0,0 +1,130 @@
+import { configDefaults } from "#config/schema.js";
+
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// account.js 未填写的部分使用 schema 中的默认值
+const DEFAULT_SCHEDULE = configDefaults("schedule");
+
+// "08:30" -> 510
+function parseTime(value, field) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`[运行日程] ${field} 时间格式错误: ${value}, 应为 HH:mm`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseWeekdays(value, field) {
+    const weekdays = value === undefined ? ALL_WEEKDAYS : value;
+    if (!Array.isArray(weekdays) || weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new Error(`[运行日程] ${field} weekdays 应为 0-6 的数组 (0 为周日)`);
+    }
+    return [...new Set(weekdays)].sort();
+}
+
+function formatMinutes(minutes) {
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * @description 账号的运行日程: 休眠时间段 (可按星期生效, 可跨零点) 和定时重启 (带随机延迟)。
+ * 守护进程的定时任务和每分钟的休眠检查都由同一份日程生成。
+ */
+export default class RunCalendar {
+    constructor(config = {}) {
+        this.timezone = config.timezone || DEFAULT_SCHEDULE.timezone;
+
+        this.windows = (config.sleep || DEFAULT_SCHEDULE.sleep).map((window, index) => {
+            const field = `sleep[${index}]`;
+            return {
+                name: window.name || `休眠${index + 1}`,
+                start: parseTime(window.start, `${field}.start`),
+                end: parseTime(window.end, `${field}.end`),
+                weekdays: parseWeekdays(window.weekdays, field),
+            };
+        });
+
+        this.restarts = (config.restart || DEFAULT_SCHEDULE.restart).map((restart, index) => {
+            const field = `restart[${index}]`;
+            const jitter = restart.jitter || [0, 0];
+            if (!Array.isArray(jitter) || jitter.length !== 2 || jitter[0] < 0 || jitter[0] > jitter[1]) {
+                throw new Error(`[运行日程] ${field}.jitter 应为 [最小秒数, 最大秒数]`);
+            }
+            return {
+                time: parseTime(restart.time, `${field}.time`),
+                jitter: jitter,
+                weekdays: parseWeekdays(restart.weekdays, field),
+            };
+        });
+    }
+
+    // 指定时区下的星期和当天分钟数
+    getLocalTime(date = new Date()) {
+        const parts = new Intl.DateTimeFormat("en-US", {
+            weekday: "short",
+            hour: "2-digit",
+            minute: "2-digit",
+            hour12: false,
+            timeZone: this.timezone,
+        }).formatToParts(date);
+        const get = (type) => parts.find((part) => part.type === type).value;
+        const weekday = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday"));
+        return { weekday, minutes: (Number(get("hour")) % 24) * 60 + Number(get("minute")) };
+    }
+
+    // 返回当前所在的休眠时间段, 不在休眠时返回 null
+    getPauseWindow(date = new Date()) {
+        const { weekday, minutes } = this.getLocalTime(date);
+        const yesterday = (weekday + 6) % 7;
+
+        return this.windows.find((window) => {
+            if (window.start < window.end) {
+                return window.weekdays.includes(weekday) && minutes >= window.start && minutes < window.end;
+            }
+            // 跨零点的时间段, weekdays 按开始的那天算
+            return (window.weekdays.includes(weekday) && minutes >= window.start)
+                || (window.weekdays.includes(yesterday) && minutes < window.end);
+        }) || null;
+    }
+
+    isPaused(date = new Date()) {
+        return this.getPauseWindow(date) !== null;
+    }
+
+    getRandomDelay(restart) {
+        const [min, max] = restart.jitter;
+        return Math.floor(min + Math.random() * (max - min + 1)) * 1000;
+    }
+
+    describe() {
+        return this.windows.map((window) => `${formatMinutes(window.start)}-${formatMinutes(window.end)}`).join(", ");
+    }
+
+    /**
+     * @description 生成所有定时任务: 休眠开始、休眠结束、定时重启。
+     * @returns {{ type: "pauseStart" | "pauseEnd" | "restart", label: string, rule: string, window?: object, restart?: object }[]}
+     */
+    getJobs() {
+        const toRule = (minutes, weekdays) => {
+            const dayOfWeek = weekdays.length === 7 ? "*" : weekdays.join(",");
+            return `0 ${minutes % 60} ${Math.floor(minutes / 60)} * * ${dayOfWeek}`;
+        };
+
+        const jobs = [];
+        this.windows.forEach((window) => {
+            // 跨零点的时间段在第二天结束
+            const endWeekdays = window.start < window.end ? window.weekdays : window.weekdays.map((day) => (day + 1) % 7);
+            jobs.push({ type: "pauseStart", label: `${window.name} ${formatMinutes(window.start)}`, rule: toRule(window.start, window.weekdays), window });
+            // 结束时刻正好有定时重启时, 由重启任务启动子进程
+            const coveredByRestart = this.restarts.some((restart) => restart.time === window.end
+                && endWeekdays.every((day) => restart.weekdays.includes(day)));
+            if (!coveredByRestart) {
+                jobs.push({ type: "pauseEnd", label: `${window.name} ${formatMinutes(window.end)}`, rule: toRule(window.end, endWeekdays), window });
+            }
+        });
+        this.restarts.forEach((restart) => {
+            jobs.push({ type: "restart", label: formatMinutes(restart.time), rule: toRule(restart.time, restart.weekdays), restart });
+        });
+        return jobs;
+    }
+}
@@ -74,6 +74,7 @@ class Logger {
     }
 }
 
-const logger = new Logger().init("default");
+// 多账号时守护进程通过 XDDQ_LOG_NAME 为每个子进程指定单独的日志文件
+const logger = new Logger().init(process.env.XDDQ_LOG_NAME || "default");
 // export { logger, Logger };
 export default logger;
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { ProtobufMgr } from "#game/net/ProtobufMgr.js";
+import GameNetMgr, { ConnState } from "#game/net/GameNetMgr.js";
+import GameState from "#game/common/GameState.js";
+import MsgBus from "#game/net/MsgBus.js";
+import Protocol from "#game/net/Protocol.js";
+import AuthService from "#services/authService.js";
+import MockGameServer from "#mock/MockGameServer.js";
+import MockAuthServer from "#mock/MockAuthServer.js";
+
+const GAME_PORT = 28081;
+const AUTH_PORT = 28082;
+
+const scenario = JSON.parse(fs.readFileSync(new URL("../src/mock/scenarios/default.json", import.meta.url), "utf8"));
+
+// 等到连接进入 state, 已经是 state 时立即返回
+function waitForState(state, timeout = 10 * 1000) {
+    const net = GameNetMgr.inst;
+    if (net.state === state) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        let done = false;
+        const timer = setTimeout(() => {
+            done = true;
+            reject(new Error(`等待 ${state} 超时, 当前 ${net.state}`));
+        }, timeout);
+        net.onStateChange((current) => {
+            if (done || current !== state) return;
+            done = true;
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+}
+
+describe("模拟服务器登录", () => {
+    let server;
+    let authServer;
+    let login;
+
+    before(async () => {
+        await ProtobufMgr.inst.initialize();
+        GameState.subscribe();
+
+        server = new MockGameServer(scenario, GAME_PORT);
+        await server.start();
+        authServer = new MockAuthServer(scenario, AUTH_PORT, `ws://localhost:${GAME_PORT}`);
+        await authServer.start();
+    });
+
+    after(async () => {
+        GameNetMgr.inst.close();
+        await Promise.all([server.stop(), authServer.stop()]);
+    });
+
+    it("账号登录返回游戏服地址和 token", async () => {
+        const { username, password, playerServerList } = scenario.auth;
+        login = await new AuthService(authServer.endpoints, { attempts: 1 }).Login(username, password, playerServerList[0]);
+
+        assert.equal(login.ret, 0);
+        assert.equal(login.wsAddress, `ws://localhost:${GAME_PORT}`);
+        assert.equal(login.playerId, scenario.playerId);
+        assert.ok(login.token);
+    });
+
+    it("连接游戏服, 登录同步完成后进入在线状态", async () => {
+        const states = [];
+        GameNetMgr.inst.onStateChange((state) => states.push(state));
+        const online = waitForState(ConnState.ONLINE);
+        GameNetMgr.inst.connectGameServer(login.wsAddress, login.playerId, login.token);
+        await online;
+
+        assert.deepEqual(states.slice(0, 4), [ConnState.CONNECTING, ConnState.AUTHENTICATING, ConnState.SYNCING, ConnState.ONLINE]);
+        assert.equal(GameState.inst.user.playerId, scenario.playerId);
+        assert.equal(GameState.inst.attribute.realmsId, 100);
+    });
+
+    it("请求的回包同时发给等待的请求和 MsgBus 订阅者", async () => {
+        const owner = {};
+        const published = new Promise((resolve) => MsgBus.inst.once("GetAdRewardResp", resolve, owner));
+        const resp = await GameNetMgr.inst.request(Protocol.S_AD_REWARD_GET_REWARD, { isUseADTime: false });
+
+        assert.equal(resp.ret, 0);
+        assert.equal((await published).ret, 0);
+        MsgBus.inst.offOwner(owner);
+    });
+
+    it("断线后退避重连, 重新登录后回到在线状态", async () => {
+        const backoff = waitForState(ConnState.BACKOFF);
+        for (const client of server.clients) {
+            client.ws.terminate();
+        }
+        await backoff;
+        assert.equal(GameNetMgr.inst.reconnectAttempts, 1);
+
+        await waitForState(ConnState.ONLINE, 15 * 1000);
+        assert.equal(GameNetMgr.inst.reconnectAttempts, 0);
+        assert.equal(server.clients.size, 1);
+    });
+});
@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Scheduler from "#game/common/Scheduler.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 等到 check 返回 true, 最多 timeout 毫秒
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) {
+            throw new Error("等待超时");
+        }
+        await sleep(5);
+    }
+}
+
+describe("Scheduler", () => {
+    let scheduler;
+    const owner = {};
+
+    beforeEach(() => {
+        scheduler = new Scheduler();
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+    });
+
+    it("没有触发方式或重名时注册失败", () => {
+        assert.throws(() => scheduler.register(owner, { name: "a", run: () => {} }), /没有设置触发方式/);
+        scheduler.register(owner, { name: "a", every: 1000, run: () => {} });
+        assert.throws(() => scheduler.register(owner, { name: "a", every: 1000, run: () => {} }), /已存在/);
+    });
+
+    it("间隔任务启动后立即运行, 结束后按间隔再次运行", async () => {
+        const runs = [];
+        scheduler.register(owner, { name: "every", every: 50, run: () => runs.push(Date.now()) });
+        scheduler.start();
+
+        await waitFor(() => runs.length >= 2);
+        assert.ok(runs[1] - runs[0] >= 45, `间隔 ${runs[1] - runs[0]}ms`);
+    });
+
+    it("停止时不运行任务", async () => {
+        let runs = 0;
+        scheduler.register(owner, { name: "every", every: 10, run: () => runs++ });
+        await sleep(30);
+        assert.equal(runs, 0);
+    });
+
+    it("收到消息后按 delay 延迟运行", async () => {
+        let ranAt = null;
+        scheduler.register(owner, { name: "after", after: "SyncBagMsg", delay: 50, run: () => (ranAt = Date.now()) });
+        scheduler.start();
+
+        assert.equal(scheduler.emit("OtherMsg"), 0);
+        const emittedAt = Date.now();
+        assert.equal(scheduler.emit("SyncBagMsg"), 1);
+
+        await waitFor(() => ranAt !== null);
+        assert.ok(ranAt - emittedAt >= 45, `延迟 ${ranAt - emittedAt}ms`);
+    });
+
+    it("trigger 立即运行, delay 推迟间隔任务", async () => {
+        let runs = 0;
+        scheduler.register(owner, { name: "task", every: 60 * 1000, run: () => runs++ });
+        scheduler.delay("task", 60 * 1000);
+        scheduler.start();
+        await sleep(30);
+        assert.equal(runs, 0);
+
+        scheduler.trigger("task");
+        await waitFor(() => runs === 1);
+    });
+
+    it("暂停的任务不运行, 恢复后继续", async () => {
+        let runs = 0;
+        scheduler.register(owner, { name: "task", every: 10, run: () => runs++ });
+        scheduler.pause(owner);
+        scheduler.start();
+        await sleep(30);
+        assert.equal(runs, 0);
+
+        scheduler.resume(owner);
+        await waitFor(() => runs > 0);
+    });
+
+    it("同时运行的任务不超过 maxConcurrent", async () => {
+        let active = 0;
+        let maxActive = 0;
+        let finished = 0;
+        const run = async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await sleep(30);
+            active--;
+            finished++;
+        };
+        for (const name of ["a", "b", "c", "d"]) {
+            scheduler.register(owner, { name, after: "Go", run });
+        }
+        scheduler.start();
+        scheduler.emit("Go");
+
+        await waitFor(() => finished === 4);
+        assert.equal(maxActive, scheduler.maxConcurrent);
+    });
+
+    it("优先级高的任务先运行", async () => {
+        const order = [];
+        scheduler.maxConcurrent = 1;
+        scheduler.register(owner, { name: "low", after: "Go", priority: 0, run: () => order.push("low") });
+        scheduler.register(owner, { name: "high", after: "Go", priority: 10, run: () => order.push("high") });
+        scheduler.start();
+        scheduler.emit("Go");
+
+        await waitFor(() => order.length === 2);
+        assert.deepEqual(order, ["high", "low"]);
+    });
+
+    it("超时后让出并发名额, 但上一次结束前不会重叠运行", async () => {
+        let active = 0;
+        let maxActive = 0;
+        const finishes = [];
+        scheduler.maxConcurrent = 1;
+        scheduler.register(owner, {
+            name: "slow",
+            after: "Slow",
+            timeout: 20,
+            run: () => {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                return new Promise((resolve) => finishes.push(() => {
+                    active--;
+                    resolve();
+                }));
+            },
+        });
+        let other = 0;
+        scheduler.register(owner, { name: "other", after: "Go", run: () => other++ });
+        scheduler.start();
+        scheduler.emit("Slow");
+
+        const slow = scheduler.tasks.get("slow");
+        await waitFor(() => slow.timedOut);
+        assert.equal(scheduler.running, 0);
+        scheduler.emit("Go");
+        await waitFor(() => other === 1);
+
+        // 超时后再次触发, 等上一次结束才运行
+        scheduler.emit("Slow");
+        await sleep(50);
+        assert.equal(finishes.length, 1);
+        assert.ok(slow.running);
+        assert.match(slow.lastError, /运行超过/);
+
+        finishes[0]();
+        await waitFor(() => finishes.length === 2);
+        assert.equal(maxActive, 1);
+        finishes[1]();
+        await waitFor(() => !slow.running);
+        assert.equal(scheduler.running, 0);
+    });
+
+    it("记录返回值和错误", async () => {
+        scheduler.register(owner, { name: "ok", after: "Go", run: () => "已完成" });
+        scheduler.register(owner, { name: "fail", after: "Go", run: () => { throw new Error("出错了"); } });
+        scheduler.start();
+        scheduler.emit("Go");
+
+        await waitFor(() => scheduler.tasks.get("ok").runs === 1 && scheduler.tasks.get("fail").runs === 1);
+        assert.equal(scheduler.tasks.get("ok").lastResult, "已完成");
+        assert.equal(scheduler.tasks.get("fail").lastError, "出错了");
+    });
+});